@@ -0,0 +1,123 @@
+import { isTrashed, isTrashExpired } from '../trash.js';
+import { VersionConflictError, assertItemVersion } from '../item-version.js';
+import { filterByList, findDuplicateIn } from './contract.js';
+
+// Adapter on top of keyed collections with the lib/local-engine.js interface
+// (read, write, put, putMany, remove, pendingDeletes). Used by the JSON-file and the
+// in-memory backends, which only differ in where the collections live.
+//
+// itemsFor(owner): items collection for that owner (keyed by item id)
+// metaCollection: one collection of { owner, kind, payload } keyed owner:id
+// subscriptions, backups: the backend's own sections, passed through as they are
+
+export const metaKey = (owner, id) => `${owner}:${id}`;
+
+// itemOwners(): owners whose items are kept apart (none when items are shared)
+export function createCollectionAdapter({ name, capabilities, itemsFor, itemOwners = () => [], metaCollection, subscriptions, backups }) {
+  async function loadAll(owner) {
+    const { records, baseline } = await itemsFor(owner).read();
+    return { items: records, token: baseline };
+  }
+
+  async function loadMetaRecords() {
+    return (await metaCollection.read()).records;
+  }
+
+  const items = {
+    loadAll,
+
+    async loadByList(owner, list, options = {}) {
+      return filterByList((await loadAll(owner)).items, list, options);
+    },
+
+    async loadById(owner, id) {
+      return (await loadAll(owner)).items.find(i => i.id === id) || null;
+    },
+
+    async loadByStatus(owner, status) {
+      return (await loadAll(owner)).items.filter(i => i.status === status);
+    },
+
+    // Without a token (list built by hand, e.g. a restore) the whole content is replaced
+    async saveAll(owner, list, { token, beforeDelete } = {}) {
+      const collection = itemsFor(owner);
+      if (beforeDelete) {
+        const removed = await collection.pendingDeletes(list, { baseline: token });
+        if (removed.length) await beforeDelete(removed);
+      }
+      await collection.write(list, { baseline: token });
+    },
+
+    // The check runs under the collection's write lock: no save can slip in between
+    async save(owner, item, { expectedVersion } = {}) {
+      await itemsFor(owner).put(item, { guard: current => assertItemVersion(current, expectedVersion) });
+    },
+
+    // Checks and writes under one lock: items whose stored version moved on are
+    // reported and left as they are, the rest go in a single append
+    async saveMany(owner, list, { expectedVersions = new Map() } = {}) {
+      const conflicts = [];
+      const guard = (current, item) => {
+        try {
+          assertItemVersion(current, expectedVersions.get(item.id));
+        } catch (err) {
+          if (!(err instanceof VersionConflictError)) throw err;
+          conflicts.push(err.current);
+          return false;
+        }
+      };
+      await itemsFor(owner).putMany(list, { guard });
+      const conflictIds = new Set(conflicts.map(c => c.id));
+      return { saved: list.map(i => i.id).filter(id => !conflictIds.has(id)), conflicts };
+    },
+
+    async purge(owner, id) {
+      await itemsFor(owner).remove(id, { guard: current => isTrashed(current) });
+    },
+
+    async purgeExpiredTrash(owner, now) {
+      const expired = (await loadAll(owner)).items.filter(i => isTrashExpired(i, now)).map(i => i.id);
+      if (!expired.length) return;
+      await itemsFor(owner).remove(expired, { guard: current => isTrashExpired(current, now) });
+    },
+
+    async findRecentDuplicate(owner, input, now = Date.now(), options = {}) {
+      return findDuplicateIn((await loadAll(owner)).items, input, now, options);
+    },
+
+    // No full-text index here: every item goes to the in-memory matcher
+    async search(owner) {
+      return { items: (await loadAll(owner)).items.filter(i => !isTrashed(i)), ranked: false };
+    },
+
+    async owners() {
+      return [...new Set([...itemOwners(), ...(await loadMetaRecords()).map(r => r.owner)])];
+    },
+  };
+
+  const meta = {
+    async loadByKind(owner, kind) {
+      return (await loadMetaRecords()).filter(r => r.owner === owner && r.kind === kind).map(r => r.payload);
+    },
+
+    async loadById(owner, id) {
+      const record = (await loadMetaRecords()).find(r => r.owner === owner && r.payload?.id === id);
+      return record ? record.payload : null;
+    },
+
+    async save(owner, kind, payload) {
+      await metaCollection.put({ owner, kind, payload });
+    },
+
+    async remove(owner, id) {
+      await metaCollection.remove(metaKey(owner, id));
+    },
+
+    async findByPayloadField(kind, field, value) {
+      const match = (await loadMetaRecords()).find(r => r.kind === kind && String(r.payload?.[field] ?? '') === value);
+      return match ? { owner: match.owner, record: match.payload } : null;
+    },
+  };
+
+  return { name, capabilities, items, meta, subscriptions, backups };
+}
@@ -0,0 +1,95 @@
+// Storage adapter contract shared by lib/store.js and lib/meta-store.js.
+//
+// An adapter is { name, capabilities, items, meta, subscriptions, backups }. The owner is
+// always explicit (the facades resolve it); records come back newest first.
+//
+// items
+//   loadAll(owner)                          → { items, token }  (token: opaque, for saveAll)
+//   loadByList(owner, list, { excludeDone, status })
+//   loadById(owner, id)                     → item | null
+//   loadByStatus(owner, status)
+//   saveAll(owner, items, { token, beforeDelete })
+//       makes `items` the stored set. With the token from loadAll only what changed
+//       since that load is written; beforeDelete(ids) is awaited before removing.
+//   save(owner, item, { expectedVersion })  → throws VersionConflictError on mismatch
+//   saveMany(owner, items, { expectedVersions })  → { saved: ids, conflicts: items }
+//       one batched write (bulk actions). expectedVersions: Map id → version; items
+//       whose stored version differs are not written and come back as conflicts.
+//   purge(owner, id)                        hard delete, only items in the Papelera
+//   purgeExpiredTrash(owner, now)
+//   findRecentDuplicate(owner, input, now, { clientCaptureId })
+//       → item created from that clientCaptureId (offline outbox replays, any age
+//         or list), else an open Collect item with the same text (3 s)
+//   search(owner, tsQuery, limit)           → { items, ranked }, never Papelera items
+//       (filtered before the limit, so trashed hits do not take result slots)
+//   owners()                                → owners with stored items or meta records
+// meta (records of a kind: contexts, areas, tokens, preferences…)
+//   loadByKind(owner, kind) / loadById(owner, id)
+//   save(owner, kind, payload)              upsert by payload.id
+//   remove(owner, id)
+//   findByPayloadField(kind, field, value)  → { owner, record } | null, across owners
+// subscriptions (billing, keyed by user id)
+//   get(userId) → row | null / upsert(userId, patch) → row
+//   listTrialsEndingBefore(date)            → trialing rows whose trial_ends_at <= date
+// backups (restore points: an owner's items + user meta, lib/backup-store.js)
+//   list(owner)                             → summaries { id, reason, createdAt, itemCount, metaCount }
+//   load(owner, id)                         → backup | null
+//   save(owner, backup)
+//   remove(owner, ids)
+//
+// capabilities
+//   ownerScopedItems: items of different owners are kept apart (the JSON file
+//                     predates owners and shares one list)
+//   subscriptions:    billing rows can be stored
+
+export const ADAPTER_METHODS = {
+  items: ['loadAll', 'loadByList', 'loadById', 'loadByStatus', 'saveAll', 'save', 'saveMany', 'purge', 'purgeExpiredTrash', 'findRecentDuplicate', 'search', 'owners'],
+  meta: ['loadByKind', 'loadById', 'save', 'remove', 'findByPayloadField'],
+  subscriptions: ['get', 'upsert', 'listTrialsEndingBefore'],
+  backups: ['list', 'load', 'save', 'remove'],
+};
+
+export const DUPLICATE_WINDOW_MS = 3000;
+
+export function assertStorageAdapter(adapter) {
+  if (!adapter || typeof adapter.name !== 'string') throw new Error('Storage adapter needs a name');
+  for (const [group, methods] of Object.entries(ADAPTER_METHODS)) {
+    for (const method of methods) {
+      if (typeof adapter[group]?.[method] !== 'function') {
+        throw new Error(`Storage adapter "${adapter.name}" is missing ${group}.${method}()`);
+      }
+    }
+  }
+  return adapter;
+}
+
+// In-process filtering shared by the adapters that keep every item at hand
+export function filterByList(items, list, { excludeDone = false, status = '' } = {}) {
+  let result = items.filter(i => i.list === list);
+  if (excludeDone) result = result.filter(i => i.status !== 'done');
+  if (status) result = result.filter(i => i.status === status);
+  return result;
+}
+
+export function backupSummary(backup) {
+  const { items, meta, ...summary } = backup;
+  return summary;
+}
+
+export function newestBackupFirst(a, b) {
+  return String(b.createdAt).localeCompare(String(a.createdAt)) || String(b.id).localeCompare(String(a.id));
+}
+
+export function findDuplicateIn(items, input, now = Date.now(), { clientCaptureId = null } = {}) {
+  if (clientCaptureId) {
+    const replayed = items.find(i => i.clientCaptureId === clientCaptureId);
+    if (replayed) return replayed;
+  }
+  const normalizedInput = String(input || '').trim().toLowerCase();
+  return items.find(i =>
+    i.list === 'collect' &&
+    i.status !== 'done' &&
+    String(i.input || '').trim().toLowerCase() === normalizedInput &&
+    Math.abs(now - new Date(i.createdAt || 0).getTime()) < DUPLICATE_WINDOW_MS
+  ) || null;
+}
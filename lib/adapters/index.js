@@ -0,0 +1,64 @@
+import path from 'node:path';
+import { createClient } from '@supabase/supabase-js';
+import { assertStorageAdapter } from './contract.js';
+import { createSupabaseAdapter } from './supabase-adapter.js';
+import { createJsonFileAdapter } from './json-file-adapter.js';
+import { createMemoryAdapter } from './memory-adapter.js';
+
+export { ADAPTER_METHODS, assertStorageAdapter } from './contract.js';
+export { createSupabaseAdapter, createJsonFileAdapter, createMemoryAdapter };
+
+export const STORAGE_ADAPTERS = ['supabase', 'json', 'memory'];
+
+function defaultDataDir(env) {
+  return env.VERCEL ? '/tmp/gtd_neto_data' : new URL('../../data', import.meta.url).pathname;
+}
+
+/**
+ * STORAGE_ADAPTER picks the backend (supabase | json | memory). Without it:
+ * supabase when USE_SUPABASE=true and the credentials are set, json otherwise.
+ */
+export function resolveStorageAdapterName(env = process.env) {
+  const explicit = String(env.STORAGE_ADAPTER || '').trim().toLowerCase();
+  if (explicit) {
+    if (!STORAGE_ADAPTERS.includes(explicit)) throw new Error(`Unknown STORAGE_ADAPTER "${explicit}"`);
+    return explicit;
+  }
+  const useSupabase = String(env.USE_SUPABASE || '').toLowerCase() === 'true';
+  return useSupabase && env.SUPABASE_URL && env.SUPABASE_SERVICE_ROLE_KEY ? 'supabase' : 'json';
+}
+
+// Service-role client: bypasses RLS, server-side only
+export function createSupabaseAdminClient(env = process.env) {
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error('STORAGE_ADAPTER=supabase needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  }
+  return createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+}
+
+// supabaseClient: reuse an admin client instead of creating one
+export function createStorageAdapter(env = process.env, { supabaseClient = null } = {}) {
+  const name = resolveStorageAdapterName(env);
+
+  if (name === 'supabase') {
+    return assertStorageAdapter(createSupabaseAdapter(supabaseClient || createSupabaseAdminClient(env)));
+  }
+
+  if (name === 'memory') return assertStorageAdapter(createMemoryAdapter());
+
+  const dataDir = env.DATA_DIR || defaultDataDir(env);
+  return assertStorageAdapter(createJsonFileAdapter({
+    dbPath: env.DB_PATH || path.join(dataDir, 'db.json'),
+    metaPath: env.META_PATH || path.join(dataDir, 'meta.json'),
+    backupDir: env.BACKUP_DIR || path.join(dataDir, 'backups'),
+    compactAfter: Number(env.LOCAL_COMPACT_AFTER) > 0 ? Number(env.LOCAL_COMPACT_AFTER) : undefined,
+  }));
+}
+
+// The process-wide adapter, picked from the environment when first loaded.
+// supabaseAdmin is its client (null for other backends), also used for auth
+// admin lookups such as account emails.
+export const supabaseAdmin = resolveStorageAdapterName() === 'supabase' ? createSupabaseAdminClient() : null;
+export const storage = createStorageAdapter(process.env, { supabaseClient: supabaseAdmin });
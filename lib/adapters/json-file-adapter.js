@@ -0,0 +1,87 @@
+import { readFile, writeFile, mkdir, rm, rename } from 'node:fs/promises';
+import path from 'node:path';
+import { createLocalCollection } from '../local-engine.js';
+import { createCollectionAdapter, metaKey } from './collection-adapter.js';
+import { backupSummary, newestBackupFirst } from './contract.js';
+
+// Restore points as files: <backupDir>/<owner>/<id>.json, plus an index.json
+// of summaries so listing does not read every snapshot
+function createBackupFiles(backupDir) {
+  const ownerDir = owner => path.join(backupDir, owner.replace(/[^a-zA-Z0-9_-]/g, '_'));
+
+  async function loadIndex(owner) {
+    try {
+      const index = JSON.parse(await readFile(path.join(ownerDir(owner), 'index.json'), 'utf8'));
+      return Array.isArray(index) ? index : [];
+    } catch {
+      return [];
+    }
+  }
+
+  async function writeFileAtomic(file, data) {
+    const tmp = `${file}.tmp`;
+    await writeFile(tmp, JSON.stringify(data) + '\n', 'utf8');
+    await rename(tmp, file);
+  }
+
+  return {
+    async list(owner) {
+      return (await loadIndex(owner)).sort(newestBackupFirst);
+    },
+
+    async load(owner, id) {
+      try {
+        return JSON.parse(await readFile(path.join(ownerDir(owner), `${id}.json`), 'utf8'));
+      } catch {
+        return null;
+      }
+    },
+
+    async save(owner, backup) {
+      const dir = ownerDir(owner);
+      await mkdir(dir, { recursive: true });
+      await writeFileAtomic(path.join(dir, `${backup.id}.json`), backup);
+      const index = (await loadIndex(owner)).filter(s => s.id !== backup.id);
+      await writeFileAtomic(path.join(dir, 'index.json'), [backupSummary(backup), ...index].sort(newestBackupFirst));
+    },
+
+    async remove(owner, ids) {
+      const dir = ownerDir(owner);
+      const drop = new Set(ids);
+      const index = await loadIndex(owner);
+      if (index.some(s => drop.has(s.id))) await writeFileAtomic(path.join(dir, 'index.json'), index.filter(s => !drop.has(s.id)));
+      await Promise.all(ids.map(id => rm(path.join(dir, `${id}.json`), { force: true })));
+    },
+  };
+}
+
+// Local backend: db.json / meta.json plus their append-only logs
+// (lib/local-engine.js). db.json predates owners, so every owner shares the
+// same items; billing is not available.
+export function createJsonFileAdapter({ dbPath, metaPath, backupDir, compactAfter } = {}) {
+  const items = createLocalCollection(dbPath, { field: 'items', keyOf: item => item.id, compactAfter });
+  const metaCollection = createLocalCollection(metaPath, {
+    field: 'records',
+    keyOf: entry => metaKey(entry.owner, entry.payload?.id),
+    compactAfter,
+  });
+
+  return createCollectionAdapter({
+    name: 'json',
+    capabilities: { ownerScopedItems: false, subscriptions: false },
+    itemsFor: () => items,
+    metaCollection,
+    subscriptions: {
+      async get() {
+        return null; // Not available in local mode
+      },
+      async upsert() {
+        throw new Error('Billing requires Supabase mode');
+      },
+      async listTrialsEndingBefore() {
+        return [];
+      },
+    },
+    backups: createBackupFiles(backupDir || path.join(path.dirname(dbPath), 'backups')),
+  });
+}
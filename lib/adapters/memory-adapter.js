@@ -0,0 +1,110 @@
+import { planWrite } from '../local-engine.js';
+import { createCollectionAdapter, metaKey } from './collection-adapter.js';
+import { backupSummary, newestBackupFirst } from './contract.js';
+
+// In-memory backend for tests and throwaway runs (STORAGE_ADAPTER=memory).
+// Same semantics as the JSON files without touching disk; nothing survives a
+// restart. Items are kept per owner.
+
+// Collection with the lib/local-engine.js interface. Every operation runs
+// without awaiting in between, so no lock is needed.
+function createMemoryCollection({ keyOf }) {
+  const records = new Map(); // key → JSON string, oldest first
+
+  function apply(ops) {
+    for (const op of ops) {
+      if (op.op === 'put') records.set(keyOf(op.record), JSON.stringify(op.record));
+      else records.delete(op.key);
+    }
+  }
+
+  return {
+    async read() {
+      return { records: [...records.values()].reverse().map(json => JSON.parse(json)), baseline: new Map(records) };
+    },
+
+    async pendingDeletes(list, { baseline } = {}) {
+      return planWrite(records, list, { baseline, keyOf }).filter(op => op.op === 'del').map(op => op.key);
+    },
+
+    async write(list, { baseline } = {}) {
+      apply(planWrite(records, list, { baseline, keyOf }));
+    },
+
+    async put(record, { guard } = {}) {
+      const json = records.get(keyOf(record));
+      if (guard && guard(json ? JSON.parse(json) : null) === false) return;
+      apply([{ op: 'put', record }]);
+    },
+
+    async putMany(list, { guard } = {}) {
+      const ops = [];
+      for (const record of list) {
+        const json = records.get(keyOf(record));
+        if (guard && guard(json ? JSON.parse(json) : null, record) === false) continue;
+        ops.push({ op: 'put', record });
+      }
+      apply(ops);
+    },
+
+    async remove(keys, { guard } = {}) {
+      for (const key of [].concat(keys)) {
+        const json = records.get(key);
+        if (!json || (guard && guard(JSON.parse(json)) === false)) continue;
+        records.delete(key);
+      }
+    },
+  };
+}
+
+export function createMemoryAdapter() {
+  const itemsByOwner = new Map();
+  const billing = new Map();
+  const backupsByOwner = new Map(); // owner → Map id → JSON string
+  const ownerBackups = (owner) => {
+    if (!backupsByOwner.has(owner)) backupsByOwner.set(owner, new Map());
+    return backupsByOwner.get(owner);
+  };
+
+  return createCollectionAdapter({
+    name: 'memory',
+    capabilities: { ownerScopedItems: true, subscriptions: true },
+    itemsFor(owner) {
+      if (!itemsByOwner.has(owner)) itemsByOwner.set(owner, createMemoryCollection({ keyOf: item => item.id }));
+      return itemsByOwner.get(owner);
+    },
+    itemOwners: () => [...itemsByOwner.keys()],
+    metaCollection: createMemoryCollection({ keyOf: entry => metaKey(entry.owner, entry.payload?.id) }),
+    subscriptions: {
+      async get(userId) {
+        return billing.has(userId) ? { ...billing.get(userId) } : null;
+      },
+      async upsert(userId, patch) {
+        const row = { ...billing.get(userId), user_id: userId, updated_at: new Date().toISOString(), ...patch };
+        billing.set(userId, row);
+        return { ...row };
+      },
+      async listTrialsEndingBefore(date) {
+        const limit = new Date(date).getTime();
+        return [...billing.values()]
+          .filter(row => row.status === 'trialing' && row.trial_ends_at && new Date(row.trial_ends_at).getTime() <= limit)
+          .map(row => ({ ...row }));
+      },
+    },
+    backups: {
+      async list(owner) {
+        return [...ownerBackups(owner).values()].map(json => backupSummary(JSON.parse(json))).sort(newestBackupFirst);
+      },
+      async load(owner, id) {
+        const json = ownerBackups(owner).get(id);
+        return json ? JSON.parse(json) : null;
+      },
+      async save(owner, backup) {
+        ownerBackups(owner).set(backup.id, JSON.stringify(backup));
+      },
+      async remove(owner, ids) {
+        for (const id of ids) ownerBackups(owner).delete(id);
+      },
+    },
+  });
+}
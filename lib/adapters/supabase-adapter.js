@@ -0,0 +1,468 @@
+import { TRASH_LIST, trashCutoff } from '../trash.js';
+import { VersionConflictError, itemVersion } from '../item-version.js';
+import { DUPLICATE_WINDOW_MS } from './contract.js';
+
+// Supabase backend: gtd_items / gtd_meta rows are { id, owner, payload, updated_at }
+// (supabase/schema.sql, supabase/meta-schema.sql), billing in user_subscriptions,
+// restore points in gtd_backups.
+//
+// IMPORTANT: the client uses the SERVICE_ROLE_KEY, which bypasses RLS. The
+// server enforces authorization and manages `owner` itself.
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function isOnConflictTargetError(error) {
+  if (!error) return false;
+  const code = String(error.code || '');
+  const message = String(error.message || '').toLowerCase();
+  return code === '42P10' || message.includes('no unique or exclusion constraint matching the on conflict specification');
+}
+
+// Compatibilidad con ambos esquemas: PK/UNIQUE en (id, owner) o solo id.
+export async function upsertWithConflictFallbackForClient(client, rows, conflictTargets = ['id,owner', 'id']) {
+  let lastError = null;
+
+  for (const target of conflictTargets) {
+    const { error } = await client
+      .from('gtd_items')
+      .upsert(rows, { onConflict: target, ignoreDuplicates: false });
+
+    if (!error) return;
+    lastError = error;
+    if (!isOnConflictTargetError(error)) throw error;
+  }
+
+  throw lastError || new Error('Supabase upsert failed without details');
+}
+
+function backupSummaryFromRow(row) {
+  return {
+    id: row.id,
+    reason: row.reason,
+    createdAt: row.created_at,
+    itemCount: row.item_count,
+    metaCount: row.meta_count,
+  };
+}
+
+function itemRow(owner, item) {
+  return {
+    id: item.id,
+    owner,
+    payload: item,
+    updated_at: new Date(item.updatedAt || item.createdAt || nowIso()).toISOString(),
+  };
+}
+
+export function createSupabaseAdapter(client) {
+  const upsertItems = rows => upsertWithConflictFallbackForClient(client, rows);
+
+  async function loadIds(owner) {
+    const { data, error } = await client.from('gtd_items').select('id').eq('owner', owner);
+    if (error) throw error;
+    return (data || []).map(row => row.id);
+  }
+
+  async function loadById(owner, id) {
+    const { data, error } = await client
+      .from('gtd_items')
+      .select('id, payload')
+      .eq('owner', owner)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data?.payload) return null;
+    return { id: data.id, ...data.payload };
+  }
+
+  // Conditional write: only updates the row if the stored payload still has
+  // the expected version; otherwise reports the stored item.
+  async function updateIfVersion(row, expectedVersion) {
+    let query = client
+      .from('gtd_items')
+      .update({ payload: row.payload, updated_at: row.updated_at })
+      .eq('owner', row.owner)
+      .eq('id', row.id);
+    query = expectedVersion > 0
+      ? query.eq('payload->>version', String(expectedVersion))
+      : query.is('payload->>version', null);
+    const { data, error } = await query.select('id');
+    if (error) throw error;
+    if (data?.length) return;
+
+    const current = await loadById(row.owner, row.id);
+    if (!current) return upsertItems(row);
+    throw new VersionConflictError(current);
+  }
+
+  const items = {
+    async loadAll(owner) {
+      const { data, error } = await client
+        .from('gtd_items')
+        .select('payload')
+        .eq('owner', owner)
+        .order('updated_at', { ascending: false });
+
+      if (error) throw error;
+      return { items: (data || []).map(r => r.payload).filter(Boolean), token: null };
+    },
+
+    async loadByList(owner, list, { excludeDone = false, status = '' } = {}) {
+      let query = client
+        .from('gtd_items')
+        .select('payload')
+        .eq('owner', owner)
+        .eq('payload->>list', list);
+
+      if (excludeDone) {
+        query = query.neq('payload->>status', 'done');
+      }
+
+      if (status) {
+        query = query.eq('payload->>status', status);
+      }
+
+      const { data, error } = await query.order('updated_at', { ascending: false });
+      if (error) throw error;
+      return (data || []).map(r => r.payload).filter(Boolean);
+    },
+
+    loadById,
+
+    async loadByStatus(owner, status) {
+      const { data, error } = await client
+        .from('gtd_items')
+        .select('payload')
+        .eq('owner', owner)
+        .eq('payload->>status', status)
+        .order('updated_at', { ascending: false });
+      if (error) throw error;
+      return (data || []).map(r => r.payload).filter(Boolean);
+    },
+
+    async saveAll(owner, list, { beforeDelete } = {}) {
+      if (beforeDelete) {
+        const keep = new Set(list.map(i => i.id));
+        const removed = (await loadIds(owner)).filter(id => !keep.has(id));
+        if (removed.length) await beforeDelete(removed);
+      }
+
+      if (!list.length) {
+        // Si no hay items, eliminar todos los items del owner
+        const { error: delErr } = await client
+          .from('gtd_items')
+          .delete()
+          .eq('owner', owner);
+        if (delErr) throw delErr;
+        return;
+      }
+
+      try {
+        await upsertItems(list.map(item => itemRow(owner, item)));
+      } catch (upsertErr) {
+        console.error('[saveDb] Upsert error:', JSON.stringify(upsertErr, null, 2));
+        throw upsertErr;
+      }
+
+      // Eliminar items que ya no están en la lista actual
+      const currentIds = new Set(list.map(i => i.id));
+      let existingIds;
+      try {
+        existingIds = await loadIds(owner);
+      } catch (fetchErr) {
+        console.error('[saveDb] Fetch existing IDs error:', JSON.stringify(fetchErr, null, 2));
+        throw fetchErr;
+      }
+
+      // Batch delete: eliminar todos los IDs obsoletos en una sola query
+      const idsToDelete = existingIds.filter(id => !currentIds.has(id));
+      if (idsToDelete.length > 0) {
+        const { error: delErr } = await client
+          .from('gtd_items')
+          .delete()
+          .eq('owner', owner)
+          .in('id', idsToDelete);
+
+        if (delErr) {
+          console.error('[saveDb] Batch delete error:', JSON.stringify(delErr, null, 2));
+          // Don't throw, just warn - deletion of old items is not critical
+        }
+      }
+    },
+
+    async save(owner, item, { expectedVersion } = {}) {
+      const row = itemRow(owner, item);
+      if (expectedVersion != null) return updateIfVersion(row, expectedVersion);
+      await upsertItems(row);
+    },
+
+    // One select for the versions, one upsert for the rest. Unlike save() the
+    // check is not atomic: a save landing between both queries is overwritten.
+    async saveMany(owner, list, { expectedVersions = new Map() } = {}) {
+      const conflicts = [];
+      const checked = list.filter(item => expectedVersions.get(item.id) != null);
+      if (checked.length) {
+        const { data, error } = await client
+          .from('gtd_items')
+          .select('id, payload')
+          .eq('owner', owner)
+          .in('id', checked.map(item => item.id));
+        if (error) throw error;
+        const stored = new Map((data || []).filter(r => r.payload).map(r => [r.id, { id: r.id, ...r.payload }]));
+        for (const item of checked) {
+          const current = stored.get(item.id);
+          if (current && itemVersion(current) !== expectedVersions.get(item.id)) conflicts.push(current);
+        }
+      }
+
+      const conflictIds = new Set(conflicts.map(c => c.id));
+      const rows = list.filter(item => !conflictIds.has(item.id)).map(item => itemRow(owner, item));
+      if (rows.length) await upsertItems(rows);
+      return { saved: rows.map(r => r.id), conflicts };
+    },
+
+    async purge(owner, id) {
+      const { error } = await client
+        .from('gtd_items')
+        .delete()
+        .eq('owner', owner)
+        .eq('id', id)
+        .eq('payload->>list', TRASH_LIST);
+      if (error) throw error;
+    },
+
+    async purgeExpiredTrash(owner, now) {
+      const { error } = await client
+        .from('gtd_items')
+        .delete()
+        .eq('owner', owner)
+        .eq('payload->>list', TRASH_LIST)
+        .lt('payload->>trashedAt', trashCutoff(now));
+      if (error) throw error;
+    },
+
+    async findRecentDuplicate(owner, input, now = Date.now(), { clientCaptureId = null } = {}) {
+      if (clientCaptureId) {
+        const { data, error } = await client
+          .from('gtd_items')
+          .select('id, payload')
+          .eq('owner', owner)
+          .eq('payload->>clientCaptureId', clientCaptureId)
+          .limit(1);
+        if (error) throw error;
+        if (data?.[0]) return data[0].payload;
+      }
+
+      const since = new Date(now - DUPLICATE_WINDOW_MS).toISOString();
+      const normalizedInput = String(input || '').trim().toLowerCase();
+      const { data, error } = await client
+        .from('gtd_items')
+        .select('id, payload')
+        .eq('owner', owner)
+        .gte('updated_at', since)
+        .limit(20); // Solo verificar items muy recientes
+
+      if (error) throw error;
+
+      // Filtrar en memoria ya que no podemos hacer ILIKE en payload JSONB fácilmente
+      const duplicate = (data || []).find(row => {
+        const item = row.payload;
+        return (
+          item.list === 'collect' &&
+          item.status !== 'done' &&
+          String(item.input || '').trim().toLowerCase() === normalizedInput
+        );
+      });
+
+      return duplicate ? duplicate.payload : null;
+    },
+
+    // search_gtd_items() RPC (Spanish to_tsvector index, see
+    // supabase/schema_improved.sql); without it every item goes to the
+    // in-memory matcher
+    async search(owner, tsQuery, limit) {
+      if (tsQuery) {
+        const { data, error } = await client.rpc('search_gtd_items', {
+          p_owner: owner,
+          p_query: tsQuery,
+          p_limit: limit,
+        });
+        // The function skips the Papelera before its limit; the filter here only
+        // covers databases still running an older search_gtd_items()
+        if (!error) return { items: (data || []).map(r => r.payload).filter(p => p && p.list !== TRASH_LIST), ranked: true };
+
+        const missingFunction = String(error.code || '') === 'PGRST202' || String(error.code || '') === '42883';
+        if (!missingFunction) throw error;
+        console.warn('[searchItemsFullText] search_gtd_items() not installed, falling back to in-memory search');
+      }
+      return { items: (await items.loadAll(owner)).items.filter(i => i.list !== TRASH_LIST), ranked: false };
+    },
+
+    // Maintenance only (npm run migrate): reads the owner column of every row
+    async owners() {
+      const found = new Set();
+      for (const table of ['gtd_items', 'gtd_meta']) {
+        const { data, error } = await client.from(table).select('owner');
+        if (error) throw error;
+        for (const row of data || []) found.add(row.owner);
+      }
+      return [...found];
+    },
+  };
+
+  const meta = {
+    async loadByKind(owner, kind) {
+      const { data, error } = await client
+        .from('gtd_meta')
+        .select('id, payload')
+        .eq('owner', owner)
+        .eq('kind', kind)
+        .order('updated_at', { ascending: false });
+
+      if (error) throw error;
+      return (data || []).map(r => ({ id: r.id, ...r.payload })).filter(Boolean);
+    },
+
+    async loadById(owner, id) {
+      const { data, error } = await client
+        .from('gtd_meta')
+        .select('id, payload')
+        .eq('owner', owner)
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data?.payload) return null;
+      return { id: data.id, ...data.payload };
+    },
+
+    async save(owner, kind, payload) {
+      const row = { id: payload.id, owner, kind, payload, updated_at: payload.updatedAt || nowIso() };
+      const { error } = await client.from('gtd_meta').upsert(row, { onConflict: 'id,owner' });
+
+      if (error) {
+        // Fallback: try with just id if (id,owner) unique constraint doesn't exist
+        const { error: error2 } = await client.from('gtd_meta').upsert(row, { onConflict: 'id' });
+        if (error2) throw error2;
+      }
+    },
+
+    async remove(owner, id) {
+      const { error } = await client
+        .from('gtd_meta')
+        .delete()
+        .eq('owner', owner)
+        .eq('id', id);
+      if (error) throw error;
+    },
+
+    async findByPayloadField(kind, field, value) {
+      const { data, error } = await client
+        .from('gtd_meta')
+        .select('id, owner, payload')
+        .eq('kind', kind)
+        .eq(`payload->>${field}`, value)
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data?.payload) return null;
+      return { owner: data.owner, record: { id: data.id, ...data.payload } };
+    },
+  };
+
+  const subscriptions = {
+    async get(userId) {
+      const { data, error } = await client
+        .from('user_subscriptions')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async upsert(userId, patch) {
+      const row = {
+        user_id: userId,
+        updated_at: nowIso(),
+        ...patch,
+      };
+
+      const { data, error } = await client
+        .from('user_subscriptions')
+        .upsert(row, { onConflict: 'user_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async listTrialsEndingBefore(date) {
+      const { data, error } = await client
+        .from('user_subscriptions')
+        .select('*')
+        .eq('status', 'trialing')
+        .lte('trial_ends_at', new Date(date).toISOString());
+
+      if (error) throw error;
+      return data || [];
+    },
+  };
+
+  const backups = {
+    async list(owner) {
+      const { data, error } = await client
+        .from('gtd_backups')
+        .select('id, reason, created_at, item_count, meta_count')
+        .eq('owner', owner)
+        .order('created_at', { ascending: false });
+      if (error) throw error;
+      return (data || []).map(backupSummaryFromRow);
+    },
+
+    async load(owner, id) {
+      const { data, error } = await client
+        .from('gtd_backups')
+        .select('id, reason, created_at, item_count, meta_count, payload')
+        .eq('owner', owner)
+        .eq('id', id)
+        .maybeSingle();
+      if (error) throw error;
+      if (!data) return null;
+      return { ...backupSummaryFromRow(data), items: data.payload?.items || [], meta: data.payload?.meta || {} };
+    },
+
+    async save(owner, backup) {
+      const { error } = await client.from('gtd_backups').insert({
+        id: backup.id,
+        owner,
+        reason: backup.reason,
+        created_at: backup.createdAt,
+        item_count: backup.itemCount,
+        meta_count: backup.metaCount,
+        payload: { items: backup.items, meta: backup.meta },
+      });
+      if (error) throw error;
+    },
+
+    async remove(owner, ids) {
+      const { error } = await client.from('gtd_backups').delete().eq('owner', owner).in('id', ids);
+      if (error) throw error;
+    },
+  };
+
+  return {
+    name: 'supabase',
+    capabilities: { ownerScopedItems: true, subscriptions: true },
+    items,
+    meta,
+    subscriptions,
+    backups,
+  };
+}
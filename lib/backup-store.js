@@ -0,0 +1,121 @@
+import { randomBytes } from 'node:crypto';
+import { storage } from './adapters/index.js';
+import { backupSummary } from './adapters/contract.js';
+import { loadDb, resolveOwner, saveDb } from './store.js';
+import { itemVersion } from './item-version.js';
+import { upgradeItem, upgradeMeta } from './migrations.js';
+import { deleteMetaRecord, loadMetaByKind, saveMetaRecord } from './meta-store.js';
+
+// Restore points: one snapshot of an owner's items + user meta, kept by the
+// configured storage adapter next to the items (backups section of
+// lib/adapters/contract.js). Each reason keeps its own rotation, so a burst
+// of pre-delete snapshots never pushes out the scheduled ones.
+
+export const BACKUP_KEEP = Math.max(1, Number(process.env.BACKUP_KEEP || 10));
+export const BACKUP_REASONS = ['scheduled', 'manual', 'import', 'delete', 'restore'];
+// User content only: tokens, calendar feeds, flags and the undo journal are
+// credentials or ephemeral state and are never rolled back
+export const BACKUP_META_KINDS = ['context', 'area', 'weekly_review', 'preferences'];
+
+// Sortable ids: creation time (UTC, to the second) plus a random suffix
+export function newBackupId(now = new Date()) {
+  return `${now.toISOString().replace(/\D/g, '').slice(0, 14)}-${randomBytes(3).toString('hex')}`;
+}
+
+export function looksLikeBackupId(value) {
+  return typeof value === 'string' && /^\d{14}-[a-f0-9]{6}$/.test(value);
+}
+
+export function buildBackup({ items = [], meta = {}, reason, now = new Date() }) {
+  if (!BACKUP_REASONS.includes(reason)) throw new Error(`Unknown backup reason: ${reason}`);
+  return {
+    id: newBackupId(now),
+    reason,
+    createdAt: now.toISOString(),
+    itemCount: items.length,
+    metaCount: Object.values(meta).reduce((n, records) => n + (records?.length || 0), 0),
+    items,
+    meta,
+  };
+}
+
+// Ids of the backups beyond BACKUP_KEEP for each reason (summaries newest first)
+function rotatedIds(summaries, keep) {
+  const seen = new Map();
+  const drop = [];
+  for (const summary of summaries) {
+    const count = (seen.get(summary.reason) || 0) + 1;
+    seen.set(summary.reason, count);
+    if (count > keep) drop.push(summary.id);
+  }
+  return drop;
+}
+
+export async function listBackups(options = {}) {
+  return storage.backups.list(resolveOwner(options));
+}
+
+export async function loadBackup(id, options = {}) {
+  if (!looksLikeBackupId(id)) return null;
+  return storage.backups.load(resolveOwner(options), id);
+}
+
+async function deleteBackups(ids, owner) {
+  if (!ids.length) return;
+  await storage.backups.remove(owner, ids);
+}
+
+export async function deleteBackup(id, options = {}) {
+  if (!looksLikeBackupId(id)) return;
+  await deleteBackups([id], resolveOwner(options));
+}
+
+// Stores a backup and applies the rotation; returns its summary
+export async function saveBackup(backup, options = {}) {
+  const owner = resolveOwner(options);
+  await storage.backups.save(owner, backup);
+  await deleteBackups(rotatedIds(await listBackups({ owner }), BACKUP_KEEP), owner);
+  return backupSummary(backup);
+}
+
+async function loadOwnerMeta(owner) {
+  const entries = await Promise.all(BACKUP_META_KINDS.map(async kind => [kind, await loadMetaByKind(kind, { owner })]));
+  return Object.fromEntries(entries);
+}
+
+// Snapshot of the owner's current items and user meta (contexts, areas, ...)
+export async function createBackupSnapshot({ reason, now = new Date(), ...options } = {}) {
+  const owner = resolveOwner(options);
+  const [db, meta] = await Promise.all([loadDb({ owner }), loadOwnerMeta(owner)]);
+  return saveBackup(buildBackup({ items: db.items || [], meta, reason, now }), { owner });
+}
+
+// Replaces items and user meta with the snapshot. A "restore" backup of the
+// current state is taken first, so a restore can itself be undone.
+export async function restoreBackupSnapshot(id, options = {}) {
+  const owner = resolveOwner(options);
+  const backup = await loadBackup(id, { owner });
+  if (!backup) return null;
+
+  await createBackupSnapshot({ owner, reason: 'restore' });
+  // Restored items get a newer version than the current ones, so open tabs
+  // holding the pre-restore state cannot silently overwrite them. Snapshots
+  // older than a migration are upgraded on the way in.
+  const currentById = new Map(((await loadDb({ owner })).items || []).map(i => [i.id, i]));
+  const items = (backup.items || []).map(item => ({
+    ...upgradeItem(item).item,
+    version: Math.max(itemVersion(item), itemVersion(currentById.get(item.id))) + 1,
+  }));
+  await saveDb({ version: 1, items }, { owner });
+
+  for (const kind of BACKUP_META_KINDS) {
+    const wanted = Array.isArray(backup.meta?.[kind]) ? backup.meta[kind] : [];
+    const wantedIds = new Set(wanted.map(r => r.id));
+    const current = await loadMetaByKind(kind, { owner });
+    for (const record of current) {
+      if (!wantedIds.has(record.id)) await deleteMetaRecord(record.id, { owner });
+    }
+    for (const record of wanted) await saveMetaRecord(upgradeMeta(kind, record).payload, kind, { owner });
+  }
+  return backupSummary(backup);
+}
@@ -0,0 +1,31 @@
+import { findRecentDuplicate, newItem, updateItem } from './store.js';
+import { parseCapture } from '../src/services/capture-parser.js';
+import { statusForList, withListMeta } from '../src/services/gtd-service.js';
+
+/**
+ * Quick capture into Collect, shared by /collect/add and the inbound mail
+ * webhook. Input is already validated; a capture with the same
+ * clientCaptureId (or the same text moments ago) returns the existing item.
+ * Inline tokens (@contexto, #tag, fechas, >destino...) pre-fill the item.
+ * → { item, deduped, parsed }
+ */
+export async function captureItem({ input, notes = null, clientCaptureId = null, capturedAt = null }, { owner, save }) {
+  const duplicate = await findRecentDuplicate(input, { owner, clientCaptureId });
+  if (duplicate) return { item: duplicate, deduped: true, parsed: null };
+
+  // "mañana" typed offline yesterday means today
+  const parsed = parseCapture(input, { now: capturedAt || new Date() });
+  const base = newItem({ input });
+  const item = updateItem(base, withListMeta(base, {
+    title: parsed.title,
+    kind: 'action',
+    ...parsed.fields,
+    ...(notes ? { notes } : {}),
+    ...(clientCaptureId ? { clientCaptureId } : {}),
+    list: parsed.list,
+    status: statusForList(parsed.list),
+  }));
+
+  await save(item);
+  return { item, deduped: false, parsed };
+}
@@ -0,0 +1,86 @@
+import { storage } from './adapters/index.js';
+import { loadItemsForList } from './store.js';
+import { loadMetaByKind, loadUserPreferences, saveUserPreferences } from './meta-store.js';
+import { mailTransport, resolveUserEmail, sendMail, wasMailSent } from './mailer.js';
+import { DEFAULT_AVAILABLE_MIN } from '../src/services/today-service.js';
+import { buildDigest, digestDue, normalizeDigestPrefs } from '../src/services/digest-service.js';
+
+// Email digest (src/services/digest-service.js): per-owner preferences under
+// preferences.digest and the scheduler pass. Delivery goes through sendMail,
+// so the digest key of each day (or week) lands in the owner's mail_log.
+
+const DIGEST_LISTS = ['agendar', 'hacer', 'delegar', 'collect'];
+const APP_URL = process.env.APP_URL || '';
+
+export async function loadDigestPrefs(options = {}) {
+  const prefs = await loadUserPreferences(options);
+  return normalizeDigestPrefs(prefs.digest || {});
+}
+
+export async function saveDigestPrefs(patch, options = {}) {
+  const next = normalizeDigestPrefs(patch);
+  await saveUserPreferences({ digest: next }, options);
+  return next;
+}
+
+// Digest of one owner right now, from the same lists and budget as /hoy
+export async function buildOwnerDigest(owner, { now = new Date(), prefs = null } = {}) {
+  const [preferences, reviews, ...lists] = await Promise.all([
+    loadUserPreferences({ owner }),
+    loadMetaByKind('weekly_review', { owner }).catch(() => []),
+    ...DIGEST_LISTS.map(list => loadItemsForList(list, { owner })),
+  ]);
+  const options = prefs || normalizeDigestPrefs(preferences.digest || {});
+  return buildDigest(lists.flat(), {
+    now,
+    reviews,
+    timeZone: options.timeZone,
+    frequency: options.frequency,
+    availableMin: preferences.dailyAvailableMin ?? DEFAULT_AVAILABLE_MIN,
+  });
+}
+
+/**
+ * Sends the digest of one owner if it is due and not sent yet for the period.
+ * → 'sent' | 'not-due' | 'duplicate' | 'empty' | 'no-address' | 'disabled'
+ */
+export async function runDigestForOwner(owner, { now = new Date(), emailFor = resolveUserEmail, transport = mailTransport() } = {}) {
+  if (!transport) return 'disabled';
+  const prefs = await loadDigestPrefs({ owner });
+  const { due, key } = digestDue(prefs, { now });
+  if (!due) return 'not-due';
+  if (await wasMailSent(key, { owner })) return 'duplicate';
+
+  const to = prefs.email || await emailFor(owner);
+  if (!to) return 'no-address';
+  const digest = await buildOwnerDigest(owner, { now, prefs });
+  // Nothing to report: no mail, a later run of the same period may still send one
+  if (digest.isEmpty) return 'empty';
+
+  const result = await sendMail('digest', {
+    to,
+    owner,
+    data: digest,
+    dedupeKey: key,
+    headers: APP_URL ? { 'List-Unsubscribe': `<${APP_URL}/settings/digest>` } : {},
+    transport,
+    now,
+  });
+  return result.sent ? 'sent' : result.reason;
+}
+
+// One scheduler pass over every owner → { owners, sent, errors }
+export async function runScheduledDigests({ now = new Date(), emailFor = resolveUserEmail, transport = mailTransport() } = {}) {
+  const summary = { owners: 0, sent: 0, errors: 0 };
+  if (!transport) return summary;
+  for (const owner of await storage.items.owners()) {
+    summary.owners += 1;
+    try {
+      if (await runDigestForOwner(owner, { now, emailFor, transport }) === 'sent') summary.sent += 1;
+    } catch (err) {
+      summary.errors += 1;
+      console.warn(`[digest] ${owner}: scheduler failed:`, err?.message || err);
+    }
+  }
+  return summary;
+}
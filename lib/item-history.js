@@ -0,0 +1,127 @@
+// Per-item activity history, appended by updateItem().
+//
+// Entry shapes (item.history, oldest first):
+//   { at, by, type: 'created', list }
+//   { at, by, type: 'move', from, to }                     list change
+//   { at, by, type: 'status', from, to }                   status change within a list
+//   { at, by, type: 'edit', changes: [{ field, from, to }] }
+//   { at, by, type: 'subtask', action, subtaskId, text, to? }  added|edited|completed|sent|removed
+//
+// `by` is stamped when the item is saved for a request (see stampHistoryActor).
+
+import { listLabel } from '../src/services/gtd-service.js';
+
+export const HISTORY_LIMIT = 200;
+
+// Changes right after creation (placement, derived meta) fold into 'created'
+const CREATION_WINDOW_MS = 5000;
+const VALUE_MAX_LEN = 80;
+
+export const HISTORY_TRACKED_FIELDS = [
+  'title', 'nextAction', 'notes', 'objective', 'context', 'area', 'tags',
+  'urgency', 'importance', 'estimateMin', 'scheduledFor', 'delegatedTo',
+  'delegatedFor', 'recurrence', 'completionComment',
+];
+
+function summarizeValue(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number' || typeof value === 'boolean') return value;
+  const text = Array.isArray(value) && value.every(v => typeof v === 'string')
+    ? value.join(', ')
+    : typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > VALUE_MAX_LEN ? `${text.slice(0, VALUE_MAX_LEN - 1)}…` : text;
+}
+
+function sameValue(a, b) {
+  if ((a == null || a === '') && (b == null || b === '')) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function subtaskEntries(prevSubtasks, nextSubtasks, at) {
+  const prev = new Map((Array.isArray(prevSubtasks) ? prevSubtasks : []).map(s => [String(s.id), s]));
+  const next = Array.isArray(nextSubtasks) ? nextSubtasks : [];
+  const entries = [];
+  const base = (s, action) => ({ at, type: 'subtask', action, subtaskId: String(s.id), text: summarizeValue(s.text) });
+
+  for (const s of next) {
+    const before = prev.get(String(s.id));
+    prev.delete(String(s.id));
+    if (!before) entries.push(base(s, 'added'));
+    else if (s.sentTo && !before.sentTo) entries.push({ ...base(s, 'sent'), to: s.sentTo });
+    else if (s.status === 'done' && before.status !== 'done') entries.push(base(s, 'completed'));
+    else if (s.text !== before.text) entries.push(base(s, 'edited'));
+  }
+  for (const s of prev.values()) entries.push(base(s, 'removed'));
+  return entries;
+}
+
+export function diffItemHistory(prev, next, at) {
+  const entries = [];
+  if (prev.list !== next.list) {
+    entries.push({ at, type: 'move', from: prev.list ?? null, to: next.list ?? null });
+  } else if (prev.status !== next.status) {
+    entries.push({ at, type: 'status', from: prev.status ?? null, to: next.status ?? null });
+  }
+
+  const changes = HISTORY_TRACKED_FIELDS
+    .filter(field => !sameValue(prev[field], next[field]))
+    .map(field => ({ field, from: summarizeValue(prev[field]), to: summarizeValue(next[field]) }));
+  if (changes.length) entries.push({ at, type: 'edit', changes });
+
+  if (!sameValue(prev.subtasks, next.subtasks)) {
+    entries.push(...subtaskEntries(prev.subtasks, next.subtasks, at));
+  }
+  return entries;
+}
+
+// Returns { history, movedToListAt } for `next` (= prev + patch)
+export function appendItemHistory(prev, next, at) {
+  const history = Array.isArray(prev.history) ? [...prev.history] : [];
+  let movedToListAt = next.movedToListAt ?? prev.movedToListAt ?? null;
+  const last = history[history.length - 1];
+  const inCreationWindow = history.length === 1
+    && last?.type === 'created'
+    && Date.parse(at) - Date.parse(last.at) < CREATION_WINDOW_MS;
+
+  if (inCreationWindow && !last.list) {
+    // First placement of a newItem(): record where it was created
+    history[0] = { ...last, list: next.list ?? null };
+    return { history, movedToListAt: at };
+  }
+
+  let entries = diffItemHistory(prev, next, at);
+  if (inCreationWindow) entries = entries.filter(e => e.type === 'move' || e.type === 'status');
+  if (entries.some(e => e.type === 'move')) movedToListAt = at;
+  if (!entries.length) return { history: prev.history, movedToListAt };
+
+  return { history: [...history, ...entries].slice(-HISTORY_LIMIT), movedToListAt };
+}
+
+// Fills in `by` on entries appended since the last save
+export function stampHistoryActor(item, by) {
+  if (!item || !Array.isArray(item.history)) return item;
+  const pending = item.history.some(e => e && !('by' in e));
+  if (!pending) return item;
+  item.history = item.history.map(e => (e && !('by' in e) ? { ...e, by: by || null } : e));
+  return item;
+}
+
+const STATUS_LABELS = { unprocessed: 'sin procesar', processed: 'procesado', done: 'terminado', trashed: 'en papelera' };
+const SUBTASK_LABELS = {
+  added: 'Subtarea añadida', edited: 'Subtarea editada', completed: 'Subtarea completada',
+  sent: 'Subtarea enviada', removed: 'Subtarea eliminada',
+};
+
+// Spanish one-line description for the detail page
+export function describeHistoryEntry(entry) {
+  if (!entry) return '';
+  if (entry.type === 'created') return `Creado en ${listLabel(entry.list)}`;
+  if (entry.type === 'move') return `Movido de ${listLabel(entry.from)} a ${listLabel(entry.to)}`;
+  if (entry.type === 'status') return `Estado: ${STATUS_LABELS[entry.from] || entry.from || '—'} → ${STATUS_LABELS[entry.to] || entry.to || '—'}`;
+  if (entry.type === 'edit') return `Editado: ${(entry.changes || []).map(c => c.field).join(', ')}`;
+  if (entry.type === 'subtask') {
+    const label = SUBTASK_LABELS[entry.action] || 'Subtarea';
+    return entry.action === 'sent' ? `${label} a ${listLabel(entry.to)}: ${entry.text || ''}` : `${label}: ${entry.text || ''}`;
+  }
+  return entry.type;
+}
@@ -0,0 +1,23 @@
+// Optimistic concurrency: every updateItem() bumps item.version and update
+// routes compare it with the version the client last saw (form field
+// "version" or If-Match). Items saved before versions existed count as 0.
+
+export class VersionConflictError extends Error {
+  constructor(current) {
+    super('Item changed in another session');
+    this.name = 'VersionConflictError';
+    this.status = 409;
+    this.current = current || null;
+  }
+}
+
+export function itemVersion(item) {
+  const version = Number(item?.version);
+  return Number.isInteger(version) && version > 0 ? version : 0;
+}
+
+// expectedVersion null/undefined → the client did not send one, no check
+export function assertItemVersion(current, expectedVersion) {
+  if (expectedVersion == null || !current) return;
+  if (itemVersion(current) !== expectedVersion) throw new VersionConflictError(current);
+}
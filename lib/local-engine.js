@@ -0,0 +1,207 @@
+import { readFile, writeFile, appendFile, mkdir, rename, stat } from 'node:fs/promises';
+import path from 'node:path';
+
+// Local storage engine: the JSON snapshot (same format db.json / meta.json
+// always had) plus an append-only log next to it (<file>.log, one JSON line
+// per change). Writes append only the records that changed; once the log
+// holds LOCAL_COMPACT_AFTER changes it is folded into the snapshot.
+//
+// All access to a collection goes through one in-process mutex, so a
+// read-modify-write never interleaves with another writer. The files are
+// re-read when another process (tests, scripts) changed them.
+
+export const LOCAL_COMPACT_AFTER = Math.max(1, Number(process.env.LOCAL_COMPACT_AFTER || 500));
+
+function statKey(info) {
+  return info ? `${info.ino}:${info.size}:${info.mtimeMs}` : 'missing';
+}
+
+async function statOrNull(file) {
+  try {
+    return await stat(file);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Ops turning `records` (key → JSON, oldest first) into `list`. With a
+ * baseline (key → JSON as the caller loaded it) only what the caller changed
+ * is written, so concurrent changes to other records are kept.
+ */
+export function planWrite(records, list, { baseline, keyOf }) {
+  const wanted = new Map();
+  for (const record of list) wanted.set(keyOf(record), record);
+  const puts = [];
+  for (const [key, record] of wanted) {
+    const json = JSON.stringify(record);
+    if (baseline?.get(key) === json || records.get(key) === json) continue;
+    puts.push({ op: 'put', record });
+  }
+  // New keys are written last-to-first so they keep the caller's order
+  const fresh = puts.filter(op => !records.has(keyOf(op.record))).reverse();
+  const existing = puts.filter(op => records.has(keyOf(op.record)));
+  const known = baseline ? [...baseline.keys()] : [...records.keys()];
+  const dels = known.filter(key => !wanted.has(key) && records.has(key)).map(key => ({ op: 'del', key }));
+  return [...existing, ...fresh, ...dels];
+}
+
+/**
+ * filePath: snapshot path; field: array property in the snapshot ("items",
+ * "records"); keyOf(record): unique key. Records are returned newest-first:
+ * a key seen for the first time goes to the front, like the old prepends.
+ */
+export function createLocalCollection(filePath, { field, keyOf, compactAfter = LOCAL_COMPACT_AFTER }) {
+  const logPath = `${filePath}.log`;
+  let records = new Map(); // key → JSON string, oldest first
+  let snapshotStat = null;
+  let logOffset = 0;
+  let logOps = 0;
+  let lock = Promise.resolve();
+
+  function withLock(fn) {
+    const run = lock.then(fn, fn);
+    lock = run.catch(() => {});
+    return run;
+  }
+
+  function applyLine(line) {
+    if (!line.trim()) return;
+    let op;
+    try {
+      op = JSON.parse(line);
+    } catch {
+      console.warn(`[local-engine] skipping unreadable line in ${path.basename(logPath)}`);
+      return;
+    }
+    if (op.op === 'put' && op.record) records.set(keyOf(op.record), JSON.stringify(op.record));
+    else if (op.op === 'del') records.delete(op.key);
+    logOps += 1;
+  }
+
+  async function loadSnapshot() {
+    records = new Map();
+    logOffset = 0;
+    logOps = 0;
+    try {
+      const data = JSON.parse(await readFile(filePath, 'utf8'));
+      const list = Array.isArray(data?.[field]) ? data[field] : [];
+      for (let i = list.length - 1; i >= 0; i -= 1) records.set(keyOf(list[i]), JSON.stringify(list[i]));
+    } catch {
+      // missing or unreadable snapshot: start empty
+    }
+  }
+
+  // Brings the in-memory state up to date with the files (lock held)
+  async function refresh() {
+    const currentSnapshot = await statOrNull(filePath);
+    const logInfo = await statOrNull(logPath);
+    const logSize = logInfo?.size || 0;
+    if (statKey(currentSnapshot) !== statKey(snapshotStat) || logSize < logOffset) {
+      await loadSnapshot();
+      snapshotStat = currentSnapshot;
+    }
+    if (logSize <= logOffset) return;
+
+    const tail = (await readFile(logPath)).subarray(logOffset);
+    const complete = tail.lastIndexOf(0x0a) + 1; // a half-written last line waits
+    if (!complete) return;
+    for (const line of tail.subarray(0, complete).toString('utf8').split('\n')) applyLine(line);
+    logOffset += complete;
+  }
+
+  async function compact() {
+    await mkdir(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    await writeFile(tmp, JSON.stringify({ version: 1, [field]: currentRecords() }, null, 2) + '\n', 'utf8');
+    await rename(tmp, filePath);
+    await writeFile(logPath, '', 'utf8');
+    snapshotStat = await statOrNull(filePath);
+    logOffset = 0;
+    logOps = 0;
+  }
+
+  async function append(ops) {
+    if (!ops.length) return;
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await appendFile(logPath, ops.map(op => JSON.stringify(op)).join('\n') + '\n', 'utf8');
+    await refresh();
+    if (logOps >= compactAfter) await compact();
+  }
+
+  function currentRecords() {
+    return [...records.values()].reverse().map(json => JSON.parse(json));
+  }
+
+  return {
+    logPath,
+
+    // { records, baseline }: fresh copies plus what they looked like when read
+    read() {
+      return withLock(async () => {
+        await refresh();
+        return { records: currentRecords(), baseline: new Map(records) };
+      });
+    },
+
+    // Keys that write(list, { baseline }) would delete right now
+    pendingDeletes(list, { baseline } = {}) {
+      return withLock(async () => {
+        await refresh();
+        return planWrite(records, list, { baseline, keyOf }).filter(op => op.op === 'del').map(op => op.key);
+      });
+    },
+
+    write(list, { baseline } = {}) {
+      return withLock(async () => {
+        await refresh();
+        await append(planWrite(records, list, { baseline, keyOf }));
+      });
+    },
+
+    // guard(current): may throw, or return false to skip the write
+    put(record, { guard } = {}) {
+      return withLock(async () => {
+        await refresh();
+        const key = keyOf(record);
+        const json = records.get(key);
+        if (guard && guard(json ? JSON.parse(json) : null) === false) return;
+        await append([{ op: 'put', record }]);
+      });
+    },
+
+    // One append for the whole batch; guard(current, record) as in put()
+    putMany(list, { guard } = {}) {
+      return withLock(async () => {
+        await refresh();
+        const ops = [];
+        for (const record of list) {
+          const json = records.get(keyOf(record));
+          if (guard && guard(json ? JSON.parse(json) : null, record) === false) continue;
+          ops.push({ op: 'put', record });
+        }
+        await append(ops);
+      });
+    },
+
+    remove(keys, { guard } = {}) {
+      return withLock(async () => {
+        await refresh();
+        const ops = [];
+        for (const key of [].concat(keys)) {
+          const json = records.get(key);
+          if (!json || (guard && guard(JSON.parse(json)) === false)) continue;
+          ops.push({ op: 'del', key });
+        }
+        await append(ops);
+      });
+    },
+
+    compact() {
+      return withLock(async () => {
+        await refresh();
+        await compact();
+      });
+    },
+  };
+}
@@ -0,0 +1,212 @@
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { randomBytes } from 'node:crypto';
+import { addressOf, buildMimeMessage } from '../src/services/mail-service.js';
+
+// Mail transports: { name, send(message) → { id } }. message is
+// { from, to, subject, html, text, headers }; errors throw.
+//   smtp  minimal client on node:net/tls (STARTTLS, AUTH PLAIN)
+//   http  JSON API in the Resend format (POST { from, to, subject, html, text, headers })
+//   file  writes each message as .eml + .json into a folder (dev/tests)
+
+const DEFAULT_HTTP_URL = 'https://api.resend.com/emails';
+const SMTP_TIMEOUT_MS = 15000;
+
+const DEFAULT_DATA_DIR = process.env.VERCEL
+  ? '/tmp/gtd_neto_data'
+  : new URL('../data', import.meta.url).pathname;
+
+// MAIL_TRANSPORT wins; otherwise whatever is configured, and the file outbox
+// outside production so development never sends real mail
+export function resolveMailTransportName(env = process.env) {
+  const explicit = String(env.MAIL_TRANSPORT || '').trim().toLowerCase();
+  if (explicit) {
+    if (!['smtp', 'http', 'file', 'none'].includes(explicit)) throw new Error(`Unknown MAIL_TRANSPORT: ${explicit}`);
+    return explicit;
+  }
+  if (env.MAIL_HTTP_API_KEY || env.RESEND_API_KEY) return 'http';
+  if (env.SMTP_HOST) return 'smtp';
+  const production = env.NODE_ENV === 'production' || Boolean(env.VERCEL);
+  return production ? 'none' : 'file';
+}
+
+export function createMailTransport(env = process.env, { fetchImpl = fetch } = {}) {
+  const name = resolveMailTransportName(env);
+  if (name === 'smtp') {
+    return createSmtpTransport({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT || (String(env.SMTP_SECURE) === 'true' ? 465 : 587)),
+      secure: String(env.SMTP_SECURE) === 'true',
+      user: env.SMTP_USER || '',
+      pass: env.SMTP_PASS || '',
+      allowInsecureAuth: String(env.SMTP_ALLOW_INSECURE_AUTH) === 'true',
+    });
+  }
+  if (name === 'http') {
+    return createHttpTransport({
+      url: env.MAIL_HTTP_URL || DEFAULT_HTTP_URL,
+      apiKey: env.MAIL_HTTP_API_KEY || env.RESEND_API_KEY || '',
+      fetchImpl,
+    });
+  }
+  if (name === 'file') {
+    return createFileTransport({ dir: env.MAIL_OUTBOX_DIR || path.join(env.DATA_DIR || DEFAULT_DATA_DIR, 'mail-outbox') });
+  }
+  return null;
+}
+
+export function createFileTransport({ dir }) {
+  return {
+    name: 'file',
+    dir,
+    async send(message) {
+      await mkdir(dir, { recursive: true });
+      const id = `${new Date().toISOString().replace(/\D/g, '').slice(0, 17)}-${randomBytes(4).toString('hex')}`;
+      await writeFile(path.join(dir, `${id}.eml`), buildMimeMessage(message));
+      await writeFile(path.join(dir, `${id}.json`), JSON.stringify({ id, ...message }, null, 2));
+      return { id };
+    },
+  };
+}
+
+export function createHttpTransport({ url, apiKey, fetchImpl = fetch }) {
+  return {
+    name: 'http',
+    async send(message) {
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+        body: JSON.stringify({
+          from: message.from,
+          to: [message.to],
+          subject: message.subject,
+          html: message.html,
+          text: message.text,
+          headers: message.headers || {},
+        }),
+      });
+      let data = null;
+      try {
+        data = await response.json();
+      } catch {}
+      if (!response.ok) throw new Error(`Mail provider answered ${response.status}${data?.message ? `: ${data.message}` : ''}`);
+      return { id: data?.id || null };
+    },
+  };
+}
+
+// Reads SMTP replies ("250-…" continuation lines, then "250 …")
+function createReplyReader(socket) {
+  let buffer = '';
+  let waiting = null;
+  let failure = null;
+  const replies = [];
+
+  function flush() {
+    const lines = buffer.split('\r\n');
+    for (let i = 0; i < lines.length - 1; i++) {
+      const line = lines[i];
+      if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+        const block = lines.slice(0, i + 1);
+        buffer = lines.slice(i + 1).join('\r\n');
+        replies.push({ code: Number(line.slice(0, 3)), lines: block.map(l => l.slice(4)) });
+        return flush();
+      }
+    }
+    if (waiting && replies.length) {
+      const { resolve } = waiting;
+      waiting = null;
+      resolve(replies.shift());
+    }
+  }
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    flush();
+  };
+  const onError = (err) => {
+    failure = failure || err;
+    if (waiting) waiting.reject(failure);
+    waiting = null;
+  };
+  const onClose = () => onError(new Error('SMTP connection closed'));
+
+  function attach(s) {
+    s.on('data', onData);
+    s.on('error', onError);
+    s.on('close', onClose);
+  }
+  attach(socket);
+
+  return {
+    attach,
+    detach(s) {
+      s.off('data', onData);
+      s.off('close', onClose);
+    },
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+      });
+    },
+  };
+}
+
+// Credentials only go over TLS: a server without STARTTLS (or a downgrade that
+// strips it) fails the send instead of getting the password in clear.
+// allowInsecureAuth is the opt-out for a local relay.
+export function createSmtpTransport({ host, port = 587, secure = false, user = '', pass = '', allowInsecureAuth = false, clientName = os.hostname(), timeoutMs = SMTP_TIMEOUT_MS, tlsOptions = {} }) {
+  return {
+    name: 'smtp',
+    async send(message) {
+      let socket = secure
+        ? tls.connect({ host, port, servername: host, ...tlsOptions })
+        : net.connect({ host, port });
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP timeout')));
+      const reader = createReplyReader(socket);
+
+      async function expect(codes) {
+        const reply = await reader.next();
+        if (!codes.includes(reply.code)) throw new Error(`SMTP ${reply.code}: ${reply.lines.join(' ')}`);
+        return reply;
+      }
+      async function command(line, codes) {
+        socket.write(`${line}\r\n`);
+        return expect(codes);
+      }
+
+      try {
+        await expect([220]);
+        const ehlo = await command(`EHLO ${clientName}`, [250]);
+        if (!secure && ehlo.lines.some(l => /^STARTTLS\b/i.test(l))) {
+          await command('STARTTLS', [220]);
+          reader.detach(socket);
+          socket = tls.connect({ socket, servername: host, ...tlsOptions });
+          reader.attach(socket);
+          await command(`EHLO ${clientName}`, [250]);
+        }
+        if (user) {
+          if (!socket.encrypted && !allowInsecureAuth) {
+            throw new Error('SMTP server did not offer STARTTLS; refusing to send credentials unencrypted (SMTP_ALLOW_INSECURE_AUTH=true to allow it)');
+          }
+          await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass}`).toString('base64')}`, [235]);
+        }
+        await command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+        await command(`RCPT TO:<${addressOf(message.to)}>`, [250, 251]);
+        await command('DATA', [354]);
+        // Dot-stuffing: a line starting with "." gets another one
+        const body = buildMimeMessage(message).replace(/\r\n\./g, '\r\n..');
+        const reply = await command(`${body.replace(/\r\n$/, '')}\r\n.`, [250]);
+        await command('QUIT', [221]).catch(() => {});
+        return { id: reply.lines.join(' ') || null };
+      } finally {
+        socket.destroy();
+      }
+    },
+  };
+}
@@ -0,0 +1,131 @@
+import ejs from 'ejs';
+import { storage, supabaseAdmin } from './adapters/index.js';
+import { loadMetaByKind, saveMetaRecord } from './meta-store.js';
+import { createMailTransport } from './mail-transports.js';
+import {
+  TRIAL_REMINDER_DAYS,
+  htmlToText,
+  isEmailAddress,
+  mailSubject,
+  recordMailSent,
+  trialsEndingSoon,
+} from '../src/services/mail-service.js';
+
+// Transactional email: renders views/emails/<template>.ejs inside
+// views/emails/layout.ejs, sends it through the configured transport
+// (lib/mail-transports.js) and keeps a per-owner send log (meta kind
+// "mail_log") so a dedupeKey is only ever mailed once — webhook retries
+// and scheduler runs can call sendMail as often as they like.
+
+const VIEWS_DIR = new URL('../views/emails', import.meta.url).pathname;
+const LOG_KIND = 'mail_log';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const APP_URL = process.env.APP_URL || '';
+const MAIL_FROM = process.env.MAIL_FROM || 'GTD Neto <no-reply@localhost>';
+
+let defaultTransport;
+
+// null when no transport is configured (production without SMTP/HTTP settings)
+export function mailTransport() {
+  if (defaultTransport === undefined) defaultTransport = createMailTransport();
+  return defaultTransport;
+}
+
+export async function renderMail(template, data = {}, { appUrl = APP_URL } = {}) {
+  const subject = mailSubject(template, data);
+  const locals = { ...data, subject, appUrl };
+  const body = await ejs.renderFile(`${VIEWS_DIR}/${template}.ejs`, locals);
+  const html = await ejs.renderFile(`${VIEWS_DIR}/layout.ejs`, { ...locals, body });
+  return { subject, html, text: htmlToText(body) };
+}
+
+async function loadMailLog(owner) {
+  const records = await loadMetaByKind(LOG_KIND, { owner });
+  return records[0] || { id: 'mail_log', sent: {} };
+}
+
+export async function wasMailSent(dedupeKey, { owner }) {
+  return Boolean((await loadMailLog(owner)).sent?.[dedupeKey]);
+}
+
+/**
+ * Renders and sends a template to one address.
+ * → { sent: true, id } | { sent: false, reason: 'disabled' | 'invalid-address' | 'duplicate' }
+ * Transport errors throw; nothing is logged then, so a retry sends it again.
+ */
+export async function sendMail(template, { to, owner, data = {}, dedupeKey = null, headers = {}, transport = mailTransport(), now = new Date() } = {}) {
+  if (!transport) return { sent: false, reason: 'disabled' };
+  if (!isEmailAddress(to)) return { sent: false, reason: 'invalid-address' };
+
+  const log = dedupeKey ? await loadMailLog(owner) : null;
+  if (log?.sent?.[dedupeKey]) return { sent: false, reason: 'duplicate' };
+
+  const { subject, html, text } = await renderMail(template, data);
+  const { id } = await transport.send({
+    from: MAIL_FROM,
+    to: String(to).trim(),
+    subject,
+    html,
+    text,
+    headers: { ...headers, 'X-GTD-Template': template },
+  });
+  if (log) await saveMetaRecord({ ...log, sent: recordMailSent(log.sent, dedupeKey, { now }) }, LOG_KIND, { owner });
+  return { sent: true, id };
+}
+
+// Same as sendMail but never throws: for triggers that must not fail the request
+export async function sendMailSafely(template, options) {
+  try {
+    return await sendMail(template, options);
+  } catch (err) {
+    console.warn(`[mail] ${template} to ${options?.owner || 'unknown'} failed:`, err?.message || err);
+    return { sent: false, reason: 'error' };
+  }
+}
+
+// Account email of a Supabase user (null unless the storage backend is Supabase)
+export async function resolveUserEmail(userId) {
+  if (!supabaseAdmin || !userId) return null;
+  const { data, error } = await supabaseAdmin.auth.admin.getUserById(userId);
+  if (error) throw error;
+  return data?.user?.email || null;
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString('es', { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC' });
+}
+
+/**
+ * Scheduled mail: trial-ending reminders TRIAL_REMINDER_DAYS ahead.
+ * → { checked, sent, skipped, errors }
+ */
+export async function runScheduledMail({ now = new Date(), emailFor = resolveUserEmail, transport = mailTransport() } = {}) {
+  const summary = { checked: 0, sent: 0, skipped: 0, errors: 0 };
+  if (!transport) return summary;
+
+  const rows = await storage.subscriptions.listTrialsEndingBefore(new Date(now.getTime() + TRIAL_REMINDER_DAYS * DAY_MS));
+  for (const trial of trialsEndingSoon(rows, { now })) {
+    summary.checked += 1;
+    try {
+      if (await wasMailSent(trial.dedupeKey, { owner: trial.userId })) {
+        summary.skipped += 1;
+        continue;
+      }
+      const result = await sendMail('trialEnding', {
+        to: await emailFor(trial.userId),
+        owner: trial.userId,
+        dedupeKey: trial.dedupeKey,
+        data: { daysLeft: trial.daysLeft, trialEndsOn: formatDate(trial.trialEndsAt) },
+        transport,
+        now,
+      });
+      if (result.sent) summary.sent += 1;
+      else summary.skipped += 1;
+    } catch (err) {
+      summary.errors += 1;
+      console.warn(`[mail] trial reminder for ${trial.userId} failed:`, err?.message || err);
+    }
+  }
+  return summary;
+}
@@ -1,30 +1,11 @@
-import { readFile, writeFile, mkdir } from 'node:fs/promises';
-import path from 'node:path';
-import { createClient } from '@supabase/supabase-js';
+import { randomBytes } from 'node:crypto';
 import { resolveOwner } from './store.js';
+import { storage } from './adapters/index.js';
+import { upgradeMeta } from './migrations.js';
+import { ensureOwnerMigrated } from './migration-runner.js';
 
-const DEFAULT_DATA_DIR = process.env.VERCEL
-  ? '/tmp/gtd_neto_data'
-  : new URL('../data', import.meta.url).pathname;
-
-const DATA_DIR = process.env.DATA_DIR || DEFAULT_DATA_DIR;
-const META_PATH = process.env.META_PATH || path.join(DATA_DIR, 'meta.json');
-
-const USE_SUPABASE = String(process.env.USE_SUPABASE || '').toLowerCase() === 'true';
-const SUPABASE_URL = process.env.SUPABASE_URL || '';
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || '';
-const SUPABASE_OWNER = process.env.SUPABASE_OWNER || 'default';
-
-
-const supabase = (USE_SUPABASE && SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY)
-  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
-      auth: { persistSession: false, autoRefreshToken: false },
-    })
-  : null;
-
-async function ensureDir() {
-  await mkdir(DATA_DIR, { recursive: true });
-}
+// Meta records (contexts, areas, tokens, preferences…) on top of the
+// configured storage adapter (lib/adapters).
 
 function nowIso() {
   return new Date().toISOString();
@@ -32,48 +13,20 @@ function nowIso() {
 
 // Load all meta records for a given kind and owner
 export async function loadMetaByKind(kind, options = {}) {
-  const owner = resolveOwner(options);
   const targetKind = String(kind || '').trim();
   if (!targetKind) return [];
-
-  if (supabase) {
-    const { data, error } = await supabase
-      .from('gtd_meta')
-      .select('id, payload')
-      .eq('owner', owner)
-      .eq('kind', targetKind)
-      .order('updated_at', { ascending: false });
-
-    if (error) throw error;
-    return (data || []).map(r => ({ id: r.id, ...r.payload })).filter(Boolean);
-  }
-
-  const db = await loadMetaDb();
-  return (db.records || []).filter(r => r.owner === owner && r.kind === targetKind).map(r => r.payload);
+  const owner = resolveOwner(options);
+  await ensureOwnerMigrated(owner);
+  return (await storage.meta.loadByKind(owner, targetKind)).map(payload => upgradeMeta(targetKind, payload).payload);
 }
 
 // Load a single meta record by id
 export async function loadMetaById(id, options = {}) {
-  const owner = resolveOwner(options);
   const itemId = String(id || '').trim();
   if (!itemId) return null;
-
-  if (supabase) {
-    const { data, error } = await supabase
-      .from('gtd_meta')
-      .select('id, payload')
-      .eq('owner', owner)
-      .eq('id', itemId)
-      .maybeSingle();
-
-    if (error) throw error;
-    if (!data?.payload) return null;
-    return { id: data.id, ...data.payload };
-  }
-
-  const db = await loadMetaDb();
-  const record = (db.records || []).find(r => r.owner === owner && r.payload?.id === itemId);
-  return record ? record.payload : null;
+  const owner = resolveOwner(options);
+  await ensureOwnerMigrated(owner);
+  return storage.meta.loadById(owner, itemId);
 }
 
 // Save (upsert) a meta record
@@ -81,62 +34,22 @@ export async function saveMetaRecord(record, kind, options = {}) {
   if (!record || typeof record !== 'object' || !record.id) {
     throw new Error('saveMetaRecord requires a record with id');
   }
-
-  const owner = resolveOwner(options);
-  const now = nowIso();
-  const payload = { ...record, updatedAt: now };
-
-  if (supabase) {
-    const { error } = await supabase
-      .from('gtd_meta')
-      .upsert({
-        id: record.id,
-        owner,
-        kind,
-        payload,
-        updated_at: now,
-      }, { onConflict: 'id,owner' });
-
-    if (error) {
-      // Fallback: try with just id if (id,owner) unique constraint doesn't exist
-      const { error: error2 } = await supabase
-        .from('gtd_meta')
-        .upsert({ id: record.id, owner, kind, payload, updated_at: now }, { onConflict: 'id' });
-      if (error2) throw error2;
-    }
-    return;
-  }
-
-  const db = await loadMetaDb();
-  const records = db.records || [];
-  const idx = records.findIndex(r => r.owner === owner && r.payload?.id === record.id);
-  const entry = { owner, kind, payload };
-  if (idx === -1) {
-    db.records = [entry, ...records];
-  } else {
-    records[idx] = entry;
-    db.records = records;
-  }
-  await saveMetaDb(db);
+  await storage.meta.save(resolveOwner(options), kind, { ...record, updatedAt: nowIso() });
 }
 
 // Delete a meta record by id
 export async function deleteMetaRecord(id, options = {}) {
-  const owner = resolveOwner(options);
-
-  if (supabase) {
-    const { error } = await supabase
-      .from('gtd_meta')
-      .delete()
-      .eq('owner', owner)
-      .eq('id', id);
-    if (error) throw error;
-    return;
-  }
+  await storage.meta.remove(resolveOwner(options), id);
+}
 
-  const db = await loadMetaDb();
-  db.records = (db.records || []).filter(r => !(r.owner === owner && r.payload?.id === id));
-  await saveMetaDb(db);
+// Find a single record of a kind by a payload field, across all owners.
+// Used to resolve secrets (e.g. hashed API tokens) back to their owner.
+export async function findMetaByPayloadField(kind, field, value) {
+  const targetKind = String(kind || '').trim();
+  const targetValue = String(value || '');
+  if (!targetKind || !field || !targetValue) return null;
+  const match = await storage.meta.findByPayloadField(targetKind, field, targetValue);
+  return match ? { ...match, record: upgradeMeta(targetKind, match.record).payload } : null;
 }
 
 // Load feature flags for an owner (returns defaults if none stored)
@@ -158,22 +71,52 @@ export async function loadFeatureFlags(options = {}) {
   }
 }
 
-// Local JSON helpers
-async function loadMetaDb() {
-  await ensureDir();
+// Per-user preferences (single record of kind "preferences")
+export async function loadUserPreferences(options = {}) {
   try {
-    const raw = await readFile(META_PATH, 'utf8');
-    const data = JSON.parse(raw);
-    return { version: 1, ...data, records: data.records || [] };
+    const records = await loadMetaByKind('preferences', options);
+    return records[0] || {};
   } catch {
-    return { version: 1, records: [] };
+    return {};
   }
 }
 
-async function saveMetaDb(db) {
-  await ensureDir();
-  const tmp = `${META_PATH}.tmp`;
-  await writeFile(tmp, JSON.stringify(db, null, 2) + '\n', 'utf8');
-  const { rename } = await import('node:fs/promises');
-  await rename(tmp, META_PATH);
+export async function saveUserPreferences(patch, options = {}) {
+  const records = await loadMetaByKind('preferences', options);
+  const current = records[0] || { id: randomBytes(8).toString('hex') };
+  const next = { ...current, ...patch };
+  await saveMetaRecord(next, 'preferences', options);
+  return next;
+}
+
+// Undo journal: single record of kind "undo" holding the latest entries
+// (newest first), see src/services/undo-service.js
+export const UNDO_JOURNAL_LIMIT = 20;
+
+export async function loadUndoJournal(options = {}) {
+  try {
+    const records = await loadMetaByKind('undo', options);
+    return Array.isArray(records[0]?.entries) ? records[0].entries : [];
+  } catch {
+    return [];
+  }
+}
+
+export async function pushUndoEntry(entry, options = {}) {
+  const records = await loadMetaByKind('undo', options);
+  const current = records[0] || { id: randomBytes(8).toString('hex'), entries: [] };
+  const entries = [entry, ...(current.entries || []).filter(e => e.id !== entry.id)].slice(0, UNDO_JOURNAL_LIMIT);
+  await saveMetaRecord({ ...current, entries }, 'undo', options);
+  return entry;
+}
+
+// Removes an entry and returns it (null when it is no longer in the journal)
+export async function removeUndoEntry(id, options = {}) {
+  const records = await loadMetaByKind('undo', options);
+  const current = records[0];
+  const entries = Array.isArray(current?.entries) ? current.entries : [];
+  const entry = entries.find(e => e.id === id);
+  if (!entry) return null;
+  await saveMetaRecord({ ...current, entries: entries.filter(e => e.id !== id) }, 'undo', options);
+  return entry;
 }
@@ -0,0 +1,90 @@
+import { randomBytes } from 'node:crypto';
+import { storage } from './adapters/index.js';
+import { VersionConflictError, itemVersion } from './item-version.js';
+import { MIGRATED_META_KINDS, SCHEMA_VERSION, pendingMigrations, upgradeItem, upgradeMeta } from './migrations.js';
+
+// Applies lib/migrations.js to what an owner has stored and records the
+// schema version reached in a "schema_version" meta record:
+//   { id, version, migratedAt, applied: [{ version, name, at }] }
+// Runs lazily on the owner's first read (ensureOwnerMigrated) and in bulk
+// from scripts/migrate.mjs.
+
+export const SCHEMA_META_KIND = 'schema_version';
+
+export async function loadSchemaState(owner, { adapter = storage } = {}) {
+  return (await adapter.meta.loadByKind(owner, SCHEMA_META_KIND))[0] || null;
+}
+
+/**
+ * Rewrites the owner's items and meta records that a pending migration
+ * changes. Items edited meanwhile (version moved on) are skipped: they are
+ * upgraded on read and saved with the next change.
+ * Returns { owner, from, to, items, meta, skipped, dryRun }.
+ */
+export async function migrateOwner(owner, { adapter = storage, dryRun = false, now = new Date() } = {}) {
+  const state = await loadSchemaState(owner, { adapter });
+  const from = Number(state?.version) || 0;
+  const report = { owner, from, to: SCHEMA_VERSION, items: 0, meta: 0, skipped: 0, dryRun };
+
+  for (const stored of (await adapter.items.loadAll(owner)).items) {
+    const { item, changed } = upgradeItem(stored);
+    if (!changed) continue;
+    if (dryRun) {
+      report.items += 1;
+      continue;
+    }
+    try {
+      await adapter.items.save(owner, item, { expectedVersion: itemVersion(stored) });
+      report.items += 1;
+    } catch (err) {
+      if (!(err instanceof VersionConflictError)) throw err;
+      report.skipped += 1;
+    }
+  }
+
+  for (const kind of MIGRATED_META_KINDS) {
+    for (const stored of await adapter.meta.loadByKind(owner, kind)) {
+      const { payload, changed } = upgradeMeta(kind, stored);
+      if (!changed) continue;
+      report.meta += 1;
+      if (!dryRun) await adapter.meta.save(owner, kind, payload);
+    }
+  }
+
+  if (!dryRun && from < SCHEMA_VERSION) {
+    const at = now.toISOString();
+    await adapter.meta.save(owner, SCHEMA_META_KIND, {
+      id: state?.id || randomBytes(8).toString('hex'),
+      version: SCHEMA_VERSION,
+      migratedAt: at,
+      applied: [...(state?.applied || []), ...pendingMigrations(from).map(m => ({ version: m.version, name: m.name, at }))],
+      payloadSchema: SCHEMA_VERSION,
+      updatedAt: at,
+    });
+  }
+  return report;
+}
+
+// One check per owner and adapter while the process lives; a failure is
+// logged and retried on the next read instead of breaking the request.
+const ensured = new WeakMap();
+
+export function ensureOwnerMigrated(owner, { adapter = storage } = {}) {
+  if (!ensured.has(adapter)) ensured.set(adapter, new Map());
+  const byOwner = ensured.get(adapter);
+  if (!byOwner.has(owner)) {
+    const run = (async () => {
+      const state = await loadSchemaState(owner, { adapter });
+      if ((Number(state?.version) || 0) >= SCHEMA_VERSION) return;
+      const report = await migrateOwner(owner, { adapter });
+      if (report.items || report.meta) {
+        console.log(`[migrations] ${owner}: schema ${report.from} → ${report.to} (${report.items} items, ${report.meta} meta)`);
+      }
+    })().catch(err => {
+      byOwner.delete(owner);
+      console.warn(`[migrations] ${owner}: lazy migration failed:`, err?.message || err);
+    });
+    byOwner.set(owner, run);
+  }
+  return byOwner.get(owner);
+}
@@ -0,0 +1,91 @@
+// Payload schema migrations for items and gtd_meta records.
+//
+// Every stored payload carries `payloadSchema` (missing = 0, written before
+// this existed). A migration upgrades payloads from version - 1 to version;
+// lib/migration-runner.js applies them lazily on read and in bulk
+// (npm run migrate) and records the version reached per owner.
+//
+// Migrations must be idempotent and must not touch `version` (item
+// concurrency) or `updatedAt`: they change the shape, not the content.
+
+// Lists from the original model that no longer have a screen
+export const LEGACY_LISTS = {
+  inbox: 'collect',
+  next: 'hacer',
+  calendar: 'agendar',
+  waiting: 'delegar',
+  projects: 'desglosar',
+  reference: 'no-hacer',
+};
+
+function mapLegacyList(list) {
+  return LEGACY_LISTS[list] || list;
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'legacy-lists',
+    description: 'Listas antiguas (inbox, next, waiting…) pasan a los destinos actuales',
+    item(item) {
+      const next = { ...item, list: mapLegacyList(item.list) };
+      if (item.trashedFrom?.list) next.trashedFrom = { ...item.trashedFrom, list: mapLegacyList(item.trashedFrom.list) };
+      return next;
+    },
+  },
+  {
+    version: 2,
+    name: 'weekly-review-defaults',
+    description: 'Revisiones semanales sin schemaVersion, pasos o paso actual',
+    meta: {
+      // schemaVersion 1 = WEEKLY_REVIEW_SCHEMA_VERSION (src/services/weekly-review-service.js)
+      weekly_review(review) {
+        return {
+          ...review,
+          steps: review.steps && typeof review.steps === 'object' ? review.steps : {},
+          currentStep: Number.isInteger(review.currentStep) && review.currentStep > 0 ? review.currentStep : 1,
+          schemaVersion: review.schemaVersion || 1,
+        };
+      },
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Meta kinds some migration rewrites (the only ones a bulk run has to load)
+export const MIGRATED_META_KINDS = [...new Set(MIGRATIONS.flatMap(m => Object.keys(m.meta || {})))];
+
+export function payloadSchema(payload) {
+  const n = Number(payload?.payloadSchema);
+  return Number.isInteger(n) && n > 0 ? n : 0;
+}
+
+export function pendingMigrations(fromVersion) {
+  return MIGRATIONS.filter(m => m.version > fromVersion);
+}
+
+// { item, changed }: the item stamped at SCHEMA_VERSION; `changed` when a
+// migration altered its content (a bare stamp is left for the next save)
+export function upgradeItem(item) {
+  if (!item || typeof item !== 'object') return { item, changed: false };
+  const from = payloadSchema(item);
+  if (from >= SCHEMA_VERSION) return { item, changed: false };
+  let next = item;
+  for (const migration of pendingMigrations(from)) {
+    if (migration.item) next = migration.item(next);
+  }
+  return { item: { ...next, payloadSchema: SCHEMA_VERSION }, changed: JSON.stringify(next) !== JSON.stringify(item) };
+}
+
+export function upgradeMeta(kind, payload) {
+  if (!payload || typeof payload !== 'object') return { payload, changed: false };
+  const from = payloadSchema(payload);
+  if (from >= SCHEMA_VERSION) return { payload, changed: false };
+  let next = payload;
+  for (const migration of pendingMigrations(from)) {
+    const step = migration.meta?.[kind];
+    if (step) next = step(next);
+  }
+  return { payload: { ...next, payloadSchema: SCHEMA_VERSION }, changed: JSON.stringify(next) !== JSON.stringify(payload) };
+}
@@ -0,0 +1,141 @@
+import { createHash } from 'node:crypto';
+import { storage } from './adapters/index.js';
+import { loadItemsForList } from './store.js';
+import { deleteMetaRecord, loadMetaByKind, loadUserPreferences, saveMetaRecord, saveUserPreferences } from './meta-store.js';
+import { normalizeNotificationPrefs, planNotifications, recordSent } from '../src/services/notification-service.js';
+import { sendWebPush } from '../src/services/web-push.js';
+
+// Web Push subscriptions (meta kind "push_subscription", one per browser) and
+// the scheduler that delivers src/services/notification-service.js reminders.
+// Delivered keys are kept per owner in a single "notification_log" record so
+// a reminder is sent once even if the scheduler runs every few minutes.
+
+const PUSH_KIND = 'push_subscription';
+const LOG_KIND = 'notification_log';
+const PLAN_LISTS = ['agendar', 'delegar'];
+const DEFAULT_VAPID_SUBJECT = 'mailto:admin@localhost';
+
+export function readVapidConfig(env = process.env) {
+  const publicKey = String(env.VAPID_PUBLIC_KEY || '').trim();
+  const privateKey = String(env.VAPID_PRIVATE_KEY || '').trim();
+  if (!publicKey || !privateKey) return null;
+  return { publicKey, privateKey, subject: String(env.VAPID_SUBJECT || '').trim() || DEFAULT_VAPID_SUBJECT };
+}
+
+// Same endpoint → same record, so subscribing again from a browser is an upsert
+export function pushSubscriptionId(endpoint) {
+  return 'push_' + createHash('sha256').update(String(endpoint)).digest('hex').slice(0, 24);
+}
+
+export async function listPushSubscriptions(options = {}) {
+  try {
+    return await loadMetaByKind(PUSH_KIND, options);
+  } catch {
+    return [];
+  }
+}
+
+export async function savePushSubscription({ endpoint, keys }, { owner, userAgent = '' } = {}) {
+  const id = pushSubscriptionId(endpoint);
+  const existing = (await listPushSubscriptions({ owner })).find(s => s.id === id);
+  const record = {
+    id,
+    endpoint,
+    keys,
+    userAgent: String(userAgent || '').slice(0, 200),
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    lastSuccessAt: existing?.lastSuccessAt || null,
+  };
+  await saveMetaRecord(record, PUSH_KIND, { owner });
+  return record;
+}
+
+export async function removePushSubscription(endpoint, { owner } = {}) {
+  await deleteMetaRecord(pushSubscriptionId(endpoint), { owner });
+}
+
+export async function loadNotificationPrefs(options = {}) {
+  const prefs = await loadUserPreferences(options);
+  return normalizeNotificationPrefs(prefs.notifications || {});
+}
+
+export async function saveNotificationPrefs(patch, options = {}) {
+  const next = normalizeNotificationPrefs(patch);
+  await saveUserPreferences({ notifications: next }, options);
+  return next;
+}
+
+async function loadSentLog(owner) {
+  const records = await loadMetaByKind(LOG_KIND, { owner });
+  return records[0] || { id: 'notification_log', sent: {} };
+}
+
+/**
+ * Sends `message` ({ title, body, url, tag }) to every subscription of the
+ * owner. Subscriptions the push service reports as gone are removed.
+ * → { delivered, removed, failed }
+ */
+export async function deliverToOwner(owner, message, { vapid, send = sendWebPush } = {}) {
+  const result = { delivered: 0, removed: 0, failed: 0 };
+  const subscriptions = await listPushSubscriptions({ owner });
+  for (const subscription of subscriptions) {
+    try {
+      const response = await send(subscription, message, { vapid, topic: message.tag });
+      if (response.ok) {
+        result.delivered += 1;
+        await saveMetaRecord({ ...subscription, lastSuccessAt: new Date().toISOString() }, PUSH_KIND, { owner });
+      } else if (response.gone) {
+        result.removed += 1;
+        await deleteMetaRecord(subscription.id, { owner });
+      } else {
+        result.failed += 1;
+        console.warn(`[push] ${owner}: push service answered ${response.status}`);
+      }
+    } catch (err) {
+      result.failed += 1;
+      console.warn(`[push] ${owner}: delivery failed:`, err?.message || err);
+    }
+  }
+  return result;
+}
+
+// Plans and delivers the due reminders of one owner → number of notifications sent
+export async function runNotificationsForOwner(owner, { now = new Date(), vapid, send = sendWebPush } = {}) {
+  const subscriptions = await listPushSubscriptions({ owner });
+  if (!subscriptions.length) return 0;
+
+  const [prefs, reviews, log, ...lists] = await Promise.all([
+    loadNotificationPrefs({ owner }),
+    loadMetaByKind('weekly_review', { owner }).catch(() => []),
+    loadSentLog(owner),
+    ...PLAN_LISTS.map(list => loadItemsForList(list, { owner })),
+  ]);
+  const due = planNotifications(lists.flat(), { now, prefs, reviews, sent: log.sent });
+
+  const sentKeys = [];
+  for (const { key, type, ...message } of due) {
+    const result = await deliverToOwner(owner, message, { vapid, send });
+    // Nobody reachable (all failed): try again on the next run
+    if (result.delivered || !result.failed) sentKeys.push(key);
+  }
+  if (sentKeys.length) {
+    await saveMetaRecord({ ...log, sent: recordSent(log.sent, sentKeys, { now }) }, LOG_KIND, { owner });
+  }
+  return sentKeys.length;
+}
+
+// One scheduler pass over every owner; errors of one owner don't stop the rest
+export async function runScheduledNotifications({ now = new Date(), vapid, send = sendWebPush } = {}) {
+  const summary = { owners: 0, sent: 0, errors: 0 };
+  if (!vapid) return summary;
+  for (const owner of await storage.items.owners()) {
+    summary.owners += 1;
+    try {
+      summary.sent += await runNotificationsForOwner(owner, { now, vapid, send });
+    } catch (err) {
+      summary.errors += 1;
+      console.warn(`[push] ${owner}: scheduler failed:`, err?.message || err);
+    }
+  }
+  return summary;
+}
@@ -1,19 +1,24 @@
-import { readFile, writeFile, mkdir } from 'node:fs/promises';
-import path from 'node:path';
-import { createClient } from '@supabase/supabase-js';
+import { appendItemHistory } from './item-history.js';
+import { trashPatch, isTrashed } from './trash.js';
+import { itemVersion } from './item-version.js';
+import { storage } from './adapters/index.js';
+import { SCHEMA_VERSION, upgradeItem } from './migrations.js';
+import { ensureOwnerMigrated } from './migration-runner.js';
 
-const DEFAULT_DATA_DIR = process.env.VERCEL
-  ? '/tmp/gtd_neto_data'
-  : new URL('../data', import.meta.url).pathname;
+// Items and billing on top of the configured storage adapter (lib/adapters).
+// The exported functions keep resolving the owner from options.
 
-const DATA_DIR = process.env.DATA_DIR || DEFAULT_DATA_DIR;
-const DB_PATH = process.env.DB_PATH || path.join(DATA_DIR, 'db.json');
+export { upsertWithConflictFallbackForClient } from './adapters/supabase-adapter.js';
 
-const USE_SUPABASE = String(process.env.USE_SUPABASE || '').toLowerCase() === 'true';
-const SUPABASE_URL = process.env.SUPABASE_URL || '';
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || '';
 const SUPABASE_OWNER = process.env.SUPABASE_OWNER || 'default';
 
+// What loadDb read, so saveDb writes only the items the caller changed
+const LOADED = Symbol('loadedItems');
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
 export function resolveOwner(options) {
   if (typeof options === 'string' && options.trim()) return options.trim();
   if (options && typeof options === 'object' && typeof options.owner === 'string' && options.owner.trim()) {
@@ -22,359 +27,136 @@ export function resolveOwner(options) {
   return SUPABASE_OWNER;
 }
 
-// IMPORTANT: Using SERVICE_ROLE_KEY bypasses RLS policies
-// This is intentional for server-side operations where we trust the server
-// to enforce authorization. The 'owner' field is manually managed by server logic.
-//
-// For client-side operations, use ANON_KEY (in server.js supabaseAuth)
-// which respects RLS policies and automatically scopes to authenticated user.
-const supabase = (USE_SUPABASE && SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY)
-  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
-      auth: { persistSession: false, autoRefreshToken: false },
-    })
-  : null;
-
 export function isStoreSupabaseMode() {
-  return Boolean(supabase);
+  return storage.name === 'supabase';
 }
 
-function nowIso() {
-  return new Date().toISOString();
-}
-
-function isOnConflictTargetError(error) {
-  if (!error) return false;
-  const code = String(error.code || '');
-  const message = String(error.message || '').toLowerCase();
-  return code === '42P10' || message.includes('no unique or exclusion constraint matching the on conflict specification');
-}
-
-export async function upsertWithConflictFallbackForClient(client, rows, conflictTargets = ['id,owner', 'id']) {
-  let lastError = null;
-
-  for (const target of conflictTargets) {
-    const { error } = await client
-      .from('gtd_items')
-      .upsert(rows, { onConflict: target, ignoreDuplicates: false });
-
-    if (!error) return;
-    lastError = error;
-    if (!isOnConflictTargetError(error)) throw error;
-  }
-
-  throw lastError || new Error('Supabase upsert failed without details');
+// Reads go through the payload migrations (lib/migrations.js): the owner's
+// stored data once per process, every returned item in memory.
+async function ownerForRead(options) {
+  const owner = resolveOwner(options);
+  await ensureOwnerMigrated(owner);
+  return owner;
 }
 
-async function upsertWithConflictFallback(rows) {
-  return upsertWithConflictFallbackForClient(supabase, rows);
-}
-
-async function ensureDir() {
-  await mkdir(DATA_DIR, { recursive: true });
-}
+const upgraded = item => upgradeItem(item).item;
 
 export async function loadDb(options = {}) {
-  const owner = resolveOwner(options);
-
-  if (supabase) {
-    const { data, error } = await supabase
-      .from('gtd_items')
-      .select('payload')
-      .eq('owner', owner)
-      .order('updated_at', { ascending: false });
-
-    if (error) throw error;
-
-    return {
-      version: 1,
-      items: (data || []).map(r => r.payload).filter(Boolean),
-    };
-  }
-
-  await ensureDir();
-  try {
-    const raw = await readFile(DB_PATH, 'utf8');
-    const data = JSON.parse(raw);
-    return {
-      version: 1,
-      ...data,
-      items: data.items || [],
-    };
-  } catch {
-    return {
-      version: 1,
-      items: [],
-    };
-  }
+  const { items, token } = await storage.items.loadAll(await ownerForRead(options));
+  const db = { version: 1, items: items.map(upgraded) };
+  Object.defineProperty(db, LOADED, { value: token });
+  return db;
 }
 
 export async function loadItemsForList(list, options = {}) {
-  const owner = resolveOwner(options);
   const targetList = String(list || '').trim();
   if (!targetList) return [];
-
-  const excludeDone = Boolean(options?.excludeDone);
-  const targetStatus = typeof options?.status === 'string' ? options.status.trim() : '';
-
-  if (supabase) {
-    let query = supabase
-      .from('gtd_items')
-      .select('payload')
-      .eq('owner', owner)
-      .eq('payload->>list', targetList);
-
-    if (excludeDone) {
-      query = query.neq('payload->>status', 'done');
-    }
-
-    if (targetStatus) {
-      query = query.eq('payload->>status', targetStatus);
-    }
-
-    const { data, error } = await query.order('updated_at', { ascending: false });
-    if (error) throw error;
-    return (data || []).map(r => r.payload).filter(Boolean);
-  }
-
-  const db = await loadDb({ owner });
-  let items = (db.items || []).filter(i => i.list === targetList);
-  if (excludeDone) items = items.filter(i => i.status !== 'done');
-  if (targetStatus) items = items.filter(i => i.status === targetStatus);
-  return items;
+  const items = await storage.items.loadByList(await ownerForRead(options), targetList, {
+    excludeDone: Boolean(options?.excludeDone),
+    status: typeof options?.status === 'string' ? options.status.trim() : '',
+  });
+  return items.map(upgraded);
 }
 
 export async function loadItemById(id, options = {}) {
-  const owner = resolveOwner(options);
   const itemId = String(id || '').trim();
   if (!itemId) return null;
-
-  if (supabase) {
-    const { data, error } = await supabase
-      .from('gtd_items')
-      .select('id, payload')
-      .eq('owner', owner)
-      .eq('id', itemId)
-      .maybeSingle();
-
-    if (error) throw error;
-    if (!data?.payload) return null;
-    return { id: data.id, ...data.payload };
-  }
-
-  const db = await loadDb({ owner });
-  return (db.items || []).find(i => i.id === itemId) || null;
+  return upgraded(await storage.items.loadById(await ownerForRead(options), itemId));
 }
 
 export async function loadItemsByStatus(status, options = {}) {
-  const owner = resolveOwner(options);
   const targetStatus = String(status || '').trim();
   if (!targetStatus) return [];
-
-  if (supabase) {
-    const { data, error } = await supabase
-      .from('gtd_items')
-      .select('payload')
-      .eq('owner', owner)
-      .eq('payload->>status', targetStatus)
-      .order('updated_at', { ascending: false });
-    if (error) throw error;
-    return (data || []).map(r => r.payload).filter(Boolean);
-  }
-
-  const db = await loadDb({ owner });
-  return (db.items || []).filter(i => i.status === targetStatus);
+  return (await storage.items.loadByStatus(await ownerForRead(options), targetStatus)).map(upgraded);
 }
 
+// options.beforeDelete(ids): awaited before anything is written when the save
+// would remove items (used to take a restore point first)
 export async function saveDb(db, options = {}) {
-  const owner = resolveOwner(options);
-
-  if (supabase) {
-    const items = Array.isArray(db?.items) ? db.items : [];
-
-    if (items.length) {
-      const rows = items.map(item => ({
-        id: item.id,
-        owner,
-        payload: item,
-        updated_at: new Date(item.updatedAt || item.createdAt || nowIso()).toISOString(),
-      }));
-
-      // Compatibilidad con ambos esquemas: PK/UNIQUE en (id, owner) o solo id.
-      try {
-        await upsertWithConflictFallback(rows);
-      } catch (upsertErr) {
-        console.error('[saveDb] Upsert error:', JSON.stringify(upsertErr, null, 2));
-        throw upsertErr;
-      }
-
-      // Eliminar items que ya no están en la lista actual
-      const currentIds = items.map(i => i.id);
-      // Obtener todos los IDs actuales en Supabase para este owner
-      const { data: existingData, error: fetchErr } = await supabase
-        .from('gtd_items')
-        .select('id')
-        .eq('owner', owner);
-
-      if (fetchErr) {
-        console.error('[saveDb] Fetch existing IDs error:', JSON.stringify(fetchErr, null, 2));
-        throw fetchErr;
-      }
-
-      // Identificar IDs a eliminar (los que están en Supabase pero no en la lista local)
-      const existingIds = (existingData || []).map(row => row.id);
-      const idsToDelete = existingIds.filter(id => !currentIds.includes(id));
-
-      // Batch delete: eliminar todos los IDs obsoletos en una sola query
-      if (idsToDelete.length > 0) {
-        const { error: delErr } = await supabase
-          .from('gtd_items')
-          .delete()
-          .eq('owner', owner)
-          .in('id', idsToDelete);
-
-        if (delErr) {
-          console.error('[saveDb] Batch delete error:', JSON.stringify(delErr, null, 2));
-          // Don't throw, just warn - deletion of old items is not critical
-        }
-      }
-    } else {
-      // Si no hay items, eliminar todos los items del owner
-      const { error: delErr } = await supabase
-        .from('gtd_items')
-        .delete()
-        .eq('owner', owner);
-      if (delErr) throw delErr;
-    }
-    return;
-  }
-
-  await ensureDir();
-  const tmp = `${DB_PATH}.tmp`;
-  await writeFile(tmp, JSON.stringify(db, null, 2) + '\n', 'utf8');
-  // Usar rename atómico en lugar de read+write
-  const { rename } = await import('node:fs/promises');
-  await rename(tmp, DB_PATH);
+  const beforeDelete = typeof options?.beforeDelete === 'function' ? options.beforeDelete : null;
+  const items = Array.isArray(db?.items) ? db.items : [];
+  await storage.items.saveAll(resolveOwner(options), items, { token: db?.[LOADED], beforeDelete });
 }
 
+// options.expectedVersion: version the change was based on; a stored item with
+// another version raises VersionConflictError instead of being overwritten
 export async function saveItem(item, options = {}) {
   if (!item || typeof item !== 'object' || !item.id) {
     throw new Error('saveItem requires an item with id');
   }
+  await storage.items.save(resolveOwner(options), item, { expectedVersion: options?.expectedVersion });
+}
 
-  const owner = resolveOwner(options);
-
-  if (supabase) {
-    const row = {
-      id: item.id,
-      owner,
-      payload: item,
-      updated_at: new Date(item.updatedAt || item.createdAt || nowIso()).toISOString(),
-    };
-    await upsertWithConflictFallback(row);
-    return;
-  }
-
-  const db = await loadDb({ owner });
-  const items = Array.isArray(db.items) ? db.items : [];
-  const idx = items.findIndex(i => i.id === item.id);
-  if (idx === -1) {
-    db.items = [item, ...items];
-  } else {
-    items[idx] = item;
-    db.items = items;
+// Batched saveItem for bulk actions. options.expectedVersions: Map id → version;
+// stale items are skipped and returned in `conflicts` instead of thrown
+export async function saveItems(items, options = {}) {
+  if (!Array.isArray(items) || items.some(item => !item?.id)) {
+    throw new Error('saveItems requires items with id');
   }
-  await saveDb(db, { owner });
+  if (!items.length) return { saved: [], conflicts: [] };
+  return storage.items.saveMany(resolveOwner(options), items, { expectedVersions: options?.expectedVersions || new Map() });
 }
 
+// Soft delete: moves the item to the Papelera (see lib/trash.js)
 export async function deleteItemById(id, options = {}) {
-  const owner = resolveOwner(options);
-
-  if (supabase) {
-    const { error } = await supabase
-      .from('gtd_items')
-      .delete()
-      .eq('owner', owner)
-      .eq('id', id);
-    if (error) throw error;
-    return;
+  const current = await loadItemById(id, options);
+  if (!current || isTrashed(current)) return current;
+  const trashed = updateItem(current, trashPatch(current));
+  await saveItem(trashed, options);
+  return trashed;
+}
+
+// Hard delete, only for items already in the Papelera
+export async function purgeItemById(id, options = {}) {
+  await storage.items.purge(resolveOwner(options), id);
+}
+
+// Drops Papelera items trashed more than TRASH_RETENTION_DAYS ago
+export async function purgeExpiredTrash(options = {}) {
+  await storage.items.purgeExpiredTrash(resolveOwner(options), options.now || new Date());
+}
+
+// Scheduler pass over every owner (cron and the local timer), so items expire
+// even for owners who never open the Papelera → { owners, errors }
+export async function purgeAllExpiredTrash({ now = new Date() } = {}) {
+  // Shared items (JSON file): one pass covers everyone
+  const owners = storage.capabilities.ownerScopedItems ? await storage.items.owners() : [resolveOwner()];
+  const summary = { owners: 0, errors: 0 };
+  for (const owner of owners) {
+    summary.owners += 1;
+    try {
+      await storage.items.purgeExpiredTrash(owner, now);
+    } catch (err) {
+      summary.errors += 1;
+      console.warn(`[papelera] ${owner}: purge failed:`, err?.message || err);
+    }
   }
-
-  const db = await loadDb({ owner });
-  db.items = (db.items || []).filter(i => i.id !== id);
-  await saveDb(db, { owner });
+  return summary;
 }
 
+// options.clientCaptureId: id sent by the offline outbox, so a replayed capture is found at any age
 export async function findRecentDuplicate(input, options = {}) {
-  const owner = resolveOwner(options);
-  const threeSecondsAgo = new Date(Date.now() - 3000).toISOString();
-  const normalizedInput = String(input || '').trim().toLowerCase();
-
-  if (supabase) {
-    const { data, error } = await supabase
-      .from('gtd_items')
-      .select('id, payload')
-      .eq('owner', owner)
-      .gte('updated_at', threeSecondsAgo)
-      .limit(20); // Solo verificar items muy recientes
-
-    if (error) throw error;
-
-    // Filtrar en memoria ya que no podemos hacer ILIKE en payload JSONB fácilmente
-    const duplicate = (data || []).find(row => {
-      const item = row.payload;
-      return (
-        item.list === 'collect' &&
-        item.status !== 'done' &&
-        String(item.input || '').trim().toLowerCase() === normalizedInput
-      );
-    });
-
-    return duplicate ? duplicate.payload : null;
-  }
+  const { clientCaptureId = null } = options;
+  return upgraded(await storage.items.findRecentDuplicate(await ownerForRead(options), input, Date.now(), { clientCaptureId }));
+}
 
-  // Modo local: cargar toda la DB (no hay alternativa)
-  const db = await loadDb({ owner });
-  const now = Date.now();
-  return (db.items || []).find(i =>
-    i.list === 'collect' &&
-    i.status !== 'done' &&
-    String(i.input || '').trim().toLowerCase() === normalizedInput &&
-    Math.abs(now - new Date(i.createdAt || 0).getTime()) < 3000
-  ) || null;
+// Full-text candidates for /search. Supabase uses the search_gtd_items() RPC
+// and returns items already ranked; otherwise every item is returned for the
+// in-memory matcher to rank.
+export async function searchItemsFullText(tsQuery, options = {}) {
+  const limit = Math.min(Math.max(Number(options.limit) || 50, 1), 200);
+  const result = await storage.items.search(await ownerForRead(options), tsQuery, limit);
+  return { ...result, items: result.items.map(upgraded) };
 }
 
 // ─── Billing ──────────────────────────────────────────────────────────────────
 
 export async function getUserSubscription(userId) {
-  if (!supabase) return null; // Not available in local mode
-
-  const { data, error } = await supabase
-    .from('user_subscriptions')
-    .select('*')
-    .eq('user_id', userId)
-    .maybeSingle();
-
-  if (error) throw error;
-  return data;
+  return storage.subscriptions.get(userId);
 }
 
 export async function upsertSubscription(userId, patch) {
-  if (!supabase) throw new Error('Billing requires Supabase mode');
-
-  const row = {
-    user_id: userId,
-    updated_at: nowIso(),
-    ...patch,
-  };
-
-  const { data, error } = await supabase
-    .from('user_subscriptions')
-    .upsert(row, { onConflict: 'user_id' })
-    .select()
-    .single();
-
-  if (error) throw error;
-  return data;
+  return storage.subscriptions.upsert(userId, patch);
 }
 
 // ─── Items ────────────────────────────────────────────────────────────────────
@@ -387,22 +169,31 @@ export function newItem({ input }) {
     input,
     title: null,
     kind: null, // action|project|reference
-    list: 'inbox', // inbox|next|projects|waiting|someday|calendar|reference
+    list: 'collect', // collect|hacer|agendar|delegar|desglosar|someday|no-hacer|papelera
     context: null, // @casa, @pc...
     nextAction: null,
     notes: null,
-    status: 'unprocessed', // unprocessed|processed|done
+    status: 'unprocessed', // unprocessed|processed|done|trashed
+    version: 1,
+    payloadSchema: SCHEMA_VERSION,
     createdAt: t,
     updatedAt: t,
+    history: [{ at: t, type: 'created' }],
   };
 }
 
 export function updateItem(item, patch) {
-  return {
+  const t = nowIso();
+  const next = {
     ...item,
     ...patch,
-    updatedAt: nowIso(),
+    version: itemVersion(item) + 1,
+    updatedAt: t,
   };
+  const { history, movedToListAt } = appendItemHistory(item, next, t);
+  if (history) next.history = history;
+  if (movedToListAt) next.movedToListAt = movedToListAt;
+  return next;
 }
 
 function cryptoRandomId() {
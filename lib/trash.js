@@ -0,0 +1,50 @@
+// Soft delete: deleted items move to the "papelera" list and are purged
+// TRASH_RETENTION_DAYS after trashedAt. trashedFrom keeps where they came from
+// so restore puts them back in place.
+
+export const TRASH_LIST = 'papelera';
+export const TRASH_STATUS = 'trashed';
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function isTrashed(item) {
+  return item?.list === TRASH_LIST;
+}
+
+export function trashPatch(item, at = new Date().toISOString()) {
+  return {
+    list: TRASH_LIST,
+    status: TRASH_STATUS,
+    trashedAt: at,
+    trashedFrom: { list: item?.list || 'collect', status: item?.status || 'unprocessed' },
+  };
+}
+
+export function restoreFromTrashPatch(item) {
+  const from = item?.trashedFrom || {};
+  const list = from.list && from.list !== TRASH_LIST ? from.list : 'collect';
+  return {
+    list,
+    status: from.status && from.status !== TRASH_STATUS ? from.status : 'unprocessed',
+    trashedAt: null,
+    trashedFrom: null,
+  };
+}
+
+// Earliest trashedAt that is still kept at `now`
+export function trashCutoff(now = new Date()) {
+  return new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+export function isTrashExpired(item, now = new Date()) {
+  if (!isTrashed(item) || !item.trashedAt) return false;
+  return String(item.trashedAt) < trashCutoff(now);
+}
+
+export function trashDaysLeft(item, now = new Date()) {
+  const trashedAt = Date.parse(item?.trashedAt || '');
+  if (Number.isNaN(trashedAt)) return TRASH_RETENTION_DAYS;
+  const left = Math.ceil((trashedAt + TRASH_RETENTION_DAYS * DAY_MS - now.getTime()) / DAY_MS);
+  return Math.max(0, left);
+}
@@ -0,0 +1,98 @@
+/**
+ * Multi-select on the list views (views/partials/bulk-bar.ejs).
+ * Rows carry <input type="checkbox" class="bulk-select" data-id data-version>;
+ * the bar posts ids[] and versions[] to /items/bulk.
+ */
+(function () {
+  const bar = document.getElementById('bulkBar');
+  if (!bar) return;
+
+  const selection = document.getElementById('bulkSelection');
+  const count = document.getElementById('bulkCount');
+  const selectAll = document.getElementById('bulkSelectAll');
+  const actionInput = bar.querySelector('input[name="action"]');
+
+  // Rows hidden by a client-side filter are never part of a bulk action
+  function visibleBoxes() {
+    return Array.from(document.querySelectorAll('.bulk-select')).filter(cb => cb.offsetParent !== null && cb.dataset.id);
+  }
+
+  function checkedBoxes() {
+    return visibleBoxes().filter(cb => cb.checked);
+  }
+
+  function showPanel(name) {
+    bar.querySelectorAll('[data-bulk-fields]').forEach((panel) => {
+      panel.classList.toggle('hidden', panel.dataset.bulkFields !== name);
+    });
+  }
+
+  function refresh() {
+    const boxes = visibleBoxes();
+    const checked = boxes.filter(cb => cb.checked);
+    bar.classList.toggle('hidden', checked.length === 0);
+    if (!checked.length) showPanel(null);
+    count.textContent = checked.length === 1 ? '1 seleccionado' : `${checked.length} seleccionados`;
+    selectAll.checked = boxes.length > 0 && checked.length === boxes.length;
+    selectAll.indeterminate = checked.length > 0 && checked.length < boxes.length;
+  }
+
+  function submit(action) {
+    const checked = checkedBoxes();
+    if (!checked.length) return;
+    if (action === 'tag' && !bar.querySelector('input[name="tags"]').value.trim() && bar.querySelector('select[name="tagMode"]').value !== 'replace') {
+      toast.error('Escribe al menos una etiqueta');
+      return;
+    }
+    if (action === 'reschedule' && !bar.querySelector('input[name="date"]').value) {
+      toast.error('Elige una fecha');
+      return;
+    }
+
+    selection.replaceChildren();
+    for (const cb of checked) {
+      for (const [name, value] of [['ids', cb.dataset.id], ['versions', cb.dataset.version || '']]) {
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = name;
+        input.value = value;
+        selection.appendChild(input);
+      }
+    }
+    actionInput.value = action;
+    bar.querySelectorAll('button').forEach((btn) => { btn.disabled = true; });
+    bar.submit();
+  }
+
+  document.addEventListener('change', (e) => {
+    if (e.target.classList?.contains('bulk-select')) refresh();
+  });
+
+  selectAll.addEventListener('change', () => {
+    visibleBoxes().forEach((cb) => { cb.checked = selectAll.checked; });
+    refresh();
+  });
+
+  document.getElementById('bulkClear').addEventListener('click', () => {
+    visibleBoxes().forEach((cb) => { cb.checked = false; });
+    refresh();
+  });
+
+  bar.querySelectorAll('[data-bulk-panel]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const panel = bar.querySelector(`[data-bulk-fields="${btn.dataset.bulkPanel}"]`);
+      showPanel(panel && panel.classList.contains('hidden') ? btn.dataset.bulkPanel : null);
+    });
+  });
+
+  bar.querySelectorAll('[data-bulk-action]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const action = btn.dataset.bulkAction;
+      if (action !== 'delete') return submit(action);
+      const n = checkedBoxes().length;
+      confirmAction(`¿Mover ${n === 1 ? '1 elemento' : `${n} elementos`} a la papelera?`, () => submit(action));
+    });
+  });
+
+  refresh();
+})();
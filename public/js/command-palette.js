@@ -8,6 +8,7 @@
   const COMMANDS = [
     { id: 'go-dashboard', label: 'Ir a Dashboard', icon: '🧭', action: () => { window.location.href = '/'; } },
     { id: 'go-collect', label: 'Ir a Collect', icon: '📥', action: () => { window.location.href = '/collect'; } },
+    { id: 'go-procesar', label: 'Procesar bandeja', icon: '🧹', action: () => { window.location.href = '/collect/procesar'; } },
     { id: 'go-hacer', label: 'Ir a Hacer', icon: '✅', action: () => { window.location.href = '/hacer'; } },
     { id: 'go-agendar', label: 'Ir a Agendar', icon: '🗓️', action: () => { window.location.href = '/agendar'; } },
     { id: 'go-delegar', label: 'Ir a Delegar', icon: '🤝', action: () => { window.location.href = '/delegar'; } },
@@ -35,6 +36,12 @@
   let listEl = null;
   let activeIdx = 0;
   let filtered = [...COMMANDS];
+  let itemResults = [];
+  let searchTimer = null;
+  let searchController = null;
+
+  const ITEM_SEARCH_MIN_CHARS = 2;
+  const ITEM_SEARCH_LIMIT = 6;
 
   function buildPalette() {
     overlay = document.createElement('div');
@@ -49,7 +56,7 @@
     inputEl = document.createElement('input');
     inputEl.type = 'text';
     inputEl.className = 'cmd-palette-input';
-    inputEl.placeholder = 'Buscar comando…';
+    inputEl.placeholder = 'Buscar comando o item…';
     inputEl.setAttribute('autocomplete', 'off');
     inputEl.setAttribute('spellcheck', 'false');
 
@@ -63,10 +70,9 @@
     document.body.appendChild(overlay);
 
     inputEl.addEventListener('input', () => {
-      const q = inputEl.value.trim().toLowerCase();
-      filtered = q ? COMMANDS.filter(c => c.label.toLowerCase().includes(q)) : [...COMMANDS];
-      activeIdx = 0;
-      renderList();
+      itemResults = [];
+      applyFilter();
+      scheduleItemSearch(inputEl.value.trim());
     });
 
     inputEl.addEventListener('keydown', (e) => {
@@ -83,6 +89,44 @@
     renderList();
   }
 
+  function applyFilter() {
+    const q = inputEl.value.trim().toLowerCase();
+    const commands = q ? COMMANDS.filter(c => c.label.toLowerCase().includes(q)) : [...COMMANDS];
+    filtered = [...commands, ...itemResults];
+    activeIdx = 0;
+    renderList();
+  }
+
+  // Items matching the query open their detail page
+  function scheduleItemSearch(query) {
+    clearTimeout(searchTimer);
+    if (searchController) searchController.abort();
+    if (query.length < ITEM_SEARCH_MIN_CHARS) return;
+
+    searchTimer = setTimeout(async () => {
+      searchController = new AbortController();
+      try {
+        const res = await fetch(`/search?q=${encodeURIComponent(query)}&limit=${ITEM_SEARCH_LIMIT}`, {
+          headers: { Accept: 'application/json' },
+          signal: searchController.signal,
+        });
+        if (!res.ok) return;
+        const data = await res.json();
+        if (inputEl.value.trim() !== query) return;
+        itemResults = (data.results || []).map(r => ({
+          id: `item-${r.id}`,
+          label: r.title,
+          icon: r.status === 'done' ? '✔️' : '📄',
+          isItem: true,
+          action: () => { window.location.href = r.href; },
+        }));
+        applyFilter();
+      } catch {
+        // Aborted or offline: keep command results only
+      }
+    }, 200);
+  }
+
   function renderList() {
     listEl.innerHTML = '';
     if (!filtered.length) {
@@ -97,7 +141,13 @@
       li.className = i === activeIdx ? 'cmd-palette-item-active' : 'cmd-palette-item';
       li.setAttribute('role', 'option');
       li.setAttribute('aria-selected', String(i === activeIdx));
-      li.innerHTML = `<span class="text-lg w-6 text-center shrink-0">${cmd.icon}</span><span>${cmd.label}</span>`;
+      const icon = document.createElement('span');
+      icon.className = 'text-lg w-6 text-center shrink-0';
+      icon.textContent = cmd.icon;
+      const label = document.createElement('span');
+      label.className = cmd.isItem ? 'truncate' : '';
+      label.textContent = cmd.label;
+      li.append(icon, label);
       li.addEventListener('click', () => { activeIdx = i; execActive(); });
       li.addEventListener('mouseenter', () => { activeIdx = i; renderList(); });
       listEl.appendChild(li);
@@ -116,6 +166,7 @@
     if (!overlay) buildPalette();
     overlay.classList.remove('hidden');
     filtered = [...COMMANDS];
+    itemResults = [];
     activeIdx = 0;
     inputEl.value = '';
     renderList();
@@ -0,0 +1,121 @@
+/**
+ * Modo sin conexión: indicador, cola de capturas/completados (outbox.js) y
+ * reenvío al volver la red (evento "online", Background Sync del SW o al
+ * abrir una página).
+ *
+ * Formularios con data-offline="capture" (campo "input") o
+ * data-offline="complete" (data-item-id, campos "version" y "comment") se
+ * guardan en la cola cuando no hay red. Para envíos hechos con fetch,
+ * window.gtdOffline.queueCapture(text).
+ */
+(function () {
+  if (!window.GtdOutbox || !('indexedDB' in window)) return;
+
+  const SYNC_TAG = 'gtd-outbox';
+  const indicator = document.getElementById('offlineIndicator');
+  const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content || '';
+  let replaying = false;
+
+  async function refreshIndicator() {
+    if (!indicator) return;
+    let pending = 0;
+    try {
+      pending = await GtdOutbox.count();
+    } catch {}
+    const offline = !navigator.onLine;
+    indicator.classList.toggle('hidden', !offline && pending === 0);
+    indicator.textContent = offline
+      ? `Sin conexión${pending ? ` · ${pending} pendiente${pending === 1 ? '' : 's'}` : ''}`
+      : `${pending} pendiente${pending === 1 ? '' : 's'} de sincronizar`;
+  }
+
+  async function requestSync() {
+    try {
+      const reg = await navigator.serviceWorker?.ready;
+      if (reg?.sync) return await reg.sync.register(SYNC_TAG);
+    } catch {}
+    return null;
+  }
+
+  function announce({ sent, failed }) {
+    const captures = sent.filter(s => s.entry.kind === 'capture' && !s.data?.deduped).length;
+    const completes = sent.filter(s => s.entry.kind === 'complete').length;
+    const parts = [];
+    if (captures) parts.push(`${captures} captura${captures === 1 ? '' : 's'}`);
+    if (completes) parts.push(`${completes} completada${completes === 1 ? '' : 's'}`);
+    if (parts.length) toast.success(`Sincronizado: ${parts.join(' y ')}`);
+    for (const { entry, data } of failed) {
+      const what = entry.kind === 'capture' ? `"${entry.input}"` : 'un completado';
+      toast.error(`No se pudo sincronizar ${what}: ${data?.error || 'rechazado por el servidor'}`);
+    }
+  }
+
+  async function replay() {
+    if (replaying || !navigator.onLine) return;
+    replaying = true;
+    try {
+      const result = await GtdOutbox.replay({ csrfToken });
+      announce(result);
+    } catch {}
+    replaying = false;
+    refreshIndicator();
+  }
+
+  async function queue(entry, message) {
+    await GtdOutbox.add({ ...entry, csrfToken });
+    toast.info(message);
+    refreshIndicator();
+    requestSync();
+  }
+
+  function queueCapture(text) {
+    return queue({ kind: 'capture', input: String(text || '').trim() }, 'Sin conexión: la captura se enviará al volver la red');
+  }
+
+  // true cuando el formulario quedó en la cola (no hay que enviarlo)
+  function intercept(form) {
+    if (navigator.onLine || !form?.dataset.offline) return false;
+    if (form.dataset.offline === 'capture') {
+      const text = form.querySelector('[name="input"]')?.value.trim();
+      if (!text) return false;
+      queueCapture(text);
+      form.reset();
+      form.closest('dialog')?.close();
+      return true;
+    }
+    if (form.dataset.offline === 'complete') {
+      const version = form.querySelector('[name="version"]')?.value;
+      queue({
+        kind: 'complete',
+        itemId: form.dataset.itemId,
+        version: version === '' || version == null ? null : Number(version),
+        comment: form.querySelector('[name="comment"]')?.value || '',
+      }, 'Sin conexión: se marcará como completada al volver la red');
+      // La fila se oculta como si ya estuviera completada
+      const row = form.closest('[data-item-row]');
+      if (row) row.classList.add('hidden');
+      return true;
+    }
+    return false;
+  }
+
+  document.addEventListener('submit', (e) => {
+    if (intercept(e.target)) e.preventDefault();
+  }, true);
+
+  window.addEventListener('online', () => {
+    refreshIndicator();
+    replay();
+  });
+  window.addEventListener('offline', refreshIndicator);
+  navigator.serviceWorker?.addEventListener('message', (e) => {
+    if (e.data?.type === 'outbox-replayed') {
+      announce(e.data);
+      refreshIndicator();
+    }
+  });
+
+  window.gtdOffline = { queueCapture, intercept, replay };
+  refreshIndicator();
+  replay();
+})();
@@ -0,0 +1,103 @@
+/**
+ * Outbox offline: capturas y completados hechos sin conexión, guardados en
+ * IndexedDB hasta que se puedan enviar. Lo usan las páginas (offline.js) y el
+ * service worker (sw.js, evento "sync"), así que no toca el DOM.
+ *
+ * Entrada: { id, kind: 'capture' | 'complete', csrfToken, queuedAt, ...datos }
+ *   capture  → POST /collect/add { input, clientCaptureId: id, capturedAt }
+ *   complete → POST /api/v1/items/:itemId/complete { version, comment }
+ */
+(function (scope) {
+  const DB_NAME = 'gtd-neto';
+  const STORE = 'outbox';
+
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    try {
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const result = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(result?.result ?? result);
+        tx.onerror = () => reject(tx.error);
+      });
+    } finally {
+      db.close();
+    }
+  }
+
+  function randomId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(12));
+    return 'cap_' + Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  async function add(entry) {
+    const record = { id: randomId(), queuedAt: new Date().toISOString(), ...entry };
+    await withStore('readwrite', store => store.put(record));
+    return record;
+  }
+
+  async function all() {
+    const records = await withStore('readonly', store => store.getAll());
+    return (records || []).sort((a, b) => String(a.queuedAt).localeCompare(String(b.queuedAt)));
+  }
+
+  function remove(id) {
+    return withStore('readwrite', store => store.delete(id));
+  }
+
+  function requestFor(entry, csrfToken) {
+    const headers = { 'Accept': 'application/json', 'Content-Type': 'application/json', 'x-csrf-token': csrfToken || entry.csrfToken || '' };
+    if (entry.kind === 'capture') {
+      return [`/collect/add`, { method: 'POST', headers, body: JSON.stringify({ input: entry.input, clientCaptureId: entry.id, capturedAt: entry.queuedAt }) }];
+    }
+    const body = { comment: entry.comment || '' };
+    if (entry.version != null) body.version = entry.version;
+    return [`/api/v1/items/${encodeURIComponent(entry.itemId)}/complete`, { method: 'POST', headers, body: JSON.stringify(body) }];
+  }
+
+  /**
+   * Envía las entradas en orden. Sin red se detiene y lo pendiente queda para
+   * el próximo intento; 401/403 (sesión o CSRF vencidos) también esperan a que
+   * una página abierta reintente con su token. Un 4xx distinto no se arregla
+   * reintentando: se descarta y se informa en `failed`.
+   * → { sent: [{ entry, data }], failed: [{ entry, status, data }], pending }
+   */
+  async function replay({ csrfToken = null } = {}) {
+    const sent = [];
+    const failed = [];
+    const entries = await all();
+    let pending = entries.length;
+    for (const entry of entries) {
+      let response;
+      try {
+        response = await fetch(...requestFor(entry, csrfToken));
+      } catch {
+        break; // sin conexión
+      }
+      if (response.status === 401 || response.status === 403 || response.status >= 500) break;
+
+      let data = null;
+      try {
+        data = await response.json();
+      } catch {}
+      // Completar algo que ya estaba completado no es un error
+      const alreadyDone = entry.kind === 'complete' && response.status === 409 && data?.item?.status === 'done';
+      if (response.ok || alreadyDone) sent.push({ entry, data });
+      else failed.push({ entry, status: response.status, data });
+      await remove(entry.id);
+      pending -= 1;
+    }
+    return { sent, failed, pending };
+  }
+
+  scope.GtdOutbox = { add, all, remove, replay, count: async () => (await all()).length };
+})(self);
@@ -8,13 +8,11 @@
   let searchModal = null;
   let searchInput = null;
   let searchResults = null;
-  let allItems = [];
   let isOpen = false;
 
   // Initialize search
   function initSearch() {
     createSearchModal();
-    loadAllItems();
   }
 
   function createSearchModal() {
@@ -50,7 +48,7 @@
 
           <!-- Footer -->
           <div class="p-3 border-t dark:border-slate-700 bg-slate-50 dark:bg-slate-900 text-xs text-slate-500 dark:text-slate-400 flex items-center justify-between">
-            <span>Buscar en: Hacer, Agendar, Delegar, Desglosar, Collect</span>
+            <span>Buscar en: todas las listas, notas, subtareas y etiquetas</span>
             <span>↑↓ Navegar · ⏎ Ir</span>
           </div>
         </div>
@@ -72,85 +70,99 @@
     searchInput.addEventListener('keydown', handleKeydown);
   }
 
-  async function loadAllItems() {
-    // For now, search works with client-side data
-    // In a future version, this could fetch from an API endpoint
-    allItems = [];
-    console.log('Search initialized (client-side mode)');
+  const LIST_NAMES = {
+    collect: '📥 Collect',
+    hacer: '✅ Hacer',
+    agendar: '🗓️ Agendar',
+    delegar: '🤝 Delegar',
+    desglosar: '🧩 Desglosar',
+    someday: '💭 Algún día',
+    'no-hacer': '🗑️ No hacer',
+  };
+  const MARK_CLASS = 'bg-yellow-200 dark:bg-yellow-700 px-0.5 rounded';
+
+  let searchTimer = null;
+  let searchController = null;
+  let activeIndex = -1;
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text || '');
+    return div.innerHTML;
+  }
+
+  // Server returns escaped HTML with bare <mark> tags around matches
+  function styleMarks(html) {
+    return String(html || '').replace(/<mark>/g, `<mark class="${MARK_CLASS}">`);
   }
 
   function handleSearch(e) {
-    const query = e.target.value.trim().toLowerCase();
+    const query = e.target.value.trim();
+    clearTimeout(searchTimer);
 
     if (!query) {
+      if (searchController) searchController.abort();
       showEmptyState();
       return;
     }
 
-    // Filter items
-    const results = allItems.filter(item => {
-      const text = (item.title || item.input || '').toLowerCase();
-      return text.includes(query);
-    });
+    searchTimer = setTimeout(() => fetchResults(query), 200);
+  }
 
-    displayResults(results, query);
+  async function fetchResults(query) {
+    if (searchController) searchController.abort();
+    searchController = new AbortController();
+
+    try {
+      const resp = await fetch(`/search?q=${encodeURIComponent(query)}`, {
+        headers: { Accept: 'application/json' },
+        signal: searchController.signal,
+      });
+      const data = await resp.json();
+      if (!resp.ok || !data.ok) throw new Error(data.error || 'search_failed');
+      // Ignore stale responses if the user kept typing
+      if (searchInput.value.trim() !== query) return;
+      displayResults(data.results || [], query);
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      searchResults.innerHTML = `
+        <div class="p-8 text-center text-red-600 text-sm">No se pudo completar la búsqueda. Intenta de nuevo.</div>
+      `;
+    }
   }
 
   function displayResults(results, query) {
+    activeIndex = -1;
+
     if (results.length === 0) {
       searchResults.innerHTML = `
         <div class="p-8 text-center text-slate-500 dark:text-slate-400">
           <svg class="w-12 h-12 mx-auto mb-3 opacity-50" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M12 12h.01M12 12h.01M12 12h.01"/>
           </svg>
-          <p class="text-sm">No se encontraron resultados para "${query}"</p>
+          <p class="text-sm">No se encontraron resultados para "${escapeHtml(query)}"</p>
         </div>
       `;
       return;
     }
 
-    // Group by list
-    const grouped = {};
-    results.forEach(item => {
-      const list = item.list || 'collect';
-      if (!grouped[list]) grouped[list] = [];
-      grouped[list].push(item);
-    });
-
-    const listNames = {
-      collect: '📥 Collect',
-      hacer: '✅ Hacer',
-      agendar: '🗓️ Agendar',
-      delegar: '🤝 Delegar',
-      desglosar: '🧩 Desglosar'
-    };
-
-    let html = '';
-    Object.keys(grouped).forEach(listKey => {
-      const items = grouped[listKey];
-      html += `
-        <div class="border-b dark:border-slate-700 last:border-b-0">
-          <div class="px-4 py-2 bg-slate-50 dark:bg-slate-900 text-xs font-semibold text-slate-600 dark:text-slate-400">
-            ${listNames[listKey] || listKey} (${items.length})
-          </div>
-          ${items.map(item => `
-            <a href="/${listKey}"
-               class="block px-4 py-3 hover:bg-slate-50 dark:hover:bg-slate-700 transition-colors border-b dark:border-slate-800 last:border-b-0 search-result-item"
-               data-list="${listKey}">
-              <div class="text-sm text-slate-900 dark:text-slate-100">${highlightQuery(item.title || item.input, query)}</div>
-              ${item.urgency || item.importance ? `
-                <div class="mt-1 flex gap-2 text-xs text-slate-500">
-                  ${item.urgency ? `<span>Urgencia: ${item.urgency}</span>` : ''}
-                  ${item.importance ? `<span>Importancia: ${item.importance}</span>` : ''}
-                </div>
-              ` : ''}
-            </a>
-          `).join('')}
+    // Results come ranked from the server; keep that order
+    searchResults.innerHTML = results.map(result => `
+      <a href="${escapeHtml(result.href)}"
+         class="block px-4 py-3 hover:bg-slate-50 dark:hover:bg-slate-700 transition-colors border-b dark:border-slate-800 last:border-b-0 search-result-item">
+        <div class="flex items-center gap-2">
+          <div class="flex-1 min-w-0 text-sm text-slate-900 dark:text-slate-100 truncate ${result.status === 'done' ? 'line-through opacity-70' : ''}">${styleMarks(result.titleHtml)}</div>
+          <span class="shrink-0 text-[11px] px-1.5 py-0.5 rounded bg-slate-100 dark:bg-slate-700 text-slate-600 dark:text-slate-300">
+            ${result.status === 'done' ? '✔️ Terminado' : escapeHtml(LIST_NAMES[result.list] || result.list)}
+          </span>
         </div>
-      `;
-    });
-
-    searchResults.innerHTML = html;
+        ${result.match ? `
+          <div class="mt-1 text-xs text-slate-500 dark:text-slate-400 truncate">
+            <span class="font-medium">${escapeHtml(result.match.label)}:</span> ${styleMarks(result.match.html)}
+          </div>
+        ` : ''}
+      </a>
+    `).join('');
 
     // Add click handlers
     searchResults.querySelectorAll('.search-result-item').forEach(item => {
@@ -158,9 +170,12 @@
     });
   }
 
-  function highlightQuery(text, query) {
-    const regex = new RegExp(`(${query})`, 'gi');
-    return text.replace(regex, '<mark class="bg-yellow-200 dark:bg-yellow-700 px-0.5 rounded">$1</mark>');
+  function setActiveResult(index) {
+    const items = searchResults.querySelectorAll('.search-result-item');
+    if (!items.length) return;
+    activeIndex = (index + items.length) % items.length;
+    items.forEach((el, i) => el.classList.toggle('bg-slate-100', i === activeIndex));
+    items[activeIndex].scrollIntoView({ block: 'nearest' });
   }
 
   function showEmptyState() {
@@ -178,6 +193,19 @@
     if (e.key === 'Escape') {
       e.preventDefault();
       closeSearch();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveResult(activeIndex + 1);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveResult(activeIndex - 1);
+    } else if (e.key === 'Enter') {
+      const items = searchResults.querySelectorAll('.search-result-item');
+      const target = items[activeIndex] || items[0];
+      if (target) {
+        e.preventDefault();
+        window.location.href = target.getAttribute('href');
+      }
     }
   }
 
@@ -189,9 +217,6 @@
     searchInput.value = '';
     searchInput.focus();
     showEmptyState();
-
-    // Reload items in case they changed
-    loadAllItems();
   }
 
   function closeSearch() {
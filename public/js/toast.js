@@ -24,7 +24,8 @@ class ToastManager {
     }
   }
 
-  show(message, type = 'info', duration = 3000) {
+  // action (optional): { label, onClick } rendered as a button before the close button
+  show(message, type = 'info', duration = 3000, action = null) {
     const toast = document.createElement('div');
     toast.className = 'toast transform translate-x-full opacity-0 transition-[transform,opacity] duration-300 ease-out';
     toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
@@ -59,7 +60,20 @@ class ToastManager {
     closeBtn.setAttribute('aria-label', 'Cerrar');
     closeBtn.textContent = '×';
 
-    wrap.append(icon, text, closeBtn);
+    wrap.append(icon, text);
+    if (action?.label) {
+      const actionBtn = document.createElement('button');
+      actionBtn.type = 'button';
+      actionBtn.className = 'toast-action text-sm font-semibold underline hover:opacity-70';
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener('click', () => {
+        actionBtn.disabled = true;
+        this.hide(toast);
+        if (typeof action.onClick === 'function') action.onClick();
+      });
+      wrap.append(actionBtn);
+    }
+    wrap.append(closeBtn);
     toast.appendChild(wrap);
 
     this.container.appendChild(toast);
@@ -106,6 +120,30 @@ class ToastManager {
   info(message, duration) {
     return this.show(message, 'info', duration);
   }
+
+  // "Deshacer" toast for an undo journal entry (POST /undo/:id, then reload)
+  undo(message, undoId, csrfToken, duration = 8000) {
+    return this.show(message, 'info', duration, {
+      label: 'Deshacer',
+      onClick: async () => {
+        try {
+          const r = await fetch(`/undo/${encodeURIComponent(undoId)}`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/x-www-form-urlencoded',
+              'Accept': 'application/json',
+            },
+            body: new URLSearchParams({ _csrf: csrfToken || '' }),
+          });
+          const data = await r.json().catch(() => ({}));
+          if (!r.ok || !data.ok) throw new Error(data.error || 'No se pudo deshacer');
+          window.location.reload();
+        } catch (err) {
+          this.error(err?.message || 'No se pudo deshacer');
+        }
+      },
+    });
+  }
 }
 
 // Instancia global
@@ -1,17 +1,31 @@
-const CACHE_NAME = 'gtd-neto-v2';
+importScripts('/public/js/outbox.js');
+
+const CACHE_NAME = 'gtd-neto-v4';
 const STATIC_ASSETS = [
-  '/',
   '/public/css/styles.css',
   '/public/js/toast.js',
   '/public/js/utils.js',
-  '/public/js/theme.js',
-  '/public/js/tags.js',
+  '/public/js/ui-helpers.js',
+  '/public/js/search.js',
+  '/public/js/hotkeys.js',
+  '/public/js/command-palette.js',
+  '/public/js/outbox.js',
+  '/public/js/offline.js',
+  '/public/manifest.json',
+  '/public/icon-192.png',
+  '/public/icon-512.png',
 ];
+// Pages usable offline; they may redirect to login, so a failure doesn't abort the install
+const OFFLINE_PAGES = ['/', '/collect'];
+const SYNC_TAG = 'gtd-outbox';
 
 self.addEventListener('install', (event) => {
   event.waitUntil(
     caches.open(CACHE_NAME).then((cache) => {
-      return cache.addAll(STATIC_ASSETS);
+      return Promise.all([
+        cache.addAll(STATIC_ASSETS),
+        ...OFFLINE_PAGES.map(page => cache.add(page).catch(() => {})),
+      ]);
     })
   );
   self.skipWaiting();
@@ -37,7 +51,12 @@ self.addEventListener('fetch', (event) => {
           caches.open(CACHE_NAME).then(cache => cache.put(event.request, clone));
           return response;
         })
-        .catch(() => caches.match(event.request))
+        .catch(async () => {
+          const cached = await caches.match(event.request);
+          if (cached || !isNavigation) return cached;
+          // Never visited offline: Collect still lets you capture
+          return (await caches.match('/collect')) || caches.match('/');
+        })
     );
     return;
   }
@@ -60,6 +79,55 @@ self.addEventListener('fetch', (event) => {
   }
 });
 
+// Background Sync: send the offline outbox (public/js/outbox.js) and tell open pages
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil((async () => {
+    const result = await self.GtdOutbox.replay();
+    if (result.sent.length || result.failed.length) {
+      const clients = await self.clients.matchAll({ type: 'window' });
+      clients.forEach(client => client.postMessage({ type: 'outbox-replayed', ...result }));
+    }
+    // Still pending: throwing makes the browser retry the sync later
+    if (result.pending) throw new Error('outbox pending');
+  })());
+});
+
+// Web Push: reminders from the server scheduler (lib/push-store.js)
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data?.text() };
+  }
+  event.waitUntil(self.registration.showNotification(data.title || 'GTD Neto', {
+    body: data.body || '',
+    tag: data.tag,
+    renotify: Boolean(data.tag),
+    icon: '/public/icon-192.png',
+    badge: '/public/icon-192.png',
+    lang: 'es',
+    data: { url: data.url || '/' },
+  }));
+});
+
+// Click: reuse an open tab of the app if there is one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const target = new URL(event.notification.data?.url || '/', self.location.origin);
+  if (target.origin !== self.location.origin) return;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const open = windows.find(client => new URL(client.url).origin === target.origin);
+    if (open) {
+      await open.focus();
+      return open.navigate(target.href);
+    }
+    return self.clients.openWindow(target.href);
+  })());
+});
+
 self.addEventListener('activate', (event) => {
   event.waitUntil(
     caches.keys().then((cacheNames) => {
@@ -0,0 +1,7 @@
+import { generateVapidKeys } from '../src/services/web-push.js';
+
+// Prints a new VAPID key pair for Web Push, ready to paste into .env.
+// Changing the keys invalidates every existing browser subscription.
+const { publicKey, privateKey } = generateVapidKeys();
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
@@ -0,0 +1,80 @@
+import 'dotenv/config';
+import { readFile } from 'node:fs/promises';
+import { buildMimeMessage } from '../src/services/mail-service.js';
+
+// Local harness for the inbound mail webhook (POST /inbound/mail): posts a
+// message the way a mail provider would, to test a capture address without
+// DNS or a provider account.
+//   npm run mail:inbound -- --to gtdin-…@in.example.com --subject "Llamar a Ana #casa"
+//   npm run mail:inbound -- --to … --file mensaje.eml            a real message (raw MIME)
+//   npm run mail:inbound -- --to … --format postmark --attach factura.pdf
+// --format: raw (default), postmark (JSON) or mailgun (form fields).
+// Server: --url, or APP_URL, or http://127.0.0.1:$PORT. Secret: INBOUND_MAIL_SECRET.
+
+const FORMATS = ['raw', 'postmark', 'mailgun'];
+
+const args = process.argv.slice(2);
+function option(name, fallback = '') {
+  const idx = args.indexOf(`--${name}`);
+  return idx !== -1 ? String(args[idx + 1] || '') : fallback;
+}
+const attachments = args.flatMap((arg, i) => (arg === '--attach' && args[i + 1] ? [args[i + 1]] : []));
+
+const to = option('to');
+const format = option('format', 'raw');
+const secret = process.env.INBOUND_MAIL_SECRET || '';
+const baseUrl = option('url', process.env.APP_URL || `http://127.0.0.1:${process.env.PORT || 3000}`);
+
+if (!to || !FORMATS.includes(format) || !secret) {
+  console.error('[inbound] Usage: --to <capture address> [--subject s] [--text t] [--from f] [--file x.eml] [--format raw|postmark|mailgun] [--attach name]');
+  if (!secret) console.error('[inbound] INBOUND_MAIL_SECRET is not set.');
+  process.exit(2);
+}
+
+const message = {
+  from: option('from', 'Ana <ana@example.com>'),
+  to,
+  subject: option('subject', 'Prueba de captura por correo'),
+  text: option('text', 'Enviado desde scripts/inbound-mail.mjs'),
+  date: new Date(),
+};
+
+let body;
+let contentType;
+const file = option('file');
+if (format === 'raw') {
+  body = file
+    ? await readFile(file)
+    : buildMimeMessage({ ...message, html: `<p>${message.text}</p>` });
+  contentType = 'message/rfc822';
+} else if (format === 'postmark') {
+  body = JSON.stringify({
+    From: message.from,
+    To: to,
+    OriginalRecipient: to,
+    Subject: message.subject,
+    TextBody: message.text,
+    Date: message.date.toUTCString(),
+    MessageID: `harness-${Date.now()}`,
+    Attachments: attachments.map(name => ({ Name: name, ContentType: 'application/octet-stream', ContentLength: 1024 })),
+  });
+  contentType = 'application/json';
+} else {
+  body = new URLSearchParams({
+    recipient: to,
+    sender: message.from,
+    subject: message.subject,
+    'body-plain': message.text,
+    'Message-Id': `<harness-${Date.now()}@localhost>`,
+    attachments: JSON.stringify(attachments.map(name => ({ name, 'content-type': 'application/octet-stream', size: 1024, url: `https://storage.example.com/${encodeURIComponent(name)}` }))),
+  }).toString();
+  contentType = 'application/x-www-form-urlencoded';
+}
+
+const response = await fetch(`${baseUrl}/inbound/mail`, {
+  method: 'POST',
+  headers: { 'Content-Type': contentType, Authorization: `Bearer ${secret}` },
+  body,
+});
+console.log(`[inbound] ${response.status} ${await response.text()}`);
+process.exit(response.ok ? 0 : 1);
@@ -0,0 +1,39 @@
+import 'dotenv/config';
+import { storage } from '../lib/adapters/index.js';
+import { resolveOwner } from '../lib/store.js';
+import { MIGRATIONS, SCHEMA_VERSION } from '../lib/migrations.js';
+import { migrateOwner } from '../lib/migration-runner.js';
+
+// Upgrades stored payloads to the current schema (lib/migrations.js).
+//   npm run migrate                     every owner
+//   npm run migrate -- --owner <id>     a single owner
+//   npm run migrate -- --dry-run        count what would change, write nothing
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const ownerIdx = args.indexOf('--owner');
+const onlyOwner = ownerIdx !== -1 ? String(args[ownerIdx + 1] || '').trim() : '';
+
+if (ownerIdx !== -1 && !onlyOwner) {
+  console.error('[migrate] --owner needs a value.');
+  process.exit(2);
+}
+
+const owners = onlyOwner
+  ? [onlyOwner]
+  : [...new Set([resolveOwner(), ...(await storage.items.owners())])];
+
+console.log(`[migrate] storage=${storage.name} schema=${SCHEMA_VERSION} (${MIGRATIONS.map(m => `${m.version}:${m.name}`).join(', ')})${dryRun ? ' dry-run' : ''}`);
+
+let failures = 0;
+for (const owner of owners) {
+  try {
+    const r = await migrateOwner(owner, { dryRun });
+    console.log(`[migrate] ${owner}: ${r.from} → ${r.to} · items ${r.items} · meta ${r.meta}${r.skipped ? ` · skipped ${r.skipped} (edited meanwhile)` : ''}`);
+  } catch (err) {
+    failures += 1;
+    console.error(`[migrate] ${owner}: failed:`, err?.message || err);
+  }
+}
+
+process.exit(failures ? 1 : 0);
@@ -9,12 +9,12 @@ import compression from 'compression';
 import sanitizeHtml from 'sanitize-html';
 import { timingSafeEqual } from 'node:crypto';
 
-import { loadDb, loadItemsForList, loadItemsByStatus, loadItemById, saveDb, saveItem, deleteItemById, isStoreSupabaseMode, newItem, updateItem, findRecentDuplicate, upsertSubscription, getUserSubscription } from './lib/store.js';
+import { loadDb, loadItemsForList, loadItemsByStatus, loadItemById, saveDb, saveItem, saveItems, purgeItemById, newItem, updateItem, findRecentDuplicate, upsertSubscription, getUserSubscription, purgeAllExpiredTrash } from './lib/store.js';
 import {
   DESTINATIONS,
   destinationByKey,
   evaluateActionability,
-  withHacerMeta,
+  listLabel,
   randomId,
   withDesglosarMeta,
 } from './src/services/gtd-service.js';
@@ -27,13 +27,34 @@ import {
   sanitizeTextField,
 } from './src/validators/request-validators.js';
 import { createObservabilityMiddleware } from './src/middleware/observability.js';
+import { createApiRoutes } from './src/routes/api.js';
 import { createItemRoutes } from './src/routes/items.js';
 import { createDestinationRoutes } from './src/routes/destinations.js';
 import { createSettingsRoutes } from './src/routes/settings.js';
+import { createSearchRoutes } from './src/routes/search.js';
 import { createWeeklyReviewRoutes } from './src/routes/weekly-review.js';
+import { createHoyRoutes } from './src/routes/hoy.js';
 import { createBillingRoutes } from './src/routes/billing.js';
 import { loadFlagsMiddleware } from './src/middleware/feature-flags.js';
 import { requiresSubscription } from './src/middleware/subscription.js';
+import { apiTokenAuth } from './src/middleware/api-tokens.js';
+import { stampHistoryActor } from './lib/item-history.js';
+import { isTrashed, trashPatch } from './lib/trash.js';
+import { pushUndoEntry } from './lib/meta-store.js';
+import { createUndoRoutes } from './src/routes/undo.js';
+import { createCalendarRoutes } from './src/routes/calendar.js';
+import { createBackupRoutes } from './src/routes/backups.js';
+import { createNotificationRoutes } from './src/routes/notifications.js';
+import { readVapidConfig, runScheduledNotifications } from './lib/push-store.js';
+import { createCronRoutes } from './src/routes/cron.js';
+import { createDigestRoutes } from './src/routes/digest.js';
+import { createInboundMailRoutes } from './src/routes/inbound-mail.js';
+import { mailTransport, runScheduledMail, sendMailSafely } from './lib/mailer.js';
+import { runScheduledDigests } from './lib/digest.js';
+import { createBackupSnapshot, listBackups } from './lib/backup-store.js';
+import { isScheduledBackupDue } from './src/services/backup-service.js';
+import { itemVersion } from './lib/item-version.js';
+import { buildConflictFields, versionConflictBody } from './src/services/conflict-service.js';
 
 const app = express();
 
@@ -48,7 +69,18 @@ const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '64kb';
 const IMPORT_JSON_BODY_LIMIT = process.env.IMPORT_JSON_BODY_LIMIT || '10mb';
 const AUTH_COOKIE_MAX_AGE_MS = Number(process.env.AUTH_COOKIE_MAX_AGE_MS || 7 * 24 * 60 * 60 * 1000);
 const CSRF_COOKIE_MAX_AGE_MS = Number(process.env.CSRF_COOKIE_MAX_AGE_MS || 24 * 60 * 60 * 1000);
+const UNDO_COOKIE = 'gtd_undo';
+const UNDO_COOKIE_MAX_AGE_MS = 60 * 1000;
 const APP_URL = process.env.APP_URL || (IS_PRODUCTION ? '' : `http://${HOST}:${PORT}`);
+const VAPID = readVapidConfig();
+const CRON_SECRET = process.env.CRON_SECRET || '';
+const NOTIFY_INTERVAL_MS = Number(process.env.NOTIFY_INTERVAL_MS || 15 * 60 * 1000);
+const MAIL_INTERVAL_MS = Number(process.env.MAIL_INTERVAL_MS || 60 * 60 * 1000);
+const DIGEST_INTERVAL_MS = Number(process.env.DIGEST_INTERVAL_MS || 15 * 60 * 1000);
+const TRASH_PURGE_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MS || 6 * 60 * 60 * 1000);
+const INBOUND_MAIL_SECRET = process.env.INBOUND_MAIL_SECRET || '';
+const INBOUND_MAIL_DOMAIN = String(process.env.INBOUND_MAIL_DOMAIN || '').trim().toLowerCase();
+const INBOUND_MAIL_BODY_LIMIT = process.env.INBOUND_MAIL_BODY_LIMIT || '10mb';
 
 if (IS_PRODUCTION && !USE_SUPABASE && !APP_API_KEY) {
   throw new Error(
@@ -102,6 +134,16 @@ function clearAuthCookieOptions() {
   };
 }
 
+function undoCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: IS_PRODUCTION,
+    path: '/',
+    maxAge: UNDO_COOKIE_MAX_AGE_MS,
+  };
+}
+
 function csrfCookieOptions() {
   return {
     httpOnly: true,
@@ -138,12 +180,22 @@ function generateCsrfToken() {
 }
 
 function csrfProtection(req, res, next) {
-  // Solo para POST requests
-  if (req.method !== 'POST') return next();
+  // Solo para métodos que modifican estado
+  if (!['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method)) return next();
 
   // Stripe webhook has its own signature verification — exempt from CSRF
   if (req.path === '/billing/webhook') return next();
 
+  // Inbound mail webhook is authorized by INBOUND_MAIL_SECRET
+  if (req.path === '/inbound/mail') return next();
+
+  // Tokens personales viajan en headers, no en cookies (solo se aceptan en /api/v1)
+  if (req.path.startsWith('/api/v1/') && req.auth?.apiToken) return next();
+
+  // REST API autenticada por header: un navegador no puede enviar headers
+  // personalizados cross-site sin preflight CORS, así que no aplica CSRF
+  if (req.path.startsWith('/api/') && extractApiKey(req)) return next();
+
   // Verificar token CSRF
   const tokenFromBody = req.body?._csrf;
   const tokenFromHeader = req.get('x-csrf-token');
@@ -232,18 +284,25 @@ app.use(generalLimiter);
 
 app.set('view engine', 'ejs');
 app.set('views', new URL('./views', import.meta.url).pathname);
-app.use(express.urlencoded({ extended: false, limit: '64kb' }));
+const urlencodedParser = express.urlencoded({ extended: false, limit: '64kb' });
+// Inbound mail reads its own body (see inboundMailParser)
+app.use((req, res, next) => (req.path === '/inbound/mail' ? next() : urlencodedParser(req, res, next)));
 const jsonParser = express.json({ limit: JSON_BODY_LIMIT });
 const importJsonParser = express.json({ limit: IMPORT_JSON_BODY_LIMIT });
 const rawBodyParser = express.raw({ type: 'application/json' });
+// Inbound mail arrives as JSON, form data or raw MIME depending on the provider
+const inboundMailParser = express.raw({ type: () => true, limit: INBOUND_MAIL_BODY_LIMIT });
 app.use((req, res, next) => {
-  if (req.method === 'POST' && req.path === '/import') {
+  if (req.method === 'POST' && (req.path === '/import' || req.path === '/import/external')) {
     return importJsonParser(req, res, next);
   }
   // Stripe webhook needs raw body for signature verification
   if (req.method === 'POST' && req.path === '/billing/webhook') {
     return rawBodyParser(req, res, next);
   }
+  if (req.method === 'POST' && req.path === '/inbound/mail') {
+    return inboundMailParser(req, res, next);
+  }
   return jsonParser(req, res, next);
 });
 app.use(cookieParser());
@@ -277,10 +336,13 @@ function safeCompareStrings(a, b) {
 }
 
 function requireApiKey(req, res, next) {
+  // Personal token already verified (and its scope enforced) by apiTokenAuth
+  if (req.auth?.apiToken) return next();
   if (!APP_API_KEY) return next();
   if (USE_SUPABASE && req.auth?.user) return next();
   const key = extractApiKey(req);
   if (key && safeCompareStrings(key, APP_API_KEY)) return next();
+  if (req.path.startsWith('/api/')) return res.status(401).json({ ok: false, error: 'Unauthorized' });
   return res.status(401).send('Unauthorized');
 }
 
@@ -288,6 +350,14 @@ function ownerForReq(req) {
   return req.auth?.user?.id || process.env.SUPABASE_OWNER || 'default';
 }
 
+// Who made a change, as shown in item history
+function actorForReq(req) {
+  if (req.auth?.apiToken) return `token:${req.auth.apiToken.name}`;
+  if (req.auth?.user?.email) return req.auth.user.email;
+  if (extractApiKey(req)) return 'api';
+  return req.auth?.user?.id || null;
+}
+
 function userFacingPersistError(err) {
   const code = String(err?.code || '');
   const msg = String(err?.message || '').toLowerCase();
@@ -349,10 +419,16 @@ async function loadReqItemById(req, id) {
   }
 }
 
-async function saveReqDb(req, db) {
+// A save that removes items takes a "delete" restore point first, unless the
+// caller already took one (options.skipBackup)
+async function saveReqDb(req, db, options = {}) {
   const startedAt = Date.now();
   try {
-    const result = await saveDb(db, { owner: ownerForReq(req) });
+    const actor = actorForReq(req);
+    for (const item of db.items || []) stampHistoryActor(item, actor);
+    const owner = ownerForReq(req);
+    const beforeDelete = options.skipBackup ? null : () => createBackupSnapshot({ owner, reason: 'delete' });
+    const result = await saveDb(db, { owner, beforeDelete });
     recordOperation('saveReqDb', { ok: true, durationMs: Date.now() - startedAt });
     return result;
   } catch (err) {
@@ -361,24 +437,12 @@ async function saveReqDb(req, db) {
   }
 }
 
-async function saveReqItem(req, item, dbWhenLocal = null) {
+// options.expectedVersion: version the change was based on (see lib/item-version.js)
+async function saveReqItem(req, item, options = {}) {
   const startedAt = Date.now();
   try {
-    if (isStoreSupabaseMode()) {
-      const result = await saveItem(item, { owner: ownerForReq(req) });
-      recordOperation('saveReqItem', { ok: true, durationMs: Date.now() - startedAt });
-      return result;
-    }
-    if (dbWhenLocal) {
-      const result = await saveReqDb(req, dbWhenLocal);
-      recordOperation('saveReqItem', { ok: true, durationMs: Date.now() - startedAt });
-      return result;
-    }
-    const db = await loadReqDb(req);
-    const idx = (db.items || []).findIndex(i => i.id === item.id);
-    if (idx === -1) db.items = [item, ...(db.items || [])];
-    else db.items[idx] = item;
-    const result = await saveReqDb(req, db);
+    stampHistoryActor(item, actorForReq(req));
+    const result = await saveItem(item, { owner: ownerForReq(req), expectedVersion: options.expectedVersion });
     recordOperation('saveReqItem', { ok: true, durationMs: Date.now() - startedAt });
     return result;
   } catch (err) {
@@ -387,30 +451,120 @@ async function saveReqItem(req, item, dbWhenLocal = null) {
   }
 }
 
-async function deleteReqItem(req, id, dbWhenLocal = null) {
+// Bulk actions: one batched write; returns { saved, conflicts } (see saveItems)
+async function saveReqItems(req, items, options = {}) {
   const startedAt = Date.now();
   try {
-    if (isStoreSupabaseMode()) {
-      const result = await deleteItemById(id, { owner: ownerForReq(req) });
-      recordOperation('deleteReqItem', { ok: true, durationMs: Date.now() - startedAt });
-      return result;
-    }
-    if (dbWhenLocal) {
-      const result = await saveReqDb(req, dbWhenLocal);
+    const actor = actorForReq(req);
+    for (const item of items) stampHistoryActor(item, actor);
+    const result = await saveItems(items, { owner: ownerForReq(req), expectedVersions: options.expectedVersions });
+    recordOperation('saveReqItems', { ok: true, durationMs: Date.now() - startedAt });
+    return result;
+  } catch (err) {
+    recordOperation('saveReqItems', { ok: false, durationMs: Date.now() - startedAt });
+    throw err;
+  }
+}
+
+// Soft delete: moves the item to the Papelera and returns it (null if missing)
+async function deleteReqItem(req, id) {
+  const startedAt = Date.now();
+  try {
+    const current = await loadReqItemById(req, id);
+    if (!current || isTrashed(current)) {
       recordOperation('deleteReqItem', { ok: true, durationMs: Date.now() - startedAt });
-      return result;
+      return current;
     }
-    const db = await loadReqDb(req);
-    db.items = (db.items || []).filter(i => i.id !== id);
-    const result = await saveReqDb(req, db);
+    const trashed = updateItem(current, trashPatch(current));
+    await saveReqItem(req, trashed);
     recordOperation('deleteReqItem', { ok: true, durationMs: Date.now() - startedAt });
-    return result;
+    return trashed;
   } catch (err) {
     recordOperation('deleteReqItem', { ok: false, durationMs: Date.now() - startedAt });
     throw err;
   }
 }
 
+// Permanent delete from the Papelera
+async function purgeReqItem(req, id) {
+  const startedAt = Date.now();
+  try {
+    const result = await purgeItemById(id, { owner: ownerForReq(req) });
+    recordOperation('purgeReqItem', { ok: true, durationMs: Date.now() - startedAt });
+    return result;
+  } catch (err) {
+    recordOperation('purgeReqItem', { ok: false, durationMs: Date.now() - startedAt });
+    throw err;
+  }
+}
+
+// Stores an undo journal entry and, for page requests, leaves a short-lived
+// cookie so the next rendered page shows the "Deshacer" toast. The action
+// already happened, so a journal failure is logged and not surfaced.
+async function recordReqUndo(req, res, entry) {
+  try {
+    await pushUndoEntry(entry, { owner: ownerForReq(req) });
+  } catch (err) {
+    console.warn('[undo] could not record entry:', err?.message || err);
+    return null;
+  }
+  const undo = { id: entry.id, label: entry.label };
+  const wantsJson = String(req.get('accept') || '').includes('application/json');
+  if (!wantsJson && !req.path.startsWith('/api/')) res.cookie(UNDO_COOKIE, JSON.stringify(undo), undoCookieOptions());
+  return undo;
+}
+
+// Another session saved the item first: JSON clients get a 409 with the
+// current item, form posts the merge screen to re-apply or drop the change
+function respondVersionConflict(req, res, err) {
+  const current = err.current;
+  const wantsJson = String(req.get('accept') || '').includes('application/json')
+    || Boolean(req.is('application/json'))
+    || req.path.startsWith('/api/');
+  if (wantsJson) return res.status(409).json(versionConflictBody(current));
+
+  res.status(409);
+  return renderPage(res, 'conflict', {
+    title: 'Conflicto de edición',
+    action: req.originalUrl,
+    current,
+    currentVersion: itemVersion(current),
+    ...buildConflictFields(req.body, current),
+    backHref: current?.status === 'done' ? '/terminado' : `/${current?.list || ''}`,
+    listLabel,
+  });
+}
+
+// Restore point before a bulk change (import, restore). Best effort: a failed
+// snapshot is logged and does not block the operation.
+async function createReqBackup(req, reason) {
+  try {
+    return await createBackupSnapshot({ owner: ownerForReq(req), reason });
+  } catch (err) {
+    console.warn(`[backups] could not create ${reason} backup:`, err?.message || err);
+    return null;
+  }
+}
+
+// No cron job for backups: the scheduled backup is taken lazily by the
+// first authenticated request once BACKUP_INTERVAL_HOURS have passed.
+// Checks are throttled per owner and never delay the response.
+const BACKUP_CHECK_THROTTLE_MS = 15 * 60 * 1000;
+const lastBackupCheckByOwner = new Map();
+
+function scheduledBackupMiddleware(req, res, next) {
+  if (req.method !== 'GET') return next();
+  const owner = ownerForReq(req);
+  const now = Date.now();
+  if (now - (lastBackupCheckByOwner.get(owner) || 0) < BACKUP_CHECK_THROTTLE_MS) return next();
+  lastBackupCheckByOwner.set(owner, now);
+
+  listBackups({ owner })
+    .then(summaries => (isScheduledBackupDue(summaries) ? createBackupSnapshot({ owner, reason: 'scheduled' }) : null))
+    .catch(err => console.warn('[backups] scheduled backup failed:', err?.message || err));
+  return next();
+}
+
 // IMPROVED: Token refresh middleware - automatically refreshes expired tokens
 async function refreshTokenIfNeeded(req, res, next) {
   if (!USE_SUPABASE || !supabaseAuth) return next();
@@ -485,15 +639,31 @@ async function attachAuth(req, res, next) {
 function requireAuth(req, res, next) {
   if (!USE_SUPABASE) return next();
   if (req.auth?.user) return next();
+  if (req.path.startsWith('/api/')) return res.status(401).json({ ok: false, error: 'Unauthorized' });
   return res.redirect('/');
 }
 
+// Pending "Deshacer" toast left by recordReqUndo (read once)
+function takeUndoCookie(res) {
+  const raw = res.req?.cookies?.[UNDO_COOKIE];
+  if (!raw) return null;
+  res.clearCookie(UNDO_COOKIE, { path: '/' });
+  try {
+    const undo = JSON.parse(raw);
+    if (!/^[a-f0-9]{16}$/.test(String(undo?.id || ''))) return null;
+    return { id: undo.id, label: String(undo.label || '').slice(0, 200) };
+  } catch {
+    return null;
+  }
+}
+
 function renderPage(res, view, data) {
   const viewsPath = app.get('views');
   const title = data?.title || 'GTD_Neto';
   const flash = data?.flash || null;
   const csrfToken = res.locals?.csrfToken || '';
   const cspNonce = res.locals?.cspNonce || '';
+  const undo = takeUndoCookie(res);
   const body = ejs.renderFile(`${viewsPath}/${view}.ejs`, { ...data, csrfToken, cspNonce });
   return Promise.resolve(body)
     .then(html =>
@@ -506,6 +676,7 @@ function renderPage(res, view, data) {
         csrfToken,
         cspNonce,
         hideAppNav: Boolean(data?.hideAppNav),
+        undo,
       })
     )
     .catch(err => {
@@ -516,6 +687,8 @@ function renderPage(res, view, data) {
     });
 }
 
+// Personal API tokens resolve the owner before cookie-based auth
+app.use(apiTokenAuth);
 // IMPROVED: Refresh token before attaching auth
 app.use(refreshTokenIfNeeded);
 app.use(attachAuth);
@@ -611,6 +784,7 @@ app.post('/auth/signup', authLimiter, async (req, res) => {
     } catch (subErr) {
       console.warn('[auth/signup] Could not create trial subscription:', subErr.message);
     }
+    await sendMailSafely('welcome', { to: email, owner: signupData.user.id, dedupeKey: 'welcome' });
   }
 
   // If Supabase returned a session (email confirmation disabled), auto-login and show pricing
@@ -751,6 +925,7 @@ app.use((req, res, next) => {
     '/reset-password', '/auth/update-password',
     '/pricing', '/billing/webhook', '/billing/success', '/billing/cancel',
     '/healthz', '/favicon.ico', '/favicon.png',
+    '/calendar.ics', '/inbound/mail', '/cron/notifications', '/cron/mail', '/cron/digest', '/cron/trash',
   ];
   if (publicPaths.includes(req.path) || req.path.startsWith('/docs/')) return next();
   return requireAuth(req, res, next);
@@ -759,6 +934,8 @@ app.use((req, res, next) => {
 // Feature flags for authenticated routes (falls back to defaults on error)
 app.use(loadFlagsMiddleware);
 
+app.use(scheduledBackupMiddleware);
+
 // Billing routes (pricing is public; checkout/portal require auth via requireAuth above)
 app.use(createBillingRoutes({ renderPage, APP_URL }));
 
@@ -776,90 +953,25 @@ app.get('/', (req, res, next) => {
 // Route factories (dependency injection pattern)
 const sharedDeps = {
   loadReqDb, loadReqItemsByList, loadReqItemsByStatus, loadReqItemById,
-  saveReqDb, saveReqItem, deleteReqItem, requireApiKey, sanitizeInput,
-  renderPage, APP_API_KEY, ownerForReq, userFacingPersistError,
+  saveReqDb, saveReqItem, saveReqItems, deleteReqItem, purgeReqItem, recordReqUndo, createReqBackup, respondVersionConflict, requireApiKey, sanitizeInput,
+  renderPage, APP_API_KEY, APP_URL, ownerForReq, userFacingPersistError,
   exportLimiter, validateAndNormalizeImportPayload, ImportValidationError,
 };
+app.use(createApiRoutes(sharedDeps));
 app.use(createItemRoutes(sharedDeps));
 app.use(createDestinationRoutes(sharedDeps));
-app.use(createSettingsRoutes({ renderPage, requireApiKey, sanitizeInput, ownerForReq }));
+app.use(createSettingsRoutes({ renderPage, requireApiKey, sanitizeInput, ownerForReq, APP_URL, INBOUND_MAIL_DOMAIN }));
+app.use(createCalendarRoutes({ APP_URL }));
+app.use(createInboundMailRoutes({ INBOUND_MAIL_SECRET, sanitizeInput }));
+app.use(createSearchRoutes({ sanitizeInput, ownerForReq }));
 app.use(createWeeklyReviewRoutes({ renderPage, requireApiKey, sanitizeInput, ownerForReq, saveReqItem, loadReqItemsByList, loadReqDb }));
+app.use(createHoyRoutes({ renderPage, requireApiKey, ownerForReq, loadReqItemsByList }));
+app.use(createUndoRoutes(sharedDeps));
+app.use(createBackupRoutes(sharedDeps));
+app.use(createNotificationRoutes({ renderPage, requireApiKey, ownerForReq, vapid: VAPID }));
+app.use(createDigestRoutes({ renderPage, requireApiKey, ownerForReq }));
+app.use(createCronRoutes({ CRON_SECRET, vapid: VAPID }));
 
-// Vista "Hoy" - Next Actions consolidadas
-app.get('/hoy', async (req, res) => {
-  const db = await loadReqDb(req);
-  const items = db.items || [];
-
-  // Tareas urgentes e importantes de "Hacer" (score >= 12)
-  const hacerItems = items
-    .filter(i => i.list === 'hacer' && i.status !== 'done')
-    .map(i => ({ ...i, ...withHacerMeta(i) }))
-    .map(i => {
-      const urgency = Number(i.urgency || 3);
-      const importance = Number(i.importance || 3);
-      const priorityScore = urgency * importance;
-      return { ...i, priorityScore };
-    })
-    .filter(i => i.priorityScore >= 12)
-    .sort((a, b) => b.priorityScore - a.priorityScore)
-    .slice(0, 10);
-
-  // Tareas agendadas (próximos 3 días)
-  const now = new Date();
-  const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const threeDaysLater = new Date(todayStart);
-  threeDaysLater.setDate(threeDaysLater.getDate() + 3);
-
-  const agendarItems = items
-    .filter(i => i.list === 'agendar' && i.status !== 'done' && i.dueDate)
-    .map(i => {
-      const dueDate = new Date(i.dueDate);
-      return { ...i, dueDate, dueDateObj: dueDate };
-    })
-    .filter(i => !Number.isNaN(i.dueDateObj.getTime()) && i.dueDateObj <= threeDaysLater)
-    .sort((a, b) => a.dueDateObj - b.dueDateObj)
-    .map(i => ({
-      ...i,
-      dueDateFormatted: i.dueDateObj.toLocaleDateString('es', {
-        weekday: 'short',
-        day: 'numeric',
-        month: 'short'
-      }),
-      isToday: i.dueDateObj.toDateString() === todayStart.toDateString(),
-      isTomorrow: i.dueDateObj.toDateString() === new Date(todayStart.getTime() + 86400000).toDateString(),
-    }));
-
-  // Delegaciones pendientes de seguimiento (más de 2 días)
-  const twoDaysAgo = new Date(now.getTime() - (2 * 24 * 60 * 60 * 1000));
-  const delegarItems = items
-    .filter(i => i.list === 'delegar' && i.status !== 'done')
-    .map(i => {
-      const movedAt = i.movedToListAt ? new Date(i.movedToListAt) : null;
-      return { ...i, movedAt };
-    })
-    .filter(i => i.movedAt && i.movedAt < twoDaysAgo)
-    .sort((a, b) => a.movedAt - b.movedAt)
-    .map(i => ({
-      ...i,
-      daysWaiting: Math.floor((now - i.movedAt) / (24 * 60 * 60 * 1000)),
-    }));
-
-  // Calcular tiempo total estimado
-  const totalEstimateMin = hacerItems.reduce((sum, i) => sum + (Number(i.estimateMin) || 0), 0);
-
-  return renderPage(res, 'hoy', {
-    title: 'Hoy',
-    hacerItems,
-    agendarItems,
-    delegarItems,
-    totalEstimateMin,
-    todayFormatted: todayStart.toLocaleDateString('es', {
-      weekday: 'long',
-      day: 'numeric',
-      month: 'long'
-    }),
-  });
-});
 
 app.get('/healthz', (req, res) => res.type('text').send('ok'));
 // SECURITY: /metricsz requires authentication or API key
@@ -872,6 +984,32 @@ if (!process.env.VERCEL) {
   app.listen(PORT, HOST, () => {
     console.log(`[gtd_neto] listening on http://${HOST}:${PORT}`);
   });
+
+  // Scheduled jobs: on Vercel the Cron jobs call /cron/* instead (src/routes/cron.js)
+  if (VAPID && NOTIFY_INTERVAL_MS > 0) {
+    setInterval(() => {
+      runScheduledNotifications({ vapid: VAPID })
+        .catch(err => console.warn('[push] scheduler failed:', err?.message || err));
+    }, NOTIFY_INTERVAL_MS).unref();
+  }
+  if (mailTransport() && MAIL_INTERVAL_MS > 0) {
+    setInterval(() => {
+      runScheduledMail()
+        .catch(err => console.warn('[mail] scheduler failed:', err?.message || err));
+    }, MAIL_INTERVAL_MS).unref();
+  }
+  if (mailTransport() && DIGEST_INTERVAL_MS > 0) {
+    setInterval(() => {
+      runScheduledDigests()
+        .catch(err => console.warn('[digest] scheduler failed:', err?.message || err));
+    }, DIGEST_INTERVAL_MS).unref();
+  }
+  if (TRASH_PURGE_INTERVAL_MS > 0) {
+    setInterval(() => {
+      purgeAllExpiredTrash()
+        .catch(err => console.warn('[papelera] scheduler failed:', err?.message || err));
+    }, TRASH_PURGE_INTERVAL_MS).unref();
+  }
 }
 
 export default app;
@@ -0,0 +1,48 @@
+import { findMetaByPayloadField, saveMetaRecord } from '../../lib/meta-store.js';
+import { hashApiToken, looksLikeApiToken, scopeAllowsMethod, shouldTouchLastUsed } from '../services/api-token-service.js';
+
+function extractPersonalToken(req) {
+  const authHeader = String(req.get('authorization') || '');
+  const bearer = authHeader.toLowerCase().startsWith('bearer ') ? authHeader.slice(7).trim() : '';
+  if (looksLikeApiToken(bearer)) return bearer;
+  const apiKey = String(req.get('x-api-key') || '').trim();
+  return looksLikeApiToken(apiKey) ? apiKey : '';
+}
+
+function deny(res, status, error) {
+  return res.status(status).json({ ok: false, error });
+}
+
+// Middleware: resolves personal API tokens (Authorization: Bearer gtdn_… or
+// x-api-key: gtdn_…) into req.auth so ownerForReq works as with a session.
+// Runs before the cookie-based auth middlewares, which skip when req.auth is set.
+// Only /api/v1 accepts them: form routes keep the session + CSRF model.
+export async function apiTokenAuth(req, res, next) {
+  if (!req.path.startsWith('/api/v1/')) return next();
+  const token = extractPersonalToken(req);
+  if (!token) return next();
+
+  try {
+    const match = await findMetaByPayloadField('api_token', 'tokenHash', hashApiToken(token));
+    if (!match) return deny(res, 401, 'Invalid API token');
+
+    const { owner, record } = match;
+    if (!scopeAllowsMethod(record.scope, req.method)) {
+      return deny(res, 403, 'Token scope does not allow this operation');
+    }
+
+    req.auth = {
+      user: { id: owner, email: null },
+      apiToken: { id: record.id, name: record.name, scope: record.scope },
+    };
+
+    if (shouldTouchLastUsed(record)) {
+      saveMetaRecord({ ...record, lastUsedAt: new Date().toISOString() }, 'api_token', { owner })
+        .catch(err => console.error('[apiTokenAuth] Failed to update lastUsedAt:', err.message));
+    }
+    return next();
+  } catch (err) {
+    console.error('[apiTokenAuth] Token lookup failed:', err.message);
+    return deny(res, 503, 'Token verification unavailable');
+  }
+}
@@ -72,6 +72,8 @@ export function extractApiKey(req) {
 
 // Middleware para requerir API key
 export function requireApiKey(req, res, next) {
+    // Personal token already verified (and its scope enforced) by apiTokenAuth
+    if (req.auth?.apiToken) return next();
     if (!APP_API_KEY) return next();
     if (USE_SUPABASE && req.auth?.user) return next();
     const key = extractApiKey(req);
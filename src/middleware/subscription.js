@@ -9,6 +9,12 @@ const SKIP_PATHS = new Set([
   '/healthz', '/metricsz', '/favicon.ico', '/favicon.png',
 ]);
 
+// API clients get a JSON 402 instead of the /pricing redirect
+function denyAccess(req, res, reason) {
+  if (req.path.startsWith('/api/')) return res.status(402).json({ ok: false, error: reason });
+  return res.redirect(`/pricing?reason=${reason}`);
+}
+
 export async function requiresSubscription(req, res, next) {
   // Billing only enforced in Supabase mode (local dev is always open)
   if (!USE_SUPABASE) return next();
@@ -38,13 +44,13 @@ export async function requiresSubscription(req, res, next) {
 
     if (sub.status === 'trialing') {
       if (new Date(sub.trial_ends_at) > now) return next();
-      return res.redirect('/pricing?reason=trial_expired');
+      return denyAccess(req, res, 'trial_expired');
     }
 
     if (sub.status === 'active' || sub.status === 'past_due') return next();
 
     // canceled or expired
-    return res.redirect('/pricing?reason=subscription_ended');
+    return denyAccess(req, res, 'subscription_ended');
   } catch (err) {
     // Fail-open: DB error → let user through so a Supabase outage doesn't lock out paying users
     console.error('[requiresSubscription] DB error, failing open:', err.message);
@@ -0,0 +1,213 @@
+import express from 'express';
+import { newItem, updateItem, findRecentDuplicate } from '../../lib/store.js';
+import { VALID_LISTS, statusForList, withListMeta } from '../services/gtd-service.js';
+import { buildCompletion } from '../services/recurrence-service.js';
+import { buildUndoEntry, undoLabel } from '../services/undo-service.js';
+import { isTrashed } from '../../lib/trash.js';
+import { VersionConflictError, assertItemVersion, itemVersion } from '../../lib/item-version.js';
+import { versionConflictBody } from '../services/conflict-service.js';
+import {
+  RequestValidationError,
+  sanitizeIdParam,
+  sanitizeTextField,
+  sanitizeEnumField,
+  sanitizeIntegerField,
+  sanitizeContextField,
+  sanitizeAreaField,
+  sanitizeItemPatch,
+  readExpectedVersion,
+} from '../validators/request-validators.js';
+
+const VALID_STATUSES = ['unprocessed', 'processed', 'done'];
+
+function parseListFilters(query, sanitizeInput) {
+  const filters = {};
+  if (query.list) filters.list = sanitizeEnumField(query.list, VALID_LISTS, sanitizeInput, 'list');
+  if (query.status) filters.status = sanitizeEnumField(query.status, VALID_STATUSES, sanitizeInput, 'status');
+  if (query.context) filters.context = sanitizeContextField(query.context, sanitizeInput);
+  if (query.area) filters.area = sanitizeAreaField(query.area, sanitizeInput);
+  if (query.tag) filters.tag = sanitizeTextField(query.tag, sanitizeInput, { field: 'tag', maxLen: 20 }).toLowerCase();
+  filters.limit = sanitizeIntegerField(query.limit, { field: 'limit', min: 1, max: 500, fallback: 100 });
+  filters.offset = sanitizeIntegerField(query.offset, { field: 'offset', min: 0, max: 100000, fallback: 0 });
+  return filters;
+}
+
+function matchesFilters(item, filters) {
+  if (filters.list && item.list !== filters.list) return false;
+  if (filters.status && item.status !== filters.status) return false;
+  if (filters.context && item.context !== filters.context) return false;
+  if (filters.area && item.area !== filters.area) return false;
+  if (filters.tag && !(Array.isArray(item.tags) && item.tags.includes(filters.tag))) return false;
+  return true;
+}
+
+export function createApiRoutes({ loadReqDb, loadReqItemsByList, loadReqItemsByStatus, loadReqItemById, saveReqItem, deleteReqItem, recordReqUndo, requireApiKey, sanitizeInput, ownerForReq }) {
+  const router = express.Router();
+
+  function sendError(res, err) {
+    if (err instanceof VersionConflictError) return res.status(409).json(versionConflictBody(err.current));
+    if (err instanceof RequestValidationError) {
+      return res.status(err.status || 400).json({ ok: false, error: err.message });
+    }
+    console.error('[api] request failed:', err?.message || err);
+    return res.status(500).json({ ok: false, error: 'internal_error' });
+  }
+
+  async function loadOr404(req, res) {
+    const id = sanitizeIdParam(req.params.id, sanitizeInput);
+    const item = await loadReqItemById(req, id);
+    if (!item) {
+      res.status(404).json({ ok: false, error: 'Item not found' });
+      return null;
+    }
+    return item;
+  }
+
+  // List items with optional filters: list, status, context, area, tag
+  router.get('/api/v1/items', async (req, res) => {
+    try {
+      const filters = parseListFilters(req.query || {}, sanitizeInput);
+      let items;
+      if (filters.list) items = await loadReqItemsByList(req, filters.list);
+      else if (filters.status) items = await loadReqItemsByStatus(req, filters.status);
+      else items = ((await loadReqDb(req)).items || []).filter(i => !isTrashed(i));
+
+      const matching = items.filter(i => matchesFilters(i, filters));
+      return res.json({
+        ok: true,
+        total: matching.length,
+        items: matching.slice(filters.offset, filters.offset + filters.limit),
+      });
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.get('/api/v1/items/:id', async (req, res) => {
+    try {
+      const item = await loadOr404(req, res);
+      if (!item) return undefined;
+      // Send it back as If-Match (or "version") on PATCH/complete/move
+      res.set('ETag', `"${itemVersion(item)}"`);
+      return res.json({ ok: true, item });
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  // Create: same shape as /collect/add (+ optional destination and fields)
+  router.post('/api/v1/items', requireApiKey, async (req, res) => {
+    try {
+      const body = req.body || {};
+      const list = body.list
+        ? sanitizeEnumField(body.list, VALID_LISTS, sanitizeInput, 'list')
+        : 'collect';
+      const fields = sanitizeItemPatch(body, sanitizeInput, { ignore: ['list'] });
+      const input = fields.input || fields.title;
+      if (!input) throw new RequestValidationError('input is required');
+
+      if (list === 'collect') {
+        const recentDuplicate = await findRecentDuplicate(input, { owner: ownerForReq(req) });
+        if (recentDuplicate) return res.json({ ok: true, item: recentDuplicate, deduped: true });
+      }
+
+      const base = newItem({ input });
+      const patch = withListMeta(base, {
+        title: input,
+        kind: 'action',
+        ...fields,
+        list,
+        status: statusForList(list),
+      });
+      const item = updateItem(base, patch);
+      await saveReqItem(req, item);
+      return res.status(201).json({ ok: true, item, deduped: false });
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  // Patch editable fields; list/status changes go through /move and /complete
+  router.patch('/api/v1/items/:id', requireApiKey, async (req, res) => {
+    try {
+      const current = await loadOr404(req, res);
+      if (!current) return undefined;
+      assertItemVersion(current, readExpectedVersion(req));
+      const fields = sanitizeItemPatch(req.body, sanitizeInput);
+      if (!Object.keys(fields).length) throw new RequestValidationError('No fields to update');
+
+      const next = updateItem(current, withListMeta(current, fields));
+      await saveReqItem(req, next, { expectedVersion: itemVersion(current) });
+      return res.json({ ok: true, item: next });
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.delete('/api/v1/items/:id', requireApiKey, async (req, res) => {
+    try {
+      const current = await loadOr404(req, res);
+      if (!current) return undefined;
+      const trashed = await deleteReqItem(req, current.id);
+      const undo = isTrashed(current) ? null : await recordReqUndo(req, res, buildUndoEntry({
+        action: 'delete',
+        label: undoLabel('delete', current),
+        changes: [{ before: current, after: trashed }],
+      }));
+      return res.json({ ok: true, id: current.id, undo });
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.post('/api/v1/items/:id/complete', requireApiKey, async (req, res) => {
+    try {
+      const current = await loadOr404(req, res);
+      if (!current) return undefined;
+      const comment = sanitizeTextField(req.body?.comment, sanitizeInput, { field: 'comment', maxLen: 1000 });
+      if (current.status === 'done') return res.status(409).json({ ok: false, error: 'Item already completed', item: current });
+      assertItemVersion(current, readExpectedVersion(req));
+
+      const { completedPatch, nextPatch } = buildCompletion(current, { comment });
+      const next = updateItem(current, completedPatch);
+      await saveReqItem(req, next, { expectedVersion: itemVersion(current) });
+
+      // Recurring items spawn their next occurrence
+      let spawned = null;
+      if (nextPatch) {
+        spawned = updateItem(newItem({ input: current.input || current.title || '' }), nextPatch);
+        await saveReqItem(req, spawned);
+      }
+      const undo = await recordReqUndo(req, res, buildUndoEntry({
+        action: 'complete',
+        label: undoLabel('complete', current),
+        changes: [{ before: current, after: next }],
+        created: spawned ? [spawned] : [],
+      }));
+      return res.json({ ok: true, item: next, next: spawned, undo });
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  // Move: mirrors /collect/:id/send (any list, including back to collect)
+  router.post('/api/v1/items/:id/move', requireApiKey, async (req, res) => {
+    try {
+      const current = await loadOr404(req, res);
+      if (!current) return undefined;
+      assertItemVersion(current, readExpectedVersion(req));
+      const list = sanitizeEnumField(req.body?.list, VALID_LISTS, sanitizeInput, 'list');
+      const basePatch = { list, status: statusForList(list) };
+      if (req.body?.context) basePatch.context = sanitizeContextField(req.body.context, sanitizeInput);
+      if (req.body?.area) basePatch.area = sanitizeAreaField(req.body.area, sanitizeInput);
+
+      const next = updateItem(current, withListMeta(current, basePatch));
+      await saveReqItem(req, next, { expectedVersion: itemVersion(current) });
+      return res.json({ ok: true, item: next });
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  return router;
+}
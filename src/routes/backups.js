@@ -0,0 +1,67 @@
+import express from 'express';
+import { createBackupSnapshot, listBackups, loadBackup, looksLikeBackupId, restoreBackupSnapshot, BACKUP_KEEP } from '../../lib/backup-store.js';
+import { BACKUP_INTERVAL_HOURS, backupReasonLabel, diffBackup } from '../services/backup-service.js';
+import { listLabel } from '../services/gtd-service.js';
+
+// Restore points under /settings/backups: list, manual snapshot, diff against
+// the current items, restore and download as a regular JSON export.
+export function createBackupRoutes({ loadReqDb, requireApiKey, renderPage, ownerForReq }) {
+  const router = express.Router();
+
+  const FLASHES = {
+    created: 'Copia de seguridad creada.',
+    restored: 'Copia restaurada. Se guardó una copia del estado anterior por si necesitas volver.',
+  };
+
+  router.get('/settings/backups', async (req, res) => {
+    const backups = await listBackups({ owner: ownerForReq(req) });
+    return renderPage(res, 'settings/backups', {
+      title: 'Copias de seguridad',
+      backups: backups.map(b => ({ ...b, reasonLabel: backupReasonLabel(b.reason) })),
+      keep: BACKUP_KEEP,
+      intervalHours: BACKUP_INTERVAL_HOURS,
+      flash: FLASHES[req.query?.success] ? { success: FLASHES[req.query.success] } : null,
+    });
+  });
+
+  router.post('/settings/backups/create', requireApiKey, async (req, res) => {
+    if (req.auth?.apiToken) return res.status(403).json({ ok: false, error: 'Forbidden for API tokens' });
+    await createBackupSnapshot({ owner: ownerForReq(req), reason: 'manual' });
+    return res.redirect('/settings/backups?success=created');
+  });
+
+  router.get('/settings/backups/:id', async (req, res) => {
+    const id = String(req.params.id || '');
+    const backup = looksLikeBackupId(id) ? await loadBackup(id, { owner: ownerForReq(req) }) : null;
+    if (!backup) return res.redirect('/settings/backups');
+
+    const db = await loadReqDb(req);
+    return renderPage(res, 'settings/backup-diff', {
+      title: 'Comparar copia de seguridad',
+      backup: { ...backup, items: undefined, reasonLabel: backupReasonLabel(backup.reason) },
+      diff: diffBackup(db.items || [], backup.items || []),
+      listLabel,
+    });
+  });
+
+  router.post('/settings/backups/:id/restore', requireApiKey, async (req, res) => {
+    if (req.auth?.apiToken) return res.status(403).json({ ok: false, error: 'Forbidden for API tokens' });
+    const id = String(req.params.id || '');
+    if (!looksLikeBackupId(id)) return res.redirect('/settings/backups');
+    const restored = await restoreBackupSnapshot(id, { owner: ownerForReq(req) });
+    if (!restored) return res.redirect('/settings/backups');
+    return res.redirect('/settings/backups?success=restored');
+  });
+
+  // Same shape as /export/json, so a restore point can be re-imported anywhere
+  router.get('/settings/backups/:id/download', async (req, res) => {
+    const id = String(req.params.id || '');
+    const backup = looksLikeBackupId(id) ? await loadBackup(id, { owner: ownerForReq(req) }) : null;
+    if (!backup) return res.status(404).type('text').send('Not found');
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="gtd_neto_backup_${backup.id}.json"`);
+    return res.send(JSON.stringify({ version: 1, exportedAt: backup.createdAt, items: backup.items || [] }, null, 2));
+  });
+
+  return router;
+}
@@ -1,11 +1,22 @@
 import express from 'express';
 import Stripe from 'stripe';
 import { getUserSubscription, upsertSubscription } from '../../lib/store.js';
+import { sendMailSafely } from '../../lib/mailer.js';
 
 const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || '';
 const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || '';
 const STRIPE_PRICE_ID = process.env.STRIPE_PRICE_ID || '';
 
+function formatAmount(cents, currency) {
+  if (!Number.isFinite(cents) || !currency) return null;
+  return (cents / 100).toLocaleString('es', { style: 'currency', currency: String(currency).toUpperCase() });
+}
+
+function formatUnixDate(seconds) {
+  if (!seconds) return null;
+  return new Date(seconds * 1000).toLocaleDateString('es', { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC' });
+}
+
 export function createBillingRoutes({ renderPage, APP_URL }) {
   const router = express.Router();
   const stripe = STRIPE_SECRET_KEY ? new Stripe(STRIPE_SECRET_KEY) : null;
@@ -140,6 +151,7 @@ export function createBillingRoutes({ renderPage, APP_URL }) {
               stripe_subscription_id: obj.id,
               current_period_end: new Date(obj.current_period_end * 1000).toISOString(),
             });
+            await sendMailSafely('subscriptionCanceled', { to: customer.email, owner: userId, dedupeKey: `canceled:${obj.id}` });
           }
           console.info('[billing/webhook] subscription.deleted', { customerId, userId });
           break;
@@ -161,6 +173,17 @@ export function createBillingRoutes({ renderPage, APP_URL }) {
           const userId = customer.metadata?.user_id;
           if (userId) {
             await upsertSubscription(userId, { status: 'past_due' });
+            // One email per invoice, however many retries Stripe makes
+            await sendMailSafely('paymentFailed', {
+              to: customer.email,
+              owner: userId,
+              dedupeKey: `paymentFailed:${obj.id}`,
+              data: {
+                amount: formatAmount(obj.amount_due, obj.currency),
+                nextAttemptOn: formatUnixDate(obj.next_payment_attempt),
+                invoiceUrl: obj.hosted_invoice_url || null,
+              },
+            });
           }
           console.warn('[billing/webhook] invoice.payment_failed', { customerId, userId });
           break;
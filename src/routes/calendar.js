@@ -0,0 +1,51 @@
+import express from 'express';
+import { loadItemsForList } from '../../lib/store.js';
+import { findMetaByPayloadField, saveMetaRecord } from '../../lib/meta-store.js';
+import { shouldTouchLastUsed } from '../services/api-token-service.js';
+import { CALENDAR_LISTS, buildCalendar, hashCalendarToken, looksLikeCalendarToken } from '../services/ical-service.js';
+
+// Calendar subscription feed. Public path: the secret token in the URL is the
+// only credential, since calendar clients cannot send headers or cookies.
+export function createCalendarRoutes({ APP_URL }) {
+  const router = express.Router();
+
+  router.get('/calendar.ics', async (req, res) => {
+    const token = String(req.query?.token || '').trim();
+    if (!looksLikeCalendarToken(token)) return res.status(404).type('text').send('Not found');
+
+    let match;
+    try {
+      match = await findMetaByPayloadField('calendar_feed', 'tokenHash', hashCalendarToken(token));
+    } catch (err) {
+      console.error('[calendar] Feed lookup failed:', err.message);
+      return res.status(503).type('text').send('Calendar unavailable');
+    }
+    if (!match) return res.status(404).type('text').send('Not found');
+
+    const { owner, record } = match;
+    let lists;
+    try {
+      lists = await Promise.all(CALENDAR_LISTS.map(list => loadItemsForList(list, { owner })));
+    } catch (err) {
+      console.error('[calendar] Feed items failed:', err.message);
+      return res.status(503).type('text').send('Calendar unavailable');
+    }
+    const ics = buildCalendar(lists.flat(), {
+      includeCompleted: record.includeCompleted,
+      asTodos: record.asTodos,
+      appUrl: APP_URL,
+    });
+
+    if (shouldTouchLastUsed(record)) {
+      saveMetaRecord({ ...record, lastUsedAt: new Date().toISOString() }, 'calendar_feed', { owner })
+        .catch(err => console.error('[calendar] Failed to update lastUsedAt:', err.message));
+    }
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.setHeader('Content-Disposition', 'inline; filename="gtd_neto.ics"');
+    return res.send(ics);
+  });
+
+  return router;
+}
@@ -0,0 +1,72 @@
+import express from 'express';
+import { timingSafeEqual } from 'node:crypto';
+import { runScheduledNotifications } from '../../lib/push-store.js';
+import { mailTransport, runScheduledMail } from '../../lib/mailer.js';
+import { runScheduledDigests } from '../../lib/digest.js';
+import { purgeAllExpiredTrash } from '../../lib/store.js';
+
+function bearerMatches(header, secret) {
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(String(header || ''));
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// Scheduled jobs for Vercel Cron (vercel.json). Public paths authorized by
+// CRON_SECRET, which Vercel sends as a Bearer token; without the secret the
+// routes do not exist. Local servers run the same jobs on timers (server.js).
+export function createCronRoutes({ CRON_SECRET = '', vapid = null }) {
+  const router = express.Router();
+
+  router.use('/cron', (req, res, next) => {
+    if (!CRON_SECRET) return res.status(404).type('text').send('Not found');
+    if (!bearerMatches(req.get('authorization'), CRON_SECRET)) return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    return next();
+  });
+
+  router.get('/cron/notifications', async (req, res) => {
+    if (!vapid) return res.status(503).json({ ok: false, error: 'Push notifications are not configured' });
+    try {
+      const summary = await runScheduledNotifications({ vapid });
+      return res.json({ ok: true, ...summary });
+    } catch (err) {
+      console.error('[cron] Notifications failed:', err.message);
+      return res.status(500).json({ ok: false, error: 'Scheduler failed' });
+    }
+  });
+
+  router.get('/cron/mail', async (req, res) => {
+    if (!mailTransport()) return res.status(503).json({ ok: false, error: 'Mail is not configured' });
+    try {
+      const summary = await runScheduledMail();
+      return res.json({ ok: true, ...summary });
+    } catch (err) {
+      console.error('[cron] Mail failed:', err.message);
+      return res.status(500).json({ ok: false, error: 'Scheduler failed' });
+    }
+  });
+
+  // Hourly: each user's digest goes out at their own local hour
+  router.get('/cron/digest', async (req, res) => {
+    if (!mailTransport()) return res.status(503).json({ ok: false, error: 'Mail is not configured' });
+    try {
+      const summary = await runScheduledDigests();
+      return res.json({ ok: true, ...summary });
+    } catch (err) {
+      console.error('[cron] Digest failed:', err.message);
+      return res.status(500).json({ ok: false, error: 'Scheduler failed' });
+    }
+  });
+
+  // Daily: Papelera items past TRASH_RETENTION_DAYS, for every owner
+  router.get('/cron/trash', async (req, res) => {
+    try {
+      const summary = await purgeAllExpiredTrash();
+      return res.json({ ok: true, ...summary });
+    } catch (err) {
+      console.error('[cron] Trash purge failed:', err.message);
+      return res.status(500).json({ ok: false, error: 'Scheduler failed' });
+    }
+  });
+
+  return router;
+}
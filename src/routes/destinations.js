@@ -1,17 +1,63 @@
 import express from 'express';
-import { isStoreSupabaseMode, newItem, updateItem } from '../../lib/store.js';
-import { DESTINATIONS, SYSTEM_CONTEXTS, SYSTEM_AREAS, evaluateActionability, withHacerMeta, withDesglosarMeta, randomId } from '../services/gtd-service.js';
-import { RequestValidationError, sanitizeIdParam, sanitizeTextField, sanitizeIntegerField } from '../validators/request-validators.js';
+import { newItem, updateItem } from '../../lib/store.js';
+import { DESTINATIONS, VALID_LISTS, SYSTEM_CONTEXTS, SYSTEM_AREAS, evaluateActionability, withHacerMeta, withDesglosarMeta, randomId, listLabel } from '../services/gtd-service.js';
+import { RequestValidationError, sanitizeIdParam, sanitizeTextField, sanitizeIntegerField, sanitizeEnumField, sanitizeTagsField, sanitizeDateField, sanitizeBulkSelection, readExpectedVersion } from '../validators/request-validators.js';
 import { loadMetaByKind } from '../../lib/meta-store.js';
 import { getLastReviewInfo, calculateStreak } from '../services/weekly-review-service.js';
+import { buildCompletion, describeRecurrence, toDateKey } from '../services/recurrence-service.js';
+import { buildUndoEntry, undoLabel } from '../services/undo-service.js';
+import { BULK_ACTIONS, BULK_MAX_ITEMS, TAG_MODES, bulkLabel, bulkPatch } from '../services/bulk-service.js';
+import { CALENDAR_LISTS, buildCalendar } from '../services/ical-service.js';
+import { isTrashed } from '../../lib/trash.js';
+import { VersionConflictError, assertItemVersion, itemVersion } from '../../lib/item-version.js';
+import { convertExternalImport, summarizeImport } from '../services/import-adapters.js';
+import { IMPORT_MODES, mergeImportedItems } from '../services/import-merge.js';
+import { buildItemsCsv, buildMarkdownExport, buildProjectsOpml, buildWeeklySheet } from '../services/export-service.js';
+
+// Next occurrence of a recurring item: new id, same series
+function spawnOccurrence(current, nextPatch) {
+  return updateItem(newItem({ input: current.input || current.title || '' }), nextPatch);
+}
 
-export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReqItemsByStatus, loadReqItemById, saveReqDb, saveReqItem, deleteReqItem, requireApiKey, sanitizeInput, renderPage, APP_API_KEY, exportLimiter, validateAndNormalizeImportPayload, ImportValidationError }) {
+export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReqItemsByStatus, loadReqItemById, saveReqDb, saveReqItem, saveReqItems, deleteReqItem, recordReqUndo, createReqBackup, respondVersionConflict, requireApiKey, sanitizeInput, renderPage, APP_API_KEY, APP_URL, exportLimiter, validateAndNormalizeImportPayload, ImportValidationError }) {
   const router = express.Router();
 
+  function recordCompleteUndo(req, res, before, after, spawned = null) {
+    return recordReqUndo(req, res, buildUndoEntry({
+      action: 'complete',
+      label: undoLabel('complete', before),
+      changes: [{ before, after }],
+      created: spawned ? [spawned] : [],
+    }));
+  }
+
+  // Contexts and areas for the send forms (per-item in Collect, bulk bar in
+  // every list view) as res.locals.allContexts / allAreas
+  async function provideContextsAndAreas(req, res) {
+    try {
+      const owner = req.auth?.user?.id || process.env.SUPABASE_OWNER || 'default';
+      const [customContexts, customAreas] = await Promise.all([
+        loadMetaByKind('context', { owner }),
+        loadMetaByKind('area', { owner }),
+      ]);
+      res.locals.allContexts = [
+        ...SYSTEM_CONTEXTS,
+        ...customContexts.map(c => c.value).filter(Boolean),
+      ];
+      res.locals.allAreas = [
+        ...SYSTEM_AREAS,
+        ...customAreas.map(a => a.value).filter(Boolean),
+      ];
+    } catch {
+      res.locals.allContexts = SYSTEM_CONTEXTS;
+      res.locals.allAreas = SYSTEM_AREAS;
+    }
+  }
+
   // Dashboard
   router.get('/', async (req, res) => {
     const db = await loadReqDb(req);
-    const items = db.items || [];
+    const items = (db.items || []).filter(i => !isTrashed(i));
 
     const counts = items.reduce((acc, item) => {
       if (item.status === 'done') {
@@ -58,24 +104,7 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
         .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
 
       // Provide contexts and areas for the send form
-      try {
-        const owner = req.auth?.user?.id || process.env.SUPABASE_OWNER || 'default';
-        const [customContexts, customAreas] = await Promise.all([
-          loadMetaByKind('context', { owner }),
-          loadMetaByKind('area', { owner }),
-        ]);
-        res.locals.allContexts = [
-          ...SYSTEM_CONTEXTS,
-          ...customContexts.map(c => c.value).filter(Boolean),
-        ];
-        res.locals.allAreas = [
-          ...SYSTEM_AREAS,
-          ...customAreas.map(a => a.value).filter(Boolean),
-        ];
-      } catch {
-        res.locals.allContexts = SYSTEM_CONTEXTS;
-        res.locals.allAreas = SYSTEM_AREAS;
-      }
+      await provideContextsAndAreas(req, res);
 
       return await renderPage(res, 'collect', {
         title: 'Collect',
@@ -101,11 +130,18 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
     const area = String(req.query?.area || '');
 
     let items = (await loadReqItemsByList(req, 'hacer', { excludeDone: true }))
-      .map(i => ({ ...i, ...withHacerMeta(i) }));
+      .map(i => ({ ...i, ...withHacerMeta(i), recurrenceLabel: describeRecurrence(i.recurrence) }));
 
     if (context) items = items.filter(i => i.context === context);
     if (area) items = items.filter(i => i.area === area);
 
+    // Future occurrences of recurring actions stay out of the list until their day
+    const today = toDateKey(new Date());
+    const upcomingItems = items
+      .filter(i => i.scheduledFor && i.scheduledFor > today)
+      .sort((a, b) => String(a.scheduledFor).localeCompare(String(b.scheduledFor)));
+    items = items.filter(i => !(i.scheduledFor && i.scheduledFor > today));
+
     items = items.sort((a, b) => {
       const byUrgency = Number(b.urgency || 0) - Number(a.urgency || 0);
       if (byUrgency !== 0) return byUrgency;
@@ -114,9 +150,12 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
 
     const totalEstimateMin = items.reduce((sum, i) => sum + Number(i.estimateMin || 0), 0);
 
+    await provideContextsAndAreas(req, res);
     return renderPage(res, 'hacer', {
       title: 'Hacer',
       items,
+      destinations: DESTINATIONS,
+      upcomingItems,
       totalEstimateMin,
       needApiKey: Boolean(APP_API_KEY),
       activeContext: context,
@@ -128,34 +167,20 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
   router.post('/hacer/:id/update', requireApiKey, async (req, res) => {
     try {
       const id = sanitizeIdParam(req.params.id, sanitizeInput);
-      if (isStoreSupabaseMode()) {
-        const current = await loadReqItemById(req, id);
-        if (!current || current.list !== 'hacer') return res.redirect('/hacer');
-        const patch = {
-          title: sanitizeTextField(req.body?.title || current.title || current.input || '', sanitizeInput, { field: 'title', required: true, maxLen: 280 }),
-          urgency: sanitizeIntegerField(req.body?.urgency ?? current.urgency ?? 3, { field: 'urgency', min: 1, max: 5, fallback: 3 }),
-          importance: sanitizeIntegerField(req.body?.importance ?? current.importance ?? 3, { field: 'importance', min: 1, max: 5, fallback: 3 }),
-          estimateMin: sanitizeIntegerField(req.body?.estimateMin ?? current.estimateMin ?? 10, { field: 'estimateMin', min: 1, max: 600, fallback: 10 }),
-        };
-        const next = updateItem(current, withHacerMeta(current, patch));
-        await saveReqItem(req, next);
-        return res.redirect('/hacer');
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id && i.list === 'hacer');
-      if (idx === -1) return res.redirect('/hacer');
-      const current = db.items[idx];
+      const current = await loadReqItemById(req, id);
+      if (!current || current.list !== 'hacer') return res.redirect('/hacer');
+      assertItemVersion(current, readExpectedVersion(req));
       const patch = {
         title: sanitizeTextField(req.body?.title || current.title || current.input || '', sanitizeInput, { field: 'title', required: true, maxLen: 280 }),
         urgency: sanitizeIntegerField(req.body?.urgency ?? current.urgency ?? 3, { field: 'urgency', min: 1, max: 5, fallback: 3 }),
         importance: sanitizeIntegerField(req.body?.importance ?? current.importance ?? 3, { field: 'importance', min: 1, max: 5, fallback: 3 }),
         estimateMin: sanitizeIntegerField(req.body?.estimateMin ?? current.estimateMin ?? 10, { field: 'estimateMin', min: 1, max: 600, fallback: 10 }),
       };
-      db.items[idx] = updateItem(current, withHacerMeta(current, patch));
-      await saveReqItem(req, db.items[idx], db);
+      const next = updateItem(current, withHacerMeta(current, patch));
+      await saveReqItem(req, next, { expectedVersion: itemVersion(current) });
       return res.redirect('/hacer');
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.redirect('/hacer');
       throw err;
     }
@@ -167,21 +192,18 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
       const id = sanitizeIdParam(req.params.id, sanitizeInput);
       const comment = sanitizeInput(String(req.body?.comment || ''));
 
-      if (isStoreSupabaseMode()) {
-        const current = await loadReqItemById(req, id);
-        if (!current || current.list !== 'hacer') return res.redirect('/hacer');
-        const next = updateItem(current, { status: 'done', completedAt: new Date().toISOString(), completionComment: comment || null });
-        await saveReqItem(req, next);
-        return res.redirect('/hacer');
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id && i.list === 'hacer');
-      if (idx === -1) return res.redirect('/hacer');
-      db.items[idx] = updateItem(db.items[idx], { status: 'done', completedAt: new Date().toISOString(), completionComment: comment || null });
-      await saveReqItem(req, db.items[idx], db);
+      const current = await loadReqItemById(req, id);
+      if (!current || current.list !== 'hacer') return res.redirect('/hacer');
+      assertItemVersion(current, readExpectedVersion(req));
+      const { completedPatch, nextPatch } = buildCompletion(current, { comment });
+      const completed = updateItem(current, completedPatch);
+      const spawned = nextPatch ? spawnOccurrence(current, nextPatch) : null;
+      await saveReqItem(req, completed, { expectedVersion: itemVersion(current) });
+      if (spawned) await saveReqItem(req, spawned);
+      await recordCompleteUndo(req, res, current, completed, spawned);
       return res.redirect('/hacer');
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.redirect('/hacer');
       throw err;
     }
@@ -189,12 +211,22 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
 
   // Terminado view
   router.get('/terminado', async (req, res) => {
-    const items = (await loadReqItemsByStatus(req, 'done'))
+    const series = String(req.query?.series || '');
+    let items = (await loadReqItemsByStatus(req, 'done'))
       .sort((a, b) => String(b.completedAt || b.updatedAt || '').localeCompare(String(a.completedAt || a.updatedAt || '')));
 
+    // Completed occurrences per recurring series
+    const seriesCounts = {};
+    for (const it of items) {
+      if (it.seriesId) seriesCounts[it.seriesId] = (seriesCounts[it.seriesId] || 0) + 1;
+    }
+    if (series) items = items.filter(i => i.seriesId === series);
+
     return renderPage(res, 'terminado', {
       title: 'Terminado',
       items,
+      seriesCounts,
+      activeSeries: series && items.length ? { id: series, title: items[0].title || items[0].input, label: describeRecurrence(items[0].recurrence) } : null,
       needApiKey: Boolean(APP_API_KEY),
     });
   });
@@ -205,20 +237,13 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
       const id = sanitizeIdParam(req.params.id, sanitizeInput);
       const comment = sanitizeInput(String(req.body?.completionComment || ''));
 
-      if (isStoreSupabaseMode()) {
-        const current = await loadReqItemById(req, id);
-        if (!current || current.status !== 'done') return res.redirect('/terminado');
-        await saveReqItem(req, updateItem(current, { completionComment: comment || null }));
-        return res.redirect('/terminado');
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id && i.status === 'done');
-      if (idx === -1) return res.redirect('/terminado');
-      db.items[idx] = updateItem(db.items[idx], { completionComment: comment || null });
-      await saveReqItem(req, db.items[idx], db);
+      const current = await loadReqItemById(req, id);
+      if (!current || current.status !== 'done') return res.redirect('/terminado');
+      assertItemVersion(current, readExpectedVersion(req));
+      await saveReqItem(req, updateItem(current, { completionComment: comment || null }), { expectedVersion: itemVersion(current) });
       return res.redirect('/terminado');
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.redirect('/terminado');
       throw err;
     }
@@ -230,7 +255,7 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
     const area = String(req.query?.area || '');
 
     let items = (await loadReqItemsByList(req, 'agendar', { excludeDone: true }))
-      .map(i => ({ ...i, ...evaluateActionability(i.title || i.input || '') }));
+      .map(i => ({ ...i, ...evaluateActionability(i.title || i.input || ''), recurrenceLabel: describeRecurrence(i.recurrence) }));
 
     if (context) items = items.filter(i => i.context === context);
     if (area) items = items.filter(i => i.area === area);
@@ -243,9 +268,11 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
 
     const totalEstimateMin = items.reduce((sum, i) => sum + Number(i.estimateMin || 0), 0);
 
+    await provideContextsAndAreas(req, res);
     return renderPage(res, 'agendar', {
       title: 'Agendar',
       items,
+      destinations: DESTINATIONS,
       totalEstimateMin,
       needApiKey: Boolean(APP_API_KEY),
       activeContext: context,
@@ -259,23 +286,14 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
       const id = sanitizeIdParam(req.params.id, sanitizeInput);
       const scheduledFor = sanitizeInput(String(req.body?.scheduledFor || ''));
 
-      if (isStoreSupabaseMode()) {
-        const current = await loadReqItemById(req, id);
-        if (!current || current.list !== 'agendar') return res.redirect('/agendar');
-        const title = sanitizeInput(String(req.body?.title || current.title || current.input || ''));
-        await saveReqItem(req, updateItem(current, { title, scheduledFor: scheduledFor || null }));
-        return res.redirect('/agendar');
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id && i.list === 'agendar');
-      if (idx === -1) return res.redirect('/agendar');
-      const current = db.items[idx];
+      const current = await loadReqItemById(req, id);
+      if (!current || current.list !== 'agendar') return res.redirect('/agendar');
+      assertItemVersion(current, readExpectedVersion(req));
       const title = sanitizeInput(String(req.body?.title || current.title || current.input || ''));
-      db.items[idx] = updateItem(current, { title, scheduledFor: scheduledFor || null });
-      await saveReqItem(req, db.items[idx], db);
+      await saveReqItem(req, updateItem(current, { title, scheduledFor: scheduledFor || null }), { expectedVersion: itemVersion(current) });
       return res.redirect('/agendar');
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.redirect('/agendar');
       throw err;
     }
@@ -286,20 +304,18 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
     try {
       const id = sanitizeIdParam(req.params.id, sanitizeInput);
 
-      if (isStoreSupabaseMode()) {
-        const current = await loadReqItemById(req, id);
-        if (!current || current.list !== 'agendar') return res.redirect('/agendar');
-        await saveReqItem(req, updateItem(current, { status: 'done', completedAt: new Date().toISOString(), completionComment: null }));
-        return res.redirect('/agendar');
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id && i.list === 'agendar');
-      if (idx === -1) return res.redirect('/agendar');
-      db.items[idx] = updateItem(db.items[idx], { status: 'done', completedAt: new Date().toISOString(), completionComment: null });
-      await saveReqItem(req, db.items[idx], db);
+      const current = await loadReqItemById(req, id);
+      if (!current || current.list !== 'agendar') return res.redirect('/agendar');
+      assertItemVersion(current, readExpectedVersion(req));
+      const { completedPatch, nextPatch } = buildCompletion(current);
+      const completed = updateItem(current, completedPatch);
+      const spawned = nextPatch ? spawnOccurrence(current, nextPatch) : null;
+      await saveReqItem(req, completed, { expectedVersion: itemVersion(current) });
+      if (spawned) await saveReqItem(req, spawned);
+      await recordCompleteUndo(req, res, current, completed, spawned);
       return res.redirect('/agendar');
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.redirect('/agendar');
       throw err;
     }
@@ -318,6 +334,7 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
         ...i,
         delegatedTo: String(i.delegatedTo || '').trim(),
         delegatedFor: String(i.delegatedFor || '').trim(),
+        daysWaiting: i.movedToListAt ? Math.max(0, Math.floor((Date.now() - Date.parse(i.movedToListAt)) / 86400000)) : null,
       }))
       .filter(i => !ownerFilter || i.delegatedTo.toLowerCase().includes(ownerFilter));
 
@@ -340,9 +357,11 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
 
     const totalEstimateMin = items.reduce((sum, i) => sum + Number(i.estimateMin || 0), 0);
 
+    await provideContextsAndAreas(req, res);
     return renderPage(res, 'delegar', {
       title: 'Delegar',
       items,
+      destinations: DESTINATIONS,
       groups,
       groupBy,
       ownerFilter: String(req.query?.owner || ''),
@@ -363,23 +382,14 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
 
       if (!delegatedFor || !delegatedTo) return res.redirect('/delegar?error=missing_fields');
 
-      if (isStoreSupabaseMode()) {
-        const current = await loadReqItemById(req, id);
-        if (!current || current.list !== 'delegar') return res.redirect('/delegar?error=not_found');
-        const title = sanitizeInput(String(req.body?.title || current.title || current.input || ''));
-        await saveReqItem(req, updateItem(current, { title, delegatedFor, delegatedTo }));
-        return res.redirect('/delegar');
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id && i.list === 'delegar');
-      if (idx === -1) return res.redirect('/delegar?error=not_found');
-      const current = db.items[idx];
+      const current = await loadReqItemById(req, id);
+      if (!current || current.list !== 'delegar') return res.redirect('/delegar?error=not_found');
+      assertItemVersion(current, readExpectedVersion(req));
       const title = sanitizeInput(String(req.body?.title || current.title || current.input || ''));
-      db.items[idx] = updateItem(current, { title, delegatedFor, delegatedTo });
-      await saveReqItem(req, db.items[idx], db);
+      await saveReqItem(req, updateItem(current, { title, delegatedFor, delegatedTo }), { expectedVersion: itemVersion(current) });
       return res.redirect('/delegar');
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.redirect('/delegar?error=missing_fields');
       throw err;
     }
@@ -413,27 +423,17 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
     try {
       const id = sanitizeIdParam(req.params.id, sanitizeInput);
 
-      if (isStoreSupabaseMode()) {
-        const currentRaw = await loadReqItemById(req, id);
-        if (!currentRaw || currentRaw.list !== 'desglosar') return res.redirect('/desglosar');
-        const current = withDesglosarMeta(currentRaw);
-        const title = sanitizeInput(String(req.body?.title || current.title || current.input || ''));
-        const objective = sanitizeInput(String(req.body?.objective || current.objective || ''));
-        const next = updateItem(currentRaw, withDesglosarMeta(currentRaw, { title, objective }));
-        await saveReqItem(req, next);
-        return res.redirect('/desglosar');
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id && i.list === 'desglosar');
-      if (idx === -1) return res.redirect('/desglosar');
-      const current = withDesglosarMeta(db.items[idx]);
+      const currentRaw = await loadReqItemById(req, id);
+      if (!currentRaw || currentRaw.list !== 'desglosar') return res.redirect('/desglosar');
+      assertItemVersion(currentRaw, readExpectedVersion(req));
+      const current = withDesglosarMeta(currentRaw);
       const title = sanitizeInput(String(req.body?.title || current.title || current.input || ''));
       const objective = sanitizeInput(String(req.body?.objective || current.objective || ''));
-      db.items[idx] = updateItem(current, withDesglosarMeta(current, { title, objective }));
-      await saveReqItem(req, db.items[idx], db);
+      const next = updateItem(currentRaw, withDesglosarMeta(currentRaw, { title, objective }));
+      await saveReqItem(req, next, { expectedVersion: itemVersion(currentRaw) });
       return res.redirect('/desglosar');
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.redirect('/desglosar');
       throw err;
     }
@@ -446,25 +446,16 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
       const text = sanitizeInput(String(req.body?.subtask || ''));
       if (!text) return res.redirect('/desglosar');
 
-      if (isStoreSupabaseMode()) {
-        const currentRaw = await loadReqItemById(req, id);
-        if (!currentRaw || currentRaw.list !== 'desglosar') return res.redirect('/desglosar');
-        const current = withDesglosarMeta(currentRaw);
-        const subtasks = [...(current.subtasks || []), { id: randomId(), text, status: 'open' }];
-        const next = updateItem(currentRaw, withDesglosarMeta(currentRaw, { subtasks }));
-        await saveReqItem(req, next);
-        return res.redirect('/desglosar');
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id && i.list === 'desglosar');
-      if (idx === -1) return res.redirect('/desglosar');
-      const current = withDesglosarMeta(db.items[idx]);
+      const currentRaw = await loadReqItemById(req, id);
+      if (!currentRaw || currentRaw.list !== 'desglosar') return res.redirect('/desglosar');
+      assertItemVersion(currentRaw, readExpectedVersion(req));
+      const current = withDesglosarMeta(currentRaw);
       const subtasks = [...(current.subtasks || []), { id: randomId(), text, status: 'open' }];
-      db.items[idx] = updateItem(current, withDesglosarMeta(current, { subtasks }));
-      await saveReqItem(req, db.items[idx], db);
+      const next = updateItem(currentRaw, withDesglosarMeta(currentRaw, { subtasks }));
+      await saveReqItem(req, next, { expectedVersion: itemVersion(currentRaw) });
       return res.redirect('/desglosar');
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.redirect('/desglosar');
       throw err;
     }
@@ -478,31 +469,10 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
       const destination = String(req.body?.destination || '');
       if (!['hacer', 'agendar', 'delegar'].includes(destination)) return res.redirect('/desglosar');
 
-      if (isStoreSupabaseMode()) {
-        const currentRaw = await loadReqItemById(req, id);
-        if (!currentRaw || currentRaw.list !== 'desglosar') return res.redirect('/desglosar');
-        const current = withDesglosarMeta(currentRaw);
-        const subtasks = [...(current.subtasks || [])];
-        const subIdx = subtasks.findIndex(s => String(s.id) === subId);
-        if (subIdx === -1) return res.redirect('/desglosar');
-        const subtask = subtasks[subIdx];
-        const text = String(subtask.text || '').trim();
-        if (!text) return res.redirect('/desglosar');
-        const base = newItem({ input: text });
-        const sourceProjectTitle = String(current.title || currentRaw.input || '').trim();
-        let newTask = updateItem(base, { title: text, kind: 'action', list: destination, status: 'processed', sourceProjectId: id, sourceSubtaskId: subId, sourceProjectTitle });
-        if (destination === 'hacer') newTask = updateItem(newTask, withHacerMeta(newTask));
-        subtasks[subIdx] = { ...subtask, status: 'sent', sentTo: destination, sentItemId: newTask.id };
-        const updatedProject = updateItem(currentRaw, withDesglosarMeta(currentRaw, { subtasks }));
-        await saveReqItem(req, updatedProject);
-        await saveReqItem(req, newTask);
-        return res.redirect('/desglosar');
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id && i.list === 'desglosar');
-      if (idx === -1) return res.redirect('/desglosar');
-      const current = withDesglosarMeta(db.items[idx]);
+      const currentRaw = await loadReqItemById(req, id);
+      if (!currentRaw || currentRaw.list !== 'desglosar') return res.redirect('/desglosar');
+      assertItemVersion(currentRaw, readExpectedVersion(req));
+      const current = withDesglosarMeta(currentRaw);
       const subtasks = [...(current.subtasks || [])];
       const subIdx = subtasks.findIndex(s => String(s.id) === subId);
       if (subIdx === -1) return res.redirect('/desglosar');
@@ -510,15 +480,16 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
       const text = String(subtask.text || '').trim();
       if (!text) return res.redirect('/desglosar');
       const base = newItem({ input: text });
-      const sourceProjectTitle = String(current.title || db.items[idx].input || '').trim();
+      const sourceProjectTitle = String(current.title || currentRaw.input || '').trim();
       let newTask = updateItem(base, { title: text, kind: 'action', list: destination, status: 'processed', sourceProjectId: id, sourceSubtaskId: subId, sourceProjectTitle });
       if (destination === 'hacer') newTask = updateItem(newTask, withHacerMeta(newTask));
       subtasks[subIdx] = { ...subtask, status: 'sent', sentTo: destination, sentItemId: newTask.id };
-      db.items[idx] = updateItem(current, withDesglosarMeta(current, { subtasks }));
-      db.items = [newTask, ...(db.items || [])];
-      await saveReqDb(req, db);
+      const updatedProject = updateItem(currentRaw, withDesglosarMeta(currentRaw, { subtasks }));
+      await saveReqItem(req, updatedProject, { expectedVersion: itemVersion(currentRaw) });
+      await saveReqItem(req, newTask);
       return res.redirect('/desglosar');
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.redirect('/desglosar');
       throw err;
     }
@@ -530,31 +501,19 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
       const id = sanitizeIdParam(req.params.id, sanitizeInput);
       const subId = sanitizeIdParam(req.params.subId, sanitizeInput);
 
-      if (isStoreSupabaseMode()) {
-        const currentRaw = await loadReqItemById(req, id);
-        if (!currentRaw || currentRaw.list !== 'desglosar') return res.redirect('/desglosar');
-        const current = withDesglosarMeta(currentRaw);
-        const subtasks = [...(current.subtasks || [])];
-        const subIdx = subtasks.findIndex(s => String(s.id) === subId);
-        if (subIdx === -1) return res.redirect('/desglosar');
-        subtasks[subIdx] = { ...subtasks[subIdx], status: 'done', completedAt: new Date().toISOString() };
-        const next = updateItem(currentRaw, withDesglosarMeta(currentRaw, { subtasks }));
-        await saveReqItem(req, next);
-        return res.redirect('/desglosar');
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id && i.list === 'desglosar');
-      if (idx === -1) return res.redirect('/desglosar');
-      const current = withDesglosarMeta(db.items[idx]);
+      const currentRaw = await loadReqItemById(req, id);
+      if (!currentRaw || currentRaw.list !== 'desglosar') return res.redirect('/desglosar');
+      assertItemVersion(currentRaw, readExpectedVersion(req));
+      const current = withDesglosarMeta(currentRaw);
       const subtasks = [...(current.subtasks || [])];
       const subIdx = subtasks.findIndex(s => String(s.id) === subId);
       if (subIdx === -1) return res.redirect('/desglosar');
       subtasks[subIdx] = { ...subtasks[subIdx], status: 'done', completedAt: new Date().toISOString() };
-      db.items[idx] = updateItem(current, withDesglosarMeta(current, { subtasks }));
-      await saveReqItem(req, db.items[idx], db);
+      const next = updateItem(currentRaw, withDesglosarMeta(currentRaw, { subtasks }));
+      await saveReqItem(req, next, { expectedVersion: itemVersion(currentRaw) });
       return res.redirect('/desglosar');
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.redirect('/desglosar');
       throw err;
     }
@@ -568,33 +527,20 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
       const text = sanitizeInput(String(req.body?.subtaskText || '')).trim();
       if (!text || text.length > 280) return res.redirect('/desglosar');
 
-      if (isStoreSupabaseMode()) {
-        const currentRaw = await loadReqItemById(req, id);
-        if (!currentRaw || currentRaw.list !== 'desglosar') return res.redirect('/desglosar');
-        const current = withDesglosarMeta(currentRaw);
-        const subtasks = [...(current.subtasks || [])];
-        const subIdx = subtasks.findIndex(s => String(s.id) === subId);
-        if (subIdx === -1) return res.redirect('/desglosar');
-        if (subtasks[subIdx].status === 'sent') return res.redirect('/desglosar');
-        subtasks[subIdx] = { ...subtasks[subIdx], text };
-        const next = updateItem(currentRaw, withDesglosarMeta(currentRaw, { subtasks }));
-        await saveReqItem(req, next);
-        return res.redirect('/desglosar');
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id && i.list === 'desglosar');
-      if (idx === -1) return res.redirect('/desglosar');
-      const current = withDesglosarMeta(db.items[idx]);
+      const currentRaw = await loadReqItemById(req, id);
+      if (!currentRaw || currentRaw.list !== 'desglosar') return res.redirect('/desglosar');
+      assertItemVersion(currentRaw, readExpectedVersion(req));
+      const current = withDesglosarMeta(currentRaw);
       const subtasks = [...(current.subtasks || [])];
       const subIdx = subtasks.findIndex(s => String(s.id) === subId);
       if (subIdx === -1) return res.redirect('/desglosar');
       if (subtasks[subIdx].status === 'sent') return res.redirect('/desglosar');
       subtasks[subIdx] = { ...subtasks[subIdx], text };
-      db.items[idx] = updateItem(current, withDesglosarMeta(current, { subtasks }));
-      await saveReqItem(req, db.items[idx], db);
+      const next = updateItem(currentRaw, withDesglosarMeta(currentRaw, { subtasks }));
+      await saveReqItem(req, next, { expectedVersion: itemVersion(currentRaw) });
       return res.redirect('/desglosar');
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.redirect('/desglosar');
       throw err;
     }
@@ -606,25 +552,16 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
       const id = sanitizeIdParam(req.params.id, sanitizeInput);
       const subId = sanitizeIdParam(req.params.subId, sanitizeInput);
 
-      if (isStoreSupabaseMode()) {
-        const currentRaw = await loadReqItemById(req, id);
-        if (!currentRaw || currentRaw.list !== 'desglosar') return res.redirect('/desglosar');
-        const current = withDesglosarMeta(currentRaw);
-        const subtasks = (current.subtasks || []).filter(s => String(s.id) !== subId);
-        const next = updateItem(currentRaw, withDesglosarMeta(currentRaw, { subtasks }));
-        await saveReqItem(req, next);
-        return res.redirect('/desglosar');
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id && i.list === 'desglosar');
-      if (idx === -1) return res.redirect('/desglosar');
-      const current = withDesglosarMeta(db.items[idx]);
+      const currentRaw = await loadReqItemById(req, id);
+      if (!currentRaw || currentRaw.list !== 'desglosar') return res.redirect('/desglosar');
+      assertItemVersion(currentRaw, readExpectedVersion(req));
+      const current = withDesglosarMeta(currentRaw);
       const subtasks = (current.subtasks || []).filter(s => String(s.id) !== subId);
-      db.items[idx] = updateItem(current, withDesglosarMeta(current, { subtasks }));
-      await saveReqItem(req, db.items[idx], db);
+      const next = updateItem(currentRaw, withDesglosarMeta(currentRaw, { subtasks }));
+      await saveReqItem(req, next, { expectedVersion: itemVersion(currentRaw) });
       return res.redirect('/desglosar');
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.redirect('/desglosar');
       throw err;
     }
@@ -635,20 +572,15 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
     try {
       const id = sanitizeIdParam(req.params.id, sanitizeInput);
 
-      if (isStoreSupabaseMode()) {
-        const current = await loadReqItemById(req, id);
-        if (!current || current.list !== 'desglosar') return res.redirect('/desglosar');
-        await saveReqItem(req, updateItem(current, { status: 'done', completedAt: new Date().toISOString() }));
-        return res.redirect('/desglosar');
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id && i.list === 'desglosar');
-      if (idx === -1) return res.redirect('/desglosar');
-      db.items[idx] = updateItem(db.items[idx], { status: 'done', completedAt: new Date().toISOString() });
-      await saveReqItem(req, db.items[idx], db);
+      const current = await loadReqItemById(req, id);
+      if (!current || current.list !== 'desglosar') return res.redirect('/desglosar');
+      assertItemVersion(current, readExpectedVersion(req));
+      const completed = updateItem(current, { status: 'done', completedAt: new Date().toISOString() });
+      await saveReqItem(req, completed, { expectedVersion: itemVersion(current) });
+      await recordCompleteUndo(req, res, current, completed);
       return res.redirect('/desglosar');
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.redirect('/desglosar');
       throw err;
     }
@@ -659,10 +591,12 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
     const items = (await loadReqItemsByList(req, 'someday', { excludeDone: true }))
       .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
 
+    await provideContextsAndAreas(req, res);
     return renderPage(res, 'destination', {
       title: 'Algún Día / Tal Vez',
       section: { key: 'someday', label: 'Algún Día / Tal Vez', hint: 'Ideas y proyectos para el futuro' },
       items,
+      destinations: DESTINATIONS,
       isSomeday: true,
       needApiKey: Boolean(APP_API_KEY),
     });
@@ -673,29 +607,122 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
     try {
       const id = sanitizeIdParam(req.params.id, sanitizeInput);
 
-      if (isStoreSupabaseMode()) {
-        const current = await loadReqItemById(req, id);
-        if (!current || current.list !== 'someday') return res.redirect('/someday');
-        await saveReqItem(req, updateItem(current, { list: 'collect', status: 'unprocessed' }));
-        return res.redirect('/collect');
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id && i.list === 'someday');
-      if (idx === -1) return res.redirect('/someday');
-      db.items[idx] = updateItem(db.items[idx], { list: 'collect', status: 'unprocessed' });
-      await saveReqItem(req, db.items[idx], db);
+      const current = await loadReqItemById(req, id);
+      if (!current || current.list !== 'someday') return res.redirect('/someday');
+      assertItemVersion(current, readExpectedVersion(req));
+      await saveReqItem(req, updateItem(current, { list: 'collect', status: 'unprocessed' }), { expectedVersion: itemVersion(current) });
       return res.redirect('/collect');
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.redirect('/someday');
       throw err;
     }
   });
 
+  function readBulkOptions(action, body) {
+    if (action === 'send') {
+      return {
+        destination: sanitizeEnumField(body?.destination, DESTINATIONS.map(d => d.key), sanitizeInput, 'destination'),
+        context: sanitizeInput(String(body?.context || '')) || null,
+        area: sanitizeInput(String(body?.area || '')) || null,
+      };
+    }
+    if (action === 'tag') {
+      const tags = sanitizeTagsField(body?.tags, sanitizeInput);
+      const tagMode = sanitizeEnumField(body?.tagMode || 'add', TAG_MODES, sanitizeInput, 'tagMode');
+      if (!tags.length && tagMode !== 'replace') throw new RequestValidationError('tags is required');
+      return { tags, tagMode };
+    }
+    if (action === 'reschedule') {
+      const date = sanitizeDateField(body?.date, sanitizeInput, 'date');
+      if (!date) throw new RequestValidationError('date is required');
+      return { date };
+    }
+    return {};
+  }
+
+  // List views: bulk send / complete / tag / delete / reschedule. Items the
+  // action does not apply to are skipped; items edited since the page loaded
+  // (versions[] sent by the client, or a save racing this one) are reported
+  // and left untouched. Everything else is written in one batch.
+  router.post('/items/bulk', requireApiKey, async (req, res) => {
+    const wantsJson = String(req.get('accept') || '').includes('application/json');
+    const list = String(req.body?.list || '');
+    const backHref = VALID_LISTS.includes(list) ? `/${list}` : 'back';
+    try {
+      const action = sanitizeEnumField(req.body?.action, BULK_ACTIONS, sanitizeInput, 'action');
+      const selection = sanitizeBulkSelection(req.body, sanitizeInput, { max: BULK_MAX_ITEMS });
+      const options = readBulkOptions(action, req.body);
+
+      const byId = new Map(((await loadReqDb(req)).items || []).map(i => [i.id, i]));
+      const now = new Date();
+      const changes = [];
+      const nextPatches = new Map();
+      const conflicts = [];
+      const expectedVersions = new Map();
+      let skipped = 0;
+      for (const { id, version } of selection) {
+        const current = byId.get(id);
+        const planned = current ? bulkPatch(current, action, options, { now }) : null;
+        if (!planned) {
+          skipped += 1;
+          continue;
+        }
+        if (version != null && itemVersion(current) !== version) {
+          conflicts.push(current);
+          continue;
+        }
+        changes.push({ before: current, after: updateItem(current, planned.patch) });
+        expectedVersions.set(id, itemVersion(current));
+        if (planned.nextPatch) nextPatches.set(id, planned.nextPatch);
+      }
+
+      const result = await saveReqItems(req, changes.map(c => c.after), { expectedVersions });
+      conflicts.push(...result.conflicts);
+      const saved = new Set(result.saved);
+      const applied = changes.filter(c => saved.has(c.after.id));
+
+      // Next occurrences only for the recurring items that were completed
+      const spawned = applied
+        .filter(c => nextPatches.has(c.before.id))
+        .map(c => spawnOccurrence(c.before, nextPatches.get(c.before.id)));
+      if (spawned.length) await saveReqItems(req, spawned);
+
+      let undo = null;
+      if (applied.length) {
+        const toLabel = action === 'send' ? DESTINATIONS.find(d => d.key === options.destination)?.label : null;
+        undo = await recordReqUndo(req, res, buildUndoEntry({
+          action,
+          label: bulkLabel(action, applied.length, { toLabel, conflicts: conflicts.length }),
+          changes: applied,
+          created: spawned,
+        }));
+      }
+
+      if (wantsJson) {
+        return res.json({
+          ok: true,
+          updated: applied.map(c => c.after.id),
+          created: spawned.map(i => i.id),
+          skipped,
+          conflicts: conflicts.map(c => ({ id: c.id, version: itemVersion(c) })),
+          undo,
+        });
+      }
+      return res.redirect(backHref);
+    } catch (err) {
+      if (err instanceof RequestValidationError) {
+        if (wantsJson) return res.status(err.status || 400).json({ ok: false, error: err.message });
+        return res.redirect(backHref);
+      }
+      throw err;
+    }
+  });
+
   // Stats
   router.get('/stats', async (req, res) => {
     const db = await loadReqDb(req);
-    const items = db.items || [];
+    const items = (db.items || []).filter(i => !isTrashed(i));
 
     const now = new Date();
     const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
@@ -775,29 +802,136 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
   // Export CSV
   router.get('/export/csv', exportLimiter, async (req, res) => {
     const db = await loadReqDb(req);
-    const items = db.items || [];
-    const headers = ['id', 'title', 'list', 'status', 'urgency', 'importance', 'scheduledFor', 'delegatedTo', 'createdAt', 'completedAt'];
-    let csv = headers.join(',') + '\n';
-    items.forEach(item => {
-      const row = headers.map(h => `"${String(item[h] || '').replace(/"/g, '""')}"`);
-      csv += row.join(',') + '\n';
-    });
-    res.setHeader('Content-Type', 'text/csv');
+    const csv = buildItemsCsv(db.items || [], { subtaskRows: String(req.query?.subtasks || '') === 'rows' });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
     res.setHeader('Content-Disposition', `attachment; filename="gtd_neto_export_${Date.now()}.csv"`);
-    return res.send(csv);
+    // BOM so Excel opens UTF-8 accents correctly
+    return res.send(`\uFEFF${csv}`);
+  });
+
+  // Export Markdown (checklists by destination)
+  router.get('/export/md', exportLimiter, async (req, res) => {
+    const db = await loadReqDb(req);
+    const md = buildMarkdownExport(db.items || [], { includeCompleted: String(req.query?.completed || '') === '1' });
+    res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="gtd_neto_${Date.now()}.md"`);
+    return res.send(md);
+  });
+
+  // Export OPML (Desglosar projects and their subtasks)
+  router.get('/export/opml', exportLimiter, async (req, res) => {
+    const projects = await loadReqItemsByList(req, 'desglosar', { excludeDone: true });
+    res.setHeader('Content-Type', 'text/x-opml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="gtd_neto_proyectos_${Date.now()}.opml"`);
+    return res.send(buildProjectsOpml(projects));
+  });
+
+  // Printable weekly sheet (open it and use the browser's "Save as PDF")
+  router.get('/export/print', exportLimiter, async (req, res) => {
+    const db = await loadReqDb(req);
+    return renderPage(res, 'export-print', {
+      title: 'Hoja semanal',
+      hideAppNav: true,
+      sheet: buildWeeklySheet(db.items || []),
+      listLabel,
+    });
+  });
+
+  // Export iCalendar (one-off .ics file)
+  router.get('/export/ics', exportLimiter, async (req, res) => {
+    const lists = await Promise.all(CALENDAR_LISTS.map(list => loadReqItemsByList(req, list)));
+    const ics = buildCalendar(lists.flat(), {
+      includeCompleted: String(req.query?.completed || '') === '1',
+      asTodos: String(req.query?.todos || '') === '1',
+      appUrl: APP_URL,
+    });
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="gtd_neto_calendar_${Date.now()}.ics"`);
+    return res.send(ics);
   });
 
   // Import JSON
+  // mode: skip|overwrite|newest|duplicate (body or ?mode=); dryRun only reports.
+  // decisions { id: resolution } come from the conflict review on /export.
   router.post('/import', requireApiKey, async (req, res) => {
     try {
       if (!req.is('application/json')) return res.status(415).json({ ok: false, error: 'Content-Type must be application/json' });
+      const mode = String(req.body?.mode || req.query?.mode || 'skip');
+      if (!IMPORT_MODES.includes(mode)) throw new RequestValidationError('mode must be skip|overwrite|newest|duplicate');
+      const dryRun = req.body?.dryRun === true || req.query?.dryRun === '1';
+      const decisions = req.body?.decisions && typeof req.body.decisions === 'object' ? req.body.decisions : {};
+
       const normalizedItems = validateAndNormalizeImportPayload(req.body, sanitizeInput);
       const db = await loadReqDb(req);
+      const { items, report } = mergeImportedItems(db.items || [], normalizedItems, { mode, decisions });
+      if (dryRun) return res.json({ ok: true, dryRun: true, ...report });
+
+      if (report.created.length || report.updated.length) {
+        await createReqBackup(req, 'import');
+        db.items = items;
+        await saveReqDb(req, db, { skipBackup: true });
+      }
+      return res.json({ ok: true, imported: report.created.length, ...report });
+    } catch (err) {
+      if (err instanceof RequestValidationError) return res.status(err.status || 400).json({ ok: false, error: err.message });
+      if (err instanceof ImportValidationError) return res.status(err.status || 400).json({ ok: false, error: err.message, details: err.details });
+      return res.status(500).json({ ok: false, error: 'internal_error' });
+    }
+  });
+
+  // Todoist / Trello / CSV / text importers. dryRun (default) only previews.
+  router.post('/import/external', requireApiKey, async (req, res) => {
+    try {
+      if (!req.is('application/json')) return res.status(415).json({ ok: false, error: 'Content-Type must be application/json' });
+      const { format, content, mapping, project } = req.body || {};
+      const dryRun = req.body?.dryRun !== false;
+
+      const owner = req.auth?.user?.id || process.env.SUPABASE_OWNER || 'default';
+      let knownContexts = SYSTEM_CONTEXTS;
+      try {
+        const customContexts = await loadMetaByKind('context', { owner });
+        knownContexts = [...SYSTEM_CONTEXTS, ...customContexts.map(c => c.value).filter(Boolean)];
+      } catch {
+        // system contexts only
+      }
+
+      const converted = convertExternalImport(String(format || ''), content, { mapping, knownContexts, project });
+      const normalizedItems = validateAndNormalizeImportPayload({ items: converted.items }, sanitizeInput);
+      const db = await loadReqDb(req);
       const existingIds = new Set((db.items || []).map(i => i.id));
       const newItems = normalizedItems.filter(i => !existingIds.has(i.id));
-      db.items = [...(db.items || []), ...newItems];
-      await saveReqDb(req, db);
-      return res.json({ ok: true, imported: newItems.length });
+      const skipped = normalizedItems.length - newItems.length;
+
+      if (dryRun) {
+        return res.json({
+          ok: true,
+          dryRun: true,
+          summary: summarizeImport(newItems),
+          skipped,
+          warnings: converted.warnings,
+          columns: converted.columns,
+          mapping: converted.mapping,
+          sourceLists: converted.sourceLists,
+          preview: newItems.slice(0, 50).map(i => ({
+            id: i.id,
+            title: i.title,
+            list: i.list,
+            status: i.status,
+            context: i.context,
+            tags: i.tags,
+            scheduledFor: i.scheduledFor,
+            delegatedTo: i.delegatedTo,
+            subtasks: i.subtasks.length,
+          })),
+        });
+      }
+
+      if (newItems.length) {
+        await createReqBackup(req, 'import');
+        db.items = [...(db.items || []), ...newItems];
+        await saveReqDb(req, db, { skipBackup: true });
+      }
+      return res.json({ ok: true, imported: newItems.length, skipped, warnings: converted.warnings });
     } catch (err) {
       if (err instanceof RequestValidationError) return res.status(err.status || 400).json({ ok: false, error: err.message });
       if (err instanceof ImportValidationError) return res.status(err.status || 400).json({ ok: false, error: err.message, details: err.details });
@@ -811,10 +945,12 @@ export function createDestinationRoutes({ loadReqDb, loadReqItemsByList, loadReq
       const items = (await loadReqItemsByList(req, d.key, { excludeDone: true }))
         .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
 
+      await provideContextsAndAreas(req, res);
       return renderPage(res, 'destination', {
         title: d.label,
         section: d,
         items,
+        destinations: DESTINATIONS,
         isSomeday: false,
         needApiKey: Boolean(APP_API_KEY),
       });
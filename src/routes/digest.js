@@ -0,0 +1,89 @@
+import express from 'express';
+import { buildOwnerDigest, loadDigestPrefs, saveDigestPrefs } from '../../lib/digest.js';
+import { mailTransport, renderMail, sendMail } from '../../lib/mailer.js';
+import { DIGEST_FREQUENCIES, DIGEST_WEEKDAYS } from '../services/digest-service.js';
+import { isEmailAddress } from '../services/mail-service.js';
+import { RequestValidationError, sanitizeDigestForm } from '../validators/request-validators.js';
+
+// The rendered email carries its own inline styles (blocked by the app CSP)
+const PREVIEW_CSP = "default-src 'none'; style-src 'unsafe-inline'; img-src https: data:";
+
+const FORM_ERRORS = {
+  'email is invalid': 'El correo no es válido.',
+  'timeZone is invalid': 'La zona horaria no es válida.',
+};
+
+// Resumen por correo: preferencias, vista previa y envío de prueba (el envío
+// programado corre en src/routes/cron.js)
+export function createDigestRoutes({ renderPage, requireApiKey, ownerForReq }) {
+  const router = express.Router();
+
+  const accountEmail = req => (isEmailAddress(req.auth?.user?.email) ? req.auth.user.email : '');
+
+  router.get('/settings/digest', async (req, res) => {
+    const owner = ownerForReq(req);
+    const prefs = await loadDigestPrefs({ owner });
+    let flash = null;
+    if (req.query?.success) flash = { success: 'Cambios guardados.' };
+    else if (req.query?.sent) flash = { success: 'Resumen de prueba enviado.' };
+    else if (req.query?.error) flash = { error: String(req.query.error).slice(0, 200) };
+
+    return renderPage(res, 'settings/digest', {
+      title: 'Resumen por correo',
+      mailEnabled: Boolean(mailTransport()),
+      accountEmail: accountEmail(req),
+      frequencies: DIGEST_FREQUENCIES,
+      weekdays: DIGEST_WEEKDAYS,
+      timeZones: Intl.supportedValuesOf('timeZone'),
+      prefs,
+      flash,
+    });
+  });
+
+  router.post('/settings/digest/options', requireApiKey, async (req, res) => {
+    if (req.auth?.apiToken) return res.status(403).json({ ok: false, error: 'Forbidden for API tokens' });
+    try {
+      const patch = sanitizeDigestForm(req.body);
+      if (patch.enabled && !patch.email && !accountEmail(req)) {
+        return res.redirect('/settings/digest?error=' + encodeURIComponent('Indica un correo para recibir el resumen.'));
+      }
+      await saveDigestPrefs(patch, { owner: ownerForReq(req) });
+      return res.redirect('/settings/digest?success=1');
+    } catch (err) {
+      if (err instanceof RequestValidationError) {
+        return res.redirect('/settings/digest?error=' + encodeURIComponent(FORM_ERRORS[err.message] || err.message));
+      }
+      throw err;
+    }
+  });
+
+  router.get('/settings/digest/preview', async (req, res) => {
+    const owner = ownerForReq(req);
+    const prefs = await loadDigestPrefs({ owner });
+    const { html } = await renderMail('digest', await buildOwnerDigest(owner, { prefs }));
+    res.set('Content-Security-Policy', PREVIEW_CSP);
+    return res.type('html').send(html);
+  });
+
+  router.post('/settings/digest/test', requireApiKey, async (req, res) => {
+    if (req.auth?.apiToken) return res.status(403).json({ ok: false, error: 'Forbidden for API tokens' });
+    const owner = ownerForReq(req);
+    const prefs = await loadDigestPrefs({ owner });
+    try {
+      // No dedupeKey: a test never counts as the day's digest
+      const result = await sendMail('digest', {
+        to: prefs.email || accountEmail(req),
+        owner,
+        data: await buildOwnerDigest(owner, { prefs }),
+      });
+      if (result.sent) return res.redirect('/settings/digest?sent=1');
+      const reason = result.reason === 'disabled' ? 'El correo no está configurado en el servidor.' : 'Indica un correo válido.';
+      return res.redirect('/settings/digest?error=' + encodeURIComponent(reason));
+    } catch (err) {
+      console.warn('[digest] Test mail failed:', err?.message || err);
+      return res.redirect('/settings/digest?error=' + encodeURIComponent('No se pudo enviar el correo.'));
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,70 @@
+import express from 'express';
+import { loadUserPreferences, saveUserPreferences } from '../../lib/meta-store.js';
+import {
+  buildTodayPlan,
+  DEFAULT_AVAILABLE_MIN,
+  MIN_AVAILABLE_MIN,
+  MAX_AVAILABLE_MIN,
+} from '../services/today-service.js';
+import { RequestValidationError, sanitizeIntegerField } from '../validators/request-validators.js';
+
+const PLAN_LISTS = ['agendar', 'hacer', 'delegar'];
+
+function formatDay(key, options) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString('es', options);
+}
+
+export function createHoyRoutes({ renderPage, requireApiKey, ownerForReq, loadReqItemsByList }) {
+  const router = express.Router();
+
+  // Vista "Hoy": plan del día según fechas y tiempo disponible
+  router.get('/hoy', async (req, res) => {
+    const owner = ownerForReq(req);
+    const [prefs, ...lists] = await Promise.all([
+      loadUserPreferences({ owner }),
+      ...PLAN_LISTS.map(list => loadReqItemsByList(req, list)),
+    ]);
+
+    const plan = buildTodayPlan(lists.flat(), {
+      availableMin: prefs.dailyAvailableMin ?? DEFAULT_AVAILABLE_MIN,
+    });
+    const withDayLabel = i => ({ ...i, dayLabel: formatDay(i.scheduledFor, { weekday: 'short', day: 'numeric', month: 'short' }) });
+
+    return renderPage(res, 'hoy', {
+      title: 'Hoy',
+      ...plan,
+      scheduled: {
+        overdue: plan.scheduled.overdue.map(withDayLabel),
+        today: plan.scheduled.today,
+        upcoming: plan.scheduled.upcoming.map(withDayLabel),
+      },
+      budgetLimits: { min: MIN_AVAILABLE_MIN, max: MAX_AVAILABLE_MIN },
+      todayFormatted: formatDay(plan.today, { weekday: 'long', day: 'numeric', month: 'long' }),
+    });
+  });
+
+  // Tiempo disponible por día (preferencia del usuario)
+  router.post('/hoy/budget', requireApiKey, async (req, res) => {
+    const wantsJson = String(req.get('accept') || '').includes('application/json');
+    try {
+      const dailyAvailableMin = sanitizeIntegerField(req.body?.availableMin, {
+        field: 'availableMin',
+        min: MIN_AVAILABLE_MIN,
+        max: MAX_AVAILABLE_MIN,
+        fallback: DEFAULT_AVAILABLE_MIN,
+      });
+      await saveUserPreferences({ dailyAvailableMin }, { owner: ownerForReq(req) });
+      if (wantsJson) return res.json({ ok: true, dailyAvailableMin });
+      return res.redirect('/hoy');
+    } catch (err) {
+      if (err instanceof RequestValidationError) {
+        if (wantsJson) return res.status(err.status || 400).json({ ok: false, error: err.message });
+        return res.redirect('/hoy');
+      }
+      throw err;
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,90 @@
+import express from 'express';
+import { timingSafeEqual } from 'node:crypto';
+import { saveItem } from '../../lib/store.js';
+import { captureItem } from '../../lib/capture.js';
+import { stampHistoryActor } from '../../lib/item-history.js';
+import { findMetaByPayloadField, saveMetaRecord } from '../../lib/meta-store.js';
+import { shouldTouchLastUsed } from '../services/api-token-service.js';
+import {
+  buildEmailCapture,
+  findCaptureToken,
+  hashCaptureToken,
+  isAutomaticMail,
+  MAX_CAPTURE_NOTES_LEN,
+  normalizeInboundPayload,
+} from '../services/inbound-mail-service.js';
+import { RequestValidationError, sanitizeCaptureMeta, sanitizeTextField } from '../validators/request-validators.js';
+
+function secretMatches(candidate, secret) {
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(String(candidate || ''));
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// Providers differ in what they can send: a Bearer header, basic auth in the
+// webhook URL (https://inbound:<secret>@host/inbound/mail) or ?secret=
+function presentedSecret(req) {
+  const header = String(req.get('authorization') || '');
+  if (/^bearer /i.test(header)) return header.slice(7).trim();
+  if (/^basic /i.test(header)) {
+    const decoded = Buffer.from(header.slice(6).trim(), 'base64').toString('utf8');
+    return decoded.slice(decoded.indexOf(':') + 1);
+  }
+  return String(req.query?.secret || '');
+}
+
+// Inbound mail webhook: mail sent to a user's capture address becomes a
+// Collect item. Public path authorized by INBOUND_MAIL_SECRET; the body is
+// raw (server.js) since each provider posts a different format.
+export function createInboundMailRoutes({ INBOUND_MAIL_SECRET = '', sanitizeInput }) {
+  const router = express.Router();
+
+  router.post('/inbound/mail', async (req, res) => {
+    if (!INBOUND_MAIL_SECRET) return res.status(404).type('text').send('Not found');
+    if (!secretMatches(presentedSecret(req), INBOUND_MAIL_SECRET)) return res.status(401).json({ ok: false, error: 'Unauthorized' });
+
+    let mail;
+    try {
+      mail = normalizeInboundPayload(req.body, req.get('content-type'));
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: 'unreadable_payload', message: err.message });
+    }
+
+    const token = findCaptureToken(mail.recipients);
+    let match = null;
+    try {
+      if (token) match = await findMetaByPayloadField('capture_address', 'tokenHash', hashCaptureToken(token));
+    } catch (err) {
+      console.error('[inbound] Address lookup failed:', err.message);
+      return res.status(503).json({ ok: false, error: 'unavailable' });
+    }
+    if (!match) return res.status(404).json({ ok: false, error: 'unknown_recipient' });
+    // Accepted but dropped: retrying would not change anything
+    if (isAutomaticMail(mail)) return res.json({ ok: true, ignored: 'automatic' });
+
+    const { owner, record } = match;
+    try {
+      const capture = buildEmailCapture(mail);
+      const input = sanitizeTextField(capture.input, sanitizeInput, { field: 'input', required: true, maxLen: 500 });
+      const { clientCaptureId, capturedAt } = sanitizeCaptureMeta(capture);
+      const { item, deduped } = await captureItem({
+        input,
+        notes: sanitizeInput(capture.notes).slice(0, MAX_CAPTURE_NOTES_LEN) || null,
+        clientCaptureId,
+        capturedAt,
+      }, { owner, save: next => saveItem(stampHistoryActor(next, 'email'), { owner }) });
+
+      if (shouldTouchLastUsed(record)) {
+        saveMetaRecord({ ...record, lastUsedAt: new Date().toISOString() }, 'capture_address', { owner })
+          .catch(err => console.error('[inbound] Failed to update lastUsedAt:', err.message));
+      }
+      return res.status(deduped ? 200 : 201).json({ ok: true, id: item.id, deduped });
+    } catch (err) {
+      if (err instanceof RequestValidationError) return res.status(err.status || 400).json({ ok: false, error: err.message });
+      console.error('[inbound] Capture failed:', err.message);
+      return res.status(500).json({ ok: false, error: 'persist_failed' });
+    }
+  });
+
+  return router;
+}
@@ -1,9 +1,73 @@
 import express from 'express';
-import { isStoreSupabaseMode, newItem, updateItem, findRecentDuplicate } from '../../lib/store.js';
-import { DESTINATIONS, withHacerMeta, withDesglosarMeta, randomId } from '../services/gtd-service.js';
-import { RequestValidationError, sanitizeIdParam, sanitizeTextField, sanitizeEnumField, sanitizeIntegerField } from '../validators/request-validators.js';
+import { updateItem } from '../../lib/store.js';
+import { captureItem } from '../../lib/capture.js';
+import { describeHistoryEntry } from '../../lib/item-history.js';
+import { isTrashed, restoreFromTrashPatch } from '../../lib/trash.js';
+import { VersionConflictError, assertItemVersion, itemVersion } from '../../lib/item-version.js';
+import { loadMetaByKind } from '../../lib/meta-store.js';
+import { DESTINATIONS, VALID_LISTS, SYSTEM_CONTEXTS, SYSTEM_AREAS, evaluateActionability, withHacerMeta, withDesglosarMeta, withListMeta, statusForList, randomId, listLabel } from '../services/gtd-service.js';
+import { parseCapture } from '../services/capture-parser.js';
+import { CLARIFY_OUTCOMES, CLARIFY_STEPS, clarifyPatch, clarifyProgress, clarifyQueue, firstSubtasks } from '../services/clarify-service.js';
+import { renderMarkdown } from '../services/markdown-service.js';
+import { describeRecurrence } from '../services/recurrence-service.js';
+import { buildUndoEntry, undoLabel } from '../services/undo-service.js';
+import { RequestValidationError, sanitizeIdParam, sanitizeTextField, sanitizeEnumField, sanitizeIntegerField, sanitizeDateField, sanitizeItemPatch, sanitizeRecurrenceField, sanitizeRecurrenceForm, sanitizeUrlField, sanitizeCaptureMeta, readExpectedVersion } from '../validators/request-validators.js';
 
-export function createItemRoutes({ loadReqDb, loadReqItemsByList, loadReqItemsByStatus, loadReqItemById, saveReqDb, saveReqItem, deleteReqItem, requireApiKey, sanitizeInput, userFacingPersistError, renderPage, APP_API_KEY, ownerForReq }) {
+const RECURRING_LISTS = ['hacer', 'agendar'];
+const MAX_ITEM_LINKS = 20;
+const MAX_SKIPPED = 50;
+
+// Wizard position lives in the URL: ?n=<processed>&skip=<id,id>
+function readWizardState(query) {
+  const processed = Number(query?.n);
+  const skipped = String(query?.skip || '')
+    .split(',')
+    .filter(id => /^[a-zA-Z0-9_-]{6,64}$/.test(id))
+    .slice(0, MAX_SKIPPED);
+  return { processed: Number.isInteger(processed) && processed > 0 ? Math.min(processed, 10000) : 0, skipped };
+}
+
+function wizardHref({ processed, skipped }, path = '/collect/procesar') {
+  const params = new URLSearchParams();
+  if (processed) params.set('n', String(processed));
+  if (skipped.length) params.set('skip', skipped.join(','));
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+}
+
+// Fields the chosen outcome needs; the rest of the form is ignored
+function readClarifyFields(outcome, body, sanitizeInput) {
+  const fields = {
+    title: sanitizeTextField(body?.title, sanitizeInput, { field: 'title', maxLen: 280 }),
+    context: sanitizeInput(String(body?.context || '')) || null,
+    area: sanitizeInput(String(body?.area || '')) || null,
+  };
+  if (outcome === 'hacer') {
+    fields.urgency = sanitizeIntegerField(body?.urgency, { field: 'urgency', min: 1, max: 5, fallback: 3 });
+    fields.importance = sanitizeIntegerField(body?.importance, { field: 'importance', min: 1, max: 5, fallback: 3 });
+    fields.estimateMin = sanitizeIntegerField(body?.estimateMin, { field: 'estimateMin', min: 1, max: 600, fallback: 10 });
+  }
+  if (outcome === 'agendar') {
+    fields.scheduledFor = sanitizeDateField(body?.scheduledFor, sanitizeInput, 'scheduledFor');
+    if (!fields.scheduledFor) throw new RequestValidationError('Agendar necesita una fecha');
+    fields.estimateMin = sanitizeIntegerField(body?.estimateMin, { field: 'estimateMin', min: 1, max: 600, fallback: null });
+  }
+  if (outcome === 'delegar') {
+    fields.delegatedTo = sanitizeTextField(body?.delegatedTo, sanitizeInput, { field: 'delegatedTo', maxLen: 80 });
+    fields.delegatedFor = sanitizeDateField(body?.delegatedFor, sanitizeInput, 'delegatedFor');
+    if (!fields.delegatedTo || !fields.delegatedFor) throw new RequestValidationError('Delegar necesita responsable y fecha de seguimiento');
+  }
+  if (outcome === 'desglosar') {
+    fields.objective = sanitizeTextField(body?.objective, sanitizeInput, { field: 'objective', maxLen: 500 });
+    fields.subtasks = firstSubtasks(sanitizeTextField(body?.subtasks, sanitizeInput, { field: 'subtasks', maxLen: 2000 }));
+  }
+  if (outcome === 'done') {
+    fields.comment = sanitizeTextField(body?.comment, sanitizeInput, { field: 'comment', maxLen: 500 });
+  }
+  return fields;
+}
+
+export function createItemRoutes({ loadReqItemsByList, loadReqItemsByStatus, loadReqItemById, saveReqItem, deleteReqItem, recordReqUndo, respondVersionConflict, requireApiKey, sanitizeInput, userFacingPersistError, renderPage, APP_API_KEY, ownerForReq }) {
   const router = express.Router();
 
   // Collect: add item
@@ -16,28 +80,17 @@ export function createItemRoutes({ loadReqDb, loadReqItemsByList, loadReqItemsBy
         return res.redirect('/collect');
       }
 
-      const recentDuplicate = await findRecentDuplicate(input, { owner: ownerForReq(req) });
-      if (recentDuplicate) {
-        if (wantsJson) return res.json({ ok: true, item: recentDuplicate, deduped: true });
-        return res.redirect('/collect');
-      }
-
-      const item = updateItem(newItem({ input }), {
-        title: input,
-        kind: 'action',
-        list: 'collect',
-        status: 'unprocessed',
+      const { clientCaptureId, capturedAt } = sanitizeCaptureMeta(req.body);
+      const { item, deduped, parsed } = await captureItem({ input, clientCaptureId, capturedAt }, {
+        owner: ownerForReq(req),
+        save: next => saveReqItem(req, next),
       });
-
-      if (isStoreSupabaseMode()) {
-        await saveReqItem(req, item);
-      } else {
-        const db = await loadReqDb(req);
-        db.items = [item, ...(db.items || [])];
-        await saveReqDb(req, db);
+      if (deduped) {
+        if (wantsJson) return res.json({ ok: true, item, deduped: true });
+        return res.redirect('/collect');
       }
 
-      if (wantsJson) return res.json({ ok: true, item, deduped: false });
+      if (wantsJson) return res.json({ ok: true, item, deduped: false, parsed: { list: parsed.list, tokens: parsed.tokens, warnings: parsed.warnings } });
       return res.redirect('/collect');
     } catch (err) {
       if (err instanceof RequestValidationError) {
@@ -50,6 +103,13 @@ export function createItemRoutes({ loadReqDb, loadReqItemsByList, loadReqItemsBy
     }
   });
 
+  // Collect: what the capture parser recognizes, for the preview under the input
+  router.get('/collect/parse', (req, res) => {
+    const text = sanitizeInput(String(req.query?.text || '')).slice(0, 500);
+    const { title, list, tokens, warnings } = parseCapture(text);
+    return res.json({ ok: true, title, list, tokens, warnings });
+  });
+
   // Collect: update item
   router.post('/collect/:id/update', requireApiKey, async (req, res) => {
     try {
@@ -57,26 +117,28 @@ export function createItemRoutes({ loadReqDb, loadReqItemsByList, loadReqItemsBy
       const input = sanitizeTextField(req.body?.input, sanitizeInput, { field: 'input', required: true, maxLen: 500 });
       if (!input) return res.redirect('/collect');
 
-      if (isStoreSupabaseMode()) {
-        const current = await loadReqItemById(req, id);
-        if (!current || current.list !== 'collect') return res.redirect('/collect');
-        const next = updateItem(current, { input, title: input });
-        await saveReqItem(req, next);
-        return res.redirect('/collect');
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id && i.list === 'collect');
-      if (idx === -1) return res.redirect('/collect');
-      db.items[idx] = updateItem(db.items[idx], { input, title: input });
-      await saveReqItem(req, db.items[idx], db);
+      const current = await loadReqItemById(req, id);
+      if (!current || current.list !== 'collect') return res.redirect('/collect');
+      assertItemVersion(current, readExpectedVersion(req));
+      const next = updateItem(current, { input, title: input });
+      await saveReqItem(req, next, { expectedVersion: itemVersion(current) });
       return res.redirect('/collect');
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.redirect('/collect');
       throw err;
     }
   });
 
+  function recordSendUndo(req, res, before, after) {
+    const toLabel = DESTINATIONS.find(d => d.key === after.list)?.label;
+    return recordReqUndo(req, res, buildUndoEntry({
+      action: 'send',
+      label: undoLabel('send', before, { toLabel }),
+      changes: [{ before, after }],
+    }));
+  }
+
   // Collect: send item to destination
   router.post('/collect/:id/send', requireApiKey, async (req, res) => {
     try {
@@ -88,39 +150,221 @@ export function createItemRoutes({ loadReqDb, loadReqItemsByList, loadReqItemsBy
       const context = sanitizeInput(String(req.body?.context || '')) || null;
       const area = sanitizeInput(String(req.body?.area || '')) || null;
 
-      if (isStoreSupabaseMode()) {
-        const current = await loadReqItemById(req, id);
-        if (!current) return res.redirect('/collect');
-
-        const basePatch = { list: destination, status: 'processed' };
-        if (context) basePatch.context = context;
-        if (area) basePatch.area = area;
-
-        let patch = basePatch;
-        if (destination === 'hacer') patch = withHacerMeta(current, basePatch);
-        if (destination === 'desglosar') patch = withDesglosarMeta(current, basePatch);
-
-        const next = updateItem(current, patch);
-        await saveReqItem(req, next);
-        return res.redirect('/collect');
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id);
-      if (idx === -1) return res.redirect('/collect');
+      const current = await loadReqItemById(req, id);
+      if (!current) return res.redirect('/collect');
+      assertItemVersion(current, readExpectedVersion(req));
 
       const basePatch = { list: destination, status: 'processed' };
       if (context) basePatch.context = context;
       if (area) basePatch.area = area;
 
       let patch = basePatch;
-      if (destination === 'hacer') patch = withHacerMeta(db.items[idx], basePatch);
-      if (destination === 'desglosar') patch = withDesglosarMeta(db.items[idx], basePatch);
+      if (destination === 'hacer') patch = withHacerMeta(current, basePatch);
+      if (destination === 'desglosar') patch = withDesglosarMeta(current, basePatch);
 
-      db.items[idx] = updateItem(db.items[idx], patch);
-      await saveReqItem(req, db.items[idx], db);
+      const next = updateItem(current, patch);
+      await saveReqItem(req, next, { expectedVersion: itemVersion(current) });
+      await recordSendUndo(req, res, current, next);
       return res.redirect('/collect');
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
+      if (err instanceof RequestValidationError) return res.status(err.status || 400).send(err.message);
+      throw err;
+    }
+  });
+
+  // Collect: "Procesar bandeja", one item at a time through the GTD decision tree
+  router.get('/collect/procesar', async (req, res) => {
+    try {
+      const state = readWizardState(req.query);
+      const queue = clarifyQueue(await loadReqItemsByList(req, 'collect', { excludeDone: true }), state.skipped);
+      const item = queue[0] || null;
+      const { allContexts, allAreas } = item ? await loadContextsAndAreas(req) : { allContexts: [], allAreas: [] };
+
+      return await renderPage(res, 'procesar', {
+        title: 'Procesar bandeja',
+        item,
+        actionability: item ? evaluateActionability(item.title || item.input || '') : null,
+        progress: clarifyProgress(state.processed, queue.length),
+        skippedCount: state.skipped.length,
+        steps: CLARIFY_STEPS,
+        allContexts,
+        allAreas,
+        formAction: item ? wizardHref(state, `/collect/procesar/${encodeURIComponent(item.id)}`) : null,
+        skipHref: item ? wizardHref({ ...state, skipped: [...state.skipped, item.id] }) : null,
+        restartHref: state.skipped.length ? wizardHref({ ...state, skipped: [] }) : null,
+        flash: req.query?.error ? { error: String(req.query.error) } : null,
+      });
+    } catch (err) {
+      console.error('[procesar] Error:', err);
+      res.status(500).send('Error loading procesar page');
+    }
+  });
+
+  // Live feedback while the title is rewritten as a next action
+  router.get('/collect/procesar/accionable', (req, res) => {
+    const text = sanitizeInput(String(req.query?.text || '')).slice(0, 500);
+    return res.json({ ok: true, ...evaluateActionability(text) });
+  });
+
+  // Collect: apply the outcome chosen in the wizard and go to the next item
+  router.post('/collect/procesar/:id', requireApiKey, async (req, res) => {
+    const state = readWizardState(req.query);
+    try {
+      const id = sanitizeIdParam(req.params.id, sanitizeInput);
+      const outcome = sanitizeEnumField(req.body?.outcome, CLARIFY_OUTCOMES, sanitizeInput, 'outcome');
+      const fields = readClarifyFields(outcome, req.body, sanitizeInput);
+
+      const current = await loadReqItemById(req, id);
+      if (!current || current.list !== 'collect' || current.status === 'done') return res.redirect(wizardHref(state));
+      assertItemVersion(current, readExpectedVersion(req));
+
+      const next = updateItem(current, clarifyPatch(current, outcome, fields));
+      await saveReqItem(req, next, { expectedVersion: itemVersion(current) });
+      if (outcome === 'delete') {
+        await recordReqUndo(req, res, buildUndoEntry({ action: 'delete', label: undoLabel('delete', current), changes: [{ before: current, after: next }] }));
+      } else if (outcome === 'done') {
+        await recordReqUndo(req, res, buildUndoEntry({ action: 'complete', label: undoLabel('complete', current), changes: [{ before: current, after: next }] }));
+      } else {
+        await recordSendUndo(req, res, current, next);
+      }
+      return res.redirect(wizardHref({ ...state, processed: state.processed + 1 }));
+    } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
+      if (err instanceof RequestValidationError) {
+        const back = wizardHref(state);
+        return res.redirect(`${back}${back.includes('?') ? '&' : '?'}error=${encodeURIComponent(err.message)}`);
+      }
+      throw err;
+    }
+  });
+
+  async function loadContextsAndAreas(req) {
+    try {
+      const owner = ownerForReq(req);
+      const [customContexts, customAreas] = await Promise.all([
+        loadMetaByKind('context', { owner }),
+        loadMetaByKind('area', { owner }),
+      ]);
+      return {
+        allContexts: [...SYSTEM_CONTEXTS, ...customContexts.map(c => c.value).filter(Boolean)],
+        allAreas: [...SYSTEM_AREAS, ...customAreas.map(a => a.value).filter(Boolean)],
+      };
+    } catch {
+      return { allContexts: SYSTEM_CONTEXTS, allAreas: SYSTEM_AREAS };
+    }
+  }
+
+  // Items: detail page (all fields, notes, links, history)
+  router.get('/items/:id', async (req, res) => {
+    try {
+      const id = sanitizeIdParam(req.params.id, sanitizeInput);
+      const item = await loadReqItemById(req, id);
+      if (!item) return res.status(404).send('Item not found');
+
+      const history = (Array.isArray(item.history) ? item.history : [])
+        .map(entry => ({ ...entry, label: describeHistoryEntry(entry) }))
+        .reverse();
+      const { allContexts, allAreas } = await loadContextsAndAreas(req);
+      return renderPage(res, 'item', {
+        title: item.title || item.input || 'Item',
+        item: { ...item, recurrenceLabel: describeRecurrence(item.recurrence) },
+        history,
+        listLabel: listLabel(item.list),
+        notesHtml: renderMarkdown(item.notes),
+        lists: VALID_LISTS.map(key => ({ key, label: listLabel(key) })),
+        allContexts,
+        allAreas,
+        error: String(req.query?.error || ''),
+      });
+    } catch (err) {
+      if (err instanceof RequestValidationError) return res.status(err.status || 400).send(err.message);
+      throw err;
+    }
+  });
+
+  // Items: edit fields from the detail page
+  router.post('/items/:id/update', requireApiKey, async (req, res) => {
+    const id = String(req.params.id || '');
+    try {
+      const safeId = sanitizeIdParam(id, sanitizeInput);
+      const current = await loadReqItemById(req, safeId);
+      if (!current) return res.status(404).send('Item not found');
+      assertItemVersion(current, readExpectedVersion(req));
+
+      const fields = sanitizeItemPatch(req.body, sanitizeInput);
+      const next = updateItem(current, withListMeta(current, fields));
+      await saveReqItem(req, next, { expectedVersion: itemVersion(current) });
+      return res.redirect(`/items/${safeId}`);
+    } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
+      if (err instanceof RequestValidationError) return res.redirect(`/items/${encodeURIComponent(id)}?error=${encodeURIComponent(err.message)}`);
+      throw err;
+    }
+  });
+
+  // Items: move to another list from the detail page
+  router.post('/items/:id/move', requireApiKey, async (req, res) => {
+    const id = String(req.params.id || '');
+    try {
+      const safeId = sanitizeIdParam(id, sanitizeInput);
+      const list = sanitizeEnumField(req.body?.list, VALID_LISTS, sanitizeInput, 'list');
+      const current = await loadReqItemById(req, safeId);
+      if (!current) return res.status(404).send('Item not found');
+      assertItemVersion(current, readExpectedVersion(req));
+
+      if (current.list !== list || current.status === 'done') {
+        const trashFields = isTrashed(current) ? restoreFromTrashPatch(current) : {};
+        const next = updateItem(current, withListMeta(current, { ...trashFields, list, status: statusForList(list) }));
+        await saveReqItem(req, next, { expectedVersion: itemVersion(current) });
+      }
+      return res.redirect(`/items/${safeId}`);
+    } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
+      if (err instanceof RequestValidationError) return res.redirect(`/items/${encodeURIComponent(id)}?error=${encodeURIComponent(err.message)}`);
+      throw err;
+    }
+  });
+
+  // Items: attach a URL
+  router.post('/items/:id/links/add', requireApiKey, async (req, res) => {
+    const id = String(req.params.id || '');
+    try {
+      const safeId = sanitizeIdParam(id, sanitizeInput);
+      const url = sanitizeUrlField(req.body?.url);
+      const linkTitle = sanitizeTextField(req.body?.linkTitle, sanitizeInput, { field: 'linkTitle', maxLen: 120 });
+      const current = await loadReqItemById(req, safeId);
+      if (!current) return res.status(404).send('Item not found');
+      assertItemVersion(current, readExpectedVersion(req));
+
+      const links = Array.isArray(current.links) ? current.links : [];
+      if (links.length >= MAX_ITEM_LINKS) throw new RequestValidationError(`max ${MAX_ITEM_LINKS} links per item`);
+      if (!links.some(l => l.url === url)) {
+        const link = { id: randomId(), url, title: linkTitle || null, addedAt: new Date().toISOString() };
+        await saveReqItem(req, updateItem(current, { links: [...links, link] }), { expectedVersion: itemVersion(current) });
+      }
+      return res.redirect(`/items/${safeId}`);
+    } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
+      if (err instanceof RequestValidationError) return res.redirect(`/items/${encodeURIComponent(id)}?error=${encodeURIComponent(err.message)}`);
+      throw err;
+    }
+  });
+
+  // Items: remove an attached URL
+  router.post('/items/:id/links/:linkId/delete', requireApiKey, async (req, res) => {
+    try {
+      const id = sanitizeIdParam(req.params.id, sanitizeInput);
+      const linkId = sanitizeIdParam(req.params.linkId, sanitizeInput);
+      const current = await loadReqItemById(req, id);
+      if (!current) return res.status(404).send('Item not found');
+      assertItemVersion(current, readExpectedVersion(req));
+
+      const links = (current.links || []).filter(l => l.id !== linkId);
+      if (links.length !== (current.links || []).length) await saveReqItem(req, updateItem(current, { links }), { expectedVersion: itemVersion(current) });
+      return res.redirect(`/items/${id}`);
+    } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.status(err.status || 400).send(err.message);
       throw err;
     }
@@ -138,38 +382,64 @@ export function createItemRoutes({ loadReqDb, loadReqItemsByList, loadReqItemsBy
         .filter(t => t.length > 0 && t.length <= 20)
         .slice(0, 5);
 
-      if (isStoreSupabaseMode()) {
-        const current = await loadReqItemById(req, id);
-        if (!current) return res.status(404).json({ ok: false, error: 'Item not found' });
-        await saveReqItem(req, updateItem(current, { tags }));
-        return res.json({ ok: true, tags });
-      }
-
-      const db = await loadReqDb(req);
-      const idx = (db.items || []).findIndex(i => i.id === id);
-      if (idx === -1) return res.status(404).json({ ok: false, error: 'Item not found' });
-      db.items[idx] = updateItem(db.items[idx], { tags });
-      await saveReqItem(req, db.items[idx], db);
+      const current = await loadReqItemById(req, id);
+      if (!current) return res.status(404).json({ ok: false, error: 'Item not found' });
+      assertItemVersion(current, readExpectedVersion(req));
+      await saveReqItem(req, updateItem(current, { tags }), { expectedVersion: itemVersion(current) });
       return res.json({ ok: true, tags });
     } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
       if (err instanceof RequestValidationError) return res.status(err.status || 400).json({ ok: false, error: err.message });
       throw err;
     }
   });
 
-  // Items: delete
+  // Items: set or clear the recurrence rule (Hacer / Agendar)
+  router.post('/items/:id/recurrence', requireApiKey, async (req, res) => {
+    const wantsJson = String(req.get('accept') || '').includes('application/json');
+    try {
+      const id = sanitizeIdParam(req.params.id, sanitizeInput);
+      const recurrence = req.is('application/json')
+        ? sanitizeRecurrenceField(req.body?.recurrence)
+        : sanitizeRecurrenceForm(req.body);
+
+      const current = await loadReqItemById(req, id);
+      if (!current || !RECURRING_LISTS.includes(current.list) || current.status === 'done') {
+        if (wantsJson) return res.status(404).json({ ok: false, error: 'Item not found' });
+        return res.redirect('back');
+      }
+
+      assertItemVersion(current, readExpectedVersion(req));
+      const next = updateItem(current, { recurrence });
+      await saveReqItem(req, next, { expectedVersion: itemVersion(current) });
+      if (wantsJson) return res.json({ ok: true, recurrence });
+      return res.redirect(`/${current.list}`);
+    } catch (err) {
+      if (err instanceof VersionConflictError) return respondVersionConflict(req, res, err);
+      if (err instanceof RequestValidationError) {
+        if (wantsJson) return res.status(err.status || 400).json({ ok: false, error: err.message });
+        return res.redirect('back');
+      }
+      throw err;
+    }
+  });
+
+  // Items: delete (soft, to the Papelera)
   router.post('/items/:id/delete', requireApiKey, async (req, res) => {
     const wantsJson = String(req.get('accept') || '').includes('application/json');
     try {
       const id = sanitizeIdParam(req.params.id, sanitizeInput);
-      if (isStoreSupabaseMode()) {
-        await deleteReqItem(req, id);
-      } else {
-        const db = await loadReqDb(req);
-        db.items = (db.items || []).filter(i => i.id !== id);
-        await deleteReqItem(req, id, db);
+      const current = await loadReqItemById(req, id);
+      let undo = null;
+      if (current && !isTrashed(current)) {
+        const trashed = await deleteReqItem(req, id);
+        undo = await recordReqUndo(req, res, buildUndoEntry({
+          action: 'delete',
+          label: undoLabel('delete', current),
+          changes: [{ before: current, after: trashed }],
+        }));
       }
-      if (wantsJson) return res.json({ ok: true });
+      if (wantsJson) return res.json({ ok: true, undo });
       return res.redirect('back');
     } catch (err) {
       if (err instanceof RequestValidationError) {
@@ -0,0 +1,90 @@
+import express from 'express';
+import {
+  deliverToOwner,
+  listPushSubscriptions,
+  loadNotificationPrefs,
+  removePushSubscription,
+  savePushSubscription,
+  saveNotificationPrefs,
+} from '../../lib/push-store.js';
+import { NOTIFICATION_TYPES } from '../services/notification-service.js';
+import { RequestValidationError, sanitizePushSubscription, sanitizeUrlField } from '../validators/request-validators.js';
+
+// Push notifications: per-browser subscriptions and per-type preferences (the
+// scheduler runs from src/routes/cron.js). vapid is null without VAPID keys.
+export function createNotificationRoutes({ renderPage, requireApiKey, ownerForReq, vapid = null }) {
+  const router = express.Router();
+
+  router.get('/settings/notifications', async (req, res) => {
+    const owner = ownerForReq(req);
+    const [prefs, subscriptions] = await Promise.all([
+      loadNotificationPrefs({ owner }),
+      listPushSubscriptions({ owner }),
+    ]);
+    let flash = null;
+    if (req.query?.success) flash = { success: 'Cambios guardados.' };
+    else if (req.query?.sent) flash = { success: 'Notificación de prueba enviada.' };
+    else if (req.query?.error) flash = { error: String(req.query.error).slice(0, 200) };
+
+    return renderPage(res, 'settings/notifications', {
+      title: 'Notificaciones',
+      enabled: Boolean(vapid),
+      vapidPublicKey: vapid?.publicKey || '',
+      types: NOTIFICATION_TYPES,
+      prefs,
+      subscriptions,
+      flash,
+    });
+  });
+
+  router.post('/settings/notifications/subscribe', requireApiKey, async (req, res) => {
+    if (req.auth?.apiToken) return res.status(403).json({ ok: false, error: 'Forbidden for API tokens' });
+    if (!vapid) return res.status(503).json({ ok: false, error: 'Push notifications are not configured' });
+    try {
+      const subscription = sanitizePushSubscription(req.body);
+      const record = await savePushSubscription(subscription, { owner: ownerForReq(req), userAgent: req.get('user-agent') });
+      return res.status(201).json({ ok: true, id: record.id });
+    } catch (err) {
+      if (err instanceof RequestValidationError) return res.status(400).json({ ok: false, error: err.message });
+      console.error('[push] Subscribe failed:', err.message);
+      return res.status(500).json({ ok: false, error: 'No se pudo guardar la suscripción' });
+    }
+  });
+
+  router.post('/settings/notifications/unsubscribe', requireApiKey, async (req, res) => {
+    if (req.auth?.apiToken) return res.status(403).json({ ok: false, error: 'Forbidden for API tokens' });
+    try {
+      const endpoint = sanitizeUrlField(req.body?.endpoint, 'endpoint');
+      await removePushSubscription(endpoint, { owner: ownerForReq(req) });
+      if (req.accepts(['html', 'json']) === 'json') return res.json({ ok: true });
+      return res.redirect('/settings/notifications?success=1');
+    } catch (err) {
+      if (err instanceof RequestValidationError) return res.status(400).json({ ok: false, error: err.message });
+      throw err;
+    }
+  });
+
+  router.post('/settings/notifications/options', requireApiKey, async (req, res) => {
+    if (req.auth?.apiToken) return res.status(403).json({ ok: false, error: 'Forbidden for API tokens' });
+    // Unchecked checkboxes are not sent: every type missing from the form is off
+    const patch = { hour: req.body?.hour };
+    for (const type of Object.keys(NOTIFICATION_TYPES)) patch[type] = req.body?.[type] === 'on';
+    await saveNotificationPrefs(patch, { owner: ownerForReq(req) });
+    return res.redirect('/settings/notifications?success=1');
+  });
+
+  router.post('/settings/notifications/test', requireApiKey, async (req, res) => {
+    if (req.auth?.apiToken) return res.status(403).json({ ok: false, error: 'Forbidden for API tokens' });
+    if (!vapid) return res.redirect('/settings/notifications');
+    const result = await deliverToOwner(ownerForReq(req), {
+      title: '🔔 GTD Neto',
+      body: 'Las notificaciones funcionan en este dispositivo.',
+      url: '/settings/notifications',
+      tag: 'gtd-test',
+    }, { vapid });
+    if (result.delivered) return res.redirect('/settings/notifications?sent=1');
+    return res.redirect('/settings/notifications?error=' + encodeURIComponent('Ningún dispositivo recibió la notificación.'));
+  });
+
+  return router;
+}
@@ -0,0 +1,31 @@
+import express from 'express';
+import { searchItemsFullText } from '../../lib/store.js';
+import { buildPrefixTsQuery, searchItems } from '../services/search-service.js';
+import { RequestValidationError, sanitizeTextField, sanitizeIntegerField } from '../validators/request-validators.js';
+
+export function createSearchRoutes({ sanitizeInput, ownerForReq }) {
+  const router = express.Router();
+
+  // Search across all lists: GET /search?q=texto&limit=20 (JSON)
+  router.get('/search', async (req, res) => {
+    try {
+      const query = sanitizeTextField(req.query?.q, sanitizeInput, { field: 'q', maxLen: 100 });
+      const limit = sanitizeIntegerField(req.query?.limit, { field: 'limit', min: 1, max: 50, fallback: 20 });
+      if (!query) return res.json({ ok: true, query, results: [] });
+
+      const { items, ranked } = await searchItemsFullText(buildPrefixTsQuery(query), {
+        owner: ownerForReq(req),
+        limit,
+      });
+      // Papelera items are already left out by the store, before the limit
+      const results = searchItems(items, query, { limit, preserveOrder: ranked });
+      return res.json({ ok: true, query, results });
+    } catch (err) {
+      if (err instanceof RequestValidationError) return res.status(err.status || 400).json({ ok: false, error: err.message });
+      console.error('[search] failed:', err?.message || err);
+      return res.status(500).json({ ok: false, error: 'search_failed' });
+    }
+  });
+
+  return router;
+}
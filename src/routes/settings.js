@@ -1,7 +1,10 @@
 import express from 'express';
 import { loadMetaByKind, saveMetaRecord, deleteMetaRecord } from '../../lib/meta-store.js';
 import { SYSTEM_CONTEXTS, SYSTEM_AREAS } from '../services/gtd-service.js';
-import { sanitizeTextField } from '../validators/request-validators.js';
+import { API_TOKEN_SCOPES, createApiTokenRecord } from '../services/api-token-service.js';
+import { createCalendarFeedRecord } from '../services/ical-service.js';
+import { captureAddress, createCaptureAddressRecord } from '../services/inbound-mail-service.js';
+import { sanitizeTextField, sanitizeEnumField } from '../validators/request-validators.js';
 import { sanitizeContextField, sanitizeAreaField, RequestValidationError } from '../validators/request-validators.js';
 
 function randomId() {
@@ -9,7 +12,7 @@ function randomId() {
   return Buffer.from(bytes).toString('hex');
 }
 
-export function createSettingsRoutes({ renderPage, requireApiKey, sanitizeInput, ownerForReq }) {
+export function createSettingsRoutes({ renderPage, requireApiKey, sanitizeInput, ownerForReq, APP_URL = '', INBOUND_MAIL_DOMAIN = '' }) {
   const router = express.Router();
 
   // Settings index
@@ -108,5 +111,155 @@ export function createSettingsRoutes({ renderPage, requireApiKey, sanitizeInput,
     }
   });
 
+  // API tokens settings
+  async function renderTokensPage(req, res, extra = {}) {
+    let tokens = [];
+    try {
+      tokens = await loadMetaByKind('api_token', { owner: ownerForReq(req) });
+    } catch {}
+
+    return renderPage(res, 'settings/tokens', {
+      title: 'Tokens de API',
+      tokens: tokens.map(({ tokenHash, ...rest }) => rest),
+      scopes: API_TOKEN_SCOPES,
+      newToken: null,
+      flash: req.query?.success ? { success: 'Cambios guardados.' } : (req.query?.error ? { error: req.query.error } : null),
+      ...extra,
+    });
+  }
+
+  router.get('/settings/tokens', async (req, res) => renderTokensPage(req, res));
+
+  // Create token: the plain value is rendered once and never stored
+  router.post('/settings/tokens/create', requireApiKey, async (req, res) => {
+    // Tokens cannot mint or revoke tokens; only an interactive session can
+    if (req.auth?.apiToken) return res.status(403).json({ ok: false, error: 'Forbidden for API tokens' });
+    try {
+      const name = sanitizeTextField(req.body?.name, sanitizeInput, { field: 'name', required: true, maxLen: 60 });
+      const scope = sanitizeEnumField(req.body?.scope, API_TOKEN_SCOPES, sanitizeInput, 'scope');
+      const { token, record } = createApiTokenRecord({ id: randomId(), name, scope });
+      await saveMetaRecord(record, 'api_token', { owner: ownerForReq(req) });
+      return renderTokensPage(req, res, { newToken: { name, scope, token } });
+    } catch (err) {
+      if (err instanceof RequestValidationError) return res.redirect('/settings/tokens?error=' + encodeURIComponent(err.message));
+      throw err;
+    }
+  });
+
+  // Revoke token
+  router.post('/settings/tokens/:id/revoke', requireApiKey, async (req, res) => {
+    if (req.auth?.apiToken) return res.status(403).json({ ok: false, error: 'Forbidden for API tokens' });
+    try {
+      const id = sanitizeInput(String(req.params.id || ''));
+      const tokens = await loadMetaByKind('api_token', { owner: ownerForReq(req) });
+      if (!tokens.some(t => t.id === id)) return res.redirect('/settings/tokens');
+      await deleteMetaRecord(id, { owner: ownerForReq(req) });
+      return res.redirect('/settings/tokens?success=1');
+    } catch {
+      return res.redirect('/settings/tokens');
+    }
+  });
+
+  // Calendar feed settings
+  async function loadCalendarFeed(req) {
+    try {
+      const feeds = await loadMetaByKind('calendar_feed', { owner: ownerForReq(req) });
+      return feeds[0] || null;
+    } catch {
+      return null;
+    }
+  }
+
+  async function renderCalendarPage(req, res, extra = {}) {
+    const feed = await loadCalendarFeed(req);
+    return renderPage(res, 'settings/calendar', {
+      title: 'Calendario',
+      feed: feed ? (({ tokenHash, ...rest }) => rest)(feed) : null,
+      feedUrl: null,
+      flash: req.query?.success ? { success: 'Cambios guardados.' } : null,
+      ...extra,
+    });
+  }
+
+  router.get('/settings/calendar', async (req, res) => renderCalendarPage(req, res));
+
+  // Create or regenerate the feed URL: the token is rendered once and never stored
+  router.post('/settings/calendar/create', requireApiKey, async (req, res) => {
+    if (req.auth?.apiToken) return res.status(403).json({ ok: false, error: 'Forbidden for API tokens' });
+    const owner = ownerForReq(req);
+    const current = await loadCalendarFeed(req);
+    const { token, record } = createCalendarFeedRecord({
+      id: randomId(),
+      includeCompleted: current ? current.includeCompleted : req.body?.includeCompleted === 'on',
+      asTodos: current ? current.asTodos : req.body?.asTodos === 'on',
+    });
+    await saveMetaRecord(record, 'calendar_feed', { owner });
+    if (current) await deleteMetaRecord(current.id, { owner });
+    return renderCalendarPage(req, res, { feedUrl: `${APP_URL}/calendar.ics?token=${token}` });
+  });
+
+  router.post('/settings/calendar/options', requireApiKey, async (req, res) => {
+    if (req.auth?.apiToken) return res.status(403).json({ ok: false, error: 'Forbidden for API tokens' });
+    const current = await loadCalendarFeed(req);
+    if (!current) return res.redirect('/settings/calendar');
+    await saveMetaRecord({
+      ...current,
+      includeCompleted: req.body?.includeCompleted === 'on',
+      asTodos: req.body?.asTodos === 'on',
+    }, 'calendar_feed', { owner: ownerForReq(req) });
+    return res.redirect('/settings/calendar?success=1');
+  });
+
+  router.post('/settings/calendar/revoke', requireApiKey, async (req, res) => {
+    if (req.auth?.apiToken) return res.status(403).json({ ok: false, error: 'Forbidden for API tokens' });
+    const current = await loadCalendarFeed(req);
+    if (current) await deleteMetaRecord(current.id, { owner: ownerForReq(req) });
+    return res.redirect('/settings/calendar?success=1');
+  });
+
+  // Email-to-Collect capture address
+  async function loadCaptureAddress(req) {
+    try {
+      const records = await loadMetaByKind('capture_address', { owner: ownerForReq(req) });
+      return records[0] || null;
+    } catch {
+      return null;
+    }
+  }
+
+  async function renderCaptureEmailPage(req, res, extra = {}) {
+    const current = await loadCaptureAddress(req);
+    return renderPage(res, 'settings/capture-email', {
+      title: 'Captura por correo',
+      enabled: Boolean(INBOUND_MAIL_DOMAIN),
+      domain: INBOUND_MAIL_DOMAIN,
+      capture: current ? (({ tokenHash, ...rest }) => rest)(current) : null,
+      address: null,
+      flash: req.query?.success ? { success: 'Cambios guardados.' } : null,
+      ...extra,
+    });
+  }
+
+  router.get('/settings/capture-email', async (req, res) => renderCaptureEmailPage(req, res));
+
+  // Create or regenerate the address: like the calendar token, shown once and never stored
+  router.post('/settings/capture-email/create', requireApiKey, async (req, res) => {
+    if (req.auth?.apiToken) return res.status(403).json({ ok: false, error: 'Forbidden for API tokens' });
+    if (!INBOUND_MAIL_DOMAIN) return res.redirect('/settings/capture-email');
+    const owner = ownerForReq(req);
+    const current = await loadCaptureAddress(req);
+    const { token, record } = createCaptureAddressRecord({ id: randomId() });
+    await saveMetaRecord(record, 'capture_address', { owner });
+    if (current) await deleteMetaRecord(current.id, { owner });
+    return renderCaptureEmailPage(req, res, { address: captureAddress(token, INBOUND_MAIL_DOMAIN) });
+  });
+
+  router.post('/settings/capture-email/revoke', requireApiKey, async (req, res) => {
+    if (req.auth?.apiToken) return res.status(403).json({ ok: false, error: 'Forbidden for API tokens' });
+    const current = await loadCaptureAddress(req);
+    if (current) await deleteMetaRecord(current.id, { owner: ownerForReq(req) });
+    return res.redirect('/settings/capture-email?success=1');
+  });
+
   return router;
 }
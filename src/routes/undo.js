@@ -0,0 +1,153 @@
+import express from 'express';
+import { updateItem, purgeExpiredTrash } from '../../lib/store.js';
+import { loadUndoJournal, removeUndoEntry } from '../../lib/meta-store.js';
+import { TRASH_LIST, TRASH_RETENTION_DAYS, isTrashed, restoreFromTrashPatch, trashDaysLeft } from '../../lib/trash.js';
+import { listLabel } from '../services/gtd-service.js';
+import { findUndoConflicts, undoCreatedRecords, undoPatch } from '../services/undo-service.js';
+import { RequestValidationError, sanitizeIdParam } from '../validators/request-validators.js';
+
+const PAPELERA_ERRORS = {
+  backup_failed: 'No se pudo crear la copia de seguridad previa; la papelera no se ha vaciado.',
+  empty_failed: 'No se pudo vaciar la papelera por completo. Lo que queda sigue en ella.',
+};
+
+export function createUndoRoutes({ loadReqItemsByList, loadReqItemById, saveReqItem, saveReqItems, deleteReqItem, purgeReqItem, createReqBackup, requireApiKey, sanitizeInput, renderPage, ownerForReq }) {
+  const router = express.Router();
+
+  // Deshacer: restores the items of a journal entry
+  router.post(['/undo/:id', '/api/v1/undo/:id'], requireApiKey, async (req, res) => {
+    const wantsJson = String(req.get('accept') || '').includes('application/json');
+    const fail = (status, error) => {
+      if (wantsJson) return res.status(status).json({ ok: false, error });
+      return res.redirect('back');
+    };
+    try {
+      const id = sanitizeIdParam(req.params.id, sanitizeInput);
+      const owner = ownerForReq(req);
+      const entry = (await loadUndoJournal({ owner })).find(e => e.id === id);
+      if (!entry) return fail(404, 'Esta acción ya no se puede deshacer');
+
+      const created = undoCreatedRecords(entry);
+      const currentById = new Map();
+      for (const id of [...(entry.items || []).map(r => r.before.id), ...created.map(r => r.id)]) {
+        const current = await loadReqItemById(req, id);
+        if (current) currentById.set(id, current);
+      }
+      if (findUndoConflicts(entry, currentById).length) {
+        return fail(409, 'El item cambió después de esta acción; no se puede deshacer');
+      }
+
+      // One batched write, bulk entries can hold a whole list
+      const restoredItems = (entry.items || []).map(({ before }) => {
+        const current = currentById.get(before.id);
+        const next = current ? updateItem(current, undoPatch(current, before)) : { ...before, updatedAt: new Date().toISOString() };
+        if (before.movedToListAt) next.movedToListAt = before.movedToListAt;
+        return next;
+      });
+      await saveReqItems(req, restoredItems);
+      const restored = restoredItems.map(i => i.id);
+      // Items the action created (next occurrence of a recurring item) go to
+      // the Papelera, so nothing is lost for good
+      for (const { id: createdId } of created) {
+        const current = currentById.get(createdId);
+        if (current && !isTrashed(current)) await deleteReqItem(req, createdId);
+      }
+      await removeUndoEntry(entry.id, { owner });
+
+      if (wantsJson) return res.json({ ok: true, restored });
+      return res.redirect('back');
+    } catch (err) {
+      if (err instanceof RequestValidationError) return fail(err.status || 400, err.message);
+      throw err;
+    }
+  });
+
+  // Papelera: deleted items, purged after TRASH_RETENTION_DAYS
+  router.get('/papelera', async (req, res) => {
+    const owner = ownerForReq(req);
+    try {
+      await purgeExpiredTrash({ owner });
+    } catch (err) {
+      console.warn('[papelera] purge failed:', err?.message || err);
+    }
+
+    const now = new Date();
+    const [trashed, journal] = await Promise.all([
+      loadReqItemsByList(req, TRASH_LIST),
+      loadUndoJournal({ owner }),
+    ]);
+    const items = trashed
+      .sort((a, b) => String(b.trashedAt || '').localeCompare(String(a.trashedAt || '')))
+      .map(i => ({ ...i, fromLabel: listLabel(i.trashedFrom?.list), daysLeft: trashDaysLeft(i, now) }));
+
+    return renderPage(res, 'papelera', {
+      title: 'Papelera',
+      items,
+      journal,
+      retentionDays: TRASH_RETENTION_DAYS,
+      flash: PAPELERA_ERRORS[req.query?.error] ? { error: PAPELERA_ERRORS[req.query.error] } : null,
+    });
+  });
+
+  // Papelera: restore to the list it was deleted from
+  router.post('/papelera/:id/restore', requireApiKey, async (req, res) => {
+    const wantsJson = String(req.get('accept') || '').includes('application/json');
+    try {
+      const id = sanitizeIdParam(req.params.id, sanitizeInput);
+      const current = await loadReqItemById(req, id);
+      if (!current || !isTrashed(current)) {
+        if (wantsJson) return res.status(404).json({ ok: false, error: 'Item not found' });
+        return res.redirect('/papelera');
+      }
+      const next = updateItem(current, restoreFromTrashPatch(current));
+      await saveReqItem(req, next);
+      if (wantsJson) return res.json({ ok: true, item: next });
+      return res.redirect('/papelera');
+    } catch (err) {
+      if (err instanceof RequestValidationError) {
+        if (wantsJson) return res.status(err.status || 400).json({ ok: false, error: err.message });
+        return res.redirect('/papelera');
+      }
+      throw err;
+    }
+  });
+
+  // Papelera: delete permanently
+  router.post('/papelera/:id/purge', requireApiKey, async (req, res) => {
+    const wantsJson = String(req.get('accept') || '').includes('application/json');
+    try {
+      const id = sanitizeIdParam(req.params.id, sanitizeInput);
+      await purgeReqItem(req, id);
+      if (wantsJson) return res.json({ ok: true });
+      return res.redirect('/papelera');
+    } catch (err) {
+      if (err instanceof RequestValidationError) {
+        if (wantsJson) return res.status(err.status || 400).json({ ok: false, error: err.message });
+        return res.redirect('/papelera');
+      }
+      throw err;
+    }
+  });
+
+  // Papelera: empty. Purging has no undo, so a restore point is taken first
+  // (/settings/backups) and nothing is purged without it.
+  router.post('/papelera/empty', requireApiKey, async (req, res) => {
+    const wantsJson = String(req.get('accept') || '').includes('application/json');
+    const fail = (status, code) => {
+      if (wantsJson) return res.status(status).json({ ok: false, error: PAPELERA_ERRORS[code] });
+      return res.redirect(`/papelera?error=${code}`);
+    };
+    try {
+      const trashed = await loadReqItemsByList(req, TRASH_LIST);
+      if (trashed.length && !(await createReqBackup(req, 'delete'))) return fail(503, 'backup_failed');
+      for (const item of trashed) await purgeReqItem(req, item.id);
+      if (wantsJson) return res.json({ ok: true, purged: trashed.length });
+      return res.redirect('/papelera');
+    } catch (err) {
+      console.error('[papelera] empty failed:', err?.message || err);
+      return fail(500, 'empty_failed');
+    }
+  });
+
+  return router;
+}
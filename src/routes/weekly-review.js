@@ -144,8 +144,7 @@ export function createWeeklyReviewRoutes({ renderPage, requireApiKey, sanitizeIn
       if (captureText) {
         // Save to collect — import store helpers
         try {
-          const { newItem, updateItem } = await import('../../lib/store.js');
-          const { isStoreSupabaseMode, saveItem, loadDb, saveDb } = await import('../../lib/store.js');
+          const { newItem, updateItem, saveItem } = await import('../../lib/store.js');
 
           const item = updateItem(newItem({ input: captureText }), {
             title: captureText,
@@ -154,13 +153,7 @@ export function createWeeklyReviewRoutes({ renderPage, requireApiKey, sanitizeIn
             status: 'unprocessed',
           });
 
-          if (isStoreSupabaseMode()) {
-            await saveItem(item, { owner });
-          } else {
-            const db = await loadDb({ owner });
-            db.items = [item, ...(db.items || [])];
-            await saveDb(db, { owner });
-          }
+          await saveItem(item, { owner });
         } catch {}
       }
     }
@@ -0,0 +1,45 @@
+import { createHash, randomBytes } from 'node:crypto';
+
+export const API_TOKEN_PREFIX = 'gtdn_';
+export const API_TOKEN_SCOPES = ['read', 'write'];
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+export function generateApiToken() {
+  return `${API_TOKEN_PREFIX}${randomBytes(24).toString('hex')}`;
+}
+
+export function hashApiToken(token) {
+  return createHash('sha256').update(String(token || ''), 'utf8').digest('hex');
+}
+
+export function looksLikeApiToken(value) {
+  return typeof value === 'string' && /^gtdn_[a-f0-9]{48}$/.test(value);
+}
+
+// Only the hash and a short prefix (to recognize the token in the UI) are stored.
+export function createApiTokenRecord({ id, name, scope, now = new Date() }) {
+  const token = generateApiToken();
+  const record = {
+    id,
+    name,
+    scope: API_TOKEN_SCOPES.includes(scope) ? scope : 'read',
+    tokenHash: hashApiToken(token),
+    tokenPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+    createdAt: now.toISOString(),
+    lastUsedAt: null,
+  };
+  return { token, record };
+}
+
+export function scopeAllowsMethod(scope, method) {
+  if (scope === 'write') return true;
+  return SAFE_METHODS.includes(String(method || '').toUpperCase());
+}
+
+// Avoid a meta write on every request: refresh lastUsedAt at most every few minutes.
+export function shouldTouchLastUsed(record, now = new Date(), minIntervalMs = 5 * 60 * 1000) {
+  if (!record?.lastUsedAt) return true;
+  const last = new Date(record.lastUsedAt).getTime();
+  return Number.isNaN(last) || now.getTime() - last >= minIntervalMs;
+}
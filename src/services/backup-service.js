@@ -0,0 +1,63 @@
+// Restore points (lib/backup-store.js): when the scheduled one is due, how a
+// snapshot differs from the current items and how reasons are shown.
+
+import { sameItemContent } from './import-merge.js';
+
+export const BACKUP_INTERVAL_HOURS = Math.max(1, Number(process.env.BACKUP_INTERVAL_HOURS || 24));
+
+const REASON_LABELS = {
+  scheduled: 'Automática',
+  manual: 'Manual',
+  import: 'Antes de importar',
+  delete: 'Antes de borrar items',
+  restore: 'Antes de restaurar',
+};
+
+const DIFF_IGNORED_KEYS = new Set(['updatedAt', 'history', 'movedToListAt', 'version']);
+const HOUR_MS = 60 * 60 * 1000;
+
+export function backupReasonLabel(reason) {
+  return REASON_LABELS[reason] || reason;
+}
+
+// summaries: newest first, as returned by listBackups
+export function isScheduledBackupDue(summaries, { now = new Date(), intervalHours = BACKUP_INTERVAL_HOURS } = {}) {
+  const last = (summaries || []).find(s => s.reason === 'scheduled');
+  if (!last) return true;
+  const lastAt = new Date(last.createdAt).getTime();
+  return Number.isNaN(lastAt) || now.getTime() - lastAt >= intervalHours * HOUR_MS;
+}
+
+function changedFields(current, snapshot) {
+  const keys = new Set([...Object.keys(current || {}), ...Object.keys(snapshot || {})]);
+  return [...keys]
+    .filter(key => !DIFF_IGNORED_KEYS.has(key))
+    .filter(key => !sameItemContent({ [key]: current?.[key] }, { [key]: snapshot?.[key] }))
+    .sort();
+}
+
+/**
+ * What restoring `backupItems` would do to `currentItems`:
+ *   restored → in the snapshot, missing now (come back)
+ *   removed  → exist now, not in the snapshot (disappear)
+ *   changed  → in both with different content (fields that revert)
+ */
+export function diffBackup(currentItems, backupItems) {
+  const currentById = new Map((currentItems || []).map(i => [i.id, i]));
+  const backupIds = new Set();
+  const diff = { restored: [], removed: [], changed: [], unchanged: 0 };
+
+  for (const snapshot of backupItems || []) {
+    backupIds.add(snapshot.id);
+    const current = currentById.get(snapshot.id);
+    if (!current) {
+      diff.restored.push(snapshot);
+    } else if (sameItemContent(current, snapshot)) {
+      diff.unchanged += 1;
+    } else {
+      diff.changed.push({ id: snapshot.id, current, snapshot, fields: changedFields(current, snapshot) });
+    }
+  }
+  diff.removed = (currentItems || []).filter(i => !backupIds.has(i.id));
+  return diff;
+}
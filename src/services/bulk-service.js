@@ -0,0 +1,74 @@
+// Bulk actions on the list views (POST /items/bulk): one patch per selected
+// item, applied with updateItem() and saved in a single batch.
+import { withListMeta } from './gtd-service.js';
+import { buildCompletion } from './recurrence-service.js';
+import { isTrashed, trashPatch } from '../../lib/trash.js';
+
+export const BULK_ACTIONS = ['send', 'complete', 'tag', 'delete', 'reschedule'];
+export const BULK_MAX_ITEMS = 200;
+export const TAG_MODES = ['add', 'remove', 'replace'];
+
+const MAX_TAGS = 5;
+// Date a reschedule moves, per list; other lists have nothing to reschedule
+const RESCHEDULE_FIELDS = { hacer: 'scheduledFor', agendar: 'scheduledFor', delegar: 'delegatedFor' };
+
+export function mergeTags(current, tags, mode = 'add') {
+  const existing = Array.isArray(current) ? current : [];
+  if (mode === 'replace') return tags.slice(0, MAX_TAGS);
+  if (mode === 'remove') return existing.filter(t => !tags.includes(t));
+  return [...new Set([...existing, ...tags])].slice(0, MAX_TAGS);
+}
+
+function sameTags(a, b) {
+  return a.length === b.length && a.every((t, i) => t === b[i]);
+}
+
+/**
+ * Patch for one selected item: { patch, nextPatch }, nextPatch being the next
+ * occurrence when a recurring item is completed. null when the action does
+ * not apply (done, in the Papelera, nothing would change).
+ * options: { destination, context, area } · { tags, tagMode } · { date }
+ */
+export function bulkPatch(item, action, options = {}, { now = new Date() } = {}) {
+  if (!item || item.status === 'done' || isTrashed(item)) return null;
+
+  if (action === 'send') {
+    const patch = { list: options.destination, status: 'processed' };
+    if (options.context) patch.context = options.context;
+    if (options.area) patch.area = options.area;
+    const unchanged = item.list === patch.list && item.status === patch.status
+      && (!patch.context || item.context === patch.context)
+      && (!patch.area || item.area === patch.area);
+    return unchanged ? null : { patch: withListMeta(item, patch) };
+  }
+  if (action === 'complete') {
+    const { completedPatch, nextPatch } = buildCompletion(item, { now });
+    return { patch: completedPatch, nextPatch };
+  }
+  if (action === 'tag') {
+    const existing = Array.isArray(item.tags) ? item.tags : [];
+    const tags = mergeTags(existing, options.tags || [], options.tagMode);
+    return sameTags(tags, existing) ? null : { patch: { tags } };
+  }
+  if (action === 'delete') return { patch: trashPatch(item, now.toISOString()) };
+  if (action === 'reschedule') {
+    const field = RESCHEDULE_FIELDS[item.list];
+    if (!field || item[field] === options.date) return null;
+    return { patch: { [field]: options.date } };
+  }
+  throw new Error(`Unknown bulk action: ${action}`);
+}
+
+// Toast / undo label, e.g. 'Enviados a Hacer: 12 items'
+export function bulkLabel(action, count, { toLabel = null, conflicts = 0 } = {}) {
+  const n = count === 1 ? '1 item' : `${count} items`;
+  const labels = {
+    send: toLabel ? `Enviados a ${toLabel}: ${n}` : `Enviados: ${n}`,
+    complete: `Completados: ${n}`,
+    tag: `Etiquetas actualizadas: ${n}`,
+    delete: `Movidos a la papelera: ${n}`,
+    reschedule: `Reprogramados: ${n}`,
+  };
+  const label = labels[action] || n;
+  return conflicts ? `${label} · ${conflicts} sin cambios (editados en otra sesión)` : label;
+}
@@ -0,0 +1,230 @@
+// Quick capture: inline tokens in the Collect input pre-fill the item.
+//   @contexto  #tag  !1..!5 (urgencia)  +area  >destino  >delegar Nombre
+//   fechas: hoy, mañana, pasado mañana, el viernes, la próxima semana,
+//           en 3 días, 15/11, 15/11/2027, 3 de marzo
+// Only an explicit >destino moves the item out of Collect.
+import { DESTINATIONS, listLabel } from './gtd-service.js';
+import { toDateKey } from './recurrence-service.js';
+
+const MAX_TAGS = 5;
+const WEEKDAYS = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+const MONTHS = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+const WEEKDAY_SHORT = ['dom', 'lun', 'mar', 'mié', 'jue', 'vie', 'sáb'];
+const MONTH_SHORT = ['ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sep', 'oct', 'nov', 'dic'];
+const NUMBER_WORDS = { un: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10 };
+
+// >destino aliases; keys of DESTINATIONS are always accepted
+const ROUTE_ALIASES = { 'algun-dia': 'someday', algundia: 'someday', nohacer: 'no-hacer', referencia: 'no-hacer' };
+
+// Tokens start the text or follow whitespace, so e-mails and URLs are left alone.
+// sanitizeInput() has already escaped ">" when the text comes from a form.
+const WORD = '[a-zA-Z0-9áéíóúüñÁÉÍÓÚÜÑ_-]';
+const PERSON_RE = new RegExp(`^\\s+([a-zA-ZáéíóúüñÁÉÍÓÚÜÑ]${WORD}{0,39})`);
+// Words after ">delegar" that start a date or a phrase, never a name
+const NOT_A_PERSON = new Set(['a', 'al', 'el', 'la', 'en', 'para', 'hoy', 'manana', 'pasado', 'proximo', 'proxima', ...WEEKDAYS]);
+const TOKEN_PATTERNS = [
+  { type: 'route', re: new RegExp(`(^|\\s)(?:>|&gt;)(${WORD}{2,20})(?=\\s|$)`, 'g') },
+  { type: 'context', re: new RegExp(`(^|\\s)@(${WORD}{1,30})(?=\\s|$)`, 'g') },
+  { type: 'tag', re: new RegExp(`(^|\\s)#(${WORD}{1,20})(?=\\s|$)`, 'g') },
+  { type: 'urgency', re: /(^|\s)!([1-5])(?=\s|$)/g },
+  { type: 'area', re: new RegExp(`(^|\\s)\\+(${WORD}{1,30})(?=\\s|$)`, 'g') },
+];
+
+// Lowercase without accents, same length as the input so match indexes
+// can be used to cut the original text.
+function fold(text) {
+  return text.toLowerCase().replace(/[áàä]/g, 'a').replace(/[éèë]/g, 'e').replace(/[íìï]/g, 'i')
+    .replace(/[óòö]/g, 'o').replace(/[úùü]/g, 'u').replace(/ñ/g, 'n');
+}
+
+function keyToUtc(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function addDays(key, days) {
+  const d = keyToUtc(key);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function addMonths(key, months) {
+  const d = keyToUtc(key);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const last = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, last));
+  return d.toISOString().slice(0, 10);
+}
+
+// YYYY-MM-DD for a day/month (and optional year); without a year a date
+// already past this year means next year. null when the date does not exist.
+function calendarKey(today, day, month, year = null) {
+  const thisYear = Number(today.slice(0, 4));
+  let y = year == null ? thisYear : (year < 100 ? 2000 + year : year);
+  const build = () => {
+    const d = new Date(Date.UTC(y, month - 1, day));
+    return d.getUTCMonth() === month - 1 && d.getUTCDate() === day ? d.toISOString().slice(0, 10) : null;
+  };
+  let key = build();
+  if (key && year == null && key < today) {
+    y += 1;
+    key = build();
+  }
+  return key;
+}
+
+const DATE_PATTERNS = [
+  { re: /\bpasado manana\b/g, resolve: (m, today) => addDays(today, 2) },
+  // "por la mañana" / "esta mañana" are a time of day, not tomorrow
+  { re: /(?<!\b(?:la|esta) )\bmanana\b/g, resolve: (m, today) => addDays(today, 1) },
+  { re: /\bhoy\b/g, resolve: (m, today) => today },
+  {
+    re: /\ben (\d{1,3}|un|una|dos|tres|cuatro|cinco|seis|siete|ocho|nueve|diez) (dias?|semanas?|mes|meses)\b/g,
+    resolve: (m, today) => {
+      const n = NUMBER_WORDS[m[1]] ?? Number(m[1]);
+      if (m[2].startsWith('dia')) return addDays(today, n);
+      if (m[2].startsWith('semana')) return addDays(today, n * 7);
+      return addMonths(today, n);
+    },
+  },
+  {
+    re: /\b(?:(?:la )?proxima semana|(?:la )?semana que viene)\b/g,
+    resolve: (m, today) => addDays(today, ((8 - keyToUtc(today).getUTCDay()) % 7) || 7),
+  },
+  {
+    // "el viernes" on a Friday means next week's
+    re: new RegExp(`\\b(?:el )?(?:proximo )?(${WEEKDAYS.join('|')})(?: (?:que viene|proximo))?\\b`, 'g'),
+    resolve: (m, today) => addDays(today, ((WEEKDAYS.indexOf(m[1]) - keyToUtc(today).getUTCDay() + 7) % 7) || 7),
+  },
+  {
+    re: /(?<![\w/#])(?:el )?(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?(?![\w/])/g,
+    resolve: (m, today) => calendarKey(today, Number(m[1]), Number(m[2]), m[3] ? Number(m[3]) : null),
+  },
+  {
+    re: new RegExp(`\\b(?:el )?(\\d{1,2}) de (${MONTHS.join('|')})(?: (?:de |del )?(\\d{4}))?\\b`, 'g'),
+    resolve: (m, today) => calendarKey(today, Number(m[1]), MONTHS.indexOf(m[2]) + 1, m[3] ? Number(m[3]) : null),
+  },
+];
+
+/**
+ * First date expression in text: { date: 'YYYY-MM-DD', index, length, raw }
+ * or null. Spanish, accent-insensitive; relative to the server's local day.
+ */
+export function parseSpanishDate(text, { now = new Date() } = {}) {
+  const source = String(text || '');
+  const folded = fold(source);
+  const today = toDateKey(now);
+  let best = null;
+  for (const { re, resolve } of DATE_PATTERNS) {
+    re.lastIndex = 0;
+    for (const m of folded.matchAll(re)) {
+      const date = resolve(m, today);
+      if (!date) continue;
+      // Earliest match wins; on a tie the longest ("pasado mañana" over "mañana")
+      if (!best || m.index < best.index || (m.index === best.index && m[0].length > best.length)) {
+        best = { date, index: m.index, length: m[0].length, raw: source.slice(m.index, m.index + m[0].length) };
+      }
+    }
+  }
+  return best;
+}
+
+export function formatDateLabel(key) {
+  const d = keyToUtc(key);
+  return `${WEEKDAY_SHORT[d.getUTCDay()]} ${d.getUTCDate()} ${MONTH_SHORT[d.getUTCMonth()]}`;
+}
+
+function routeFor(word) {
+  const key = ROUTE_ALIASES[word] || word;
+  return DESTINATIONS.some(d => d.key === key) ? key : null;
+}
+
+/**
+ * Parse a capture into { title, list, fields, tokens, warnings }.
+ * fields only has what was recognized: context, area, tags, urgency,
+ * scheduledFor | delegatedFor, delegatedTo. tokens is what the preview shows:
+ * [{ type, raw, label }].
+ */
+export function parseCapture(text, { now = new Date() } = {}) {
+  const source = String(text || '');
+  const cuts = []; // [start, end) ranges removed from the title
+  const tokens = [];
+  const warnings = [];
+  const fields = {};
+  let route = null;
+
+  for (const { type, re } of TOKEN_PATTERNS) {
+    re.lastIndex = 0;
+    for (const m of source.matchAll(re)) {
+      const start = m.index + m[1].length;
+      const value = m[2];
+      const raw = m[0].slice(m[1].length);
+      if (type === 'route') {
+        const key = routeFor(fold(value));
+        if (!key || route) continue;
+        route = key;
+        tokens.push({ type, raw, label: `Destino: ${listLabel(key)}` });
+        let end = start + raw.length;
+        // ">delegar Ana": the next word is the person
+        const person = key === 'delegar' ? PERSON_RE.exec(source.slice(end)) : null;
+        if (person && !NOT_A_PERSON.has(fold(person[1]))) {
+          fields.delegatedTo = person[1];
+          tokens.push({ type: 'delegatedTo', raw: person[1], label: `Responsable: ${person[1]}` });
+          end += person[0].length;
+        }
+        cuts.push([start, end]);
+        continue;
+      }
+      if (type === 'context') {
+        if (fields.context) continue;
+        fields.context = `@${value.toLowerCase()}`;
+        tokens.push({ type, raw, label: `Contexto: ${fields.context}` });
+      } else if (type === 'tag') {
+        const tag = value.toLowerCase();
+        fields.tags = fields.tags || [];
+        if (fields.tags.length < MAX_TAGS && !fields.tags.includes(tag)) {
+          fields.tags.push(tag);
+          tokens.push({ type, raw, label: `Etiqueta: ${tag}` });
+        }
+      } else if (type === 'urgency') {
+        if (fields.urgency) continue;
+        fields.urgency = Number(value);
+        tokens.push({ type, raw, label: `Urgencia: ${value}` });
+      } else if (type === 'area') {
+        if (fields.area) continue;
+        fields.area = value.toLowerCase();
+        tokens.push({ type, raw, label: `Área: ${fields.area}` });
+      }
+      cuts.push([start, start + raw.length]);
+    }
+  }
+
+  // Dates are looked for in what is left, so "#15/11" stays a tag
+  const masked = cuts.reduce((s, [a, b]) => s.slice(0, a) + ' '.repeat(b - a) + s.slice(b), source);
+  const date = parseSpanishDate(masked, { now });
+  if (date) {
+    cuts.push([date.index, date.index + date.length]);
+    if (route === 'delegar') fields.delegatedFor = date.date;
+    else fields.scheduledFor = date.date;
+    tokens.push({ type: 'date', raw: date.raw, label: `${route === 'delegar' ? 'Seguimiento' : 'Fecha'}: ${formatDateLabel(date.date)}` });
+  }
+
+  if (route === 'agendar' && !fields.scheduledFor) {
+    warnings.push('Agendar necesita una fecha: queda en Collect');
+    route = null;
+  }
+  if (route === 'delegar' && !fields.delegatedTo) {
+    warnings.push('Delegar necesita un responsable (>delegar Nombre): queda en Collect');
+    route = null;
+  }
+
+  const title = cuts
+    .sort((a, b) => b[0] - a[0])
+    .reduce((s, [a, b]) => s.slice(0, a) + ' ' + s.slice(b), source)
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return { title: title || source.trim(), list: route || 'collect', fields, tokens, warnings };
+}
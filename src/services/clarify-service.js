@@ -0,0 +1,77 @@
+// "Procesar bandeja": clarifies Collect items one at a time following the GTD
+// decision tree and turns the answer into the patch for the chosen outcome.
+import { evaluateActionability, randomId, withDesglosarMeta, withHacerMeta } from './gtd-service.js';
+import { trashPatch } from '../../lib/trash.js';
+
+// Where an item can end up. "done" is the <2 min rule: done right away.
+export const CLARIFY_OUTCOMES = ['hacer', 'agendar', 'delegar', 'desglosar', 'someday', 'no-hacer', 'done', 'delete'];
+export const MAX_FIRST_SUBTASKS = 10;
+
+// Decision tree shown by views/procesar.ejs; every answer leads to another
+// question or to the outcomes offered at that point.
+export const CLARIFY_STEPS = [
+  { key: 'actionable', question: '¿Es accionable?', hint: '¿Requiere que hagas algo?', yes: 'twoMinutes', no: ['someday', 'no-hacer', 'delete'] },
+  { key: 'twoMinutes', question: '¿Se hace en menos de 2 minutos?', hint: 'Si sí, hazlo ahora mismo.', yes: ['done', 'hacer'], no: 'mine' },
+  { key: 'mine', question: '¿Te toca hacerlo a ti?', hint: 'Si otra persona debe hacerlo, delégalo.', yes: 'multiStep', no: ['delegar'] },
+  { key: 'multiStep', question: '¿Requiere varios pasos?', hint: 'Un proyecto necesita más de una acción.', yes: ['desglosar'], no: 'dated' },
+  { key: 'dated', question: '¿Tiene fecha o día concreto?', hint: 'Citas, plazos, cosas que no pueden hacerse antes.', yes: ['agendar'], no: ['hacer'] },
+];
+
+// Collect items in processing order: oldest first, skipped ones left out
+export function clarifyQueue(items, skipped = []) {
+  const skip = new Set(skipped);
+  return items
+    .filter(i => i.list === 'collect' && i.status !== 'done' && !skip.has(i.id))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+export function clarifyProgress(processed, remaining) {
+  const total = processed + remaining;
+  return { processed, remaining, total, pct: total ? Math.round((processed / total) * 100) : 100 };
+}
+
+// Non-empty lines of the "primeros pasos" textarea as open subtasks
+export function firstSubtasks(text) {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.replace(/^\s*[-*•]\s*/, '').trim())
+    .filter(Boolean)
+    .slice(0, MAX_FIRST_SUBTASKS)
+    .map(line => ({ id: randomId(), text: line, status: 'open' }));
+}
+
+/**
+ * Patch for the outcome. fields were validated by the route:
+ * { title, context, area, urgency, importance, estimateMin, scheduledFor,
+ *   delegatedTo, delegatedFor, objective, subtasks, comment }
+ */
+export function clarifyPatch(item, outcome, fields = {}, { now = new Date() } = {}) {
+  if (outcome === 'delete') return trashPatch(item, now.toISOString());
+
+  const base = { title: fields.title || item.title || item.input || '', kind: 'action', status: 'processed' };
+  if (fields.context) base.context = fields.context;
+  if (fields.area) base.area = fields.area;
+
+  switch (outcome) {
+    case 'hacer':
+      return withHacerMeta(item, { ...base, list: 'hacer', urgency: fields.urgency, importance: fields.importance, estimateMin: fields.estimateMin });
+    case 'done':
+      return {
+        ...withHacerMeta(item, { ...base, list: 'hacer', estimateMin: 2 }),
+        status: 'done',
+        completedAt: now.toISOString(),
+        completionComment: fields.comment || null,
+      };
+    case 'agendar':
+      return { ...base, list: 'agendar', scheduledFor: fields.scheduledFor, ...(fields.estimateMin ? { estimateMin: fields.estimateMin } : {}), ...evaluateActionability(base.title) };
+    case 'delegar':
+      return { ...base, list: 'delegar', delegatedTo: fields.delegatedTo, delegatedFor: fields.delegatedFor };
+    case 'desglosar':
+      return withDesglosarMeta(item, { ...base, list: 'desglosar', objective: fields.objective || '', subtasks: fields.subtasks || [] });
+    case 'someday':
+    case 'no-hacer':
+      return { ...base, list: outcome };
+    default:
+      throw new Error(`Unknown clarify outcome: ${outcome}`);
+  }
+}
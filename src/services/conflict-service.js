@@ -0,0 +1,78 @@
+// "Este elemento cambió en otra sesión": what a stale form post wanted to save
+// next to the item as it is now, for the merge screen (views/conflict.ejs),
+// and the 409 body for JSON clients.
+
+import { itemVersion } from '../../lib/item-version.js';
+import { decodeEntities } from './export-service.js';
+
+export const CONFLICT_MESSAGE = 'Este elemento cambió en otra sesión';
+
+// Form fields that map to an item field: offered as "tuya / actual"
+const FIELD_LABELS = {
+  input: 'Texto',
+  title: 'Título',
+  objective: 'Objetivo',
+  nextAction: 'Siguiente acción',
+  notes: 'Notas',
+  context: 'Contexto',
+  area: 'Área',
+  tags: 'Etiquetas',
+  urgency: 'Urgencia',
+  importance: 'Importancia',
+  estimateMin: 'Estimación (min)',
+  scheduledFor: 'Fecha',
+  delegatedTo: 'Delegado a',
+  delegatedFor: 'Seguimiento',
+  completionComment: 'Comentario',
+  list: 'Lista',
+};
+
+// Action parameters: re-sent as they were
+const EXTRA_LABELS = {
+  subtask: 'Nueva subtarea',
+  subtaskText: 'Subtarea',
+  destination: 'Destino',
+  comment: 'Comentario',
+  recurrenceFreq: 'Repetir',
+  recurrenceInterval: 'Cada',
+  recurrenceWeekdays: 'Días',
+};
+
+const CONTROL_FIELDS = new Set(['_csrf', 'version']);
+
+function displayValue(value) {
+  if (value == null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  return decodeEntities(value);
+}
+
+/**
+ * fields: submitted values that are item fields, with the current value and
+ * whether they differ; extras: the rest of the submitted form (action params),
+ * with every value of multi-value fields.
+ */
+export function buildConflictFields(body, current) {
+  const fields = [];
+  const extras = [];
+  for (const [name, raw] of Object.entries(body || {})) {
+    if (CONTROL_FIELDS.has(name)) continue;
+    const mine = Array.isArray(raw) ? raw.join(', ') : String(raw ?? '');
+    if (FIELD_LABELS[name]) {
+      const theirs = displayValue(current?.[name]);
+      fields.push({ name, label: FIELD_LABELS[name], mine, theirs, differs: mine.trim() !== theirs.trim() });
+    } else {
+      extras.push({ name, label: EXTRA_LABELS[name] || name, value: mine, values: Array.isArray(raw) ? raw.map(String) : [mine] });
+    }
+  }
+  return { fields, extras };
+}
+
+export function versionConflictBody(current) {
+  return {
+    ok: false,
+    error: 'version_conflict',
+    message: CONFLICT_MESSAGE,
+    currentVersion: itemVersion(current),
+    item: current || null,
+  };
+}
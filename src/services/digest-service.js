@@ -0,0 +1,127 @@
+// Email digest: the "Hoy" plan plus backlog and review state, mailed at the
+// user's chosen local time. Pure; sending lives in lib/digest.js.
+import { buildTodayPlan, DEFAULT_AVAILABLE_MIN } from './today-service.js';
+import { getLastReviewInfo } from './weekly-review-service.js';
+import { toDateKey } from './recurrence-service.js';
+
+export const DIGEST_FREQUENCIES = {
+  daily: 'Cada día',
+  weekly: 'Una vez por semana',
+};
+export const DIGEST_WEEKDAYS = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+export const DEFAULT_DIGEST_TIMEZONE = 'Europe/Madrid';
+// Same threshold as the dashboard reminder (more than a week)
+export const REVIEW_OVERDUE_DAYS = 7;
+
+const MAX_FOCUS_ITEMS = 5;
+const WEEKLY_HORIZON_DAYS = 7;
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+export function isValidTimeZone(value) {
+  if (!value || typeof value !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function defaultDigestPrefs() {
+  return { enabled: false, email: '', frequency: 'daily', hour: 7, weekday: 1, timeZone: DEFAULT_DIGEST_TIMEZONE };
+}
+
+function intInRange(value, min, max, fallback) {
+  const n = Number(value);
+  return value !== '' && value != null && Number.isInteger(n) && n >= min && n <= max ? n : fallback;
+}
+
+// Stored preferences (or a settings form body) → complete, valid preferences
+export function normalizeDigestPrefs(raw = {}) {
+  const prefs = defaultDigestPrefs();
+  if (raw.enabled !== undefined) prefs.enabled = raw.enabled === true || raw.enabled === 'true' || raw.enabled === 'on';
+  if (typeof raw.email === 'string') prefs.email = raw.email.trim().slice(0, 254);
+  if (DIGEST_FREQUENCIES[raw.frequency]) prefs.frequency = raw.frequency;
+  prefs.hour = intInRange(raw.hour, 0, 23, prefs.hour);
+  prefs.weekday = intInRange(raw.weekday, 0, 6, prefs.weekday);
+  if (isValidTimeZone(raw.timeZone)) prefs.timeZone = raw.timeZone;
+  return prefs;
+}
+
+// Wall clock in a time zone → { dateKey, hour, weekday }
+export function localClock(now, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23',
+    weekday: 'short',
+  }).formatToParts(now).map(p => [p.type, p.value]));
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    weekday: WEEKDAY_INDEX[parts.weekday],
+  };
+}
+
+/**
+ * Whether the digest should go out now. key identifies the period (one
+ * digest per local day, or per week for weekly ones) for the send log.
+ * → { due, key }
+ */
+export function digestDue(prefs, { now = new Date() } = {}) {
+  const options = normalizeDigestPrefs(prefs);
+  const clock = localClock(now, options.timeZone);
+  const key = `digest:${options.frequency}:${clock.dateKey}`;
+  if (!options.enabled) return { due: false, key };
+  if (clock.hour < options.hour) return { due: false, key };
+  if (options.frequency === 'weekly' && clock.weekday !== options.weekday) return { due: false, key };
+  return { due: true, key };
+}
+
+/**
+ * Digest content for an owner's items (agendar, hacer, delegar and collect)
+ * on the user's local date, computed by the same plan as /hoy.
+ */
+export function buildDigest(items, { now = new Date(), timeZone = DEFAULT_DIGEST_TIMEZONE, frequency = 'daily', reviews = [], availableMin = DEFAULT_AVAILABLE_MIN } = {}) {
+  const clock = localClock(now, timeZone);
+  const [y, m, d] = clock.dateKey.split('-').map(Number);
+  // buildTodayPlan reads the date in server time: hand it the user's wall clock
+  const localNow = new Date(y, m - 1, d, clock.hour);
+  const plan = buildTodayPlan(items, {
+    now: localNow,
+    availableMin,
+    horizonDays: frequency === 'weekly' ? WEEKLY_HORIZON_DAYS : 0,
+  });
+  const collectCount = (items || []).filter(i => i.list === 'collect' && i.status !== 'done').length;
+  const { lastReview, daysSinceLast } = getLastReviewInfo(reviews, { now });
+
+  const digest = {
+    frequency,
+    dateKey: toDateKey(localNow),
+    dateLabel: localNow.toLocaleDateString('es', { weekday: 'long', day: 'numeric', month: 'long' }),
+    scheduledToday: plan.scheduled.today,
+    overdue: plan.scheduled.overdue,
+    upcoming: plan.scheduled.upcoming,
+    focus: plan.focus.slice(0, MAX_FOCUS_ITEMS),
+    followUps: plan.followUps,
+    collectCount,
+    lastReviewAt: lastReview?.completedAt || null,
+    daysSinceReview: daysSinceLast,
+    reviewOverdue: daysSinceLast === null || daysSinceLast > REVIEW_OVERDUE_DAYS,
+  };
+  digest.isEmpty = !digest.scheduledToday.length && !digest.overdue.length && !digest.upcoming.length &&
+    !digest.focus.length && !digest.followUps.length && !collectCount;
+  return digest;
+}
+
+export function digestSubject(digest) {
+  if (digest.frequency === 'weekly') return 'Tu semana en GTD Neto';
+  const parts = [];
+  if (digest.scheduledToday.length) parts.push(`${digest.scheduledToday.length} para hoy`);
+  if (digest.overdue.length) parts.push(`${digest.overdue.length} vencido${digest.overdue.length === 1 ? '' : 's'}`);
+  if (digest.followUps.length) parts.push(`${digest.followUps.length} por seguir`);
+  return parts.length ? `Tu día en GTD Neto: ${parts.join(', ')}` : 'Tu día en GTD Neto';
+}
@@ -0,0 +1,207 @@
+// Human-oriented exports: complete CSV, Markdown by destination, OPML outline
+// of Desglosar projects and the data for the printable weekly sheet.
+// /export/json stays the lossless backup format (see import-payload.js).
+
+import { DESTINATIONS, listLabel } from './gtd-service.js';
+import { describeRecurrence, toDateKey } from './recurrence-service.js';
+
+export const EXPORT_CSV_COLUMNS = [
+  'id', 'title', 'input', 'list', 'status', 'kind', 'context', 'area', 'tags',
+  'urgency', 'importance', 'estimateMin', 'priorityScore', 'nextAction', 'objective', 'notes',
+  'scheduledFor', 'delegatedTo', 'delegatedFor', 'recurrence', 'links',
+  'completedAt', 'completionComment', 'sourceProjectTitle', 'createdAt', 'updatedAt',
+];
+export const EXPORT_SUBTASK_COLUMNS = ['subtaskId', 'subtaskText', 'subtaskStatus'];
+
+// Order used by Markdown and the weekly sheet
+export const EXPORT_LISTS = ['collect', ...DESTINATIONS.map(d => d.key)];
+
+const WEEK_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stored text is HTML-escaped by sanitizeInput; files want plain text
+export function decodeEntities(text) {
+  return String(text ?? '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#(?:39|x27);/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// scheduledFor/delegatedFor are date keys; older imports may hold full ISO dates
+function dateKeyOf(value) {
+  if (!value) return null;
+  const match = String(value).match(/^\d{4}-\d{2}-\d{2}/);
+  return match ? match[0] : null;
+}
+
+function isActive(item) {
+  return item && item.list !== 'papelera' && item.status !== 'done';
+}
+
+function csvCell(value) {
+  const text = decodeEntities(value);
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvValue(item, column) {
+  if (column === 'tags') return (item.tags || []).join(', ');
+  if (column === 'links') return (item.links || []).map(l => l.url).filter(Boolean).join(' ');
+  if (column === 'recurrence') return item.recurrence ? describeRecurrence(item.recurrence) : '';
+  return item[column];
+}
+
+function subtaskMark(subtask) {
+  return subtask.status === 'done' ? '[x]' : '[ ]';
+}
+
+/**
+ * All item fields, one row per item. subtaskRows: one row per subtask instead
+ * (item columns repeated); otherwise subtasks are summarized in one column.
+ */
+export function buildItemsCsv(items, { subtaskRows = false } = {}) {
+  const header = subtaskRows
+    ? [...EXPORT_CSV_COLUMNS, ...EXPORT_SUBTASK_COLUMNS]
+    : [...EXPORT_CSV_COLUMNS, 'subtasks'];
+  const rows = [header.join(',')];
+
+  for (const item of items || []) {
+    const base = EXPORT_CSV_COLUMNS.map(column => csvCell(csvValue(item, column)));
+    const subtasks = item.subtasks || [];
+    if (!subtaskRows) {
+      rows.push([...base, csvCell(subtasks.map(s => `${subtaskMark(s)} ${s.text}`).join(' | '))].join(','));
+    } else if (!subtasks.length) {
+      rows.push([...base, '', '', ''].join(','));
+    } else {
+      for (const subtask of subtasks) {
+        rows.push([...base, csvCell(subtask.id), csvCell(subtask.text), csvCell(subtask.status)].join(','));
+      }
+    }
+  }
+  return `${rows.join('\r\n')}\r\n`;
+}
+
+function oneLine(text) {
+  return decodeEntities(text).replace(/\s*\r?\n\s*/g, ' ').trim();
+}
+
+// Suffix readable by the plain-text importer: @context #tag YYYY-MM-DD
+function markdownMeta(item) {
+  const parts = [];
+  if (item.context) parts.push(item.context);
+  for (const tag of item.tags || []) parts.push(`#${tag}`);
+  if (item.list === 'delegar' && item.delegatedTo) parts.push(`(${oneLine(item.delegatedTo)})`);
+  const date = item.list === 'delegar' ? item.delegatedFor : item.scheduledFor;
+  if (dateKeyOf(date)) parts.push(dateKeyOf(date));
+  return parts.length ? ` ${parts.join(' ')}` : '';
+}
+
+/**
+ * "# GTD_Neto" document with a "## List" section per destination and a
+ * checkbox per item; subtasks are nested checkboxes and notes are quoted.
+ */
+export function buildMarkdownExport(items, { includeCompleted = false, now = new Date() } = {}) {
+  const visible = (items || []).filter(i => i && i.list !== 'papelera' && (includeCompleted || i.status !== 'done'));
+  const lines = [`# GTD_Neto — ${toDateKey(now)}`, ''];
+
+  for (const list of EXPORT_LISTS) {
+    const inList = visible
+      .filter(i => i.list === list)
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    if (!inList.length) continue;
+
+    lines.push(`## ${listLabel(list)}`, '');
+    for (const item of inList) {
+      lines.push(`- ${item.status === 'done' ? '[x]' : '[ ]'} ${oneLine(item.title || item.input)}${markdownMeta(item)}`);
+      for (const subtask of item.subtasks || []) {
+        lines.push(`  - ${subtaskMark(subtask)} ${oneLine(subtask.text)}`);
+      }
+      const notes = decodeEntities(item.notes || item.objective || '').trim();
+      if (notes) lines.push(...notes.split(/\r?\n/).map(line => `  > ${line}`.trimEnd()));
+    }
+    lines.push('');
+  }
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+function xmlAttr(text) {
+  return decodeEntities(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\r?\n/g, '&#10;');
+}
+
+/**
+ * OPML 2.0 outline: one outline per active Desglosar project with its
+ * subtasks as children (done subtasks carry _status="checked").
+ */
+export function buildProjectsOpml(items, { now = new Date() } = {}) {
+  const projects = (items || [])
+    .filter(i => isActive(i) && i.list === 'desglosar')
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    '    <title>GTD_Neto — Proyectos</title>',
+    `    <dateCreated>${now.toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+  ];
+  for (const project of projects) {
+    const note = project.objective || project.notes;
+    const attrs = `text="${xmlAttr(project.title || project.input)}"${note ? ` _note="${xmlAttr(note)}"` : ''}`;
+    const subtasks = project.subtasks || [];
+    if (!subtasks.length) {
+      lines.push(`    <outline ${attrs}/>`);
+      continue;
+    }
+    lines.push(`    <outline ${attrs}>`);
+    for (const subtask of subtasks) {
+      lines.push(`      <outline text="${xmlAttr(subtask.text)}"${subtask.status === 'done' ? ' _status="checked"' : ''}/>`);
+    }
+    lines.push('    </outline>');
+  }
+  lines.push('  </body>', '</opml>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Active lists for the printable weekly sheet. Agendar is split into this
+ * week (overdue included) and later; Hacer is sorted by priority.
+ */
+export function buildWeeklySheet(items, { now = new Date() } = {}) {
+  const today = toDateKey(now);
+  const weekEnd = toDateKey(new Date(now.getTime() + (WEEK_DAYS - 1) * DAY_MS));
+  const active = (items || []).filter(isActive);
+  const byCreated = (a, b) => String(a.createdAt).localeCompare(String(b.createdAt));
+
+  const agendar = active
+    .filter(i => i.list === 'agendar')
+    .map(i => ({ ...i, date: dateKeyOf(i.scheduledFor) }))
+    .sort((a, b) => String(a.date || '9999').localeCompare(String(b.date || '9999')));
+
+  return {
+    today,
+    weekEnd,
+    hacer: active
+      .filter(i => i.list === 'hacer')
+      .sort((a, b) => Number(b.priorityScore || 0) - Number(a.priorityScore || 0) || byCreated(a, b)),
+    agendarThisWeek: agendar.filter(i => i.date && i.date <= weekEnd),
+    agendarLater: agendar.filter(i => !i.date || i.date > weekEnd),
+    delegar: active
+      .filter(i => i.list === 'delegar')
+      .map(i => ({ ...i, date: dateKeyOf(i.delegatedFor) }))
+      .sort((a, b) => String(a.date || '9999').localeCompare(String(b.date || '9999'))),
+    projects: active
+      .filter(i => i.list === 'desglosar')
+      .sort(byCreated)
+      .map(i => ({ ...i, openSubtasks: (i.subtasks || []).filter(s => s.status === 'open') })),
+    collectCount: active.filter(i => i.list === 'collect').length,
+    somedayCount: active.filter(i => i.list === 'someday').length,
+  };
+}
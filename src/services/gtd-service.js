@@ -9,6 +9,14 @@ export const DESTINATIONS = [
 
 export const VALID_LISTS = ['collect', ...DESTINATIONS.map(d => d.key)];
 
+// Lists without a destination entry; inbox only shows up in old history entries
+const OTHER_LIST_LABELS = { collect: 'Collect', papelera: 'Papelera', inbox: 'Inbox' };
+
+// Display name of a list key, shared by views, history, exports and the capture preview
+export function listLabel(list) {
+  return DESTINATIONS.find(d => d.key === list)?.label || OTHER_LIST_LABELS[list] || list || '—';
+}
+
 // System contexts — seeded in UI, not persisted per user
 export const SYSTEM_CONTEXTS = [
   '@trabajo',
@@ -108,3 +116,16 @@ export function withDesglosarMeta(item, patch = {}) {
     subtasks,
   };
 }
+
+// Applies the list-specific normalization (Hacer priority, Desglosar project
+// shape) for the list the item ends up in after the patch.
+export function statusForList(list) {
+  return list === 'collect' ? 'unprocessed' : 'processed';
+}
+
+export function withListMeta(item, patch = {}) {
+  const list = patch.list ?? item.list;
+  if (list === 'hacer') return withHacerMeta(item, patch);
+  if (list === 'desglosar') return withDesglosarMeta(item, patch);
+  return patch;
+}
@@ -0,0 +1,174 @@
+// iCalendar (RFC 5545) output for Agendar/Hacer dates and Delegar follow-ups.
+//
+// Scheduled items (scheduledFor) become all-day VEVENTs, or VTODOs with a DUE
+// date when `asTodos` is set. Delegated items become a follow-up on
+// delegatedFor with a reminder at 09:00. Completed items are skipped unless
+// `includeCompleted`.
+//
+// The subscription feed (/calendar.ics?token=…) is authorized by a secret
+// token; only its hash is stored (meta kind "calendar_feed").
+
+import { randomBytes } from 'node:crypto';
+import { hashApiToken } from './api-token-service.js';
+import { decodeEntities } from './export-service.js';
+
+export const CALENDAR_TOKEN_PREFIX = 'gtdcal_';
+export const CALENDAR_LISTS = ['agendar', 'hacer', 'delegar'];
+
+const PRODID = '-//GTD_Neto//Calendario GTD//ES';
+const UID_DOMAIN = 'gtd-neto';
+const FOLLOW_UP_ALARM = 'PT9H';
+const MAX_LINE_OCTETS = 75;
+
+export function generateCalendarToken() {
+  return `${CALENDAR_TOKEN_PREFIX}${randomBytes(24).toString('hex')}`;
+}
+
+export function looksLikeCalendarToken(value) {
+  return typeof value === 'string' && /^gtdcal_[a-f0-9]{48}$/.test(value);
+}
+
+export function hashCalendarToken(token) {
+  return hashApiToken(token);
+}
+
+// One feed per owner; regenerating replaces the record (and the URL)
+export function createCalendarFeedRecord({ id, includeCompleted = false, asTodos = false, now = new Date() }) {
+  const token = generateCalendarToken();
+  const record = {
+    id,
+    tokenHash: hashCalendarToken(token),
+    tokenPrefix: token.slice(0, CALENDAR_TOKEN_PREFIX.length + 6),
+    includeCompleted: Boolean(includeCompleted),
+    asTodos: Boolean(asTodos),
+    createdAt: now.toISOString(),
+    lastUsedAt: null,
+  };
+  return { token, record };
+}
+
+export function escapeIcsText(text) {
+  return decodeEntities(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n?|\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+export function foldIcsLine(line) {
+  if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) return line;
+  const parts = [];
+  let current = '';
+  let limit = MAX_LINE_OCTETS;
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function dateKeyOf(value) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return match ? `${match[1]}${match[2]}${match[3]}` : null;
+}
+
+function nextDay(icsDate) {
+  const d = new Date(Date.UTC(Number(icsDate.slice(0, 4)), Number(icsDate.slice(4, 6)) - 1, Number(icsDate.slice(6, 8)) + 1));
+  return d.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function toIcsTimestamp(value, fallback) {
+  const d = new Date(value || fallback);
+  const safe = Number.isNaN(d.getTime()) ? new Date(fallback) : d;
+  return safe.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function describeItem(item, appUrl) {
+  const lines = [];
+  if (item.nextAction) lines.push(`Siguiente acción: ${item.nextAction}`);
+  if (item.notes) lines.push(item.notes);
+  if (appUrl) lines.push(`${appUrl}/items/${item.id}`);
+  return lines.join('\n');
+}
+
+function componentFor(item, { kind, date, asTodos, appUrl, now }) {
+  const done = item.status === 'done';
+  const title = item.title || item.input || '';
+  const summary = kind === 'follow-up'
+    ? `Seguimiento: ${title}${item.delegatedTo ? ` (${item.delegatedTo})` : ''}`
+    : title;
+  const type = asTodos ? 'VTODO' : 'VEVENT';
+  const lines = [
+    `BEGIN:${type}`,
+    `UID:${item.id}-${kind}@${UID_DOMAIN}`,
+    `DTSTAMP:${toIcsTimestamp(item.updatedAt, now)}`,
+  ];
+
+  if (asTodos) {
+    lines.push(`DUE;VALUE=DATE:${date}`);
+    lines.push(`STATUS:${done ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    if (done && item.completedAt) lines.push(`COMPLETED:${toIcsTimestamp(item.completedAt, now)}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${date}`);
+    lines.push(`DTEND;VALUE=DATE:${nextDay(date)}`);
+    lines.push('TRANSP:TRANSPARENT');
+  }
+
+  lines.push(`SUMMARY:${escapeIcsText(!asTodos && done ? `✓ ${summary}` : summary)}`);
+  const description = describeItem(item, appUrl);
+  if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+  const categories = [kind === 'follow-up' ? 'Delegar' : 'Agendar', item.context, item.area].filter(Boolean);
+  lines.push(`CATEGORIES:${categories.map(escapeIcsText).join(',')}`);
+  if (appUrl) lines.push(`URL:${appUrl}/items/${item.id}`);
+
+  if (kind === 'follow-up' && !done) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeIcsText(summary)}`,
+      // A VTODO has DUE and no DTSTART, so its alarm relates to the end (RFC 5545 §3.8.6.3)
+      `TRIGGER;RELATED=${asTodos ? 'END' : 'START'}:${FOLLOW_UP_ALARM}`,
+      'END:VALARM',
+    );
+  }
+  lines.push(`END:${type}`);
+  return lines;
+}
+
+// items: Agendar/Hacer/Delegar items of one owner (trashed ones are skipped)
+export function buildCalendar(items, { includeCompleted = false, asTodos = false, appUrl = '', calName = 'GTD_Neto', now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(calName)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+  ];
+
+  const sorted = [...(items || [])].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  for (const item of sorted) {
+    if (!item?.id || item.list === 'papelera') continue;
+    if (item.status === 'done' && !includeCompleted) continue;
+
+    const scheduled = dateKeyOf(item.scheduledFor);
+    if (scheduled && (item.list === 'agendar' || item.list === 'hacer')) {
+      lines.push(...componentFor(item, { kind: 'scheduled', date: scheduled, asTodos, appUrl, now }));
+    }
+    const followUp = dateKeyOf(item.delegatedFor);
+    if (followUp && item.list === 'delegar') {
+      lines.push(...componentFor(item, { kind: 'follow-up', date: followUp, asTodos, appUrl, now }));
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,572 @@
+// Importers from other task managers into the GTD_Neto import shape.
+//
+// Every adapter returns raw items accepted by validateAndNormalizeImportPayload
+// (src/validators/import-payload.js), so the same validation runs for our own
+// JSON backups and for external tools. Mapping shared by all formats:
+//   - has subtasks / checklist  → Desglosar (subtasks)
+//   - assigned to someone       → Delegar (delegatedTo)
+//   - has a date                → Agendar (scheduledFor)
+//   - anything else             → Collect, to be clarified later
+//   - completed                 → status "done"
+//   - labels, projects, sections → tags; a label that is a known context → context
+//
+// Ids are derived from the source ids (or line content), so importing the same
+// file twice does not duplicate items.
+
+import { createHash } from 'node:crypto';
+import { DESTINATIONS, VALID_LISTS } from './gtd-service.js';
+import { ImportValidationError } from '../validators/import-payload.js';
+
+export const IMPORT_FORMATS = ['todoist-csv', 'todoist-json', 'trello', 'csv', 'text'];
+export const CSV_MAPPING_FIELDS = ['title', 'notes', 'list', 'context', 'tags', 'dueDate', 'done', 'delegatedTo', 'area'];
+
+const MAX_CONTENT_CHARS = 5 * 1024 * 1024;
+const MAX_TITLE_CHARS = 240;
+const MAX_NOTES_CHARS = 1800;
+const MAX_TAGS = 20;
+const MAX_TAG_CHARS = 20;
+const MAX_SUBTASKS = 200;
+const CONTEXT_RE = /^@[a-záéíóúñA-ZÁÉÍÓÚÑ0-9_-]{1,30}$/;
+const DONE_VALUE_RE = /^(1|true|yes|s[ií]|x|✓|done|hecho|hecha|completed?|completad[oa]|terminad[oa])$/i;
+
+const CSV_HEADER_HINTS = {
+  title: /^(title|t[ií]tulo|task|tarea|name|nombre|content|contenido|summary|asunto)$/i,
+  notes: /^(notes?|notas?|description|descripci[oó]n|details|detalles?|comments?|comentarios?)$/i,
+  list: /^(list|lista|status|estado|column|columna|bucket)$/i,
+  context: /^(context|contexto)$/i,
+  tags: /^(tags?|etiquetas?|labels?)$/i,
+  dueDate: /^(due|due ?date|fecha|fecha l[ií]mite|vencimiento|date|deadline)$/i,
+  done: /^(done|hecho|completed?|completad[oa]|checked|terminad[oa])$/i,
+  delegatedTo: /^(assignee|assigned ?to|responsible|responsable|asignad[oa]( a)?|owner|delegad[oa]( a)?)$/i,
+  area: /^([aá]rea|project|proyecto|folder|carpeta)$/i,
+};
+
+const TRELLO_LIST_HINTS = [
+  ['done', /(done|hecho|terminad|complet|finaliz|cerrad)/i],
+  ['delegar', /(wait|esper|deleg|bloque|blocked)/i],
+  ['someday', /(someday|alg[uú]n d[ií]a|quiz[aá]s?|ideas?|backlog)/i],
+  ['hacer', /(doing|progress|en curso|proceso|to ?do|por hacer|next|siguiente|hoy|today)/i],
+];
+
+function stableId(prefix, key) {
+  return `${prefix}-${createHash('sha1').update(String(key)).digest('hex').slice(0, 20)}`;
+}
+
+function clip(value, max) {
+  const text = String(value ?? '').trim();
+  return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
+
+export function toImportTag(value) {
+  return String(value || '')
+    .trim()
+    .replace(/^[#@]+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9áéíóúñü_-]/g, '')
+    .slice(0, MAX_TAG_CHARS);
+}
+
+function uniqueTags(values) {
+  return Array.from(new Set(values.map(toImportTag).filter(Boolean))).slice(0, MAX_TAGS);
+}
+
+// Accepts YYYY-MM-DD (optionally with time), D/M/YYYY and anything Date parses
+export function toImportDateKey(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const dmy = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dmy) return `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}`;
+  const parsed = new Date(text);
+  if (Number.isNaN(parsed.getTime()) || !/\d/.test(text)) return null;
+  return parsed.toISOString().slice(0, 10);
+}
+
+function toIsoOrNull(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function knownContextMap(knownContexts) {
+  return new Map((knownContexts || []).filter(Boolean).map(c => [String(c).toLowerCase(), String(c)]));
+}
+
+// First label that is (or names) a known context becomes the item context
+function pickContext(labels, contexts) {
+  for (const label of labels) {
+    const raw = String(label || '').trim();
+    const asContext = raw.startsWith('@') ? raw : `@${raw}`;
+    const known = contexts.get(asContext.toLowerCase());
+    if (known) return known;
+  }
+  return null;
+}
+
+function toListKey(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+  if (VALID_LISTS.includes(text)) return text;
+  if (['inbox', 'bandeja', 'bandeja de entrada'].includes(text)) return 'collect';
+  const byLabel = DESTINATIONS.find(d => d.label.toLowerCase() === text);
+  return byLabel ? byLabel.key : null;
+}
+
+// fields: { title, notes, done, dueDate, delegatedTo, context, tags, subtasks, list, ... }
+function buildItem(id, fields, now) {
+  const subtasks = (fields.subtasks || []).slice(0, MAX_SUBTASKS);
+  const dueDate = fields.dueDate || null;
+  const delegatedTo = fields.delegatedTo ? clip(fields.delegatedTo, 120) : null;
+  const list = fields.list
+    || (subtasks.length ? 'desglosar' : null)
+    || (delegatedTo ? 'delegar' : null)
+    || (dueDate ? 'agendar' : null)
+    || 'collect';
+  const done = Boolean(fields.done);
+  const createdAt = fields.createdAt || now;
+
+  const item = {
+    id,
+    input: clip(fields.title, MAX_TITLE_CHARS),
+    title: clip(fields.title, MAX_TITLE_CHARS),
+    list,
+    status: done ? 'done' : (list === 'collect' ? 'unprocessed' : 'processed'),
+    createdAt,
+    updatedAt: now,
+    tags: uniqueTags(fields.tags || []),
+  };
+  if (fields.notes) item.notes = clip(fields.notes, MAX_NOTES_CHARS);
+  if (fields.context) item.context = fields.context;
+  if (fields.area) item.area = clip(fields.area, 30);
+  if (fields.urgency) item.urgency = fields.urgency;
+  if (fields.importance) item.importance = fields.importance;
+  if (subtasks.length) item.subtasks = subtasks;
+  if (list === 'delegar') {
+    if (delegatedTo) item.delegatedTo = delegatedTo;
+    if (dueDate) item.delegatedFor = dueDate;
+  } else if (dueDate) {
+    item.scheduledFor = dueDate;
+  }
+  if (done) item.completedAt = fields.completedAt || now;
+  return item;
+}
+
+function buildSubtask(id, text, done) {
+  return { id, text: clip(text, 280), status: done ? 'done' : 'open' };
+}
+
+// Todoist and most apps: 4 levels; the top one maps to urgency/importance 5
+function priorityFields(level) {
+  if (level === 1) return { urgency: 5, importance: 5 };
+  if (level === 2) return { urgency: 4, importance: 4 };
+  if (level === 3) return { urgency: 3, importance: 3 };
+  return {};
+}
+
+// RFC 4180-ish: quoted fields, "" escapes, CRLF/LF, delimiter , ; or tab
+export function parseCsv(text, { delimiter } = {}) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const sep = delimiter || detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function detectDelimiter(src) {
+  const firstLine = src.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t'].map(sep => [sep, firstLine.split(sep).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 1 ? counts[0][0] : ',';
+}
+
+function csvRecords(text) {
+  const [headerRow = [], ...rows] = parseCsv(text);
+  const headers = headerRow.map(h => h.trim());
+  const records = rows.map(row => Object.fromEntries(headers.map((h, idx) => [h, (row[idx] ?? '').trim()])));
+  return { headers, records };
+}
+
+export function suggestCsvMapping(headers) {
+  const mapping = {};
+  for (const field of CSV_MAPPING_FIELDS) {
+    const header = headers.find(h => CSV_HEADER_HINTS[field].test(h.trim()));
+    if (header) mapping[field] = header;
+  }
+  return mapping;
+}
+
+// Splits "@label" tokens out of a Todoist/plain-text line
+function extractLabels(text) {
+  const labels = [];
+  const tags = [];
+  const clean = String(text || '')
+    .replace(/(^|\s)@([\p{L}\p{N}_-]+)/gu, (_, space, label) => {
+      labels.push(`@${label}`);
+      return space;
+    })
+    .replace(/(^|\s)#([\p{L}\p{N}_-]+)/gu, (_, space, tag) => {
+      tags.push(tag);
+      return space;
+    })
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+  return { text: clean, labels, tags };
+}
+
+// Todoist "Export as CSV" (one project per file): TYPE, CONTENT, DESCRIPTION,
+// PRIORITY (1 = p1, highest), INDENT, RESPONSIBLE, DATE. Indented tasks become
+// subtasks of the task above them; notes are appended to the previous task.
+function convertTodoistCsv(content, { contexts, project, now }) {
+  const { headers, records } = csvRecords(content);
+  const upper = headers.map(h => h.toUpperCase());
+  if (!upper.includes('TYPE') || !upper.includes('CONTENT')) {
+    throw new ImportValidationError('El CSV no parece una exportación de Todoist (faltan TYPE y CONTENT)');
+  }
+  const col = name => headers[upper.indexOf(name)];
+  const warnings = [];
+  const tasks = [];
+  let section = null;
+  let parent = null;
+
+  records.forEach((record, idx) => {
+    const type = String(record[col('TYPE')] || '').toLowerCase();
+    const raw = record[col('CONTENT')] || '';
+    if (type === 'section') {
+      section = raw;
+      parent = null;
+      return;
+    }
+    if (type === 'note') {
+      const target = tasks[tasks.length - 1];
+      if (target) target.notes = [target.notes, raw].filter(Boolean).join('\n\n');
+      return;
+    }
+    if (type !== 'task' || !raw.trim()) return;
+
+    const { text, labels } = extractLabels(raw);
+    const indent = Number(record[col('INDENT')] || 1);
+    const dateRaw = col('DATE') ? record[col('DATE')] : '';
+    const dueDate = toImportDateKey(dateRaw);
+    if (dateRaw && !dueDate) warnings.push(`Fila ${idx + 2}: fecha "${clip(dateRaw, 40)}" no reconocida`);
+
+    if (indent > 1 && parent) {
+      parent.subtasks.push(buildSubtask(`st-${parent.subtasks.length + 1}`, text || raw, false));
+      return;
+    }
+
+    const priority = Number(record[col('PRIORITY')] || 4);
+    const responsible = col('RESPONSIBLE') ? String(record[col('RESPONSIBLE')] || '').replace(/\s*\(\d+\)\s*$/, '') : '';
+    parent = {
+      key: `${project || ''}:${idx}:${raw}`,
+      title: text || raw,
+      notes: col('DESCRIPTION') ? record[col('DESCRIPTION')] : '',
+      dueDate,
+      delegatedTo: responsible || null,
+      context: pickContext(labels, contexts),
+      tags: [project, section, ...labels].filter(Boolean),
+      subtasks: [],
+      ...priorityFields(priority),
+    };
+    tasks.push(parent);
+  });
+
+  return {
+    items: tasks.map(task => buildItem(stableId('todoist', task.key), task, now)),
+    warnings,
+  };
+}
+
+// Todoist JSON: a Sync API backup ({ projects, sections, items }) or the REST
+// task array. API priorities are inverted: 4 is p1.
+function convertTodoistJson(content, { contexts, now }) {
+  const data = parseJson(content, 'Todoist');
+  const tasks = Array.isArray(data) ? data : (data.items || data.tasks);
+  if (!Array.isArray(tasks)) throw new ImportValidationError('El JSON no contiene tareas de Todoist (items)');
+
+  const projects = new Map((data.projects || []).map(p => [String(p.id), p.name]));
+  const sections = new Map((data.sections || []).map(s => [String(s.id), s.name]));
+  const people = new Map((data.collaborators || []).map(c => [String(c.id), c.full_name || c.name || c.email]));
+  const children = new Map();
+  for (const task of tasks) {
+    if (task?.parent_id) {
+      const key = String(task.parent_id);
+      children.set(key, [...(children.get(key) || []), task]);
+    }
+  }
+
+  const items = tasks
+    .filter(task => task && !task.parent_id && !task.is_deleted && String(task.content || '').trim())
+    .map((task) => {
+      const { text, labels } = extractLabels(task.content);
+      const allLabels = [...(task.labels || []), ...labels];
+      const done = Boolean(task.checked ?? task.is_completed);
+      const assignee = task.responsible_uid ?? task.assignee_id;
+      return buildItem(stableId('todoist', task.id ?? task.content), {
+        title: text || task.content,
+        notes: task.description,
+        done,
+        completedAt: done ? toIsoOrNull(task.completed_at) : null,
+        createdAt: toIsoOrNull(task.added_at || task.created_at),
+        dueDate: toImportDateKey(task.due?.date),
+        delegatedTo: assignee ? (people.get(String(assignee)) || null) : null,
+        context: pickContext(allLabels, contexts),
+        tags: [projects.get(String(task.project_id)), sections.get(String(task.section_id)), ...allLabels].filter(Boolean),
+        subtasks: (children.get(String(task.id)) || []).map((child, idx) => buildSubtask(
+          `st-${idx + 1}`,
+          extractLabels(child.content).text || child.content,
+          Boolean(child.checked ?? child.is_completed),
+        )),
+        ...priorityFields(5 - Number(task.priority || 1)),
+      }, now);
+    });
+
+  return { items, warnings: [] };
+}
+
+function parseJson(content, source) {
+  try {
+    const data = JSON.parse(String(content || ''));
+    if (data && typeof data === 'object') return data;
+  } catch {
+    // fall through
+  }
+  throw new ImportValidationError(`El archivo no es un JSON válido de ${source}`);
+}
+
+export function suggestTrelloTarget(listName) {
+  const match = TRELLO_LIST_HINTS.find(([, re]) => re.test(String(listName || '')));
+  return match ? match[0] : 'auto';
+}
+
+// Trello board export. mapping: { [trelloListId]: 'auto'|'done'|<gtd list> }
+// Cards in a "done" column are imported as completed; archived cards are skipped.
+function convertTrello(content, { contexts, mapping, now }) {
+  const board = parseJson(content, 'Trello');
+  if (!Array.isArray(board.cards) || !Array.isArray(board.lists)) {
+    throw new ImportValidationError('El JSON no parece una exportación de tablero de Trello (lists, cards)');
+  }
+
+  const openLists = board.lists.filter(l => !l.closed);
+  const sourceLists = openLists.map(list => ({
+    id: list.id,
+    name: list.name,
+    cards: board.cards.filter(c => c.idList === list.id && !c.closed).length,
+    target: mapping[list.id] || suggestTrelloTarget(list.name),
+  }));
+  const targets = new Map(sourceLists.map(l => [l.id, l]));
+  const members = new Map((board.members || []).map(m => [m.id, m.fullName || m.username]));
+  const checklists = new Map();
+  for (const checklist of board.checklists || []) {
+    checklists.set(checklist.idCard, [...(checklists.get(checklist.idCard) || []), checklist]);
+  }
+
+  const warnings = [];
+  const archived = board.cards.filter(c => c.closed || !targets.has(c.idList)).length;
+  if (archived) warnings.push(`${archived} tarjetas archivadas omitidas`);
+
+  const items = board.cards
+    .filter(card => !card.closed && targets.has(card.idList) && String(card.name || '').trim())
+    .map((card) => {
+      const source = targets.get(card.idList);
+      const target = source.target === 'done' || source.target === 'auto' ? null : toListKey(source.target);
+      const labels = (card.labels || []).map(l => l.name).filter(Boolean);
+      const checkItems = (checklists.get(card.id) || [])
+        .flatMap(cl => [...(cl.checkItems || [])].sort((a, b) => (a.pos || 0) - (b.pos || 0)));
+      const assignees = (card.idMembers || []).map(id => members.get(id)).filter(Boolean);
+      return buildItem(stableId('trello', card.id), {
+        title: card.name,
+        notes: card.desc,
+        list: target,
+        done: source.target === 'done' || Boolean(card.dueComplete && card.due),
+        createdAt: trelloCreatedAt(card.id),
+        dueDate: toImportDateKey(card.due),
+        delegatedTo: target === 'delegar' ? assignees.join(', ') || null : null,
+        context: pickContext(labels, contexts),
+        tags: [source.name, ...labels],
+        subtasks: checkItems.map((ci, idx) => buildSubtask(`st-${idx + 1}`, ci.name, ci.state === 'complete')),
+      }, now);
+    });
+
+  return { items, warnings, sourceLists };
+}
+
+// Trello ids start with the creation unix time in hex
+function trelloCreatedAt(id) {
+  const seconds = parseInt(String(id || '').slice(0, 8), 16);
+  return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// Generic CSV with a column mapping ({ field: header }); missing fields fall
+// back to suggestCsvMapping. Without a title column nothing is imported.
+function convertCsv(content, { contexts, mapping, now }) {
+  const { headers, records } = csvRecords(content);
+  const chosen = { ...suggestCsvMapping(headers) };
+  for (const field of CSV_MAPPING_FIELDS) {
+    if (!(field in mapping)) continue;
+    if (mapping[field] && headers.includes(mapping[field])) chosen[field] = mapping[field];
+    else delete chosen[field];
+  }
+
+  const warnings = [];
+  if (!chosen.title) {
+    warnings.push('Elige la columna que contiene el título de cada tarea');
+    return { items: [], warnings, columns: headers, mapping: chosen };
+  }
+
+  const value = (record, field) => (chosen[field] ? String(record[chosen[field]] || '').trim() : '');
+  const items = [];
+  records.forEach((record, idx) => {
+    const title = value(record, 'title');
+    if (!title) return;
+    const listRaw = value(record, 'list');
+    const list = toListKey(listRaw);
+    const done = DONE_VALUE_RE.test(value(record, 'done')) || DONE_VALUE_RE.test(listRaw);
+    const dateRaw = value(record, 'dueDate');
+    const dueDate = toImportDateKey(dateRaw);
+    if (dateRaw && !dueDate) warnings.push(`Fila ${idx + 2}: fecha "${clip(dateRaw, 40)}" no reconocida`);
+    const contextRaw = value(record, 'context');
+    const context = contextRaw ? (contextRaw.startsWith('@') ? contextRaw : `@${contextRaw}`).replace(/\s+/g, '-') : null;
+    if (context && !CONTEXT_RE.test(context)) warnings.push(`Fila ${idx + 2}: contexto "${clip(contextRaw, 40)}" no válido`);
+
+    items.push(buildItem(stableId('csv', `${idx}:${title}`), {
+      title,
+      notes: value(record, 'notes'),
+      list,
+      done,
+      dueDate,
+      delegatedTo: value(record, 'delegatedTo') || null,
+      context: context && CONTEXT_RE.test(context) ? pickContext([context], contexts) || context : null,
+      tags: value(record, 'tags').split(/[,;|]/),
+      area: value(record, 'area') || null,
+    }, now));
+  });
+
+  return { items, warnings, columns: headers, mapping: chosen };
+}
+
+const CHECKLIST_LINE_RE = /^(\s*)(?:[-*+]|\d+[.)])?\s*(?:\[( |x|X)\]\s*)?(.*)$/;
+
+// Plain text / markdown checklist. "# Heading" becomes a tag for the lines
+// below it, indented lines become subtasks, and inside a line @contexto,
+// #etiqueta and a YYYY-MM-DD date are recognized.
+function convertText(content, { contexts, now }) {
+  const items = [];
+  let heading = null;
+  let parent = null;
+
+  String(content || '').split(/\r?\n/).forEach((line, idx) => {
+    if (!line.trim()) return;
+    const headingMatch = line.match(/^\s*#{1,6}\s+(.+)$/);
+    if (headingMatch) {
+      heading = headingMatch[1].trim();
+      parent = null;
+      return;
+    }
+
+    const [, indent, mark, rest] = line.match(CHECKLIST_LINE_RE);
+    const done = mark === 'x' || mark === 'X';
+    const { text: withoutLabels, labels, tags } = extractLabels(rest);
+    const dateMatch = withoutLabels.match(/(?:📅\s*)?\b(\d{4}-\d{2}-\d{2})\b/u);
+    const title = (dateMatch ? withoutLabels.replace(dateMatch[0], '') : withoutLabels).replace(/\s{2,}/g, ' ').trim();
+    if (!/[\p{L}\p{N}]/u.test(title)) return;
+
+    if (indent.replace(/\t/g, '  ').length >= 2 && parent) {
+      parent.subtasks.push(buildSubtask(`st-${parent.subtasks.length + 1}`, title, done));
+      return;
+    }
+
+    const context = labels.map(l => (CONTEXT_RE.test(l) ? l : null)).find(Boolean);
+    parent = {
+      key: `${idx}:${title}`,
+      title,
+      done,
+      dueDate: dateMatch ? toImportDateKey(dateMatch[1]) : null,
+      context: context ? (pickContext([context], contexts) || context) : null,
+      tags: [heading, ...tags].filter(Boolean),
+      subtasks: [],
+    };
+    items.push(parent);
+  });
+
+  return {
+    items: items.map(entry => buildItem(stableId('text', entry.key), entry, now)),
+    warnings: [],
+  };
+}
+
+/**
+ * Converts an external export into raw import items (not yet validated).
+ * options: { mapping, knownContexts, project, now }
+ */
+export function convertExternalImport(format, content, options = {}) {
+  if (!IMPORT_FORMATS.includes(format)) throw new ImportValidationError('Formato de importación no soportado');
+  if (typeof content !== 'string' || !content.trim()) throw new ImportValidationError('El contenido a importar está vacío');
+  if (content.length > MAX_CONTENT_CHARS) throw new ImportValidationError('El contenido a importar es demasiado grande');
+
+  const mapping = options.mapping && typeof options.mapping === 'object' && !Array.isArray(options.mapping) ? options.mapping : {};
+  const ctx = {
+    contexts: knownContextMap(options.knownContexts),
+    mapping,
+    project: options.project ? String(options.project).replace(/\.[a-z]+$/i, '').trim() : null,
+    now: (options.now || new Date()).toISOString(),
+  };
+
+  if (format === 'todoist-csv') return convertTodoistCsv(content, ctx);
+  if (format === 'todoist-json') return convertTodoistJson(content, ctx);
+  if (format === 'trello') return convertTrello(content, ctx);
+  if (format === 'csv') return convertCsv(content, ctx);
+  return convertText(content, ctx);
+}
+
+// Counters shown in the dry-run preview
+export function summarizeImport(items) {
+  const byList = {};
+  const tagCounts = new Map();
+  let done = 0;
+  let withSubtasks = 0;
+  let withContext = 0;
+  for (const item of items) {
+    byList[item.list] = (byList[item.list] || 0) + 1;
+    if (item.status === 'done') done += 1;
+    if (item.subtasks?.length) withSubtasks += 1;
+    if (item.context) withContext += 1;
+    for (const tag of item.tags || []) tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+  }
+  const topTags = [...tagCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 10).map(([tag, count]) => ({ tag, count }));
+  return { total: items.length, byList, done, withSubtasks, withContext, topTags };
+}
@@ -0,0 +1,105 @@
+// Merge of imported items into the current ones, by id.
+//
+// Modes (what happens when an incoming id already exists with other content):
+//   skip      → keep the current item (default, the historical behavior)
+//   overwrite → replace it with the imported one
+//   newest    → keep whichever has the newest updatedAt
+//   duplicate → keep both; the imported copy gets a new id
+// Items identical to the current ones (ignoring updatedAt/history/version) are skipped
+// in every mode and are not reported as conflicts.
+
+import { itemVersion } from '../../lib/item-version.js';
+import { randomId } from './gtd-service.js';
+
+export const IMPORT_MODES = ['skip', 'overwrite', 'newest', 'duplicate'];
+export const IMPORT_RESOLUTIONS = ['skip', 'overwrite', 'duplicate'];
+
+const IGNORED_COMPARE_KEYS = new Set(['updatedAt', 'history', 'movedToListAt', 'version']);
+
+function isBlank(value) {
+  return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Stable representation: null, '' and [] are equivalent (normalized imports carry every key)
+function comparable(item) {
+  const entries = Object.keys(item || {})
+    .filter(key => !IGNORED_COMPARE_KEYS.has(key) && !isBlank(item[key]))
+    .sort()
+    .map(key => [key, item[key]]);
+  return JSON.stringify(entries);
+}
+
+export function sameItemContent(a, b) {
+  return comparable(a) === comparable(b);
+}
+
+function newestWins(current, incoming) {
+  return String(incoming.updatedAt || '') > String(current.updatedAt || '') ? 'overwrite' : 'skip';
+}
+
+/**
+ * Returns { items, report } where items is the merged list (current order
+ * kept, new items appended) and report lists created/updated/skipped ids plus
+ * the conflicts with the resolution applied to each.
+ * decisions: { [id]: 'skip'|'overwrite'|'duplicate' } overrides the mode per conflict.
+ */
+export function mergeImportedItems(currentItems, incomingItems, { mode = 'skip', decisions = {}, newId = randomId } = {}) {
+  if (!IMPORT_MODES.includes(mode)) throw new Error(`Unknown import mode: ${mode}`);
+
+  const merged = [...(currentItems || [])];
+  const indexById = new Map(merged.map((item, idx) => [item.id, idx]));
+  const report = { mode, created: [], updated: [], skipped: [], conflicts: [] };
+
+  for (const incoming of incomingItems || []) {
+    const idx = indexById.get(incoming.id);
+    if (idx == null) {
+      merged.push(incoming);
+      indexById.set(incoming.id, merged.length - 1);
+      report.created.push(incoming.id);
+      continue;
+    }
+
+    const current = merged[idx];
+    if (sameItemContent(current, incoming)) {
+      report.skipped.push(incoming.id);
+      continue;
+    }
+
+    const decided = IMPORT_RESOLUTIONS.includes(decisions?.[incoming.id]) ? decisions[incoming.id] : null;
+    const resolution = decided || (mode === 'newest' ? newestWins(current, incoming) : mode);
+    const conflict = {
+      id: incoming.id,
+      title: incoming.title,
+      currentTitle: current.title,
+      currentList: current.list,
+      incomingList: incoming.list,
+      currentStatus: current.status,
+      incomingStatus: incoming.status,
+      currentUpdatedAt: current.updatedAt || null,
+      incomingUpdatedAt: incoming.updatedAt || null,
+      resolution,
+    };
+    report.conflicts.push(conflict);
+
+    if (resolution === 'overwrite') {
+      // Version keeps growing so tabs still showing the old item get a conflict
+      merged[idx] = {
+        ...incoming,
+        history: incoming.history?.length ? incoming.history : (current.history || []),
+        version: Math.max(itemVersion(current), itemVersion(incoming)) + 1,
+      };
+      report.updated.push(incoming.id);
+    } else if (resolution === 'duplicate') {
+      let copyId = newId();
+      while (indexById.has(copyId)) copyId = newId();
+      merged.push({ ...incoming, id: copyId });
+      indexById.set(copyId, merged.length - 1);
+      conflict.duplicateId = copyId;
+      report.created.push(copyId);
+    } else {
+      report.skipped.push(incoming.id);
+    }
+  }
+
+  return { items: merged, report };
+}
@@ -0,0 +1,255 @@
+// Email-to-Collect: each user gets a secret address <token>@INBOUND_MAIL_DOMAIN
+// (only the token hash is stored, meta kind "capture_address"). The inbound
+// webhook accepts whatever the mail provider posts — raw MIME, JSON
+// (Postmark, Resend, Cloudflare Email Workers…) or form fields (Mailgun,
+// SendGrid) — and normalizes it here before it becomes a Collect item.
+import { createHash, randomBytes } from 'node:crypto';
+import { hashApiToken } from './api-token-service.js';
+import { htmlToText } from './mail-service.js';
+import { parseAddressList, parseFormData, parseHeaderParams, parseMimeMessage } from './mime-parser.js';
+
+export const CAPTURE_TOKEN_PREFIX = 'gtdin-';
+export const MAX_CAPTURE_INPUT_LEN = 200;
+export const MAX_CAPTURE_NOTES_LEN = 2000;
+
+const TOKEN_RE = /^gtdin-[a-f0-9]{32}$/;
+const REPLY_PREFIX_RE = /^\s*(?:(?:re|fw|fwd|rv|reenv|tr|aw|wg)\s*(?:\[\d+\])?\s*:\s*)+/i;
+
+export function generateCaptureToken() {
+  return `${CAPTURE_TOKEN_PREFIX}${randomBytes(16).toString('hex')}`;
+}
+
+export function looksLikeCaptureToken(value) {
+  return typeof value === 'string' && TOKEN_RE.test(value);
+}
+
+export function hashCaptureToken(token) {
+  return hashApiToken(token);
+}
+
+export function captureAddress(token, domain) {
+  return `${token}@${domain}`;
+}
+
+// One address per owner; regenerating replaces the record (and the address)
+export function createCaptureAddressRecord({ id, now = new Date() }) {
+  const token = generateCaptureToken();
+  const record = {
+    id,
+    tokenHash: hashCaptureToken(token),
+    tokenPrefix: token.slice(0, CAPTURE_TOKEN_PREFIX.length + 6),
+    createdAt: now.toISOString(),
+    lastUsedAt: null,
+  };
+  return { token, record };
+}
+
+// First recipient that is a capture address: "<token>@…" or "buzon+<token>@…"
+export function findCaptureToken(recipients) {
+  for (const address of recipients || []) {
+    const local = String(address).toLowerCase().split('@')[0];
+    const token = [local, ...local.split('+')].find(looksLikeCaptureToken);
+    if (token) return token;
+  }
+  return null;
+}
+
+// Case-insensitive lookup of the first present field among `names`
+function pick(source, ...names) {
+  const keys = Object.keys(source || {});
+  for (const name of names) {
+    const key = keys.find(k => k.toLowerCase() === name.toLowerCase());
+    if (key && source[key] != null && source[key] !== '') return source[key];
+  }
+  return undefined;
+}
+
+function parseJsonField(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+// "a@b.c", "A <a@b.c>, c@d.e", ["a@b.c"], [{ Email }], { address }… → ['a@b.c']
+function addressesOf(value) {
+  if (value == null) return [];
+  if (Array.isArray(value)) return value.flatMap(addressesOf);
+  if (typeof value === 'object') return addressesOf(pick(value, 'email', 'address', 'value'));
+  return parseAddressList(String(value)).map(entry => entry.address);
+}
+
+function attachmentsOf(value) {
+  const list = parseJsonField(value);
+  // SendGrid "attachment-info": { attachment1: { filename, type } }
+  const entries = Array.isArray(list) ? list : (list && typeof list === 'object' ? Object.values(list) : []);
+  return entries
+    .filter(entry => entry && typeof entry === 'object')
+    .map(entry => ({
+      filename: String(pick(entry, 'filename', 'name', 'fileName') || 'adjunto'),
+      contentType: String(pick(entry, 'contentType', 'content_type', 'content-type', 'type', 'mimeType') || 'application/octet-stream').toLowerCase(),
+      size: Number(pick(entry, 'contentLength', 'size', 'length')) || null,
+      url: /^https:\/\//.test(String(pick(entry, 'url', 'download_url', 'downloadUrl', 'href') || '')) ? String(pick(entry, 'url', 'download_url', 'downloadUrl', 'href')) : null,
+    }));
+}
+
+function headersOf(value) {
+  const list = parseJsonField(value);
+  const headers = {};
+  // Postmark: [{ Name, Value }]; Mailgun: [[name, value]]
+  for (const entry of Array.isArray(list) ? list : []) {
+    const [name, headerValue] = Array.isArray(entry) ? entry : [pick(entry, 'name'), pick(entry, 'value')];
+    if (name && !(String(name).toLowerCase() in headers)) headers[String(name).toLowerCase()] = String(headerValue ?? '');
+  }
+  return headers;
+}
+
+function fromMime(message, extraRecipients = []) {
+  return {
+    recipients: [...new Set([...extraRecipients, ...message.to.map(a => a.address), ...message.cc.map(a => a.address)])],
+    from: message.from ? (message.from.name ? `${message.from.name} <${message.from.address}>` : message.from.address) : '',
+    subject: message.subject,
+    text: message.text,
+    html: message.html,
+    messageId: message.messageId,
+    date: message.date,
+    headers: message.headers,
+    attachments: message.attachments.map(a => ({ ...a, url: null })),
+  };
+}
+
+// JSON body or form fields → normalized mail (see normalizeInboundPayload)
+function fromFields(source, files = []) {
+  const payload = source?.data && typeof source.data === 'object' && !Array.isArray(source.data) ? source.data : source;
+  const envelope = parseJsonField(pick(payload, 'envelope')) || {};
+  const recipients = [
+    ...addressesOf(pick(envelope, 'to')),
+    ...addressesOf(pick(payload, 'OriginalRecipient', 'recipient', 'rcpt_to')),
+    ...addressesOf(pick(payload, 'ToFull', 'to')),
+    ...addressesOf(pick(payload, 'CcFull', 'cc')),
+  ];
+
+  // Providers in "raw" mode send the whole message in one field
+  const raw = pick(payload, 'raw', 'RawEmail', 'email', 'body-mime');
+  if (typeof raw === 'string' && /^[\w-]+:/m.test(raw)) return fromMime(parseMimeMessage(raw), recipients);
+
+  const fromValue = pick(payload, 'from', 'FromFull', 'sender');
+  const date = new Date(String(pick(payload, 'Date', 'date', 'timestamp', 'created_at') || ''));
+  const headers = headersOf(pick(payload, 'Headers', 'message-headers'));
+  // Uploaded files carry their size; the listings (Postmark, Mailgun store()) may carry a link
+  const uploaded = files.map(f => ({ filename: f.filename, contentType: f.contentType, size: f.size, url: null }));
+  return {
+    recipients: [...new Set(recipients)],
+    from: typeof fromValue === 'string' ? fromValue : (addressesOf(fromValue)[0] || ''),
+    subject: String(pick(payload, 'Subject', 'subject') || ''),
+    text: String(pick(payload, 'TextBody', 'text', 'stripped-text', 'body-plain', 'plain') || ''),
+    html: String(pick(payload, 'HtmlBody', 'html', 'stripped-html', 'body-html') || ''),
+    messageId: String(pick(payload, 'MessageID', 'message_id', 'messageId', 'Message-Id') || headers['message-id'] || '').trim().replace(/^<|>$/g, ''),
+    date: Number.isFinite(date.getTime()) ? date : null,
+    headers,
+    attachments: uploaded.length ? uploaded : attachmentsOf(pick(payload, 'Attachments', 'attachments', 'attachment-info')),
+  };
+}
+
+/**
+ * Inbound webhook body (Buffer) + its Content-Type →
+ * { recipients, from, subject, text, html, messageId, date, headers, attachments: [{ filename, contentType, size, url }] }
+ * Throws on a body that cannot be read.
+ */
+export function normalizeInboundPayload(body, contentType = '') {
+  const type = parseHeaderParams(contentType);
+  const raw = Buffer.isBuffer(body) ? body : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body ?? ''));
+  if (type.value === 'application/json') {
+    const data = JSON.parse(raw.toString('utf8'));
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Inbound payload must be a JSON object');
+    return fromFields(data);
+  }
+  if (type.value === 'application/x-www-form-urlencoded') {
+    return fromFields(Object.fromEntries(new URLSearchParams(raw.toString('utf8'))));
+  }
+  if (type.value === 'multipart/form-data') {
+    if (!type.params.boundary) throw new Error('multipart/form-data without boundary');
+    const { fields, files } = parseFormData(raw, type.params.boundary);
+    return fromFields(fields, files);
+  }
+  // message/rfc822, text/plain, application/octet-stream…: the message itself
+  return fromMime(parseMimeMessage(raw));
+}
+
+// Auto-replies and bounces must not become Collect items (nor loop)
+export function isAutomaticMail(mail) {
+  const autoSubmitted = String(mail.headers?.['auto-submitted'] || '').trim().toLowerCase();
+  const precedence = String(mail.headers?.precedence || '').trim().toLowerCase();
+  return (autoSubmitted && autoSubmitted !== 'no') || ['auto_reply', 'bulk', 'junk'].includes(precedence) ||
+    /^(mailer-daemon|postmaster)@/i.test(addressesOf(mail.from)[0] || '');
+}
+
+function truncate(text, max) {
+  return text.length <= max ? text : `${text.slice(0, max - 1).trimEnd()}…`;
+}
+
+function formatSize(bytes) {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1).replace('.', ',')} MB`;
+}
+
+// Body without signature ("-- ") and with blank runs collapsed
+function bodyText(mail) {
+  const text = (mail.text || htmlToText(mail.html)).replace(/\r\n/g, '\n');
+  return text
+    .split(/\n-- ?\n/)[0]
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// "Ana (ana@example.com)": notes are stored HTML-escaped, so no <address>
+function senderLabel(from) {
+  const [parsed] = parseAddressList(String(from || ''));
+  if (!parsed) return String(from || '').trim();
+  return parsed.name ? `${parsed.name} (${parsed.address})` : parsed.address;
+}
+
+/**
+ * Normalized mail → Collect capture: { input, notes, clientCaptureId, capturedAt }.
+ * input is the subject (or the first body line); notes hold the rest of the
+ * body, the attachments (name, size, link when the provider gives one) and
+ * the sender. clientCaptureId comes from the Message-ID, so a provider
+ * retrying the webhook does not create the item twice.
+ */
+export function buildEmailCapture(mail) {
+  const subject = String(mail.subject || '').replace(REPLY_PREFIX_RE, '').replace(/\s+/g, ' ').trim();
+  let body = bodyText(mail);
+  let input = subject;
+  if (!input) {
+    const [firstLine, ...rest] = body.split('\n');
+    input = firstLine.trim();
+    body = rest.join('\n').trim();
+  }
+  if (!input) input = mail.attachments?.[0]?.filename || 'Correo sin asunto';
+
+  const tail = [];
+  if (mail.attachments?.length) {
+    tail.push('Adjuntos:', ...mail.attachments.map((a) => {
+      const size = formatSize(a.size);
+      return `- ${a.filename}${size ? ` (${size})` : ''}${a.url ? `: ${a.url}` : ''}`;
+    }));
+  }
+  const sender = senderLabel(mail.from);
+  if (sender) tail.push(`Recibido por correo de ${sender}`);
+  const tailText = tail.join('\n');
+  const room = MAX_CAPTURE_NOTES_LEN - tailText.length - 2;
+  const notes = [room > 0 && body ? truncate(body, room) : '', tailText].filter(Boolean).join('\n\n');
+
+  const identity = mail.messageId || [mail.from, mail.subject, mail.date?.toISOString?.() || '', body.slice(0, 200)].join('\n');
+  return {
+    input: truncate(input, MAX_CAPTURE_INPUT_LEN),
+    notes: truncate(notes, MAX_CAPTURE_NOTES_LEN),
+    clientCaptureId: `mail-${createHash('sha256').update(identity).digest('hex').slice(0, 40)}`,
+    capturedAt: mail.date ? mail.date.toISOString() : null,
+  };
+}
@@ -0,0 +1,136 @@
+// Transactional email: templates, MIME building and send-log rules. Pure;
+// rendering, transports and the per-owner send log live in lib/mailer.js.
+import { randomBytes } from 'node:crypto';
+import { decodeEntities } from './export-service.js';
+import { digestSubject } from './digest-service.js';
+
+// Subjects per template (views/emails/<template>.ejs renders the body)
+export const MAIL_TEMPLATES = {
+  welcome: { subject: () => 'Bienvenido a GTD Neto' },
+  trialEnding: { subject: ({ daysLeft }) => `Tu prueba de GTD Neto termina en ${daysLeft} día${daysLeft === 1 ? '' : 's'}` },
+  paymentFailed: { subject: () => 'No pudimos cobrar tu suscripción de GTD Neto' },
+  subscriptionCanceled: { subject: () => 'Tu suscripción de GTD Neto fue cancelada' },
+  digest: { subject: digest => digestSubject(digest) },
+};
+
+export const TRIAL_REMINDER_DAYS = 3;
+// Entries kept in an owner's send log (newest first)
+export const MAIL_LOG_LIMIT = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EMAIL_RE = /^[^\s@<>",;]+@[^\s@<>",;]+\.[^\s@<>",;]+$/;
+
+export function isEmailAddress(value) {
+  return EMAIL_RE.test(String(value || '').trim());
+}
+
+// "Nombre <a@b.c>" or "a@b.c" → a@b.c (for SMTP envelopes)
+export function addressOf(value) {
+  const text = String(value || '').trim();
+  const match = text.match(/<([^>]+)>\s*$/);
+  return (match ? match[1] : text).trim();
+}
+
+export function mailSubject(template, data = {}) {
+  const entry = MAIL_TEMPLATES[template];
+  if (!entry) throw new Error(`Unknown mail template: ${template}`);
+  return entry.subject(data);
+}
+
+// Plain-text alternative of a rendered HTML body. Links keep their URL.
+export function htmlToText(html) {
+  const text = String(html || '')
+    .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<a\s[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi, (all, href, label) => {
+      const inner = label.replace(/<[^>]+>/g, '').trim();
+      return inner && inner !== href ? `${inner} (${href})` : href;
+    })
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|ul|ol|table|tr)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// RFC 2047 encoded-word when the header has non-ASCII text
+function encodeHeader(value) {
+  const text = String(value || '').replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function encodeAddress(value) {
+  const text = String(value || '').trim();
+  const match = text.match(/^(.*?)\s*<([^>]+)>$/);
+  if (!match || !match[1]) return text;
+  return `${encodeHeader(match[1].replace(/^"|"$/g, ''))} <${match[2]}>`;
+}
+
+function base64Lines(text) {
+  return Buffer.from(String(text || '')).toString('base64').replace(/.{1,76}/g, '$&\r\n').trimEnd();
+}
+
+/**
+ * RFC 5322 message with text and HTML alternatives, CRLF line endings.
+ * message: { from, to, subject, text, html, headers?, messageId?, date? }
+ */
+export function buildMimeMessage(message) {
+  const boundary = `gtd_${randomBytes(12).toString('hex')}`;
+  const domain = addressOf(message.from).split('@')[1] || 'localhost';
+  const headers = {
+    'From': encodeAddress(message.from),
+    'To': encodeAddress(message.to),
+    'Subject': encodeHeader(message.subject),
+    'Date': (message.date || new Date()).toUTCString(),
+    'Message-ID': message.messageId || `<${randomBytes(16).toString('hex')}@${domain}>`,
+    'MIME-Version': '1.0',
+    ...(message.headers || {}),
+    'Content-Type': `multipart/alternative; boundary="${boundary}"`,
+  };
+  const part = (type, body) => [
+    `--${boundary}`,
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(body),
+  ].join('\r\n');
+
+  return [
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${String(value).replace(/[\r\n]+/g, ' ')}`),
+    '',
+    part('text/plain', message.text || htmlToText(message.html)),
+    part('text/html', message.html || ''),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+}
+
+/**
+ * Trialing subscriptions whose trial ends within `days` (and hasn't ended yet).
+ * → [{ userId, trialEndsAt, daysLeft, dedupeKey }]
+ */
+export function trialsEndingSoon(rows, { now = new Date(), days = TRIAL_REMINDER_DAYS } = {}) {
+  const limit = now.getTime() + days * DAY_MS;
+  return (rows || [])
+    .filter(row => row?.user_id && row.status === 'trialing' && row.trial_ends_at)
+    .map(row => ({ row, endsAt: new Date(row.trial_ends_at) }))
+    .filter(({ endsAt }) => !Number.isNaN(endsAt.getTime()) && endsAt.getTime() > now.getTime() && endsAt.getTime() <= limit)
+    .map(({ row, endsAt }) => ({
+      userId: row.user_id,
+      trialEndsAt: endsAt.toISOString(),
+      daysLeft: Math.max(1, Math.ceil((endsAt.getTime() - now.getTime()) / DAY_MS)),
+      // One reminder per trial end date (an extended trial gets a new one)
+      dedupeKey: `trialEnding:${endsAt.toISOString().slice(0, 10)}`,
+    }));
+}
+
+// Send log after sending `key` (newest first, capped)
+export function recordMailSent(sent = {}, key, { now = new Date() } = {}) {
+  const entries = Object.entries(sent || {}).filter(([k]) => k !== key);
+  entries.sort((a, b) => String(b[1]).localeCompare(String(a[1])));
+  return Object.fromEntries([[key, now.toISOString()], ...entries].slice(0, MAIL_LOG_LIMIT));
+}
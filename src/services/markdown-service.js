@@ -0,0 +1,89 @@
+// Minimal Markdown for item notes: headings, bold/italic, inline code, links,
+// bullet/numbered lists and paragraphs. Notes are stored after sanitizeInput
+// (HTML already escaped), so existing entities are kept and any other markup
+// characters are escaped again before rendering.
+
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+function escapeText(text) {
+  return String(text)
+    .replace(/&(?!(?:amp|lt|gt|quot|#39|#x27|#\d+);)/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderLink(label, url) {
+  const href = url.replace(/&amp;/g, '&');
+  if (!SAFE_URL.test(href)) return null;
+  return `<a href="${escapeText(href)}" target="_blank" rel="noopener noreferrer" class="text-blue-600 underline">${label}</a>`;
+}
+
+// Code spans and links are swapped for placeholders so emphasis rules never
+// touch their contents (e.g. underscores inside URLs).
+function renderInline(escaped) {
+  const tokens = [];
+  const hold = (html) => {
+    tokens.push(html);
+    return `\uE000${tokens.length - 1}\uE001`;
+  };
+
+  const html = escaped
+    .replace(/`([^`]+)`/g, (_, code) => hold(`<code class="px-1 rounded bg-slate-100 text-[0.9em]">${code}</code>`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      const link = renderLink(label, url);
+      return link ? hold(link) : match;
+    })
+    .replace(/(^|[\s(])(https?:\/\/[^\s<]+[^\s<.,;:!?)])/g, (_, lead, url) => `${lead}${hold(renderLink(url, url))}`)
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>');
+
+  return html.replace(/\uE000(\d+)\uE001/g, (_, i) => tokens[Number(i)]);
+}
+
+export function renderMarkdown(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const out = [];
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) out.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) out.push(`<${list.tag} class="${list.tag === 'ul' ? 'list-disc' : 'list-decimal'} pl-5">${list.items.map(i => `<li>${renderInline(i)}</li>`).join('')}</${list.tag}>`);
+    list = null;
+  };
+
+  for (const raw of lines) {
+    const line = escapeText(raw.trimEnd());
+    const heading = line.match(/^(#{1,3})\s+(.+)$/);
+    const bullet = line.match(/^\s*[-*]\s+(.+)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.+)$/);
+
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+    } else if (heading) {
+      flushParagraph();
+      flushList();
+      const level = heading[1].length + 2;
+      out.push(`<h${level} class="font-semibold">${renderInline(heading[2])}</h${level}>`);
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const tag = bullet ? 'ul' : 'ol';
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push((bullet || numbered)[1]);
+    } else {
+      flushList();
+      paragraph.push(line);
+    }
+  }
+  flushParagraph();
+  flushList();
+  return out.join('\n');
+}
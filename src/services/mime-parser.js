@@ -0,0 +1,234 @@
+// Reading MIME messages (RFC 5322, 2045-2047, 2231) for inbound mail: decoded
+// headers, the text and HTML bodies and attachment metadata (names, types
+// and sizes; the files themselves are never kept). Pure.
+//
+// Raw input is handled as latin1 so every byte survives until the charset of
+// each part is known.
+
+const MAX_DEPTH = 8;
+const MAX_PARTS = 100;
+
+function toBinaryString(raw) {
+  if (Buffer.isBuffer(raw)) return raw.toString('latin1');
+  // Already-decoded text (e.g. a JSON field): back to UTF-8 bytes
+  return Buffer.from(String(raw || ''), 'utf8').toString('latin1');
+}
+
+export function decodeBytes(bytes, charset = 'utf-8') {
+  const label = String(charset || 'utf-8').trim().toLowerCase().replace(/^"|"$/g, '');
+  try {
+    return new TextDecoder(label === 'us-ascii' ? 'utf-8' : label).decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+function decodeQuotedPrintable(text, { header = false } = {}) {
+  const source = header ? text.replace(/_/g, ' ') : text.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < source.length; i++) {
+    const hex = source[i] === '=' ? source.slice(i + 1, i + 3) : '';
+    if (/^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(source.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeBase64(text) {
+  return Buffer.from(text.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+}
+
+// "=?UTF-8?B?...?=" / "=?iso-8859-1?Q?...?=" words; whitespace between two
+// encoded words is dropped
+export function decodeEncodedWords(value) {
+  return String(value || '')
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?[^?]+\?[BbQq]\?[^?]*\?=)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (all, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B' ? decodeBase64(text) : decodeQuotedPrintable(text, { header: true });
+      return decodeBytes(bytes, charset.split('*')[0]);
+    });
+}
+
+// Header block (latin1) → { name (lowercase): value }; the first occurrence wins
+export function parseHeaders(block) {
+  const headers = {};
+  const unfolded = decodeBytes(Buffer.from(block, 'latin1')).replace(/\r?\n[ \t]+/g, ' ');
+  for (const line of unfolded.split(/\r?\n/)) {
+    const idx = line.indexOf(':');
+    if (idx <= 0) continue;
+    const name = line.slice(0, idx).trim().toLowerCase();
+    if (name && !(name in headers)) headers[name] = decodeEncodedWords(line.slice(idx + 1).trim());
+  }
+  return headers;
+}
+
+/**
+ * 'multipart/mixed; boundary="x"' → { value: 'multipart/mixed', params: { boundary: 'x' } }
+ * Handles RFC 2231 parameters (filename*=UTF-8''…, filename*0*=…).
+ */
+export function parseHeaderParams(header) {
+  const [first, ...rest] = String(header || '').match(/(?:[^;"]+|"(?:\\.|[^"\\])*")+/g) || [''];
+  const params = {};
+  const extended = {};
+  for (const chunk of rest) {
+    const idx = chunk.indexOf('=');
+    if (idx <= 0) continue;
+    const key = chunk.slice(0, idx).trim().toLowerCase();
+    let value = chunk.slice(idx + 1).trim();
+    if (value.startsWith('"')) value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+    const continued = key.match(/^([^*]+)\*(\d+)?(\*)?$/);
+    if (continued) {
+      const [, base, index = '0', encoded] = continued;
+      (extended[base] ||= []).push({ index: Number(index), value, encoded: Boolean(encoded) || (!continued[2] && key.endsWith('*')) });
+    } else {
+      params[key] = value;
+    }
+  }
+  for (const [base, pieces] of Object.entries(extended)) {
+    pieces.sort((a, b) => a.index - b.index);
+    let charset = 'utf-8';
+    const bytes = pieces.map((piece, i) => {
+      let value = piece.value;
+      if (i === 0 && piece.encoded) {
+        const match = value.match(/^([^']*)'[^']*'(.*)$/);
+        if (match) {
+          charset = match[1] || charset;
+          value = match[2];
+        }
+      }
+      return piece.encoded ? Buffer.from(value.replace(/%([0-9A-Fa-f]{2})/g, (all, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1') : Buffer.from(value, 'utf8');
+    });
+    params[base] = decodeBytes(Buffer.concat(bytes), charset);
+  }
+  return { value: first.trim().toLowerCase(), params };
+}
+
+// 'Ana <ana@example.com>, "Pérez, Luis" <luis@example.com>' → [{ name, address }]
+export function parseAddressList(value) {
+  const entries = String(value || '').match(/(?:[^,"<]+|"(?:\\.|[^"\\])*"|<[^>]*>)+/g) || [];
+  return entries
+    .map((entry) => {
+      const angle = entry.match(/<([^>]*)>/);
+      const address = (angle ? angle[1] : entry).trim().replace(/^mailto:/i, '');
+      const name = angle ? entry.replace(angle[0], '').trim().replace(/^"|"$/g, '') : '';
+      return { name, address: address.toLowerCase() };
+    })
+    .filter(entry => /^[^\s@]+@[^\s@]+$/.test(entry.address));
+}
+
+function splitPart(text) {
+  const idx = text.indexOf('\n\n');
+  if (idx === -1) return { headers: parseHeaders(text), body: '' };
+  return { headers: parseHeaders(text.slice(0, idx)), body: text.slice(idx + 2) };
+}
+
+function splitMultipart(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  let current = null;
+  for (const line of body.split('\n')) {
+    if (line.startsWith(delimiter)) {
+      if (current) parts.push(current.join('\n'));
+      if (line.slice(delimiter.length).startsWith('--')) return parts;
+      current = [];
+    } else if (current) {
+      current.push(line);
+    }
+  }
+  if (current) parts.push(current.join('\n'));
+  return parts;
+}
+
+function decodePartBody(body, headers) {
+  const encoding = String(headers['content-transfer-encoding'] || '').trim().toLowerCase();
+  if (encoding === 'base64') return decodeBase64(body);
+  if (encoding === 'quoted-printable') return decodeQuotedPrintable(body);
+  return Buffer.from(body, 'latin1');
+}
+
+function walk(text, result, depth) {
+  if (depth > MAX_DEPTH || result.parts >= MAX_PARTS) return;
+  result.parts += 1;
+  const { headers, body } = splitPart(text);
+  const type = parseHeaderParams(headers['content-type'] || 'text/plain');
+  const disposition = parseHeaderParams(headers['content-disposition'] || '');
+  const filename = disposition.params.filename || type.params.name || '';
+
+  if (type.value.startsWith('multipart/') && type.params.boundary) {
+    for (const part of splitMultipart(body, type.params.boundary)) walk(part, result, depth + 1);
+    return;
+  }
+  const bytes = decodePartBody(body, headers);
+  const isBody = !filename && disposition.value !== 'attachment' && (type.value === 'text/plain' || type.value === 'text/html');
+  if (!isBody) {
+    const nested = type.value === 'message/rfc822' ? splitPart(bytes.toString('latin1').replace(/\r\n/g, '\n')).headers.subject : '';
+    result.attachments.push({
+      filename: filename || (nested ? `${nested}.eml` : 'adjunto'),
+      contentType: type.value || 'application/octet-stream',
+      size: bytes.length,
+    });
+    return;
+  }
+  const key = type.value === 'text/html' ? 'html' : 'text';
+  if (!result[key]) result[key] = decodeBytes(bytes, type.params.charset);
+}
+
+function parseDate(value) {
+  const time = new Date(String(value || '')).getTime();
+  return Number.isFinite(time) ? new Date(time) : null;
+}
+
+/**
+ * Raw RFC 5322 message (Buffer or string) →
+ * { headers, subject, from, to, cc, date, messageId, text, html, attachments }
+ */
+export function parseMimeMessage(raw) {
+  const text = toBinaryString(raw).replace(/\r\n/g, '\n');
+  const result = { text: '', html: '', attachments: [], parts: 0 };
+  walk(text, result, 0);
+  const { headers } = splitPart(text);
+  return {
+    headers,
+    subject: headers.subject || '',
+    from: parseAddressList(headers.from)[0] || null,
+    to: parseAddressList(headers.to),
+    cc: parseAddressList(headers.cc),
+    date: parseDate(headers.date),
+    messageId: String(headers['message-id'] || '').trim().replace(/^<|>$/g, ''),
+    text: result.text,
+    html: result.html,
+    attachments: result.attachments,
+  };
+}
+
+/**
+ * multipart/form-data body → { fields: { name: value }, files: [{ field, filename, contentType, size }] }
+ * (inbound webhooks of SendGrid, Mailgun and similar post this)
+ */
+export function parseFormData(raw, boundary) {
+  const fields = {};
+  const files = [];
+  const text = toBinaryString(raw).replace(/\r\n/g, '\n');
+  for (const part of splitMultipart(text, boundary).slice(0, MAX_PARTS)) {
+    const { headers, body } = splitPart(part);
+    const disposition = parseHeaderParams(headers['content-disposition']);
+    const name = disposition.params.name;
+    if (!name) continue;
+    const bytes = decodePartBody(body, headers);
+    if (disposition.params.filename !== undefined) {
+      files.push({
+        field: name,
+        filename: disposition.params.filename || 'adjunto',
+        contentType: parseHeaderParams(headers['content-type'] || 'application/octet-stream').value,
+        size: bytes.length,
+      });
+    } else if (!(name in fields)) {
+      fields[name] = decodeBytes(bytes, parseHeaderParams(headers['content-type'] || '').params.charset);
+    }
+  }
+  return { fields, files };
+}
@@ -0,0 +1,143 @@
+// Push reminders: which notifications are due for an owner right now.
+// Pure planning; delivery and the per-owner sent log live in lib/push-store.js.
+import { buildTodayPlan } from './today-service.js';
+import { toDateKey } from './recurrence-service.js';
+import { decodeEntities } from './export-service.js';
+
+export const NOTIFICATION_TYPES = {
+  today: { label: 'Agendados para hoy', description: 'Un aviso por la mañana con lo que tienes en Agendar para hoy.' },
+  overdue: { label: 'Vencidos', description: 'Ítems de Agendar cuya fecha ya pasó y siguen abiertos.' },
+  followUp: { label: 'Seguimientos de Delegar', description: 'Delegados cuya fecha de seguimiento ya llegó.' },
+  weeklyReview: { label: 'Revisión semanal', description: 'Recordatorio cuando pasa una semana sin revisión.' },
+};
+
+export const DEFAULT_NOTIFY_HOUR = 8;
+export const WEEKLY_REVIEW_INTERVAL_DAYS = 7;
+// Sent keys older than this are pruned from the log
+export const NOTIFICATION_LOG_DAYS = 14;
+
+const MAX_TITLES = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function defaultNotificationPrefs() {
+  return {
+    ...Object.fromEntries(Object.keys(NOTIFICATION_TYPES).map(type => [type, true])),
+    hour: DEFAULT_NOTIFY_HOUR,
+  };
+}
+
+// Stored preferences (or a settings form body) → complete, valid preferences
+export function normalizeNotificationPrefs(raw = {}) {
+  const prefs = defaultNotificationPrefs();
+  for (const type of Object.keys(NOTIFICATION_TYPES)) {
+    if (raw[type] !== undefined) prefs[type] = raw[type] === true || raw[type] === 'true' || raw[type] === 'on';
+  }
+  const hour = Number(raw.hour);
+  if (raw.hour !== undefined && raw.hour !== '' && Number.isInteger(hour) && hour >= 0 && hour <= 23) prefs.hour = hour;
+  return prefs;
+}
+
+function plural(n, one, many) {
+  return `${n} ${n === 1 ? one : many}`;
+}
+
+function titleOf(item) {
+  return decodeEntities(String(item.title || item.input || '')).trim() || 'Sin título';
+}
+
+function summarize(lines) {
+  const shown = lines.slice(0, MAX_TITLES).join(' · ');
+  const rest = lines.length - MAX_TITLES;
+  return rest > 0 ? `${shown} y ${rest} más` : shown;
+}
+
+// Monday of the week as a date key: one weekly review reminder per week
+function weekKey(now) {
+  const monday = new Date(now);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return toDateKey(monday);
+}
+
+function lastReviewAt(reviews) {
+  return (reviews || [])
+    .map(r => (r?.completedAt ? new Date(r.completedAt) : null))
+    .filter(d => d && !Number.isNaN(d.getTime()))
+    .sort((a, b) => b - a)[0] || null;
+}
+
+/**
+ * Notifications due now for one owner, at most one per type.
+ * items: open items from agendar and delegar; reviews: weekly_review records;
+ * sent: { [key]: isoDate } already delivered (see lib/push-store.js).
+ * → [{ key, type, title, body, url, tag }]
+ */
+export function planNotifications(items, { now = new Date(), prefs = {}, reviews = [], sent = {} } = {}) {
+  const options = normalizeNotificationPrefs(prefs);
+  if (now.getHours() < options.hour) return [];
+
+  const today = toDateKey(now);
+  const plan = buildTodayPlan(items, { now });
+  const due = [];
+
+  if (options.today && plan.scheduled.today.length) {
+    const list = plan.scheduled.today;
+    due.push({
+      key: `today:${today}`,
+      type: 'today',
+      title: `📅 ${plural(list.length, 'agendado', 'agendados')} para hoy`,
+      body: summarize(list.map(titleOf)),
+      url: '/hoy',
+    });
+  }
+
+  if (options.overdue && plan.scheduled.overdue.length) {
+    const list = plan.scheduled.overdue;
+    due.push({
+      key: `overdue:${today}`,
+      type: 'overdue',
+      title: `⏰ ${plural(list.length, 'ítem vencido', 'ítems vencidos')}`,
+      body: summarize(list.map(titleOf)),
+      url: '/agendar',
+    });
+  }
+
+  if (options.followUp && plan.followUps.length) {
+    const list = plan.followUps;
+    due.push({
+      key: `followUp:${today}`,
+      type: 'followUp',
+      title: `👥 ${plural(list.length, 'seguimiento pendiente', 'seguimientos pendientes')}`,
+      body: summarize(list.map(i => (i.delegatedTo ? `${decodeEntities(i.delegatedTo)}: ${titleOf(i)}` : titleOf(i)))),
+      url: '/delegar',
+    });
+  }
+
+  if (options.weeklyReview) {
+    const last = lastReviewAt(reviews);
+    const days = last ? Math.floor((now - last) / DAY_MS) : null;
+    if (days === null || days >= WEEKLY_REVIEW_INTERVAL_DAYS) {
+      due.push({
+        key: `weeklyReview:${weekKey(now)}`,
+        type: 'weeklyReview',
+        title: '🔄 Toca la revisión semanal',
+        body: last ? `La última fue hace ${days} días.` : 'Aún no has hecho ninguna: son unos 30 minutos.',
+        url: '/weekly-review',
+      });
+    }
+  }
+
+  return due
+    .filter(n => !sent[n.key])
+    .map(n => ({ ...n, tag: `gtd-${n.type}` }));
+}
+
+// Sent log after delivering `keys`, dropping entries older than NOTIFICATION_LOG_DAYS
+export function recordSent(sent = {}, keys = [], { now = new Date() } = {}) {
+  const cutoff = now.getTime() - NOTIFICATION_LOG_DAYS * DAY_MS;
+  const next = {};
+  for (const [key, at] of Object.entries(sent || {})) {
+    if (new Date(at).getTime() >= cutoff) next[key] = at;
+  }
+  for (const key of keys) next[key] = now.toISOString();
+  return next;
+}
@@ -0,0 +1,200 @@
+// Recurrence rules for Agendar/Hacer items.
+//
+// Rule shape (stored as item.recurrence):
+//   { freq: 'daily',    interval }                      every N days
+//   { freq: 'weekdays' }                                Monday to Friday
+//   { freq: 'weekly',   interval, weekdays: [0..6] }     every N weeks on given days (0 = domingo)
+//   { freq: 'monthly',  interval, monthDay: 1..31 }      every N months on a day (clamped to month end)
+//   { freq: 'monthly',  interval, nth: 1..4|-1, weekday } every N months on the nth weekday (-1 = last)
+//   { freq: 'after',    interval }                      N days after the previous one is completed
+
+export const RECURRENCE_FREQS = ['daily', 'weekdays', 'weekly', 'monthly', 'after'];
+
+const WEEKDAY_SHORT = ['dom', 'lun', 'mar', 'mié', 'jue', 'vie', 'sáb'];
+const WEEKDAY_LONG = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+const NTH_LABELS = { 1: 'primer', 2: 'segundo', 3: 'tercer', 4: 'cuarto', '-1': 'último' };
+
+// Fields carried over from one occurrence to the next
+const SERIES_FIELDS = [
+  'title', 'input', 'kind', 'list', 'context', 'area', 'tags', 'notes', 'nextAction',
+  'urgency', 'importance', 'estimateMin', 'priorityScore', 'durationWarning',
+  'actionableScore', 'actionableOk', 'actionableFeedback', 'delegatedTo',
+];
+
+function toInt(value, fallback = null) {
+  const n = Number(value);
+  return Number.isInteger(n) ? n : fallback;
+}
+
+// The user's "today" as YYYY-MM-DD (server local time); arithmetic on these
+// keys is done in UTC to avoid DST drift.
+export function toDateKey(date) {
+  const d = date instanceof Date ? date : new Date(date);
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+function parseKey(key) {
+  const [y, m, d] = String(key).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(key, days) {
+  const d = parseKey(key);
+  d.setUTCDate(d.getUTCDate() + days);
+  return formatKey(d);
+}
+
+function daysInMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+function nthWeekdayOfMonth(year, monthIndex, nth, weekday) {
+  if (nth === -1) {
+    const last = new Date(Date.UTC(year, monthIndex, daysInMonth(year, monthIndex)));
+    const back = (last.getUTCDay() - weekday + 7) % 7;
+    last.setUTCDate(last.getUTCDate() - back);
+    return last;
+  }
+  const first = new Date(Date.UTC(year, monthIndex, 1));
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  const day = 1 + offset + (nth - 1) * 7;
+  if (day > daysInMonth(year, monthIndex)) return null;
+  return new Date(Date.UTC(year, monthIndex, day));
+}
+
+// Returns a clean rule or null when the input is empty/invalid
+export function normalizeRecurrence(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const freq = String(raw.freq || '');
+  if (!RECURRENCE_FREQS.includes(freq)) return null;
+
+  const interval = toInt(raw.interval, 1);
+  if (interval < 1 || interval > 365) return null;
+
+  if (freq === 'daily' || freq === 'after') return { freq, interval };
+  if (freq === 'weekdays') return { freq };
+
+  if (freq === 'weekly') {
+    const days = (Array.isArray(raw.weekdays) ? raw.weekdays : [raw.weekdays])
+      .map(d => toInt(d))
+      .filter(d => d !== null && d >= 0 && d <= 6);
+    const weekdays = [...new Set(days)].sort((a, b) => a - b);
+    if (!weekdays.length || interval > 52) return null;
+    return { freq, interval, weekdays };
+  }
+
+  // monthly
+  if (interval > 24) return null;
+  if (raw.nth != null && raw.nth !== '') {
+    const nth = toInt(raw.nth);
+    const weekday = toInt(raw.weekday);
+    if (![1, 2, 3, 4, -1].includes(nth) || weekday === null || weekday < 0 || weekday > 6) return null;
+    return { freq, interval, nth, weekday };
+  }
+  const monthDay = toInt(raw.monthDay);
+  if (monthDay === null || monthDay < 1 || monthDay > 31) return null;
+  return { freq, interval, monthDay };
+}
+
+function nextScheduled(rule, anchor) {
+  if (rule.freq === 'daily') return addDays(anchor, rule.interval);
+
+  if (rule.freq === 'weekdays') {
+    let key = addDays(anchor, 1);
+    while ([0, 6].includes(parseKey(key).getUTCDay())) key = addDays(key, 1);
+    return key;
+  }
+
+  if (rule.freq === 'weekly') {
+    const anchorDate = parseKey(anchor);
+    const anchorWeekStart = addDays(anchor, -anchorDate.getUTCDay());
+    for (let i = 1; i <= 7 * rule.interval + 7; i += 1) {
+      const key = addDays(anchor, i);
+      const date = parseKey(key);
+      const weekStart = addDays(key, -date.getUTCDay());
+      const weeksApart = Math.round((parseKey(weekStart) - parseKey(anchorWeekStart)) / (7 * 86400000));
+      if (weeksApart % rule.interval === 0 && rule.weekdays.includes(date.getUTCDay())) return key;
+    }
+    return addDays(anchor, 7 * rule.interval);
+  }
+
+  // monthly: first matching date after the anchor, stepping by `interval` months
+  const anchorDate = parseKey(anchor);
+  for (let step = 0; step <= 24; step += 1) {
+    const monthOffset = step * rule.interval;
+    const year = anchorDate.getUTCFullYear() + Math.floor((anchorDate.getUTCMonth() + monthOffset) / 12);
+    const monthIndex = (anchorDate.getUTCMonth() + monthOffset) % 12;
+    const candidate = rule.nth != null
+      ? nthWeekdayOfMonth(year, monthIndex, rule.nth, rule.weekday)
+      : new Date(Date.UTC(year, monthIndex, Math.min(rule.monthDay, daysInMonth(year, monthIndex))));
+    if (candidate && formatKey(candidate) > anchor) return formatKey(candidate);
+  }
+  return null;
+}
+
+// Next scheduledFor after completing an occurrence. Calendar rules keep their
+// cadence from the scheduled date but never land on/before the completion day.
+export function nextOccurrence(rule, { scheduledFor = null, completedOn }) {
+  const normalized = normalizeRecurrence(rule);
+  if (!normalized) return null;
+  if (normalized.freq === 'after') return addDays(completedOn, normalized.interval);
+
+  let key = nextScheduled(normalized, scheduledFor || completedOn);
+  let guard = 0;
+  while (key && key <= completedOn && guard < 1000) {
+    key = nextScheduled(normalized, key);
+    guard += 1;
+  }
+  return key;
+}
+
+export function describeRecurrence(rule) {
+  const r = normalizeRecurrence(rule);
+  if (!r) return '';
+  const every = (n, one, many) => (n === 1 ? `Cada ${one}` : `Cada ${n} ${many}`);
+  if (r.freq === 'daily') return every(r.interval, 'día', 'días');
+  if (r.freq === 'weekdays') return 'Días hábiles (lun–vie)';
+  if (r.freq === 'after') return `${r.interval === 1 ? '1 día' : `${r.interval} días`} después de completar`;
+  if (r.freq === 'weekly') return `${every(r.interval, 'semana', 'semanas')}: ${r.weekdays.map(d => WEEKDAY_SHORT[d]).join(', ')}`;
+  if (r.nth != null) return `${every(r.interval, 'mes', 'meses')}, el ${NTH_LABELS[r.nth]} ${WEEKDAY_LONG[r.weekday]}`;
+  return `${every(r.interval, 'mes', 'meses')}, el día ${r.monthDay}`;
+}
+
+// Completing an item: returns the patch for the completed occurrence and, when
+// the item recurs, the patch for the next one (to apply on a fresh newItem()).
+export function buildCompletion(item, { comment = null, now = new Date() } = {}) {
+  const completedPatch = {
+    status: 'done',
+    completedAt: now.toISOString(),
+    completionComment: comment || null,
+  };
+
+  const rule = normalizeRecurrence(item?.recurrence);
+  if (!rule) return { completedPatch, nextPatch: null };
+
+  const scheduledFor = nextOccurrence(rule, { scheduledFor: item.scheduledFor || null, completedOn: toDateKey(now) });
+  if (!scheduledFor) return { completedPatch, nextPatch: null };
+
+  const seriesId = item.seriesId || item.id;
+  completedPatch.seriesId = seriesId;
+  completedPatch.seriesIndex = Number(item.seriesIndex || 1);
+
+  const nextPatch = { status: 'processed' };
+  for (const field of SERIES_FIELDS) {
+    if (item[field] !== undefined) nextPatch[field] = item[field];
+  }
+  Object.assign(nextPatch, {
+    recurrence: rule,
+    scheduledFor,
+    seriesId,
+    seriesIndex: completedPatch.seriesIndex + 1,
+  });
+  return { completedPatch, nextPatch };
+}
@@ -0,0 +1,187 @@
+// In-memory matcher shared by the local JSON store and by Supabase results
+// (which arrive pre-filtered by the Spanish to_tsvector index but need highlights).
+
+export const SEARCH_FIELDS = [
+  { field: 'title', label: 'Título', weight: 5 },
+  { field: 'input', label: 'Captura', weight: 3 },
+  { field: 'tags', label: 'Etiquetas', weight: 3 },
+  { field: 'delegatedTo', label: 'Delegado a', weight: 2 },
+  { field: 'subtasks', label: 'Subtareas', weight: 2 },
+  { field: 'notes', label: 'Notas', weight: 1 },
+  { field: 'completionComment', label: 'Comentario', weight: 1 },
+];
+
+const MAX_TOKENS = 8;
+const SNIPPET_RADIUS = 50;
+
+function foldChar(ch) {
+  return ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Lowercase + strip accents so "revision" matches "Revisión"
+export function normalizeSearchText(text) {
+  return Array.from(String(text || '')).map(foldChar).join('');
+}
+
+export function tokenizeQuery(query) {
+  const tokens = normalizeSearchText(query)
+    .split(/[^\p{L}\p{N}@_-]+/u)
+    .map(t => t.trim())
+    .filter(t => t.length >= 2);
+  return [...new Set(tokens)].slice(0, MAX_TOKENS);
+}
+
+function fieldText(item, field) {
+  const value = item?.[field];
+  if (field === 'tags') return Array.isArray(value) ? value.join(' ') : '';
+  if (field === 'subtasks') return Array.isArray(value) ? value.map(s => s?.text || '').filter(Boolean).join(' · ') : '';
+  return typeof value === 'string' ? value : '';
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Returns [start, end) ranges in the original string for every token match.
+function matchRanges(text, tokens) {
+  const chars = Array.from(text);
+  let folded = '';
+  const origIndex = [];
+  chars.forEach((ch, i) => {
+    const f = foldChar(ch);
+    for (let k = 0; k < f.length; k += 1) origIndex.push(i);
+    folded += f;
+  });
+
+  const ranges = [];
+  for (const token of tokens) {
+    let from = folded.indexOf(token);
+    while (from !== -1) {
+      const start = origIndex[from];
+      const end = origIndex[from + token.length - 1] + 1;
+      ranges.push([start, end]);
+      from = folded.indexOf(token, from + token.length);
+    }
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push([...r]);
+  }
+  return { chars, ranges: merged };
+}
+
+// HTML-escaped text with <mark> around matches. When `snippet` is set, only a
+// window around the first match is returned.
+export function highlightMatches(text, tokens, { snippet = false } = {}) {
+  const { chars, ranges } = matchRanges(String(text || ''), tokens);
+  let from = 0;
+  let to = chars.length;
+  if (snippet && ranges.length) {
+    from = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+    to = Math.min(chars.length, ranges[0][1] + SNIPPET_RADIUS);
+  }
+
+  let html = from > 0 ? '…' : '';
+  let cursor = from;
+  for (const [start, end] of ranges) {
+    if (end <= from || start >= to) continue;
+    const s = Math.max(start, from);
+    const e = Math.min(end, to);
+    html += escapeHtml(chars.slice(cursor, s).join(''));
+    html += `<mark>${escapeHtml(chars.slice(s, e).join(''))}</mark>`;
+    cursor = e;
+  }
+  html += escapeHtml(chars.slice(cursor, to).join(''));
+  if (to < chars.length) html += '…';
+  return html;
+}
+
+function scoreItem(item, tokens) {
+  let score = 0;
+  const matchedFields = [];
+  for (const token of tokens) {
+    let tokenScore = 0;
+    for (const { field, weight } of SEARCH_FIELDS) {
+      const text = normalizeSearchText(fieldText(item, field));
+      const idx = text.indexOf(token);
+      if (idx === -1) continue;
+      const wordStart = idx === 0 || /[^\p{L}\p{N}]/u.test(text[idx - 1]);
+      tokenScore += weight * (wordStart ? 2 : 1);
+      if (!matchedFields.includes(field)) matchedFields.push(field);
+    }
+    // Every token must appear somewhere (AND semantics)
+    if (!tokenScore) return { score: 0, matchedFields: [] };
+    score += tokenScore;
+  }
+  // Open items first on ties
+  if (item?.status === 'done') score *= 0.8;
+  return { score, matchedFields };
+}
+
+export function destinationHref(item) {
+  if (item?.status === 'done') return '/terminado';
+  return `/${item?.list || 'collect'}`;
+}
+
+export function itemHref(item) {
+  return `/items/${encodeURIComponent(item.id)}`;
+}
+
+function toResult(item, score, matchedFields, tokens) {
+  const title = fieldText(item, 'title') || fieldText(item, 'input');
+  const extraField = matchedFields.find(f => f !== 'title' && (f !== 'input' || fieldText(item, 'title')));
+  const meta = SEARCH_FIELDS.find(f => f.field === extraField);
+  return {
+    id: item.id,
+    title,
+    titleHtml: highlightMatches(title, tokens),
+    list: item.list || 'collect',
+    status: item.status || null,
+    href: itemHref(item),
+    listHref: destinationHref(item),
+    score: Math.round(score * 100) / 100,
+    match: meta
+      ? { field: meta.field, label: meta.label, html: highlightMatches(fieldText(item, meta.field), tokens, { snippet: true }) }
+      : null,
+  };
+}
+
+// Ranks items against the query. With `preserveOrder` the incoming order is kept
+// (already ranked by Postgres) and items without literal matches are still
+// returned, since to_tsvector also matches stemmed forms.
+export function searchItems(items, query, { limit = 20, preserveOrder = false } = {}) {
+  const tokens = tokenizeQuery(query);
+  if (!tokens.length) return [];
+
+  const scored = [];
+  for (const item of items || []) {
+    if (!item?.id) continue;
+    const { score, matchedFields } = scoreItem(item, tokens);
+    if (!score && !preserveOrder) continue;
+    scored.push(toResult(item, score, matchedFields, tokens));
+  }
+
+  if (!preserveOrder) {
+    scored.sort((a, b) => b.score - a.score);
+  }
+  return scored.slice(0, limit);
+}
+
+// Postgres prefix query ("llam:* & prov:*") so results update while typing.
+// Accents are kept: the 'spanish' config does not unaccent.
+export function buildPrefixTsQuery(query) {
+  const tokens = String(query || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t.length >= 2);
+  return [...new Set(tokens)].slice(0, MAX_TOKENS).map(t => `${t}:*`).join(' & ');
+}
@@ -0,0 +1,110 @@
+// Daily plan for the "Hoy" view: scheduled items (Agendar), due follow-ups
+// (Delegar) and the top Hacer items that fit in the user's available time.
+import { withHacerMeta } from './gtd-service.js';
+import { toDateKey } from './recurrence-service.js';
+
+export const DEFAULT_AVAILABLE_MIN = 240;
+export const MIN_AVAILABLE_MIN = 15;
+export const MAX_AVAILABLE_MIN = 960;
+export const SCHEDULE_HORIZON_DAYS = 3;
+
+const DEFAULT_SCHEDULED_ESTIMATE_MIN = 10;
+const MAX_FOCUS_ITEMS = 10;
+const MAX_LATER_ITEMS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function keyToUtc(key) {
+  const [y, m, d] = String(key).split('-').map(Number);
+  return Date.UTC(y, m - 1, d);
+}
+
+function daysBetween(fromKey, toKey) {
+  return Math.round((keyToUtc(toKey) - keyToUtc(fromKey)) / DAY_MS);
+}
+
+function isDateKey(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+}
+
+function isOpen(item) {
+  return item && item.status !== 'done';
+}
+
+function estimateOf(item, fallback) {
+  const n = Number(item.estimateMin);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function clampAvailableMin(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return DEFAULT_AVAILABLE_MIN;
+  return Math.min(MAX_AVAILABLE_MIN, Math.max(MIN_AVAILABLE_MIN, Math.round(n)));
+}
+
+// items: open + done items from agendar/hacer/delegar (others are ignored)
+export function buildTodayPlan(items, { now = new Date(), availableMin = DEFAULT_AVAILABLE_MIN, horizonDays = SCHEDULE_HORIZON_DAYS } = {}) {
+  const today = toDateKey(now);
+  const budget = clampAvailableMin(availableMin);
+  const open = (items || []).filter(isOpen);
+
+  // Agendar: overdue, today and the next `horizonDays` days
+  const scheduled = { overdue: [], today: [], upcoming: [] };
+  open
+    .filter(i => i.list === 'agendar' && isDateKey(i.scheduledFor))
+    .map(i => ({ ...i, daysFromToday: daysBetween(today, i.scheduledFor) }))
+    .filter(i => i.daysFromToday <= horizonDays)
+    .sort((a, b) => a.scheduledFor.localeCompare(b.scheduledFor))
+    .forEach((i) => {
+      if (i.daysFromToday < 0) scheduled.overdue.push(i);
+      else if (i.daysFromToday === 0) scheduled.today.push(i);
+      else scheduled.upcoming.push(i);
+    });
+
+  // Delegar: follow-up date reached
+  const followUps = open
+    .filter(i => i.list === 'delegar' && isDateKey(i.delegatedFor) && i.delegatedFor <= today)
+    .map(i => ({
+      ...i,
+      daysOverdue: daysBetween(i.delegatedFor, today),
+      daysWaiting: i.movedToListAt ? daysBetween(toDateKey(i.movedToListAt), today) : null,
+    }))
+    .sort((a, b) => b.daysOverdue - a.daysOverdue);
+
+  // Committed time: everything scheduled for today or already late
+  const committedMin = [...scheduled.overdue, ...scheduled.today]
+    .reduce((sum, i) => sum + estimateOf(i, DEFAULT_SCHEDULED_ESTIMATE_MIN), 0);
+
+  // Hacer: highest priority first, filling what's left of the budget.
+  // Recurring occurrences scheduled for a later day are not due yet.
+  const candidates = open
+    .filter(i => i.list === 'hacer' && !(isDateKey(i.scheduledFor) && i.scheduledFor > today))
+    .map(i => ({ ...i, ...withHacerMeta(i) }))
+    .sort((a, b) => (b.priorityScore - a.priorityScore) || String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+
+  const focus = [];
+  const later = [];
+  let plannedMin = committedMin;
+  for (const item of candidates) {
+    if (focus.length < MAX_FOCUS_ITEMS && plannedMin + item.estimateMin <= budget) {
+      focus.push(item);
+      plannedMin += item.estimateMin;
+    } else if (later.length < MAX_LATER_ITEMS) {
+      later.push(item);
+    }
+  }
+
+  return {
+    today,
+    scheduled,
+    followUps,
+    focus,
+    later,
+    budget: {
+      availableMin: budget,
+      committedMin,
+      plannedMin,
+      remainingMin: Math.max(0, budget - plannedMin),
+      overBudget: committedMin > budget,
+    },
+  };
+}
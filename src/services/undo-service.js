@@ -0,0 +1,91 @@
+// Undo journal for destructive and moving actions (delete, complete, send) and
+// for bulk edits (tag, reschedule).
+//
+// Entry shape (stored newest first, see loadUndoJournal in lib/meta-store.js):
+//   { id, at, action, label, items: [{ before, afterVersion }], created: [{ id, afterVersion }] }
+// `before` is the item as it was before the action (without history).
+// `afterVersion` (item.version once the action was saved) lets undo refuse
+// when the item was edited again since.
+// `created` are items the action created, e.g. the next occurrence of a
+// recurring item, which undo moves to the Papelera unless edited since.
+
+import { itemVersion } from '../../lib/item-version.js';
+import { randomId } from './gtd-service.js';
+
+export const UNDO_ACTIONS = ['delete', 'complete', 'send', 'tag', 'reschedule'];
+
+// Managed by updateItem()/the store, never copied back from a snapshot
+const RESTORE_SKIP = new Set(['id', 'createdAt', 'updatedAt', 'history', 'movedToListAt']);
+const LABEL_MAX_LEN = 60;
+
+export function snapshotItem(item) {
+  const { history, ...rest } = item || {};
+  return rest;
+}
+
+function shortTitle(item) {
+  const text = String(item?.title || item?.input || '').trim();
+  return text.length > LABEL_MAX_LEN ? `${text.slice(0, LABEL_MAX_LEN - 1)}…` : text;
+}
+
+// Toast text for an action, e.g. 'Movido a la papelera: "Llamar a Juan"'
+export function undoLabel(action, item, { toLabel = null } = {}) {
+  const title = shortTitle(item);
+  if (action === 'delete') return `Movido a la papelera: "${title}"`;
+  if (action === 'complete') return `Completado: "${title}"`;
+  if (action === 'send') return toLabel ? `Enviado a ${toLabel}: "${title}"` : `Enviado: "${title}"`;
+  return title;
+}
+
+// changes: [{ before, after }] for every item the action modified;
+// created: the items it saved as new
+export function buildUndoEntry({ action, label, changes = [], created = [], now = new Date() }) {
+  if (!UNDO_ACTIONS.includes(action)) throw new Error(`Unknown undo action: ${action}`);
+  return {
+    id: randomId(),
+    at: now.toISOString(),
+    action,
+    label: label || '',
+    items: changes
+      .filter(c => c?.before?.id)
+      .map(({ before, after }) => ({ before: snapshotItem(before), afterVersion: after ? itemVersion(after) : null })),
+    created: created.filter(item => item?.id).map(item => ({ id: item.id, afterVersion: itemVersion(item) })),
+  };
+}
+
+// Whether `current` was written again after the action saved `recorded`.
+// Entries from before versions were recorded still carry afterUpdatedAt.
+export function changedSinceUndo(current, recorded) {
+  if (!current || !recorded) return false;
+  if (recorded.afterVersion != null) return itemVersion(current) !== recorded.afterVersion;
+  return Boolean(recorded.afterUpdatedAt && current.updatedAt !== recorded.afterUpdatedAt);
+}
+
+// Items the entry created; entries recorded before versions only hold ids
+export function undoCreatedRecords(entry) {
+  if (Array.isArray(entry?.created)) return entry.created;
+  return (entry?.createdIds || []).map(id => ({ id, afterVersion: null }));
+}
+
+// Ids of items edited after the action, modified or created by it: undoing
+// would overwrite (or throw away) those edits
+export function findUndoConflicts(entry, currentById) {
+  const recorded = [
+    ...(entry?.items || []).map(r => ({ ...r, id: r.before.id })),
+    ...undoCreatedRecords(entry),
+  ];
+  return recorded.filter(r => changedSinceUndo(currentById.get(r.id), r)).map(r => r.id);
+}
+
+// Patch that puts the snapshot back on `current`; fields added by the action
+// (completedAt, trashedAt...) are cleared.
+export function undoPatch(current, snapshot) {
+  const patch = {};
+  for (const key of Object.keys(current || {})) {
+    if (!RESTORE_SKIP.has(key) && !(key in snapshot)) patch[key] = null;
+  }
+  for (const [key, value] of Object.entries(snapshot || {})) {
+    if (!RESTORE_SKIP.has(key)) patch[key] = value;
+  }
+  return patch;
+}
@@ -0,0 +1,104 @@
+// Web Push without dependencies: VAPID (RFC 8292) auth and aes128gcm payload
+// encryption (RFC 8291) on node:crypto. Keys are base64url, as browsers use them:
+// public = uncompressed P-256 point (65 bytes), private = the 32-byte scalar.
+import { createCipheriv, createECDH, createPrivateKey, hkdfSync, randomBytes, sign } from 'node:crypto';
+
+const RECORD_SIZE = 4096;
+const VAPID_TTL_SECONDS = 12 * 60 * 60;
+export const DEFAULT_PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+export function toBase64Url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+export function fromBase64Url(value) {
+  return Buffer.from(String(value || ''), 'base64url');
+}
+
+// Private scalars with leading zero bytes can come back short; JWK wants 32 bytes
+function padScalar(buf) {
+  return buf.length >= 32 ? buf : Buffer.concat([Buffer.alloc(32 - buf.length), buf]);
+}
+
+export function generateVapidKeys() {
+  const ecdh = createECDH('prime256v1');
+  ecdh.generateKeys();
+  return { publicKey: toBase64Url(ecdh.getPublicKey()), privateKey: toBase64Url(padScalar(ecdh.getPrivateKey())) };
+}
+
+function vapidSigningKey({ publicKey, privateKey }) {
+  const pub = fromBase64Url(publicKey);
+  if (pub.length !== 65 || pub[0] !== 4) throw new Error('VAPID public key must be an uncompressed P-256 point');
+  return createPrivateKey({
+    key: { kty: 'EC', crv: 'P-256', x: toBase64Url(pub.subarray(1, 33)), y: toBase64Url(pub.subarray(33)), d: toBase64Url(padScalar(fromBase64Url(privateKey))) },
+    format: 'jwk',
+  });
+}
+
+/**
+ * Authorization header for a push service: "vapid t=<ES256 JWT>, k=<public key>".
+ * vapid: { publicKey, privateKey, subject } (subject: mailto: or https: contact)
+ */
+export function vapidAuthorization(endpoint, vapid, { now = new Date() } = {}) {
+  const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = toBase64Url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now.getTime() / 1000) + VAPID_TTL_SECONDS,
+    sub: vapid.subject,
+  }));
+  const signature = sign('sha256', Buffer.from(`${header}.${claims}`), { key: vapidSigningKey(vapid), dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${vapid.publicKey}`;
+}
+
+function hkdf(salt, ikm, info, length) {
+  return Buffer.from(hkdfSync('sha256', ikm, salt, info, length));
+}
+
+/**
+ * Encrypts payload for a subscription's keys ({ p256dh, auth }) as a single
+ * aes128gcm record. salt/serverKeys are only passed by tests.
+ */
+export function encryptPushPayload(payload, keys, { salt = randomBytes(16), serverKeys = null } = {}) {
+  const uaPublic = fromBase64Url(keys?.p256dh);
+  const authSecret = fromBase64Url(keys?.auth);
+  if (uaPublic.length !== 65 || authSecret.length < 16) throw new Error('Invalid push subscription keys');
+
+  const server = serverKeys || createECDH('prime256v1');
+  if (!serverKeys) server.generateKeys();
+  const serverPublic = server.getPublicKey();
+  const sharedSecret = server.computeSecret(uaPublic);
+
+  const ikm = hkdf(authSecret, sharedSecret, Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, serverPublic]), 32);
+  const cek = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]); // 0x02: last record
+  if (plaintext.length + 16 > RECORD_SIZE) throw new Error('Push payload too large');
+  const cipher = createCipheriv('aes-128-gcm', cek, nonce);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublic.length, 20);
+  return Buffer.concat([header, serverPublic, ciphertext]);
+}
+
+/**
+ * POSTs an encrypted message to subscription.endpoint.
+ * → { ok, status, gone } (gone: the subscription expired and should be removed)
+ */
+export async function sendWebPush(subscription, message, { vapid, ttl = DEFAULT_PUSH_TTL_SECONDS, urgency = 'normal', topic = null, fetchImpl = fetch, now = new Date() } = {}) {
+  const body = encryptPushPayload(JSON.stringify(message), subscription.keys);
+  const headers = {
+    'Content-Type': 'application/octet-stream',
+    'Content-Encoding': 'aes128gcm',
+    'TTL': String(ttl),
+    'Urgency': urgency,
+    'Authorization': vapidAuthorization(subscription.endpoint, vapid, { now }),
+  };
+  // Topic replaces an undelivered message with the same topic (max 32 url-safe chars)
+  if (topic) headers.Topic = String(topic).replace(/[^A-Za-z0-9_-]/g, '').slice(0, 32);
+  const response = await fetchImpl(subscription.endpoint, { method: 'POST', headers, body });
+  return { ok: response.ok, status: response.status, gone: response.status === 404 || response.status === 410 };
+}
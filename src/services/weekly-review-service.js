@@ -135,7 +135,7 @@ export function calculateStreak(completedReviews) {
 }
 
 // Get last completed review and days since last
-export function getLastReviewInfo(allReviews) {
+export function getLastReviewInfo(allReviews, { now = new Date() } = {}) {
   const completed = (allReviews || [])
     .filter(r => r.completedAt)
     .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
@@ -143,7 +143,7 @@ export function getLastReviewInfo(allReviews) {
   if (completed.length === 0) return { lastReview: null, daysSinceLast: null };
 
   const lastReview = completed[0];
-  const daysSinceLast = Math.floor((Date.now() - new Date(lastReview.completedAt)) / (1000 * 60 * 60 * 24));
+  const daysSinceLast = Math.floor((now.getTime() - new Date(lastReview.completedAt)) / (1000 * 60 * 60 * 24));
 
   return { lastReview, daysSinceLast };
 }
@@ -1,3 +1,7 @@
+import { HISTORY_LIMIT } from '../../lib/item-history.js';
+import { normalizeRecurrence } from '../services/recurrence-service.js';
+import { upgradeItem } from '../../lib/migrations.js';
+
 export class ImportValidationError extends Error {
   constructor(message, details = []) {
     super(message);
@@ -11,18 +15,21 @@ const MAX_IMPORT_ITEMS = 10000;
 const MAX_IMPORT_ERROR_DETAILS = 10;
 const IMPORT_ALLOWED_LISTS = new Set([
   'collect', 'hacer', 'agendar', 'delegar', 'desglosar', 'no-hacer',
-  'inbox', 'next', 'projects', 'waiting', 'someday', 'calendar', 'reference',
+  'inbox', 'next', 'projects', 'waiting', 'someday', 'calendar', 'reference', 'papelera',
 ]);
 const IMPORT_ALLOWED_KINDS = new Set(['action', 'project', 'reference']);
-const IMPORT_ALLOWED_STATUS = new Set(['unprocessed', 'processed', 'done']);
+const IMPORT_ALLOWED_STATUS = new Set(['unprocessed', 'processed', 'done', 'trashed']);
 const IMPORT_ALLOWED_ITEM_KEYS = new Set([
   'id', 'input', 'title', 'kind', 'list', 'context', 'nextAction', 'notes', 'status',
   'createdAt', 'updatedAt', 'urgency', 'importance', 'estimateMin', 'priorityScore',
   'durationWarning', 'actionableScore', 'actionableOk', 'actionableFeedback',
   'completedAt', 'completionComment', 'scheduledFor', 'delegatedTo', 'delegatedFor',
   'objective', 'subtasks', 'sourceProjectId', 'sourceSubtaskId', 'tags',
+  'recurrence', 'seriesId', 'seriesIndex', 'sourceProjectTitle', 'history', 'movedToListAt',
+  'links', 'area', 'trashedAt', 'trashedFrom', 'version', 'payloadSchema',
 ]);
 const IMPORT_ALLOWED_SUBTASK_KEYS = new Set(['id', 'text', 'status', 'sentTo', 'sentItemId', 'completedAt']);
+const IMPORT_ALLOWED_HISTORY_TYPES = new Set(['created', 'move', 'status', 'edit', 'subtask']);
 
 function toSanitizedString(value, maxLen, sanitizeInput, { nullable = true } = {}) {
   if (value == null) return nullable ? null : '';
@@ -57,6 +64,12 @@ function toIsoDate(value, { nullable = true } = {}) {
   return d.toISOString();
 }
 
+// scheduledFor/delegatedFor are stored as YYYY-MM-DD date keys
+function toDateKeyOrIso(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime())) return value;
+  return toIsoDate(value);
+}
+
 function normalizeImportedSubtasks(rawSubtasks, sanitizeInput) {
   if (rawSubtasks == null) return [];
   if (!Array.isArray(rawSubtasks)) throw new Error('subtasks must be an array');
@@ -98,6 +111,77 @@ function normalizeImportedTags(rawTags, sanitizeInput) {
   return Array.from(new Set(tags));
 }
 
+function normalizeImportedLinks(rawLinks, sanitizeInput) {
+  if (rawLinks == null) return [];
+  if (!Array.isArray(rawLinks)) throw new Error('links must be an array');
+  if (rawLinks.length > 20) throw new Error('links max is 20');
+
+  return rawLinks.map((link, idx) => {
+    if (!link || typeof link !== 'object' || Array.isArray(link)) throw new Error(`links[${idx}] must be an object`);
+    let url;
+    try {
+      url = new URL(String(link.url || ''));
+    } catch {
+      throw new Error(`links[${idx}].url must be a valid URL`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error(`links[${idx}].url must be http or https`);
+    return {
+      id: toSanitizedString(link.id, 64, sanitizeInput, { nullable: false }),
+      url: url.href,
+      title: toSanitizedString(link.title, 120, sanitizeInput),
+      addedAt: toIsoDate(link.addedAt),
+    };
+  });
+}
+
+function normalizeImportedTrashedFrom(rawFrom, sanitizeInput) {
+  if (rawFrom == null) return null;
+  if (typeof rawFrom !== 'object' || Array.isArray(rawFrom)) throw new Error('trashedFrom must be an object');
+  const list = toSanitizedString(rawFrom.list, 32, sanitizeInput);
+  if (list && !IMPORT_ALLOWED_LISTS.has(list)) throw new Error('trashedFrom.list is not supported');
+  const status = toSanitizedString(rawFrom.status, 32, sanitizeInput);
+  if (status && !IMPORT_ALLOWED_STATUS.has(status)) throw new Error('trashedFrom.status is not supported');
+  return { list, status };
+}
+
+function toHistoryValue(value, sanitizeInput) {
+  if (value == null) return null;
+  if (typeof value === 'number' || typeof value === 'boolean') return value;
+  return toSanitizedString(String(value), 200, sanitizeInput);
+}
+
+function normalizeImportedHistory(rawHistory, sanitizeInput) {
+  if (rawHistory == null) return [];
+  if (!Array.isArray(rawHistory)) throw new Error('history must be an array');
+  if (rawHistory.length > HISTORY_LIMIT) throw new Error(`history max is ${HISTORY_LIMIT}`);
+
+  return rawHistory.map((entry, idx) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`history[${idx}] must be an object`);
+    }
+    const type = toSanitizedString(entry.type, 16, sanitizeInput, { nullable: false });
+    if (!IMPORT_ALLOWED_HISTORY_TYPES.has(type)) throw new Error(`history[${idx}].type is not supported`);
+
+    const clean = {
+      at: toIsoDate(entry.at, { nullable: false }),
+      by: toSanitizedString(entry.by, 200, sanitizeInput),
+      type,
+    };
+    for (const key of ['from', 'to', 'list', 'action', 'subtaskId', 'text']) {
+      if (entry[key] !== undefined) clean[key] = toHistoryValue(entry[key], sanitizeInput);
+    }
+    if (type === 'edit') {
+      if (!Array.isArray(entry.changes)) throw new Error(`history[${idx}].changes must be an array`);
+      clean.changes = entry.changes.slice(0, 50).map(c => ({
+        field: toSanitizedString(c?.field, 32, sanitizeInput, { nullable: false }),
+        from: toHistoryValue(c?.from, sanitizeInput),
+        to: toHistoryValue(c?.to, sanitizeInput),
+      }));
+    }
+    return clean;
+  });
+}
+
 function normalizeImportedItem(rawItem, sanitizeInput) {
   if (!rawItem || typeof rawItem !== 'object' || Array.isArray(rawItem)) {
     throw new Error('item must be an object');
@@ -124,7 +208,7 @@ function normalizeImportedItem(rawItem, sanitizeInput) {
   if (!IMPORT_ALLOWED_LISTS.has(list)) throw new Error('list is not supported');
 
   const status = toSanitizedString(rawItem.status, 32, sanitizeInput, { nullable: false });
-  if (!IMPORT_ALLOWED_STATUS.has(status)) throw new Error('status must be unprocessed|processed|done');
+  if (!IMPORT_ALLOWED_STATUS.has(status)) throw new Error('status must be unprocessed|processed|done|trashed');
 
   const createdAt = toIsoDate(rawItem.createdAt, { nullable: false });
   const updatedAt = toIsoDate(rawItem.updatedAt, { nullable: false });
@@ -140,7 +224,10 @@ function normalizeImportedItem(rawItem, sanitizeInput) {
   const subtasks = normalizeImportedSubtasks(rawItem.subtasks, sanitizeInput);
   const tags = normalizeImportedTags(rawItem.tags, sanitizeInput);
 
-  return {
+  // Legacy lists (inbox, next, waiting…) are accepted and mapped by the
+  // migrations. The file's payloadSchema is not trusted: every migration runs
+  // (they are idempotent) and upgradeItem stamps SCHEMA_VERSION.
+  return upgradeItem({
     id,
     input,
     title,
@@ -162,16 +249,27 @@ function normalizeImportedItem(rawItem, sanitizeInput) {
     actionableFeedback: toSanitizedString(rawItem.actionableFeedback, 280, sanitizeInput),
     completedAt,
     completionComment: toSanitizedString(rawItem.completionComment, 1000, sanitizeInput),
-    scheduledFor: toIsoDate(rawItem.scheduledFor),
+    scheduledFor: toDateKeyOrIso(rawItem.scheduledFor),
     delegatedTo: toSanitizedString(rawItem.delegatedTo, 120, sanitizeInput),
-    delegatedFor: toIsoDate(rawItem.delegatedFor),
+    delegatedFor: toDateKeyOrIso(rawItem.delegatedFor),
     objective: toSanitizedString(rawItem.objective, 1000, sanitizeInput),
     subtasks,
     sourceProjectId: toSanitizedString(rawItem.sourceProjectId, 64, sanitizeInput),
     sourceSubtaskId: toSanitizedString(rawItem.sourceSubtaskId, 64, sanitizeInput),
     sourceProjectTitle: toSanitizedString(rawItem.sourceProjectTitle, 200, sanitizeInput),
     tags,
-  };
+    recurrence: normalizeRecurrence(rawItem.recurrence),
+    seriesId: toSanitizedString(rawItem.seriesId, 64, sanitizeInput),
+    seriesIndex: toBoundedInt(rawItem.seriesIndex, { min: 1, max: 100000 }),
+    history: normalizeImportedHistory(rawItem.history, sanitizeInput),
+    movedToListAt: toIsoDate(rawItem.movedToListAt),
+    links: normalizeImportedLinks(rawItem.links, sanitizeInput),
+    area: toSanitizedString(rawItem.area, 64, sanitizeInput),
+    trashedAt: toIsoDate(rawItem.trashedAt),
+    trashedFrom: normalizeImportedTrashedFrom(rawItem.trashedFrom, sanitizeInput),
+    version: toBoundedInt(rawItem.version, { min: 1, max: 1000000000 }),
+    payloadSchema: 0,
+  }).item;
 }
 
 export function validateAndNormalizeImportPayload(importData, sanitizeInput) {
@@ -1,3 +1,7 @@
+import { normalizeRecurrence } from '../services/recurrence-service.js';
+import { DIGEST_FREQUENCIES, isValidTimeZone } from '../services/digest-service.js';
+import { isEmailAddress } from '../services/mail-service.js';
+
 export class RequestValidationError extends Error {
   constructor(message, status = 400) {
     super(message);
@@ -55,3 +59,175 @@ export function sanitizeAreaField(raw, sanitizeInput) {
   }
   return value.toLowerCase();
 }
+
+// Date field: YYYY-MM-DD (same format as <input type="date">) or empty
+export function sanitizeDateField(raw, sanitizeInput, field = 'date') {
+  const value = sanitizeInput(String(raw || '')).trim();
+  if (!value) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+    throw new RequestValidationError(`${field} must be a YYYY-MM-DD date`);
+  }
+  return value;
+}
+
+// URL field: absolute http(s) URL, normalized by the URL parser. Not passed
+// through sanitizeInput since escaping would break query strings.
+export function sanitizeUrlField(raw, field = 'url') {
+  const value = String(raw || '').trim();
+  if (!value) throw new RequestValidationError(`${field} is required`);
+  if (value.length > 2000 || /[\s<>"']/.test(value)) throw new RequestValidationError(`${field} is invalid`);
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch {
+    throw new RequestValidationError(`${field} is invalid`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new RequestValidationError(`${field} must be http or https`);
+  return parsed.href;
+}
+
+// Tags: comma-separated string or array, lowercase, max 5 tags of 20 chars
+export function sanitizeTagsField(raw, sanitizeInput) {
+  const parts = Array.isArray(raw) ? raw : String(raw || '').split(',');
+  const tags = parts
+    .map(t => sanitizeInput(String(t || '')).trim().toLowerCase())
+    .filter(t => t.length > 0 && t.length <= 20);
+  return [...new Set(tags)].slice(0, 5);
+}
+
+// Recurrence: rule object (API) or null/'' to clear it
+export function sanitizeRecurrenceField(raw) {
+  if (raw == null || raw === '' || (typeof raw === 'object' && !raw.freq)) return null;
+  const rule = normalizeRecurrence(raw);
+  if (!rule) throw new RequestValidationError('recurrence is invalid');
+  return rule;
+}
+
+// Recurrence from the "Repetir" form fields (recurrenceFreq, recurrenceInterval, …)
+export function sanitizeRecurrenceForm(body) {
+  const source = body || {};
+  const monthByNth = source.recurrenceMonthMode === 'nth';
+  return sanitizeRecurrenceField({
+    freq: source.recurrenceFreq,
+    interval: source.recurrenceInterval || 1,
+    weekdays: source.recurrenceWeekdays,
+    monthDay: monthByNth ? null : source.recurrenceMonthDay,
+    nth: monthByNth ? source.recurrenceNth : null,
+    weekday: monthByNth ? source.recurrenceWeekday : null,
+  });
+}
+
+const ITEM_FIELD_SANITIZERS = {
+  title: (raw, s) => sanitizeTextField(raw, s, { field: 'title', required: true, maxLen: 280 }),
+  input: (raw, s) => sanitizeTextField(raw, s, { field: 'input', required: true, maxLen: 500 }),
+  nextAction: (raw, s) => sanitizeTextField(raw, s, { field: 'nextAction', maxLen: 280 }) || null,
+  notes: (raw, s) => sanitizeTextField(raw, s, { field: 'notes', maxLen: 2000 }) || null,
+  objective: (raw, s) => sanitizeTextField(raw, s, { field: 'objective', maxLen: 1000 }) || null,
+  delegatedTo: (raw, s) => sanitizeTextField(raw, s, { field: 'delegatedTo', maxLen: 120 }) || null,
+  context: (raw, s) => sanitizeContextField(raw, s),
+  area: (raw, s) => sanitizeAreaField(raw, s),
+  tags: (raw, s) => sanitizeTagsField(raw, s),
+  urgency: (raw) => sanitizeIntegerField(raw, { field: 'urgency', min: 1, max: 5 }),
+  importance: (raw) => sanitizeIntegerField(raw, { field: 'importance', min: 1, max: 5 }),
+  estimateMin: (raw) => sanitizeIntegerField(raw, { field: 'estimateMin', min: 1, max: 600 }),
+  scheduledFor: (raw, s) => sanitizeDateField(raw, s, 'scheduledFor'),
+  delegatedFor: (raw, s) => sanitizeDateField(raw, s, 'delegatedFor'),
+  recurrence: (raw) => sanitizeRecurrenceField(raw),
+};
+
+export const EDITABLE_ITEM_FIELDS = Object.keys(ITEM_FIELD_SANITIZERS);
+
+// Builds an item patch from a request body. Only keys present in the body are
+// included; unknown keys are rejected so API clients get a clear error.
+export function sanitizeItemPatch(body, sanitizeInput, { ignore = [] } = {}) {
+  const source = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+  const patch = {};
+  for (const [key, raw] of Object.entries(source)) {
+    if (key === '_csrf' || key === 'version' || ignore.includes(key)) continue;
+    const sanitize = ITEM_FIELD_SANITIZERS[key];
+    if (!sanitize) throw new RequestValidationError(`${key} is not an editable field`);
+    patch[key] = sanitize(raw, sanitizeInput);
+  }
+  return patch;
+}
+
+// Version the client based its change on: the "version" field (forms, JSON)
+// or an If-Match header ("3" or W/"3"). null when absent: no check is made.
+export function readExpectedVersion(req) {
+  const header = String(req.get?.('if-match') || '').replace(/^W\//, '').replace(/"/g, '').trim();
+  const raw = req.body?.version ?? header;
+  if (raw == null || raw === '') return null;
+  const version = Number(raw);
+  if (!Number.isInteger(version) || version < 0) throw new RequestValidationError('version must be a non-negative integer');
+  return version;
+}
+
+// Offline outbox replays (public/js/outbox.js): the id the client gave the
+// capture, for dedup, and when it was typed. capturedAt is only kept when it
+// is a plausible past moment (≤ 30 days); otherwise the capture is "now".
+const MAX_CAPTURE_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+export function sanitizeCaptureMeta(body, { now = Date.now() } = {}) {
+  const rawId = String(body?.clientCaptureId || '').trim();
+  if (rawId && !/^[a-zA-Z0-9_-]{8,64}$/.test(rawId)) throw new RequestValidationError('clientCaptureId is invalid');
+
+  const capturedMs = new Date(String(body?.capturedAt || '')).getTime();
+  const plausible = Number.isFinite(capturedMs) && capturedMs <= now + 60000 && now - capturedMs <= MAX_CAPTURE_AGE_MS;
+  return { clientCaptureId: rawId || null, capturedAt: plausible ? new Date(capturedMs) : null };
+}
+
+// Bulk selection: `ids` plus an optional `versions` in the same order (form
+// fields repeat, JSON sends arrays). A missing version skips the check.
+export function sanitizeBulkSelection(body, sanitizeInput, { max = 200 } = {}) {
+  const ids = [].concat(body?.ids ?? []);
+  const versions = [].concat(body?.versions ?? []);
+  if (!ids.length) throw new RequestValidationError('Selecciona al menos un item');
+  if (ids.length > max) throw new RequestValidationError(`max ${max} items per bulk action`);
+
+  const seen = new Set();
+  const selection = [];
+  ids.forEach((rawId, index) => {
+    const id = sanitizeIdParam(rawId, sanitizeInput);
+    if (seen.has(id)) return;
+    seen.add(id);
+    const raw = versions[index];
+    const version = raw == null || raw === '' ? null : Number(raw);
+    if (version != null && (!Number.isInteger(version) || version < 0)) {
+      throw new RequestValidationError('version must be a non-negative integer');
+    }
+    selection.push({ id, version });
+  });
+  return selection;
+}
+
+// PushSubscription.toJSON() from the browser: https endpoint of the push
+// service plus the keys used to encrypt payloads (base64url)
+export function sanitizePushSubscription(body) {
+  const raw = body?.subscription ?? body;
+  const endpoint = sanitizeUrlField(raw?.endpoint, 'endpoint');
+  if (!endpoint.startsWith('https://')) throw new RequestValidationError('endpoint must be https');
+  const p256dh = String(raw?.keys?.p256dh || '').trim();
+  const auth = String(raw?.keys?.auth || '').trim();
+  if (!/^[A-Za-z0-9_-]{80,100}={0,2}$/.test(p256dh) || !/^[A-Za-z0-9_-]{16,32}={0,2}$/.test(auth)) {
+    throw new RequestValidationError('subscription keys are invalid');
+  }
+  return { endpoint, keys: { p256dh: p256dh.replace(/=+$/, ''), auth: auth.replace(/=+$/, '') } };
+}
+
+// Email digest settings form. An empty email means the account address.
+export function sanitizeDigestForm(body) {
+  const email = String(body?.email || '').trim();
+  if (email && !isEmailAddress(email)) throw new RequestValidationError('email is invalid');
+  const timeZone = String(body?.timeZone || '').trim();
+  if (!isValidTimeZone(timeZone)) throw new RequestValidationError('timeZone is invalid');
+  const frequency = String(body?.frequency || 'daily');
+  if (!DIGEST_FREQUENCIES[frequency]) throw new RequestValidationError('frequency is invalid');
+  return {
+    enabled: body?.enabled === 'on' || body?.enabled === true,
+    email,
+    frequency,
+    hour: sanitizeIntegerField(body?.hour, { field: 'hour', min: 0, max: 23, fallback: 7 }),
+    weekday: sanitizeIntegerField(body?.weekday, { field: 'weekday', min: 0, max: 6, fallback: 1 }),
+    timeZone,
+  };
+}
@@ -0,0 +1,25 @@
+-- GTD Neto - Restore points (lib/backup-store.js)
+-- One row per snapshot of an owner's items and user meta
+
+CREATE TABLE IF NOT EXISTS gtd_backups (
+  id           TEXT        NOT NULL,
+  owner        TEXT        NOT NULL DEFAULT 'default',
+  reason       TEXT        NOT NULL, -- 'scheduled' | 'manual' | 'import' | 'delete' | 'restore'
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  item_count   INTEGER     NOT NULL DEFAULT 0,
+  meta_count   INTEGER     NOT NULL DEFAULT 0,
+  payload      JSONB       NOT NULL DEFAULT '{}', -- { items: [...], meta: { kind: [...] } }
+
+  CONSTRAINT gtd_backups_pkey PRIMARY KEY (id, owner)
+);
+
+-- Listing and rotation are per owner, newest first
+CREATE INDEX IF NOT EXISTS gtd_backups_owner_created_idx ON gtd_backups (owner, created_at DESC);
+
+-- Enable Row Level Security (disabled for service role key usage)
+ALTER TABLE gtd_backups ENABLE ROW LEVEL SECURITY;
+
+-- Policy: users can only see their own backups (only applies when using anon/user JWT)
+CREATE POLICY IF NOT EXISTS "Users see own backups"
+  ON gtd_backups FOR ALL
+  USING (auth.uid()::text = owner);
@@ -4,7 +4,7 @@
 CREATE TABLE IF NOT EXISTS gtd_meta (
   id           TEXT        NOT NULL,
   owner        TEXT        NOT NULL DEFAULT 'default',
-  kind         TEXT        NOT NULL, -- 'context' | 'area' | 'weekly_review' | 'feature_flags'
+  kind         TEXT        NOT NULL, -- 'context' | 'area' | 'weekly_review' | 'feature_flags' | 'api_token'
   payload      JSONB       NOT NULL DEFAULT '{}',
   updated_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
 
@@ -16,6 +16,11 @@ CREATE TABLE IF NOT EXISTS gtd_meta (
 CREATE INDEX IF NOT EXISTS gtd_meta_owner_kind_idx ON gtd_meta (owner, kind);
 CREATE INDEX IF NOT EXISTS gtd_meta_updated_at_idx ON gtd_meta (updated_at DESC);
 
+-- Personal API tokens are resolved by hash across owners
+CREATE UNIQUE INDEX IF NOT EXISTS gtd_meta_api_token_hash_idx
+  ON gtd_meta ((payload->>'tokenHash'))
+  WHERE kind = 'api_token';
+
 -- Enable Row Level Security (disabled for service role key usage)
 ALTER TABLE gtd_meta ENABLE ROW LEVEL SECURITY;
 
@@ -51,12 +51,49 @@ create index if not exists idx_gtd_items_payload_scheduled
   on public.gtd_items using btree (owner, (payload ->> 'scheduledFor'))
   where (payload ->> 'scheduledFor') is not null;
 
--- Full-text search index on input/title fields (optional, for future search)
+-- Full-text search document: every field searched by GET /search
+-- (title, input, notes, completionComment, delegatedTo, tags, subtask texts)
+create or replace function public.gtd_items_search_document(p jsonb)
+returns text
+language sql
+immutable
+as $$
+  select coalesce(p ->> 'title', '') || ' ' ||
+    coalesce(p ->> 'input', '') || ' ' ||
+    coalesce(p ->> 'notes', '') || ' ' ||
+    coalesce(p ->> 'completionComment', '') || ' ' ||
+    coalesce(p ->> 'delegatedTo', '') || ' ' ||
+    coalesce(case when jsonb_typeof(p -> 'tags') = 'array'
+      then (select string_agg(t, ' ') from jsonb_array_elements_text(p -> 'tags') t) end, '') || ' ' ||
+    coalesce(case when jsonb_typeof(p -> 'subtasks') = 'array'
+      then (select string_agg(s ->> 'text', ' ') from jsonb_array_elements(p -> 'subtasks') s) end, '')
+$$;
+
+-- Full-text search index (Spanish). Replaces the former input/title-only index.
+drop index if exists idx_gtd_items_payload_search;
 create index if not exists idx_gtd_items_payload_search
   on public.gtd_items using gin (
-    to_tsvector('spanish', coalesce(payload ->> 'input', '') || ' ' || coalesce(payload ->> 'title', ''))
+    to_tsvector('spanish', public.gtd_items_search_document(payload))
   );
 
+-- Ranked search used by lib/store.js searchItemsFullText().
+-- p_query is a to_tsquery expression built server-side ("llam:* & prov:*").
+-- Papelera items are skipped before the limit, so they never take result slots.
+create or replace function public.search_gtd_items(p_owner text, p_query text, p_limit int default 50)
+returns table (id text, payload jsonb, rank real)
+language sql
+stable
+as $$
+  select i.id, i.payload,
+    ts_rank(to_tsvector('spanish', public.gtd_items_search_document(i.payload)), to_tsquery('spanish', p_query)) as rank
+  from public.gtd_items i
+  where i.owner = p_owner
+    and coalesce(i.payload->>'list', '') <> 'papelera'
+    and to_tsvector('spanish', public.gtd_items_search_document(i.payload)) @@ to_tsquery('spanish', p_query)
+  order by rank desc, i.updated_at desc
+  limit greatest(1, least(p_limit, 200));
+$$;
+
 -- =============================================================================
 -- ROW LEVEL SECURITY (RLS)
 -- =============================================================================
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createApiTokenRecord,
+  hashApiToken,
+  looksLikeApiToken,
+  scopeAllowsMethod,
+  shouldTouchLastUsed,
+} from '../src/services/api-token-service.js';
+
+test('createApiTokenRecord stores only the hash and a display prefix', () => {
+  const { token, record } = createApiTokenRecord({ id: 'abc12345', name: 'CI', scope: 'write' });
+  assert.ok(looksLikeApiToken(token));
+  assert.equal(record.tokenHash, hashApiToken(token));
+  assert.ok(token.startsWith(record.tokenPrefix));
+  assert.equal(JSON.stringify(record).includes(token), false);
+  assert.equal(record.scope, 'write');
+  assert.equal(record.lastUsedAt, null);
+});
+
+test('createApiTokenRecord falls back to read scope', () => {
+  const { record } = createApiTokenRecord({ id: 'abc12345', name: 'x', scope: 'admin' });
+  assert.equal(record.scope, 'read');
+});
+
+test('looksLikeApiToken rejects the shared APP_API_KEY style values', () => {
+  assert.equal(looksLikeApiToken('testkey'), false);
+  assert.equal(looksLikeApiToken(`gtdn_${'z'.repeat(48)}`), false);
+});
+
+test('scopeAllowsMethod limits read tokens to safe methods', () => {
+  assert.equal(scopeAllowsMethod('read', 'GET'), true);
+  assert.equal(scopeAllowsMethod('read', 'POST'), false);
+  assert.equal(scopeAllowsMethod('read', 'DELETE'), false);
+  assert.equal(scopeAllowsMethod('write', 'PATCH'), true);
+});
+
+test('shouldTouchLastUsed throttles lastUsedAt updates', () => {
+  const now = new Date('2026-01-01T12:00:00Z');
+  assert.equal(shouldTouchLastUsed({ lastUsedAt: null }, now), true);
+  assert.equal(shouldTouchLastUsed({ lastUsedAt: '2026-01-01T11:58:00Z' }, now), false);
+  assert.equal(shouldTouchLastUsed({ lastUsedAt: '2026-01-01T11:50:00Z' }, now), true);
+});
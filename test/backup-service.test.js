@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { backupReasonLabel, diffBackup, isScheduledBackupDue } from '../src/services/backup-service.js';
+import { buildBackup, looksLikeBackupId, newBackupId } from '../lib/backup-store.js';
+
+const item = (id, extra = {}) => ({ id, title: `Item ${id}`, list: 'hacer', status: 'processed', updatedAt: '2026-01-01T00:00:00.000Z', ...extra });
+
+test('diffBackup splits restored, removed, changed and unchanged items', () => {
+  const current = [item('a'), item('b', { title: 'Renamed', updatedAt: '2026-02-01T00:00:00.000Z' }), item('c')];
+  const snapshot = [item('a', { updatedAt: '2025-12-01T00:00:00.000Z' }), item('b'), item('d')];
+
+  const diff = diffBackup(current, snapshot);
+  assert.deepEqual(diff.restored.map(i => i.id), ['d']);
+  assert.deepEqual(diff.removed.map(i => i.id), ['c']);
+  assert.equal(diff.changed.length, 1);
+  assert.equal(diff.changed[0].id, 'b');
+  assert.deepEqual(diff.changed[0].fields, ['title']);
+  assert.equal(diff.unchanged, 1);
+});
+
+test('isScheduledBackupDue looks only at the latest scheduled backup', () => {
+  const now = new Date('2026-03-10T12:00:00.000Z');
+  assert.equal(isScheduledBackupDue([], { now }), true);
+
+  const summaries = [
+    { id: 'm', reason: 'manual', createdAt: '2026-03-10T11:00:00.000Z' },
+    { id: 's', reason: 'scheduled', createdAt: '2026-03-09T20:00:00.000Z' },
+  ];
+  assert.equal(isScheduledBackupDue(summaries, { now, intervalHours: 24 }), false);
+  assert.equal(isScheduledBackupDue(summaries, { now, intervalHours: 12 }), true);
+});
+
+test('buildBackup counts items and meta records and rejects unknown reasons', () => {
+  const now = new Date('2026-03-10T12:34:56.000Z');
+  const backup = buildBackup({
+    items: [item('a'), item('b')],
+    meta: { context: [{ id: 'c1' }], area: [], weekly_review: [{ id: 'w1' }, { id: 'w2' }] },
+    reason: 'manual',
+    now,
+  });
+  assert.equal(backup.itemCount, 2);
+  assert.equal(backup.metaCount, 3);
+  assert.equal(backup.createdAt, now.toISOString());
+  assert.ok(backup.id.startsWith('20260310123456-'));
+  assert.throws(() => buildBackup({ reason: 'whenever' }), /Unknown backup reason/);
+});
+
+test('backup ids are recognized and reasons have labels', () => {
+  assert.equal(looksLikeBackupId(newBackupId()), true);
+  assert.equal(looksLikeBackupId('../../etc/passwd'), false);
+  assert.equal(looksLikeBackupId('20260310123456-zzzzzz'), false);
+  assert.equal(backupReasonLabel('import'), 'Antes de importar');
+  assert.equal(backupReasonLabel('other'), 'other');
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { updateItem } from '../lib/store.js';
+import { bulkLabel, bulkPatch, mergeTags } from '../src/services/bulk-service.js';
+import { sanitizeBulkSelection } from '../src/validators/request-validators.js';
+
+const sanitize = value => String(value || '').trim();
+
+function item(patch = {}) {
+  return {
+    id: 'item1',
+    input: 'Pagar factura',
+    title: 'Pagar factura',
+    list: 'collect',
+    status: 'unprocessed',
+    version: 1,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    ...patch,
+  };
+}
+
+test('bulk send applies the shared context/area and the list defaults', () => {
+  const { patch } = bulkPatch(item(), 'send', { destination: 'hacer', context: '@casa', area: 'finanzas' });
+  const next = updateItem(item(), patch);
+  assert.equal(next.list, 'hacer');
+  assert.equal(next.status, 'processed');
+  assert.equal(next.context, '@casa');
+  assert.equal(next.area, 'finanzas');
+  assert.equal(next.urgency, 3);
+
+  assert.equal(bulkPatch(item({ list: 'hacer', status: 'processed', context: '@casa' }), 'send', { destination: 'hacer', context: '@casa' }), null);
+  assert.equal(bulkPatch(item({ status: 'done' }), 'send', { destination: 'hacer' }), null);
+  assert.equal(bulkPatch(item({ list: 'papelera', status: 'trashed' }), 'delete'), null);
+});
+
+test('bulk complete returns the next occurrence of recurring items', () => {
+  const now = new Date('2026-03-02T10:00:00.000Z');
+  const plain = bulkPatch(item({ list: 'hacer' }), 'complete', {}, { now });
+  assert.equal(plain.patch.status, 'done');
+  assert.equal(plain.nextPatch, null);
+
+  const recurring = bulkPatch(item({ list: 'agendar', scheduledFor: '2026-03-02', recurrence: { freq: 'daily', interval: 1 } }), 'complete', {}, { now });
+  assert.equal(recurring.nextPatch.scheduledFor, '2026-03-03');
+});
+
+test('bulk tag and reschedule only touch what changes', () => {
+  assert.deepEqual(mergeTags(['a', 'b'], ['b', 'c']), ['a', 'b', 'c']);
+  assert.deepEqual(mergeTags(['a', 'b'], ['a'], 'remove'), ['b']);
+  assert.deepEqual(mergeTags(['a'], ['x', 'y'], 'replace'), ['x', 'y']);
+  assert.deepEqual(mergeTags(['a', 'b', 'c', 'd', 'e'], ['f']), ['a', 'b', 'c', 'd', 'e']);
+  assert.equal(bulkPatch(item({ tags: ['viaje'] }), 'tag', { tags: ['viaje'], tagMode: 'add' }), null);
+
+  assert.deepEqual(bulkPatch(item({ list: 'agendar' }), 'reschedule', { date: '2026-04-01' }).patch, { scheduledFor: '2026-04-01' });
+  assert.deepEqual(bulkPatch(item({ list: 'delegar' }), 'reschedule', { date: '2026-04-01' }).patch, { delegatedFor: '2026-04-01' });
+  assert.equal(bulkPatch(item({ list: 'someday' }), 'reschedule', { date: '2026-04-01' }), null);
+});
+
+test('bulk labels and selection parsing', () => {
+  assert.equal(bulkLabel('send', 12, { toLabel: 'Hacer' }), 'Enviados a Hacer: 12 items');
+  assert.equal(bulkLabel('delete', 1, { conflicts: 2 }), 'Movidos a la papelera: 1 item · 2 sin cambios (editados en otra sesión)');
+
+  assert.deepEqual(sanitizeBulkSelection({ ids: ['abc123', 'def456', 'abc123'], versions: ['3', ''] }, sanitize), [
+    { id: 'abc123', version: 3 },
+    { id: 'def456', version: null },
+  ]);
+  assert.deepEqual(sanitizeBulkSelection({ ids: 'abc123' }, sanitize), [{ id: 'abc123', version: null }]);
+  assert.throws(() => sanitizeBulkSelection({}, sanitize), /Selecciona al menos un item/);
+  assert.throws(() => sanitizeBulkSelection({ ids: ['abc123', 'def456'] }, sanitize, { max: 1 }), /max 1 items/);
+  assert.throws(() => sanitizeBulkSelection({ ids: ['abc123'], versions: ['-1'] }, sanitize), /version/);
+});
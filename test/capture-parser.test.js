@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatDateLabel, parseCapture, parseSpanishDate } from '../src/services/capture-parser.js';
+
+// Monday 19 Oct 2026, local time (toDateKey uses the server's day)
+const now = new Date(2026, 9, 19, 12);
+const dateOf = text => parseSpanishDate(text, { now })?.date ?? null;
+
+test('relative days and weekdays resolve from today', () => {
+  assert.equal(dateOf('hoy'), '2026-10-19');
+  assert.equal(dateOf('Mañana'), '2026-10-20');
+  assert.equal(dateOf('manana sin tilde'), '2026-10-20');
+  assert.equal(dateOf('pasado mañana'), '2026-10-21');
+  assert.equal(dateOf('el viernes'), '2026-10-23');
+  assert.equal(dateOf('el próximo miércoles'), '2026-10-21');
+  assert.equal(dateOf('el lunes'), '2026-10-26'); // today is Monday: next week's
+  assert.equal(dateOf('la semana que viene'), '2026-10-26');
+  assert.equal(dateOf('la próxima semana'), '2026-10-26');
+});
+
+test('"en N días/semanas/meses" counts forward, months clamp to the last day', () => {
+  assert.equal(dateOf('en 3 días'), '2026-10-22');
+  assert.equal(dateOf('en una semana'), '2026-10-26');
+  assert.equal(dateOf('en dos semanas'), '2026-11-02');
+  assert.equal(dateOf('en 4 meses'), '2027-02-19');
+  assert.equal(parseSpanishDate('en 1 mes', { now: new Date(2027, 0, 31, 12) }).date, '2027-02-28');
+});
+
+test('numeric and written dates roll to next year once past', () => {
+  assert.equal(dateOf('15/11'), '2026-11-15');
+  assert.equal(dateOf('el 3/2'), '2027-02-03');
+  assert.equal(dateOf('1/3/28'), '2028-03-01');
+  assert.equal(dateOf('3 de marzo'), '2027-03-03');
+  assert.equal(dateOf('el 24 de diciembre de 2030'), '2030-12-24');
+  assert.equal(dateOf('31/02'), null);
+  assert.equal(dateOf('versión 2/3/4'), null);
+  assert.equal(dateOf('revisar correo por la mañana'), null);
+  assert.equal(formatDateLabel('2026-11-15'), 'dom 15 nov');
+});
+
+test('the earliest date expression wins and is cut from the title', () => {
+  const parsed = parseCapture('Pagar luz mañana o el viernes', { now });
+  assert.equal(parsed.fields.scheduledFor, '2026-10-20');
+  assert.equal(parsed.title, 'Pagar luz o el viernes');
+});
+
+test('context, tags, urgency and area tokens pre-fill the fields', () => {
+  const parsed = parseCapture('Llamar a Ana @Telefono #Trabajo #urgente #trabajo !4 +Salud', { now });
+  assert.equal(parsed.title, 'Llamar a Ana');
+  assert.equal(parsed.list, 'collect');
+  assert.deepEqual(parsed.fields, { context: '@telefono', tags: ['trabajo', 'urgente'], urgency: 4, area: 'salud' });
+  assert.deepEqual(parsed.tokens.map(t => t.label), ['Contexto: @telefono', 'Etiqueta: trabajo', 'Etiqueta: urgente', 'Urgencia: 4', 'Área: salud']);
+});
+
+test('e-mails, !6 and mid-word symbols are not tokens', () => {
+  const parsed = parseCapture('Escribir a ana@example.com C#sharp !6', { now });
+  assert.equal(parsed.title, 'Escribir a ana@example.com C#sharp !6');
+  assert.deepEqual(parsed.fields, {});
+  assert.equal(parseCapture('Leer #15/11', { now }).fields.scheduledFor, undefined);
+});
+
+test('>destino routes the item; >delegar takes the person and a follow-up date', () => {
+  const hacer = parseCapture('Archivar facturas >hacer', { now });
+  assert.equal(hacer.list, 'hacer');
+  assert.equal(hacer.title, 'Archivar facturas');
+
+  // sanitizeInput() escapes ">" coming from forms
+  const delegar = parseCapture('Entregar informe &gt;delegar Pedro en 3 días', { now });
+  assert.equal(delegar.list, 'delegar');
+  assert.equal(delegar.title, 'Entregar informe');
+  assert.deepEqual(delegar.fields, { delegatedTo: 'Pedro', delegatedFor: '2026-10-22' });
+
+  assert.equal(parseCapture('Idea app >algun-dia', { now }).list, 'someday');
+  assert.equal(parseCapture('Idea >nada', { now }).list, 'collect');
+});
+
+test('routes missing their required fields stay in Collect with a warning', () => {
+  const agendar = parseCapture('Dentista >agendar', { now });
+  assert.equal(agendar.list, 'collect');
+  assert.match(agendar.warnings[0], /Agendar necesita una fecha/);
+
+  const delegar = parseCapture('Informe >delegar en 3 días', { now });
+  assert.equal(delegar.list, 'collect');
+  assert.equal(delegar.fields.delegatedTo, undefined);
+  assert.match(delegar.warnings[0], /Delegar necesita un responsable/);
+});
+
+test('a capture made only of tokens keeps the text as its title', () => {
+  assert.equal(parseCapture('mañana', { now }).title, 'mañana');
+});
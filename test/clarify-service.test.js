@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { updateItem } from '../lib/store.js';
+import { CLARIFY_OUTCOMES, CLARIFY_STEPS, clarifyPatch, clarifyProgress, clarifyQueue, firstSubtasks } from '../src/services/clarify-service.js';
+
+function item(patch = {}) {
+  return {
+    id: 'item1',
+    input: 'contrato',
+    title: 'contrato',
+    list: 'collect',
+    status: 'unprocessed',
+    version: 1,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    ...patch,
+  };
+}
+
+test('every decision path ends in a question or known outcomes', () => {
+  const keys = new Set(CLARIFY_STEPS.map(s => s.key));
+  for (const step of CLARIFY_STEPS) {
+    for (const next of [step.yes, step.no]) {
+      if (Array.isArray(next)) next.forEach(outcome => assert.ok(CLARIFY_OUTCOMES.includes(outcome), outcome));
+      else assert.ok(keys.has(next), next);
+    }
+  }
+});
+
+test('queue is oldest first and leaves out skipped and non-collect items', () => {
+  const queue = clarifyQueue([
+    item({ id: 'b', createdAt: '2026-01-02T00:00:00.000Z' }),
+    item({ id: 'a', createdAt: '2026-01-01T00:00:00.000Z' }),
+    item({ id: 'c', createdAt: '2026-01-03T00:00:00.000Z' }),
+    item({ id: 'h', list: 'hacer' }),
+  ], ['c']);
+  assert.deepEqual(queue.map(i => i.id), ['a', 'b']);
+  assert.deepEqual(clarifyProgress(3, 1), { processed: 3, remaining: 1, total: 4, pct: 75 });
+  assert.equal(clarifyProgress(0, 0).pct, 100);
+});
+
+test('hacer and done outcomes set the hacer metadata', () => {
+  const now = new Date('2026-03-01T10:00:00.000Z');
+  const hacer = updateItem(item(), clarifyPatch(item(), 'hacer', { title: 'Firmar el contrato', context: '@oficina', urgency: 5, importance: 2, estimateMin: 8 }, { now }));
+  assert.equal(hacer.list, 'hacer');
+  assert.equal(hacer.title, 'Firmar el contrato');
+  assert.equal(hacer.context, '@oficina');
+  assert.equal(hacer.urgency, 5);
+  assert.equal(hacer.estimateMin, 8);
+
+  const done = updateItem(item(), clarifyPatch(item(), 'done', { comment: 'Listo' }, { now }));
+  assert.equal(done.list, 'hacer');
+  assert.equal(done.status, 'done');
+  assert.equal(done.completedAt, now.toISOString());
+  assert.equal(done.completionComment, 'Listo');
+});
+
+test('agendar, delegar, desglosar and delete carry their own fields', () => {
+  const agendar = clarifyPatch(item(), 'agendar', { title: 'Llamar al notario', scheduledFor: '2030-01-10' });
+  assert.equal(agendar.list, 'agendar');
+  assert.equal(agendar.scheduledFor, '2030-01-10');
+  assert.equal(typeof agendar.actionableScore, 'number');
+
+  const delegar = clarifyPatch(item(), 'delegar', { delegatedTo: 'Ana', delegatedFor: '2030-01-12' });
+  assert.deepEqual([delegar.list, delegar.delegatedTo, delegar.delegatedFor], ['delegar', 'Ana', '2030-01-12']);
+
+  const subtasks = firstSubtasks('- Pedir borrador\n\n* Revisar cláusulas\n');
+  assert.deepEqual(subtasks.map(s => [s.text, s.status]), [['Pedir borrador', 'open'], ['Revisar cláusulas', 'open']]);
+  const desglosar = clarifyPatch(item(), 'desglosar', { objective: 'Contrato firmado', subtasks });
+  assert.equal(desglosar.list, 'desglosar');
+  assert.equal(desglosar.subtasks.length, 2);
+
+  assert.equal(clarifyPatch(item(), 'delete').list, 'papelera');
+  assert.equal(clarifyPatch(item(), 'someday').list, 'someday');
+  assert.throws(() => clarifyPatch(item(), 'archivar'), /Unknown clarify outcome/);
+});
@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildDigest,
+  digestDue,
+  digestSubject,
+  localClock,
+  normalizeDigestPrefs,
+} from '../src/services/digest-service.js';
+
+// Monday 2024-03-11, 06:30 UTC → 07:30 in Madrid, 01:30 in Bogotá
+const NOW = new Date('2024-03-11T06:30:00.000Z');
+
+const ITEMS = [
+  { id: 'a1', list: 'agendar', status: 'todo', title: 'Dentista', scheduledFor: '2024-03-11' },
+  { id: 'a2', list: 'agendar', status: 'todo', title: 'Pagar IVA', scheduledFor: '2024-03-08' },
+  { id: 'a3', list: 'agendar', status: 'todo', title: 'Cumpleaños', scheduledFor: '2024-03-14' },
+  { id: 'h1', list: 'hacer', status: 'todo', title: 'Informe', urgency: 5, importance: 5, estimateMin: 60 },
+  { id: 'h2', list: 'hacer', status: 'todo', title: 'Ordenar escritorio', urgency: 1, importance: 1, estimateMin: 15 },
+  { id: 'h3', list: 'hacer', status: 'done', title: 'Hecho', urgency: 5, importance: 5 },
+  { id: 'd1', list: 'delegar', status: 'todo', title: 'Presupuesto', delegatedTo: 'Luis', delegatedFor: '2024-03-10' },
+  { id: 'c1', list: 'collect', status: 'todo', input: 'idea' },
+  { id: 'c2', list: 'collect', status: 'todo', input: 'otra idea' },
+];
+
+test('localClock reads the wall clock of the time zone', () => {
+  assert.deepEqual(localClock(NOW, 'Europe/Madrid'), { dateKey: '2024-03-11', hour: 7, weekday: 1 });
+  assert.deepEqual(localClock(NOW, 'America/Bogota'), { dateKey: '2024-03-11', hour: 1, weekday: 1 });
+  assert.deepEqual(localClock(NOW, 'Pacific/Auckland'), { dateKey: '2024-03-11', hour: 19, weekday: 1 });
+});
+
+test('normalizeDigestPrefs keeps valid values and falls back to defaults', () => {
+  assert.deepEqual(normalizeDigestPrefs({ enabled: 'on', frequency: 'monthly', hour: '25', timeZone: 'Nowhere/City' }), {
+    enabled: true,
+    email: '',
+    frequency: 'daily',
+    hour: 7,
+    weekday: 1,
+    timeZone: 'Europe/Madrid',
+  });
+});
+
+test('digestDue waits for the local hour, the weekday and the opt-in', () => {
+  const prefs = { enabled: true, hour: 7, timeZone: 'Europe/Madrid' };
+  assert.deepEqual(digestDue(prefs, { now: NOW }), { due: true, key: 'digest:daily:2024-03-11' });
+  assert.equal(digestDue({ ...prefs, timeZone: 'America/Bogota' }, { now: NOW }).due, false);
+  assert.equal(digestDue({ ...prefs, hour: 8 }, { now: NOW }).due, false);
+  assert.equal(digestDue({ ...prefs, enabled: false }, { now: NOW }).due, false);
+
+  assert.deepEqual(digestDue({ ...prefs, frequency: 'weekly', weekday: 1 }, { now: NOW }), { due: true, key: 'digest:weekly:2024-03-11' });
+  assert.equal(digestDue({ ...prefs, frequency: 'weekly', weekday: 5 }, { now: NOW }).due, false);
+});
+
+test('buildDigest reports the /hoy plan, Collect backlog and review age', () => {
+  const digest = buildDigest(ITEMS, {
+    now: NOW,
+    timeZone: 'Europe/Madrid',
+    reviews: [{ id: 'r1', completedAt: '2024-03-01T10:00:00.000Z' }],
+  });
+  assert.equal(digest.dateKey, '2024-03-11');
+  assert.deepEqual(digest.scheduledToday.map(i => i.id), ['a1']);
+  assert.deepEqual(digest.overdue.map(i => i.id), ['a2']);
+  assert.deepEqual(digest.upcoming, []);
+  assert.deepEqual(digest.focus.map(i => i.id), ['h1', 'h2']);
+  assert.deepEqual(digest.followUps.map(i => i.id), ['d1']);
+  assert.equal(digest.collectCount, 2);
+  assert.equal(digest.daysSinceReview, 9);
+  assert.equal(digest.reviewOverdue, true);
+  assert.equal(digest.isEmpty, false);
+  assert.equal(digestSubject(digest), 'Tu día en GTD Neto: 1 para hoy, 1 vencido, 1 por seguir');
+});
+
+test('buildDigest uses the local date and adds the week for weekly digests', () => {
+  // Still Sunday 10 in Bogotá: Monday's appointment is upcoming, not today
+  const sunday = buildDigest(ITEMS, { now: new Date('2024-03-11T03:00:00.000Z'), timeZone: 'America/Bogota', frequency: 'weekly' });
+  assert.equal(sunday.dateKey, '2024-03-10');
+  assert.deepEqual(sunday.scheduledToday, []);
+  assert.deepEqual(sunday.upcoming.map(i => i.id), ['a1', 'a3']);
+  assert.equal(sunday.daysSinceReview, null);
+  assert.equal(digestSubject(sunday), 'Tu semana en GTD Neto');
+
+  assert.equal(buildDigest([], { now: NOW }).isEmpty, true);
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// lib/adapters picks the backend when loaded: keep this file in memory
+process.env.STORAGE_ADAPTER = 'memory';
+const { newItem, saveItem } = await import('../lib/store.js');
+const { runDigestForOwner, runScheduledDigests, saveDigestPrefs } = await import('../lib/digest.js');
+
+// 07:30 in Madrid
+const NOW = new Date('2024-03-11T06:30:00.000Z');
+
+function recordingTransport() {
+  const sent = [];
+  return { sent, name: 'test', async send(message) { sent.push(message); return { id: `m${sent.length}` }; } };
+}
+
+async function seedOwner(owner, prefs) {
+  await saveItem({ ...newItem({ input: 'Dentista' }), list: 'agendar', scheduledFor: '2024-03-11' }, { owner });
+  await saveDigestPrefs({ enabled: true, email: 'ana@example.com', hour: 7, timeZone: 'Europe/Madrid', ...prefs }, { owner });
+}
+
+test('runDigestForOwner sends the due digest once per day', async () => {
+  const transport = recordingTransport();
+  await seedOwner('digest-daily');
+
+  assert.equal(await runDigestForOwner('digest-daily', { now: NOW, transport }), 'sent');
+  assert.equal(await runDigestForOwner('digest-daily', { now: new Date(NOW.getTime() + 60 * 60 * 1000), transport }), 'duplicate');
+  assert.equal(transport.sent.length, 1);
+  assert.equal(transport.sent[0].to, 'ana@example.com');
+  assert.equal(transport.sent[0].subject, 'Tu día en GTD Neto: 1 para hoy');
+  assert.match(transport.sent[0].text, /Dentista/);
+  assert.equal(transport.sent[0].headers['X-GTD-Template'], 'digest');
+});
+
+test('runDigestForOwner skips owners not due, without an address or with nothing to report', async () => {
+  const transport = recordingTransport();
+  await seedOwner('digest-later', { hour: 9 });
+  await seedOwner('digest-no-address', { email: '' });
+  await saveDigestPrefs({ enabled: true, email: 'bob@example.com', hour: 7, timeZone: 'Europe/Madrid' }, { owner: 'digest-empty' });
+
+  assert.equal(await runDigestForOwner('digest-later', { now: NOW, transport }), 'not-due');
+  assert.equal(await runDigestForOwner('digest-no-address', { now: NOW, transport, emailFor: async () => null }), 'no-address');
+  assert.equal(await runDigestForOwner('digest-empty', { now: NOW, transport }), 'empty');
+  assert.equal(await runDigestForOwner('digest-empty', { now: NOW, transport: null }), 'disabled');
+  assert.equal(transport.sent.length, 0);
+});
+
+test('runScheduledDigests goes through every owner', async () => {
+  const transport = recordingTransport();
+  await seedOwner('digest-scheduled');
+  const summary = await runScheduledDigests({ now: NOW, transport, emailFor: async () => null });
+  assert.ok(summary.owners >= 1);
+  assert.equal(summary.errors, 0);
+  assert.ok(transport.sent.some(m => m.to === 'ana@example.com'));
+});
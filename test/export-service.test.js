@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildItemsCsv, buildMarkdownExport, buildProjectsOpml, buildWeeklySheet } from '../src/services/export-service.js';
+import { convertExternalImport, parseCsv } from '../src/services/import-adapters.js';
+
+const now = new Date('2026-03-02T12:00:00.000Z');
+
+function item(id, patch = {}) {
+  return {
+    id,
+    title: `Tarea ${id}`,
+    list: 'hacer',
+    status: 'processed',
+    createdAt: `2026-01-0${id.length % 9 || 1}T00:00:00.000Z`,
+    updatedAt: '2026-01-10T00:00:00.000Z',
+    ...patch,
+  };
+}
+
+const project = item('p1', {
+  title: 'Mudanza &amp; limpieza',
+  list: 'desglosar',
+  objective: 'Piso listo "antes" de abril',
+  tags: ['casa'],
+  subtasks: [
+    { id: 's1', text: 'Cajas', status: 'done' },
+    { id: 's2', text: 'Camión, grande', status: 'open' },
+  ],
+});
+
+test('buildItemsCsv exports every field and can emit one row per subtask', () => {
+  const rows = parseCsv(buildItemsCsv([project, item('h1', { context: '@casa', notes: 'línea 1\nlínea 2' })]));
+  const header = rows[0];
+  for (const column of ['context', 'area', 'tags', 'notes', 'completionComment', 'subtasks']) assert.ok(header.includes(column), column);
+  const col = name => header.indexOf(name);
+  assert.equal(rows[1][col('title')], 'Mudanza & limpieza');
+  assert.equal(rows[1][col('subtasks')], '[x] Cajas | [ ] Camión, grande');
+  assert.equal(rows[2][col('notes')], 'línea 1\nlínea 2');
+
+  const perSubtask = parseCsv(buildItemsCsv([project, item('h1')], { subtaskRows: true }));
+  assert.equal(perSubtask.length, 4);
+  assert.deepEqual(perSubtask.slice(1).map(r => r.slice(-2)), [['Cajas', 'done'], ['Camión, grande', 'open'], ['', '']]);
+});
+
+test('buildMarkdownExport groups by destination with checkboxes the text importer reads back', () => {
+  const md = buildMarkdownExport([
+    item('c1', { list: 'collect', status: 'unprocessed', title: 'Idea' }),
+    item('a1', { list: 'agendar', scheduledFor: '2026-03-05', context: '@calle' }),
+    item('d1', { list: 'delegar', delegatedTo: 'Ana', delegatedFor: '2026-03-04' }),
+    item('x1', { status: 'done', title: 'Terminada' }),
+    item('t1', { list: 'papelera', status: 'trashed' }),
+    project,
+  ], { now });
+
+  assert.ok(md.startsWith('# GTD_Neto — 2026-03-02\n\n## Collect\n\n- [ ] Idea\n'));
+  assert.ok(md.includes('## Agendar\n\n- [ ] Tarea a1 @calle 2026-03-05\n'));
+  assert.ok(md.includes('- [ ] Tarea d1 (Ana) 2026-03-04'));
+  assert.ok(md.includes('## Desglosar\n\n- [ ] Mudanza & limpieza #casa\n  - [x] Cajas\n  - [ ] Camión, grande\n  > Piso listo "antes" de abril\n'));
+  assert.ok(!md.includes('Terminada'));
+  assert.ok(!md.includes('t1'));
+  assert.ok(buildMarkdownExport([item('x1', { status: 'done', title: 'Terminada' })], { includeCompleted: true, now }).includes('- [x] Terminada'));
+
+  const reimported = convertExternalImport('text', md, { knownContexts: ['@calle'], now });
+  const agendado = reimported.items.find(i => i.title === 'Tarea a1');
+  assert.equal(agendado.scheduledFor, '2026-03-05');
+  assert.equal(agendado.context, '@calle');
+});
+
+test('buildProjectsOpml outlines active Desglosar projects with escaped attributes', () => {
+  const opml = buildProjectsOpml([project, item('h1'), item('p2', { list: 'desglosar', status: 'done' })], { now });
+  assert.ok(opml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<opml version="2.0">'));
+  assert.ok(opml.includes('<outline text="Mudanza &amp; limpieza" _note="Piso listo &quot;antes&quot; de abril">'));
+  assert.ok(opml.includes('<outline text="Cajas" _status="checked"/>'));
+  assert.ok(opml.includes('<outline text="Camión, grande"/>'));
+  assert.ok(!opml.includes('Tarea h1'));
+  assert.ok(!opml.includes('Tarea p2'));
+});
+
+test('buildWeeklySheet splits Agendar by week and sorts Hacer by priority', () => {
+  const sheet = buildWeeklySheet([
+    item('h1', { priorityScore: 10 }),
+    item('h2', { priorityScore: 50 }),
+    item('a1', { list: 'agendar', scheduledFor: '2026-03-01' }),
+    item('a2', { list: 'agendar', scheduledFor: '2026-03-08' }),
+    item('a3', { list: 'agendar', scheduledFor: '2026-03-09' }),
+    item('a4', { list: 'agendar' }),
+    item('c1', { list: 'collect', status: 'unprocessed' }),
+    project,
+  ], { now });
+
+  assert.equal(sheet.today, '2026-03-02');
+  assert.equal(sheet.weekEnd, '2026-03-08');
+  assert.deepEqual(sheet.hacer.map(i => i.id), ['h2', 'h1']);
+  assert.deepEqual(sheet.agendarThisWeek.map(i => i.id), ['a1', 'a2']);
+  assert.deepEqual(sheet.agendarLater.map(i => i.id), ['a3', 'a4']);
+  assert.deepEqual(sheet.projects[0].openSubtasks.map(s => s.text), ['Camión, grande']);
+  assert.equal(sheet.collectCount, 1);
+});
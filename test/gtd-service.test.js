@@ -1,7 +1,8 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 
-import { evaluateActionability, withHacerMeta } from '../src/services/gtd-service.js';
+import { evaluateActionability, listLabel, withHacerMeta } from '../src/services/gtd-service.js';
+import { describeHistoryEntry } from '../lib/item-history.js';
 
 test('evaluateActionability returns high score for clear infinitive action', () => {
   const result = evaluateActionability('Llamar a proveedor');
@@ -21,3 +22,12 @@ test('withHacerMeta caps estimateMin to 10 and calculates priority', () => {
   assert.equal(result.priorityScore, 20);
   assert.ok(result.durationWarning);
 });
+
+test('listLabel names every list the same way in views and history', () => {
+  assert.equal(listLabel('someday'), 'Algún Día / Tal Vez');
+  assert.equal(listLabel('collect'), 'Collect');
+  assert.equal(listLabel('papelera'), 'Papelera');
+  assert.equal(listLabel('otra'), 'otra');
+  assert.equal(listLabel(null), '—');
+  assert.equal(describeHistoryEntry({ type: 'move', from: 'collect', to: 'someday' }), 'Movido de Collect a Algún Día / Tal Vez');
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildCalendar, createCalendarFeedRecord, escapeIcsText, foldIcsLine, hashCalendarToken, looksLikeCalendarToken } from '../src/services/ical-service.js';
+
+const now = new Date('2026-03-01T12:00:00.000Z');
+
+function item(patch) {
+  return {
+    id: 'a1',
+    title: 'Dentista',
+    list: 'agendar',
+    status: 'processed',
+    createdAt: '2026-02-01T00:00:00.000Z',
+    updatedAt: '2026-02-02T08:30:00.000Z',
+    ...patch,
+  };
+}
+
+test('buildCalendar emits all-day events for scheduled items and follow-ups for delegated ones', () => {
+  const ics = buildCalendar([
+    item({ scheduledFor: '2026-03-31', context: '@calle', notes: 'Llevar radiografías' }),
+    item({ id: 'd1', title: 'Informe Q1', list: 'delegar', delegatedTo: 'Ana', delegatedFor: '2026-03-05' }),
+    item({ id: 'h1', title: 'Sin fecha', list: 'hacer' }),
+    item({ id: 'x1', title: 'Hecho', scheduledFor: '2026-02-20', status: 'done' }),
+  ], { appUrl: 'https://gtd.example.com', now });
+
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(ics.includes('UID:a1-scheduled@gtd-neto\r\nDTSTAMP:20260202T083000Z\r\nDTSTART;VALUE=DATE:20260331\r\nDTEND;VALUE=DATE:20260401'));
+  assert.ok(ics.includes('CATEGORIES:Agendar,@calle'));
+  assert.ok(ics.includes('URL:https://gtd.example.com/items/a1'));
+  assert.ok(ics.includes('SUMMARY:Seguimiento: Informe Q1 (Ana)'));
+  assert.ok(ics.includes('TRIGGER;RELATED=START:PT9H'));
+  assert.ok(!ics.includes('Sin fecha'));
+  assert.ok(!ics.includes('Hecho'));
+  assert.ok(ics.split('\r\n').every(line => Buffer.byteLength(line, 'utf8') <= 75));
+});
+
+test('buildCalendar can publish VTODOs and include completed items', () => {
+  const ics = buildCalendar([
+    item({ scheduledFor: '2026-03-02', status: 'done', completedAt: '2026-03-01T10:00:00.000Z' }),
+  ], { asTodos: true, includeCompleted: true, now });
+
+  assert.ok(ics.includes('BEGIN:VTODO\r\n'));
+  assert.ok(ics.includes('DUE;VALUE=DATE:20260302\r\nSTATUS:COMPLETED\r\nCOMPLETED:20260301T100000Z'));
+  assert.ok(!ics.includes('VEVENT'));
+  assert.ok(!ics.includes('URL:'));
+});
+
+test('buildCalendar relates follow-up alarms of VTODOs to DUE', () => {
+  const ics = buildCalendar([
+    item({ id: 'd1', title: 'Informe Q1', list: 'delegar', delegatedTo: 'Ana', delegatedFor: '2026-03-05' }),
+  ], { asTodos: true, now });
+
+  const todo = ics.slice(ics.indexOf('BEGIN:VTODO'), ics.indexOf('END:VTODO'));
+  assert.ok(todo.includes('DUE;VALUE=DATE:20260305'));
+  assert.ok(!todo.includes('DTSTART'));
+  assert.ok(todo.includes('BEGIN:VALARM\r\nACTION:DISPLAY'));
+  assert.ok(todo.includes('TRIGGER;RELATED=END:PT9H'));
+  assert.ok(!todo.includes('RELATED=START'));
+});
+
+test('escapeIcsText and foldIcsLine follow RFC 5545', () => {
+  assert.equal(escapeIcsText('Tom &amp; Jerry; a,b\nc\\d'), 'Tom & Jerry\\; a\\,b\\nc\\\\d');
+  const folded = foldIcsLine(`SUMMARY:${'ñ'.repeat(60)}`);
+  const lines = folded.split('\r\n');
+  assert.ok(lines.length > 1);
+  assert.ok(lines.slice(1).every(l => l.startsWith(' ')));
+  assert.ok(lines.every(l => Buffer.byteLength(l, 'utf8') <= 75));
+  assert.equal(lines.map((l, i) => (i ? l.slice(1) : l)).join(''), `SUMMARY:${'ñ'.repeat(60)}`);
+});
+
+test('createCalendarFeedRecord stores only the token hash', () => {
+  const { token, record } = createCalendarFeedRecord({ id: 'f1', includeCompleted: true, now });
+  assert.ok(looksLikeCalendarToken(token));
+  assert.equal(record.tokenHash, hashCalendarToken(token));
+  assert.ok(!JSON.stringify(record).includes(token));
+  assert.equal(record.includeCompleted, true);
+  assert.equal(record.asTodos, false);
+  assert.equal(looksLikeCalendarToken('gtdn_' + '0'.repeat(48)), false);
+});
@@ -0,0 +1,158 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { convertExternalImport, parseCsv, suggestCsvMapping, summarizeImport, toImportDateKey } from '../src/services/import-adapters.js';
+import { ImportValidationError, validateAndNormalizeImportPayload } from '../src/validators/import-payload.js';
+
+const now = new Date('2026-03-01T12:00:00.000Z');
+const sanitizeInput = (value) => String(value || '').trim();
+const knownContexts = ['@casa', '@telefono'];
+
+function convert(format, content, options = {}) {
+  const result = convertExternalImport(format, content, { knownContexts, now, ...options });
+  return { ...result, items: validateAndNormalizeImportPayload({ items: result.items }, sanitizeInput) };
+}
+
+test('parseCsv handles quotes, escaped quotes, newlines and semicolons', () => {
+  assert.deepEqual(parseCsv('a,b\n"x, y","say ""hi"""\r\n"multi\nline",2\n'), [['a', 'b'], ['x, y', 'say "hi"'], ['multi\nline', '2']]);
+  assert.deepEqual(parseCsv('\uFEFFtítulo;fecha\nPagar;01/03/2026'), [['título', 'fecha'], ['Pagar', '01/03/2026']]);
+  assert.equal(toImportDateKey('5/3/2026'), '2026-03-05');
+  assert.equal(toImportDateKey('2026-03-05T10:00:00Z'), '2026-03-05');
+  assert.equal(toImportDateKey('every monday'), null);
+});
+
+test('Todoist CSV maps sections, labels, subtasks, notes and dates', () => {
+  const csv = [
+    'TYPE,CONTENT,DESCRIPTION,PRIORITY,INDENT,AUTHOR,RESPONSIBLE,DATE,DATE_LANG,TIMEZONE',
+    'section,Compras,,,,,,,,',
+    'task,Comprar leche @casa @super,,1,1,Ana (1),,,es,',
+    'task,Preparar viaje,,4,1,Ana (1),,2026-04-10,es,',
+    'task,Reservar hotel,,4,2,Ana (1),,,es,',
+    'note,Mirar Booking,,,,,,,,',
+    'task,Pedir presupuesto,,2,1,Ana (1),Luis (22),,es,',
+  ].join('\n');
+  const { items } = convert('todoist-csv', csv, { project: 'Personal.csv' });
+
+  assert.equal(items.length, 3);
+  const [leche, viaje, presupuesto] = items;
+  assert.equal(leche.title, 'Comprar leche');
+  assert.equal(leche.list, 'collect');
+  assert.equal(leche.status, 'unprocessed');
+  assert.equal(leche.context, '@casa');
+  assert.deepEqual(leche.tags, ['personal', 'compras', 'casa', 'super']);
+  assert.equal(leche.urgency, 5);
+
+  assert.equal(viaje.list, 'desglosar');
+  assert.deepEqual(viaje.subtasks.map(s => [s.text, s.status]), [['Reservar hotel', 'open']]);
+  assert.equal(viaje.scheduledFor, '2026-04-10');
+  assert.equal(viaje.notes, 'Mirar Booking');
+
+  assert.equal(presupuesto.list, 'delegar');
+  assert.equal(presupuesto.delegatedTo, 'Luis');
+
+  const again = convert('todoist-csv', csv, { project: 'Personal.csv' });
+  assert.deepEqual(again.items.map(i => i.id), items.map(i => i.id));
+  assert.throws(() => convertExternalImport('todoist-csv', 'a,b\n1,2'), ImportValidationError);
+});
+
+test('Todoist JSON backup nests children and inverts API priorities', () => {
+  const backup = {
+    projects: [{ id: 'p1', name: 'Trabajo' }],
+    collaborators: [{ id: 'u2', full_name: 'Marta' }],
+    items: [
+      { id: '1', content: 'Informe', project_id: 'p1', priority: 4, labels: ['telefono'], due: { date: '2026-03-09' }, added_at: '2026-01-02T09:00:00Z' },
+      { id: '2', content: 'Datos', parent_id: '1', checked: true },
+      { id: '3', content: 'Revisar contrato', project_id: 'p1', responsible_uid: 'u2', checked: true, completed_at: '2026-02-01T10:00:00Z' },
+    ],
+  };
+  const { items } = convert('todoist-json', JSON.stringify(backup));
+
+  assert.equal(items.length, 2);
+  assert.equal(items[0].list, 'desglosar');
+  assert.equal(items[0].context, '@telefono');
+  assert.equal(items[0].urgency, 5);
+  assert.equal(items[0].createdAt, '2026-01-02T09:00:00.000Z');
+  assert.deepEqual(items[0].subtasks.map(s => s.status), ['done']);
+  assert.equal(items[1].list, 'delegar');
+  assert.equal(items[1].delegatedTo, 'Marta');
+  assert.equal(items[1].status, 'done');
+  assert.equal(items[1].completedAt, '2026-02-01T10:00:00.000Z');
+});
+
+test('Trello boards map columns, checklists and archived cards', () => {
+  const board = {
+    lists: [
+      { id: 'l1', name: 'Por hacer' },
+      { id: 'l2', name: 'Esperando' },
+      { id: 'l3', name: 'Hecho' },
+      { id: 'l4', name: 'Viejo', closed: true },
+    ],
+    members: [{ id: 'm1', fullName: 'Pablo' }],
+    cards: [
+      { id: '65a000000000000000000001', name: 'Diseñar logo', idList: 'l1', labels: [{ name: 'Diseño' }] },
+      { id: '65a000000000000000000002', name: 'Respuesta proveedor', idList: 'l2', idMembers: ['m1'], due: '2026-03-20T12:00:00.000Z' },
+      { id: '65a000000000000000000003', name: 'Publicar web', idList: 'l3' },
+      { id: '65a000000000000000000004', name: 'Archivada', idList: 'l1', closed: true },
+      { id: '65a000000000000000000005', name: 'En lista cerrada', idList: 'l4' },
+    ],
+    checklists: [{ idCard: '65a000000000000000000001', checkItems: [{ name: 'Bocetos', state: 'complete', pos: 2 }, { name: 'Brief', state: 'incomplete', pos: 1 }] }],
+  };
+  const result = convert('trello', JSON.stringify(board));
+
+  assert.deepEqual(result.sourceLists.map(l => l.target), ['hacer', 'delegar', 'done']);
+  assert.deepEqual(result.warnings, ['2 tarjetas archivadas omitidas']);
+  const [logo, proveedor, web] = result.items;
+  assert.equal(logo.list, 'hacer');
+  assert.deepEqual(logo.subtasks.map(s => s.text), ['Brief', 'Bocetos']);
+  assert.deepEqual(logo.tags, ['por-hacer', 'diseño']);
+  assert.equal(logo.createdAt, new Date(0x65a00000 * 1000).toISOString());
+  assert.equal(proveedor.delegatedTo, 'Pablo');
+  assert.equal(proveedor.delegatedFor, '2026-03-20');
+  assert.equal(web.status, 'done');
+
+  const remapped = convert('trello', JSON.stringify(board), { mapping: { l1: 'someday' } });
+  assert.equal(remapped.items[0].list, 'someday');
+});
+
+test('generic CSV suggests a mapping and honors user overrides', () => {
+  const csv = 'Tarea;Fecha;Etiquetas;Estado;Contexto\nPagar seguro;15/04/2026;casa, seguros;;telefono\nLlamar banco;;;hecho;\n';
+  assert.deepEqual(suggestCsvMapping(['Tarea', 'Fecha', 'Etiquetas', 'Estado']), { title: 'Tarea', list: 'Estado', tags: 'Etiquetas', dueDate: 'Fecha' });
+
+  const result = convert('csv', csv);
+  assert.deepEqual(result.columns, ['Tarea', 'Fecha', 'Etiquetas', 'Estado', 'Contexto']);
+  assert.equal(result.items[0].list, 'agendar');
+  assert.equal(result.items[0].scheduledFor, '2026-04-15');
+  assert.equal(result.items[0].context, '@telefono');
+  assert.deepEqual(result.items[0].tags, ['casa', 'seguros']);
+  assert.equal(result.items[1].status, 'done');
+
+  const withoutDate = convert('csv', csv, { mapping: { dueDate: '' } });
+  assert.equal(withoutDate.items[0].list, 'collect');
+  const noTitle = convert('csv', 'a,b\n1,2\n');
+  assert.equal(noTitle.items.length, 0);
+  assert.equal(noTitle.warnings.length, 1);
+});
+
+test('markdown checklists become items with subtasks and a preview summary', () => {
+  const text = '# Oficina\n- [ ] Mandar factura #clientes\n- [x] Ordenar escritorio @casa\n* Plan Q2\n\t- [ ] Objetivos\n  - [x] Presupuesto\n---\nIdea suelta 2026-05-01\n';
+  const { items } = convert('text', text);
+
+  assert.deepEqual(items.map(i => i.title), ['Mandar factura', 'Ordenar escritorio', 'Plan Q2', 'Idea suelta']);
+  assert.deepEqual(items[0].tags, ['oficina', 'clientes']);
+  assert.equal(items[1].status, 'done');
+  assert.equal(items[1].context, '@casa');
+  assert.equal(items[2].list, 'desglosar');
+  assert.deepEqual(items[2].subtasks.map(s => s.status), ['open', 'done']);
+  assert.equal(items[3].scheduledFor, '2026-05-01');
+
+  assert.deepEqual(summarizeImport(items), {
+    total: 4,
+    byList: { collect: 2, desglosar: 1, agendar: 1 },
+    done: 1,
+    withSubtasks: 1,
+    withContext: 1,
+    topTags: [{ tag: 'oficina', count: 4 }, { tag: 'clientes', count: 1 }],
+  });
+  assert.throws(() => convertExternalImport('text', '   '), /vacío/);
+  assert.throws(() => convertExternalImport('omnifocus', 'x'), /no soportado/);
+});
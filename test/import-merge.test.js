@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeImportedItems, sameItemContent } from '../src/services/import-merge.js';
+
+function item(id, patch = {}) {
+  return {
+    id,
+    input: `Tarea ${id}`,
+    title: `Tarea ${id}`,
+    list: 'hacer',
+    status: 'processed',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-02T00:00:00.000Z',
+    ...patch,
+  };
+}
+
+const current = [
+  item('same0001', { history: [{ at: '2026-01-01T00:00:00.000Z', type: 'created', list: 'hacer' }] }),
+  item('older001', { title: 'Local antiguo' }),
+  item('newer001', { title: 'Local nuevo', updatedAt: '2026-03-01T00:00:00.000Z' }),
+];
+const incoming = [
+  item('same0001', { updatedAt: '2026-02-01T00:00:00.000Z', tags: [], notes: null, history: [] }),
+  item('older001', { title: 'Importado', updatedAt: '2026-02-01T00:00:00.000Z' }),
+  item('newer001', { title: 'Importado viejo', updatedAt: '2026-02-01T00:00:00.000Z' }),
+  item('fresh001'),
+];
+
+test('identical items are skipped without conflicts in every mode', () => {
+  assert.equal(sameItemContent(current[0], incoming[0]), true);
+  assert.equal(sameItemContent(current[1], incoming[1]), false);
+});
+
+test('skip keeps current items and reports the conflicts', () => {
+  const { items, report } = mergeImportedItems(current, incoming);
+  assert.deepEqual(report.created, ['fresh001']);
+  assert.deepEqual(report.updated, []);
+  assert.deepEqual(report.skipped, ['same0001', 'older001', 'newer001']);
+  assert.deepEqual(report.conflicts.map(c => [c.id, c.resolution]), [['older001', 'skip'], ['newer001', 'skip']]);
+  assert.equal(items.length, 4);
+  assert.equal(items[1].title, 'Local antiguo');
+});
+
+test('overwrite replaces conflicting items and keeps local history if the import has none', () => {
+  const withHistory = [{ ...current[1], history: [{ at: '2026-01-01T00:00:00.000Z', type: 'created', list: 'hacer' }] }];
+  const { items, report } = mergeImportedItems(withHistory, [{ ...incoming[1], history: [] }], { mode: 'overwrite' });
+  assert.deepEqual(report.updated, ['older001']);
+  assert.equal(items[0].title, 'Importado');
+  assert.equal(items[0].history.length, 1);
+});
+
+test('newest keeps whichever side was updated last', () => {
+  const { items, report } = mergeImportedItems(current, incoming, { mode: 'newest' });
+  assert.deepEqual(report.conflicts.map(c => [c.id, c.resolution]), [['older001', 'overwrite'], ['newer001', 'skip']]);
+  assert.equal(items[1].title, 'Importado');
+  assert.equal(items[2].title, 'Local nuevo');
+});
+
+test('duplicate keeps both and per-item decisions override the mode', () => {
+  const ids = ['copy0001', 'copy0002'];
+  const { items, report } = mergeImportedItems(current, incoming, {
+    mode: 'duplicate',
+    decisions: { newer001: 'overwrite', older001: 'bogus' },
+    newId: () => ids.shift(),
+  });
+  assert.deepEqual(report.created, ['copy0001', 'fresh001']);
+  assert.deepEqual(report.updated, ['newer001']);
+  assert.equal(report.conflicts[0].duplicateId, 'copy0001');
+  assert.deepEqual(items.map(i => i.id), ['same0001', 'older001', 'newer001', 'copy0001', 'fresh001']);
+  assert.equal(items[3].title, 'Importado');
+  assert.throws(() => mergeImportedItems([], [], { mode: 'merge' }), /Unknown import mode/);
+});
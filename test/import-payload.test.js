@@ -2,6 +2,7 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 
 import { ImportValidationError, validateAndNormalizeImportPayload } from '../src/validators/import-payload.js';
+import { SCHEMA_VERSION } from '../lib/migrations.js';
 
 const sanitizeInput = (value) => String(value || '').trim();
 
@@ -67,3 +68,46 @@ test('validateAndNormalizeImportPayload rejects duplicate ids in payload', () =>
     (err) => err instanceof ImportValidationError && err.details[0].includes('duplicate id')
   );
 });
+
+test('validateAndNormalizeImportPayload keeps item history and movedToListAt', () => {
+  const payload = {
+    items: [{
+      id: 'abc12345',
+      input: 'Tarea',
+      list: 'delegar',
+      status: 'processed',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      updatedAt: '2026-01-02T00:00:00.000Z',
+      movedToListAt: '2026-01-02T00:00:00.000Z',
+      history: [
+        { at: '2026-01-01T00:00:00.000Z', by: null, type: 'created', list: 'collect' },
+        { at: '2026-01-02T00:00:00.000Z', by: 'ana@example.com', type: 'move', from: 'collect', to: 'delegar' },
+        { at: '2026-01-02T00:00:00.000Z', by: 'ana@example.com', type: 'edit', changes: [{ field: 'urgency', from: 3, to: 5 }] },
+      ],
+    }],
+  };
+  const [item] = validateAndNormalizeImportPayload(payload, sanitizeInput);
+  assert.equal(item.movedToListAt, '2026-01-02T00:00:00.000Z');
+  assert.equal(item.history.length, 3);
+  assert.equal(item.history[1].to, 'delegar');
+  assert.deepEqual(item.history[2].changes, [{ field: 'urgency', from: 3, to: 5 }]);
+
+  payload.items[0].history = [{ at: '2026-01-01T00:00:00.000Z', type: 'hack' }];
+  assert.throws(() => validateAndNormalizeImportPayload(payload, sanitizeInput), ImportValidationError);
+});
+
+test('validateAndNormalizeImportPayload migrates legacy lists whatever payloadSchema the file claims', () => {
+  const items = validateAndNormalizeImportPayload({
+    items: [{
+      id: 'legacy123',
+      input: 'Tarea antigua',
+      list: 'inbox',
+      status: 'unprocessed',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      updatedAt: '2026-01-01T00:00:00.000Z',
+      payloadSchema: 2,
+    }],
+  }, sanitizeInput);
+  assert.equal(items[0].list, 'collect');
+  assert.equal(items[0].payloadSchema, SCHEMA_VERSION);
+});
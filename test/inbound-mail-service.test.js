@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildEmailCapture,
+  createCaptureAddressRecord,
+  findCaptureToken,
+  hashCaptureToken,
+  isAutomaticMail,
+  looksLikeCaptureToken,
+  normalizeInboundPayload,
+} from '../src/services/inbound-mail-service.js';
+
+const TOKEN = 'gtdin-0123456789abcdef0123456789abcdef';
+const ADDRESS = `${TOKEN}@in.example.com`;
+
+test('capture address records keep only the token hash', () => {
+  const { token, record } = createCaptureAddressRecord({ id: 'cap1', now: new Date('2024-03-11T00:00:00.000Z') });
+  assert.ok(looksLikeCaptureToken(token));
+  assert.equal(record.tokenHash, hashCaptureToken(token));
+  assert.equal(record.tokenPrefix, token.slice(0, 12));
+  assert.ok(!JSON.stringify(record).includes(token));
+});
+
+test('findCaptureToken accepts the bare and the plus-addressed forms', () => {
+  assert.equal(findCaptureToken(['ana@example.com', ADDRESS.toUpperCase()]), TOKEN);
+  assert.equal(findCaptureToken([`buzon+${TOKEN}@example.com`]), TOKEN);
+  assert.equal(findCaptureToken(['gtdin-nope@in.example.com']), null);
+});
+
+test('normalizeInboundPayload reads Postmark and Resend JSON', () => {
+  const postmark = normalizeInboundPayload(Buffer.from(JSON.stringify({
+    From: 'Ana <ana@example.com>',
+    ToFull: [{ Email: ADDRESS, Name: '' }],
+    Subject: 'Factura de luz',
+    TextBody: 'Vence el viernes',
+    MessageID: 'pm-1',
+    Date: 'Mon, 11 Mar 2024 08:15:00 +0100',
+    Headers: [{ Name: 'Auto-Submitted', Value: 'no' }],
+    Attachments: [{ Name: 'factura.pdf', ContentType: 'application/pdf', ContentLength: 52000, Content: 'JVBERi0=' }],
+  })), 'application/json; charset=utf-8');
+  assert.deepEqual(postmark.recipients, [ADDRESS]);
+  assert.equal(postmark.from, 'Ana <ana@example.com>');
+  assert.equal(postmark.subject, 'Factura de luz');
+  assert.equal(postmark.messageId, 'pm-1');
+  assert.deepEqual(postmark.attachments, [{ filename: 'factura.pdf', contentType: 'application/pdf', size: 52000, url: null }]);
+  assert.equal(isAutomaticMail(postmark), false);
+
+  const resend = normalizeInboundPayload(JSON.stringify({
+    type: 'email.received',
+    data: { from: 'ana@example.com', to: [ADDRESS], subject: 'Idea', html: '<p>Un <b>libro</b></p>' },
+  }), 'application/json');
+  assert.deepEqual(resend.recipients, [ADDRESS]);
+  assert.equal(resend.html, '<p>Un <b>libro</b></p>');
+});
+
+test('normalizeInboundPayload reads Mailgun form fields and SendGrid raw mode', () => {
+  const mailgun = normalizeInboundPayload(Buffer.from(new URLSearchParams({
+    recipient: ADDRESS,
+    sender: 'ana@example.com',
+    subject: 'Revisar contrato',
+    'body-plain': 'Ver anexo',
+    'message-headers': JSON.stringify([['Message-Id', '<mg-1@example.com>']]),
+    attachments: JSON.stringify([{ name: 'anexo.docx', 'content-type': 'application/msword', size: 2048, url: 'https://storage.mailgun.net/v3/x/anexo' }]),
+  }).toString()), 'application/x-www-form-urlencoded');
+  assert.equal(mailgun.messageId, 'mg-1@example.com');
+  assert.deepEqual(mailgun.attachments, [{ filename: 'anexo.docx', contentType: 'application/msword', size: 2048, url: 'https://storage.mailgun.net/v3/x/anexo' }]);
+
+  const form = [
+    '--sg',
+    'Content-Disposition: form-data; name="to"',
+    '',
+    ADDRESS,
+    '--sg',
+    'Content-Disposition: form-data; name="email"',
+    '',
+    'From: ana@example.com',
+    'Subject: Desde SendGrid',
+    '',
+    'Cuerpo',
+    '--sg--',
+    '',
+  ].join('\r\n');
+  const sendgrid = normalizeInboundPayload(Buffer.from(form), 'multipart/form-data; boundary=sg');
+  assert.deepEqual(sendgrid.recipients, [ADDRESS]);
+  assert.equal(sendgrid.subject, 'Desde SendGrid');
+  assert.equal(sendgrid.text, 'Cuerpo');
+
+  assert.throws(() => normalizeInboundPayload(Buffer.from('{nope'), 'application/json'));
+});
+
+test('buildEmailCapture turns subject, body and attachments into a Collect capture', () => {
+  const mail = {
+    from: 'Ana <ana@example.com>',
+    subject: 'RE: Fwd: Llamar al fontanero @casa',
+    text: 'Dice que viene el martes.\n\n\n\nUn saludo\n-- \nAna\nTel. 600000000',
+    html: '',
+    messageId: 'abc@example.com',
+    date: new Date('2024-03-11T07:15:00.000Z'),
+    attachments: [{ filename: 'foto.jpg', contentType: 'image/jpeg', size: 204800, url: null }, { filename: 'presupuesto.pdf', size: null, url: 'https://files.example/p.pdf' }],
+  };
+  const capture = buildEmailCapture(mail);
+  assert.equal(capture.input, 'Llamar al fontanero @casa');
+  assert.equal(capture.notes, [
+    'Dice que viene el martes.\n\nUn saludo',
+    'Adjuntos:\n- foto.jpg (200 KB)\n- presupuesto.pdf: https://files.example/p.pdf\nRecibido por correo de Ana (ana@example.com)',
+  ].join('\n\n'));
+  assert.match(capture.clientCaptureId, /^mail-[a-f0-9]{40}$/);
+  assert.equal(capture.clientCaptureId, buildEmailCapture({ ...mail, subject: 'otro' }).clientCaptureId);
+  assert.equal(capture.capturedAt, '2024-03-11T07:15:00.000Z');
+
+  // No subject: the first body line is the title
+  const untitled = buildEmailCapture({ subject: '', text: 'Comprar pilas\nAA y AAA', attachments: [] });
+  assert.equal(untitled.input, 'Comprar pilas');
+  assert.equal(untitled.notes, 'AA y AAA');
+  assert.equal(buildEmailCapture({ subject: 'x'.repeat(300), text: '' }).input.length, 200);
+});
+
+test('isAutomaticMail flags auto-replies and bounces', () => {
+  assert.ok(isAutomaticMail({ headers: { 'auto-submitted': 'auto-replied' } }));
+  assert.ok(isAutomaticMail({ headers: { precedence: 'bulk' } }));
+  assert.ok(isAutomaticMail({ from: 'MAILER-DAEMON@example.com', headers: {} }));
+  assert.ok(!isAutomaticMail({ from: 'ana@example.com', headers: {} }));
+});
@@ -1,6 +1,10 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import { spawn } from 'node:child_process';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { generateVapidKeys } from '../src/services/web-push.js';
 
 function parseSetCookies(headers) {
   if (typeof headers.getSetCookie === 'function') return headers.getSetCookie();
@@ -12,7 +16,7 @@ function cookieHeaderFromSetCookie(setCookies = []) {
   return setCookies.map((c) => c.split(';')[0]).join('; ');
 }
 
-async function startServer(port) {
+async function startServer(port, extraEnv = {}) {
   const env = {
     ...process.env,
     NODE_ENV: 'development',
@@ -20,6 +24,7 @@ async function startServer(port) {
     APP_API_KEY: 'testkey',
     HOST: '127.0.0.1',
     PORT: String(port),
+    ...extraEnv,
   };
   const proc = spawn('node', ['server.js'], { env, stdio: ['ignore', 'pipe', 'pipe'] });
 
@@ -103,4 +108,949 @@ test('healthz and csrf-protected collect/import flows', async (t) => {
   assert.equal(importResp.status, 200);
   const importJson = await importResp.json();
   assert.equal(importJson.ok, true);
+
+  const mergeId = `merge-${Date.now()}`;
+  const reimport = (mode, patch = {}, extra = {}) => fetch(`${base}/import`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-api-key': 'testkey', 'x-csrf-token': csrf, cookie },
+    body: JSON.stringify({
+      mode,
+      ...extra,
+      items: [{
+        id: mergeId,
+        input: 'Import original',
+        list: 'collect',
+        status: 'unprocessed',
+        createdAt: '2026-01-01T00:00:00.000Z',
+        updatedAt: '2026-01-01T00:00:00.000Z',
+        ...patch,
+      }],
+    }),
+  }).then(r => r.json());
+  const edited = { input: 'Import editado', list: 'hacer', status: 'processed', updatedAt: '2026-02-01T00:00:00.000Z' };
+
+  assert.deepEqual((await reimport('skip')).created, [mergeId]);
+  const review = await reimport('skip', edited, { dryRun: true });
+  assert.deepEqual(review.conflicts.map(c => [c.id, c.resolution]), [[mergeId, 'skip']]);
+  assert.deepEqual((await reimport('newest', edited)).updated, [mergeId]);
+  assert.deepEqual((await reimport('newest', edited)).skipped, [mergeId]);
+  const invalidMode = await reimport('merge');
+  assert.equal(invalidMode.ok, false);
+});
+
+test('REST API v1 item lifecycle', async (t) => {
+  const port = 3478;
+  const base = `http://127.0.0.1:${port}`;
+  const proc = await startServer(port);
+  t.after(() => {
+    proc.kill('SIGTERM');
+  });
+
+  const headers = { 'content-type': 'application/json', 'x-api-key': 'testkey' };
+
+  const withoutKey = await fetch(`${base}/api/v1/items`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: '{}' });
+  assert.equal(withoutKey.status, 403, 'header-less API writes still require CSRF');
+
+  const invalid = await fetch(`${base}/api/v1/items`, { method: 'POST', headers, body: JSON.stringify({ input: 'x', urgency: 9 }) });
+  assert.equal(invalid.status, 400);
+  assert.match((await invalid.json()).error, /urgency/);
+
+  const created = await fetch(`${base}/api/v1/items`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ input: `Llamar a proveedor API ${Date.now()}`, list: 'hacer', urgency: 5, importance: 4 }),
+  });
+  assert.equal(created.status, 201);
+  const { item } = await created.json();
+  assert.equal(item.list, 'hacer');
+  assert.equal(item.status, 'processed');
+  assert.equal(item.priorityScore, 20);
+
+  const patched = await fetch(`${base}/api/v1/items/${item.id}`, { method: 'PATCH', headers, body: JSON.stringify({ importance: 1 }) });
+  assert.equal(patched.status, 200);
+  assert.equal((await patched.json()).item.priorityScore, 5);
+
+  const moved = await fetch(`${base}/api/v1/items/${item.id}/move`, { method: 'POST', headers, body: JSON.stringify({ list: 'desglosar' }) });
+  assert.equal((await moved.json()).item.kind, 'project');
+
+  const detail = await fetch(`${base}/items/${item.id}`, { headers: { 'x-api-key': 'testkey' } });
+  assert.equal(detail.status, 200);
+  const detailHtml = await detail.text();
+  assert.ok(detailHtml.includes('Movido de Hacer a Desglosar'));
+  assert.ok(detailHtml.includes('Creado en Hacer'));
+
+  const search = await fetch(`${base}/search?q=${encodeURIComponent(item.title.slice(0, 24))}`);
+  const searchJson = await search.json();
+  assert.ok(searchJson.results.some(r => r.id === item.id && r.titleHtml.includes('<mark>')));
+
+  const listed = await fetch(`${base}/api/v1/items?list=desglosar`);
+  assert.ok((await listed.json()).items.some(i => i.id === item.id));
+
+  const completed = await fetch(`${base}/api/v1/items/${item.id}/complete`, { method: 'POST', headers, body: JSON.stringify({ comment: 'listo' }) });
+  assert.equal((await completed.json()).item.status, 'done');
+
+  const deleted = await fetch(`${base}/api/v1/items/${item.id}`, { method: 'DELETE', headers });
+  assert.equal(deleted.status, 200);
+  assert.match((await deleted.json()).undo.id, /^[a-f0-9]{16}$/);
+  const trashed = await fetch(`${base}/api/v1/items/${item.id}`);
+  assert.equal((await trashed.json()).item.list, 'papelera');
+  const unlisted = await fetch(`${base}/api/v1/items`);
+  assert.ok(!(await unlisted.json()).items.some(i => i.id === item.id));
+});
+
+test('personal API tokens authenticate and enforce scopes', async (t) => {
+  const port = 3479;
+  const base = `http://127.0.0.1:${port}`;
+  const proc = await startServer(port);
+  t.after(() => {
+    proc.kill('SIGTERM');
+  });
+
+  const page = await fetch(`${base}/settings/tokens`);
+  const csrf = (await page.text()).match(/name="_csrf"\s+value="([a-f0-9]{64})"/)[1];
+  const cookie = cookieHeaderFromSetCookie(parseSetCookies(page.headers));
+
+  async function createToken(scope) {
+    const resp = await fetch(`${base}/settings/tokens/create`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded', 'x-api-key': 'testkey', cookie },
+      body: new URLSearchParams({ _csrf: csrf, name: `token ${scope}`, scope }),
+    });
+    assert.equal(resp.status, 200);
+    return (await resp.text()).match(/value="(gtdn_[a-f0-9]{48})"/)[1];
+  }
+
+  const readToken = await createToken('read');
+  const writeToken = await createToken('write');
+
+  const listed = await fetch(`${base}/api/v1/items?limit=1`, { headers: { authorization: `Bearer ${readToken}` } });
+  assert.equal(listed.status, 200);
+
+  const body = JSON.stringify({ input: `Token ${Date.now()}` });
+  const denied = await fetch(`${base}/api/v1/items`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: `Bearer ${readToken}` },
+    body,
+  });
+  assert.equal(denied.status, 403);
+
+  const created = await fetch(`${base}/api/v1/items`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: `Bearer ${writeToken}` },
+    body,
+  });
+  assert.equal(created.status, 201);
+
+  const invalid = await fetch(`${base}/api/v1/items`, { headers: { authorization: `Bearer gtdn_${'0'.repeat(48)}` } });
+  assert.equal(invalid.status, 401);
+
+  // Fuera de /api/v1 el token no autentica: los formularios siguen con sesión + CSRF
+  const formNoCsrf = await fetch(`${base}/collect/add`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', authorization: `Bearer ${writeToken}` },
+    body: new URLSearchParams({ input: 'Sin CSRF' }),
+  });
+  assert.equal(formNoCsrf.status, 403);
+
+  const formWithCsrf = await fetch(`${base}/collect/add`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', authorization: `Bearer ${writeToken}`, cookie },
+    body: new URLSearchParams({ _csrf: csrf, input: 'Solo token' }),
+    redirect: 'manual',
+  });
+  assert.equal(formWithCsrf.status, 401);
+});
+
+test('Hoy shows items scheduled for today and due follow-ups', async (t) => {
+  const port = 3480;
+  const base = `http://127.0.0.1:${port}`;
+  const proc = await startServer(port);
+  t.after(() => {
+    proc.kill('SIGTERM');
+  });
+
+  const headers = { 'content-type': 'application/json', 'x-api-key': 'testkey' };
+  const now = new Date();
+  const dateKey = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+  const suffix = Date.now();
+
+  const scheduled = await fetch(`${base}/api/v1/items`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ input: `Reunión agendada ${suffix}`, list: 'agendar', scheduledFor: dateKey(now) }),
+  });
+  assert.equal(scheduled.status, 201);
+  const delegated = await fetch(`${base}/api/v1/items`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ input: `Seguimiento delegado ${suffix}`, list: 'delegar', delegatedTo: 'Ana', delegatedFor: dateKey(yesterday) }),
+  });
+  assert.equal(delegated.status, 201);
+
+  const hoy = await fetch(`${base}/hoy`, { headers: { 'x-api-key': 'testkey' } });
+  assert.equal(hoy.status, 200);
+  const html = await hoy.text();
+  assert.ok(html.includes(`Reunión agendada ${suffix}`));
+  assert.ok(html.includes(`Seguimiento delegado ${suffix}`));
+  assert.ok(html.includes('1 día de retraso'));
+});
+
+test('item detail page edits fields, links and moves the item', async (t) => {
+  const port = 3481;
+  const base = `http://127.0.0.1:${port}`;
+  const proc = await startServer(port);
+  t.after(() => {
+    proc.kill('SIGTERM');
+  });
+
+  const created = await fetch(`${base}/api/v1/items`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-api-key': 'testkey' },
+    body: JSON.stringify({ input: `Preparar presentación ${Date.now()}` }),
+  });
+  const { item } = await created.json();
+
+  const page = await fetch(`${base}/items/${item.id}`, { headers: { 'x-api-key': 'testkey' } });
+  assert.equal(page.status, 200);
+  const csrf = (await page.text()).match(/name="_csrf"\s+value="([a-f0-9]{64})"/)?.[1];
+  assert.ok(csrf, 'CSRF token not found in detail page');
+  const cookie = cookieHeaderFromSetCookie(parseSetCookies(page.headers));
+  const post = (path, fields) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', 'x-api-key': 'testkey', cookie },
+    body: new URLSearchParams({ _csrf: csrf, ...fields }),
+    redirect: 'manual',
+  });
+
+  const updated = await post(`/items/${item.id}/update`, { title: item.title, notes: '**Hola** equipo', nextAction: 'Enviar borrador', tags: 'trabajo, q3' });
+  assert.equal(updated.status, 302);
+  const invalid = await post(`/items/${item.id}/update`, { title: item.title, urgency: '9' });
+  assert.match(invalid.headers.get('location'), /error=urgency/);
+  const linked = await post(`/items/${item.id}/links/add`, { url: 'https://example.com/doc?a=1&b=2', linkTitle: 'Borrador' });
+  assert.equal(linked.status, 302);
+  const badLink = await post(`/items/${item.id}/links/add`, { url: 'javascript:alert(1)' });
+  assert.match(badLink.headers.get('location'), /error=/);
+  const moved = await post(`/items/${item.id}/move`, { list: 'agendar' });
+  assert.equal(moved.status, 302);
+
+  const { item: saved } = await (await fetch(`${base}/api/v1/items/${item.id}`)).json();
+  assert.equal(saved.list, 'agendar');
+  assert.equal(saved.status, 'processed');
+  assert.equal(saved.nextAction, 'Enviar borrador');
+  assert.deepEqual(saved.tags, ['trabajo', 'q3']);
+  assert.equal(saved.links[0].url, 'https://example.com/doc?a=1&b=2');
+
+  const html = await (await fetch(`${base}/items/${item.id}`, { headers: { 'x-api-key': 'testkey' } })).text();
+  assert.ok(html.includes('<strong>Hola</strong> equipo'));
+  assert.ok(html.includes('Movido de Collect a Agendar'));
+  assert.ok(html.includes('href="https://example.com/doc?a=1&amp;b=2"'));
+});
+
+test('deleting moves items to the Papelera and actions can be undone', async (t) => {
+  const port = 3482;
+  const base = `http://127.0.0.1:${port}`;
+  const proc = await startServer(port);
+  t.after(() => {
+    proc.kill('SIGTERM');
+  });
+
+  const apiHeaders = { 'content-type': 'application/json', 'x-api-key': 'testkey' };
+  const created = await fetch(`${base}/api/v1/items`, {
+    method: 'POST',
+    headers: apiHeaders,
+    body: JSON.stringify({ input: `Revisar contrato ${Date.now()}`, list: 'hacer' }),
+  });
+  const { item } = await created.json();
+
+  const page = await fetch(`${base}/hacer`, { headers: { 'x-api-key': 'testkey' } });
+  const csrf = (await page.text()).match(/name="_csrf"\s+value="([a-f0-9]{64})"/)?.[1];
+  assert.ok(csrf, 'CSRF token not found in Hacer page');
+  const cookie = cookieHeaderFromSetCookie(parseSetCookies(page.headers));
+  const post = (path, fields = {}) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', 'x-api-key': 'testkey', cookie },
+    body: new URLSearchParams({ _csrf: csrf, ...fields }),
+    redirect: 'manual',
+  });
+  const undoFromCookie = (res) => {
+    const raw = parseSetCookies(res.headers).find(c => c.startsWith('gtd_undo='));
+    assert.ok(raw, 'undo cookie not set');
+    return JSON.parse(decodeURIComponent(raw.split(';')[0].slice('gtd_undo='.length)));
+  };
+  const load = async () => (await (await fetch(`${base}/api/v1/items/${item.id}`)).json()).item;
+
+  const deleted = await post(`/items/${item.id}/delete`);
+  assert.equal(deleted.status, 302);
+  const deleteUndo = undoFromCookie(deleted);
+  assert.match(deleteUndo.label, /^Movido a la papelera/);
+  assert.equal((await load()).list, 'papelera');
+
+  const toastPage = await fetch(`${base}/papelera`, { headers: { 'x-api-key': 'testkey', cookie: `gtd_undo=${encodeURIComponent(JSON.stringify(deleteUndo))}` } });
+  const trashHtml = await toastPage.text();
+  assert.ok(trashHtml.includes(item.title));
+  assert.ok(trashHtml.includes(`toast.undo(`));
+
+  const undone = await post(`/undo/${deleteUndo.id}`);
+  assert.equal(undone.status, 302);
+  const back = await load();
+  assert.equal(back.list, 'hacer');
+  assert.equal(back.trashedAt, null);
+  const again = await fetch(`${base}/api/v1/undo/${deleteUndo.id}`, { method: 'POST', headers: { ...apiHeaders, accept: 'application/json' } });
+  assert.equal(again.status, 404);
+
+  const completed = await post(`/hacer/${item.id}/complete`);
+  assert.equal(completed.status, 302);
+  assert.equal((await load()).status, 'done');
+  const restored = await fetch(`${base}/api/v1/undo/${undoFromCookie(completed).id}`, { method: 'POST', headers: { ...apiHeaders, accept: 'application/json' } });
+  assert.equal(restored.status, 200);
+  const reopened = await load();
+  assert.equal(reopened.status, 'processed');
+  assert.equal(reopened.completedAt, null);
+
+  // API completion of a recurring item: undo sends the untouched next
+  // occurrence to the Papelera, and refuses once it has been edited
+  const completeViaApi = async (id) => (await fetch(`${base}/api/v1/items/${id}/complete`, { method: 'POST', headers: { ...apiHeaders, accept: 'application/json' } })).json();
+  const undoViaApi = id => fetch(`${base}/api/v1/undo/${id}`, { method: 'POST', headers: { ...apiHeaders, accept: 'application/json' } });
+  const patched = await fetch(`${base}/api/v1/items/${item.id}`, {
+    method: 'PATCH',
+    headers: apiHeaders,
+    body: JSON.stringify({ recurrence: { freq: 'daily', interval: 1 } }),
+  });
+  assert.equal(patched.status, 200);
+
+  const first = await completeViaApi(item.id);
+  assert.match(first.undo.id, /^[a-f0-9]{16}$/);
+  assert.ok(first.next?.id);
+  assert.equal((await undoViaApi(first.undo.id)).status, 200);
+  assert.equal((await load()).status, 'processed');
+  const spawnedFirst = (await (await fetch(`${base}/api/v1/items/${first.next.id}`)).json()).item;
+  assert.equal(spawnedFirst.list, 'papelera');
+
+  const second = await completeViaApi(item.id);
+  const edited = await fetch(`${base}/api/v1/items/${second.next.id}`, {
+    method: 'PATCH',
+    headers: apiHeaders,
+    body: JSON.stringify({ title: 'Próxima, ya preparada' }),
+  });
+  assert.equal(edited.status, 200);
+  assert.equal((await undoViaApi(second.undo.id)).status, 409);
+  assert.equal((await (await fetch(`${base}/api/v1/items/${second.next.id}`)).json()).item.title, 'Próxima, ya preparada');
+  assert.equal((await load()).status, 'done');
+
+  // Emptying the Papelera takes a restore point before purging
+  const newestBackup = async () => (await (await fetch(`${base}/settings/backups`, { headers: { 'x-api-key': 'testkey' } })).text()).match(/\/settings\/backups\/(\d{14}-[a-f0-9]{6})/)?.[1];
+  const backupBefore = await newestBackup();
+  const emptied = await post('/papelera/empty');
+  assert.equal(emptied.status, 302);
+  assert.equal(emptied.headers.get('location'), '/papelera');
+  assert.equal((await fetch(`${base}/api/v1/items/${first.next.id}`)).status, 404);
+  const backupAfter = await newestBackup();
+  assert.ok(backupAfter && backupAfter !== backupBefore);
+  const restorePoint = await (await fetch(`${base}/settings/backups/${backupAfter}`, { headers: { 'x-api-key': 'testkey' } })).text();
+  assert.ok(restorePoint.includes('Antes de borrar items'));
+});
+
+test('calendar feed is served by secret token and exported as .ics', async (t) => {
+  const port = 3483;
+  const base = `http://127.0.0.1:${port}`;
+  const proc = await startServer(port);
+  t.after(() => {
+    proc.kill('SIGTERM');
+  });
+
+  const title = `Revisión médica ${Date.now()}`;
+  const created = await fetch(`${base}/api/v1/items`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-api-key': 'testkey' },
+    body: JSON.stringify({ input: title, list: 'agendar', scheduledFor: '2030-01-15' }),
+  });
+  assert.equal(created.status, 201);
+
+  const page = await fetch(`${base}/settings/calendar`, { headers: { 'x-api-key': 'testkey' } });
+  const csrf = (await page.text()).match(/name="_csrf"\s+value="([a-f0-9]{64})"/)?.[1];
+  assert.ok(csrf, 'CSRF token not found in calendar settings');
+  const cookie = cookieHeaderFromSetCookie(parseSetCookies(page.headers));
+  const createdFeed = await fetch(`${base}/settings/calendar/create`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', 'x-api-key': 'testkey', cookie },
+    body: new URLSearchParams({ _csrf: csrf }),
+  });
+  const token = (await createdFeed.text()).match(/calendar\.ics\?token=(gtdcal_[a-f0-9]{48})/)?.[1];
+  assert.ok(token, 'feed URL not shown');
+
+  const feed = await fetch(`${base}/calendar.ics?token=${token}`);
+  assert.equal(feed.status, 200);
+  assert.match(feed.headers.get('content-type'), /^text\/calendar/);
+  const ics = await feed.text();
+  assert.ok(ics.includes(`SUMMARY:${title}`));
+  assert.ok(ics.includes('DTSTART;VALUE=DATE:20300115'));
+
+  const wrong = await fetch(`${base}/calendar.ics?token=gtdcal_${'0'.repeat(48)}`);
+  assert.equal(wrong.status, 404);
+
+  const exported = await fetch(`${base}/export/ics?todos=1`, { headers: { 'x-api-key': 'testkey' } });
+  assert.equal(exported.status, 200);
+  assert.match(exported.headers.get('content-disposition'), /attachment; filename="gtd_neto_calendar_\d+\.ics"/);
+  assert.ok((await exported.text()).includes('DUE;VALUE=DATE:20300115'));
+});
+
+test('external importer previews a markdown checklist and imports it once', async (t) => {
+  const port = 3484;
+  const base = `http://127.0.0.1:${port}`;
+  const proc = await startServer(port);
+  t.after(() => {
+    proc.kill('SIGTERM');
+  });
+
+  const page = await fetch(`${base}/collect`);
+  const csrf = (await page.text()).match(/name="_csrf"\s+value="([a-f0-9]{64})"/)?.[1];
+  assert.ok(csrf, 'CSRF token not found');
+  const cookie = cookieHeaderFromSetCookie(parseSetCookies(page.headers));
+  const stamp = Date.now();
+  const content = [
+    '# Casa',
+    `- [ ] Pagar luz ${stamp} 2030-02-01 #facturas`,
+    `- [ ] Pintar cuarto ${stamp} @casa`,
+    '  - [x] Comprar pintura',
+    '  - [ ] Mover muebles',
+  ].join('\n');
+  const importExternal = dryRun => fetch(`${base}/import/external`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-api-key': 'testkey', 'x-csrf-token': csrf, cookie },
+    body: JSON.stringify({ format: 'text', content, dryRun }),
+  });
+
+  const preview = await (await importExternal(true)).json();
+  assert.equal(preview.ok, true);
+  assert.equal(preview.dryRun, true);
+  assert.deepEqual(preview.summary.byList, { agendar: 1, desglosar: 1 });
+  assert.deepEqual(preview.preview.map(i => [i.list, i.subtasks]), [['agendar', 0], ['desglosar', 2]]);
+
+  const committed = await (await importExternal(false)).json();
+  assert.equal(committed.imported, 2);
+  const again = await (await importExternal(false)).json();
+  assert.equal(again.imported, 0);
+  assert.equal(again.skipped, 2);
+
+  const item = await (await fetch(`${base}/api/v1/items/${preview.preview[0].id}`, { headers: { 'x-api-key': 'testkey' } })).json();
+  assert.equal(item.item.scheduledFor, '2030-02-01');
+  assert.deepEqual(item.item.tags, ['casa', 'facturas']);
+
+  const auth = { headers: { 'x-api-key': 'testkey' } };
+  const md = await (await fetch(`${base}/export/md`, auth)).text();
+  assert.ok(md.includes(`- [ ] Pintar cuarto ${stamp} @casa #casa\n  - [x] Comprar pintura\n`));
+  const opml = await fetch(`${base}/export/opml`, auth);
+  assert.match(opml.headers.get('content-type'), /^text\/x-opml/);
+  assert.ok((await opml.text()).includes(`<outline text="Pintar cuarto ${stamp}">`));
+  const csv = await (await fetch(`${base}/export/csv?subtasks=rows`, auth)).text();
+  assert.ok(csv.includes(',Mover muebles,open'));
+  const sheet = await fetch(`${base}/export/print`, auth);
+  assert.equal(sheet.status, 200);
+  assert.ok((await sheet.text()).includes(`Pintar cuarto ${stamp}`));
+
+  const bad = await fetch(`${base}/import/external`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-api-key': 'testkey', 'x-csrf-token': csrf, cookie },
+    body: JSON.stringify({ format: 'trello', content: '{"cards": 1}' }),
+  });
+  assert.equal(bad.status, 400);
+});
+
+test('backups are listed, diffed against current items and restored', async (t) => {
+  const port = 3485;
+  const base = `http://127.0.0.1:${port}`;
+  const proc = await startServer(port);
+  t.after(() => {
+    proc.kill('SIGTERM');
+  });
+
+  const page = await fetch(`${base}/collect`);
+  const csrf = (await page.text()).match(/name="_csrf"\s+value="([a-f0-9]{64})"/)?.[1];
+  assert.ok(csrf, 'CSRF token not found');
+  const cookie = cookieHeaderFromSetCookie(parseSetCookies(page.headers));
+  const form = { 'x-api-key': 'testkey', 'x-csrf-token': csrf, cookie };
+  const headers = { 'content-type': 'application/json', 'x-api-key': 'testkey' };
+
+  const title = `Respaldo ${Date.now()}`;
+  const { item } = await (await fetch(`${base}/api/v1/items`, { method: 'POST', headers, body: JSON.stringify({ input: title, list: 'hacer' }) })).json();
+
+  const created = await fetch(`${base}/settings/backups/create`, { method: 'POST', headers: form, redirect: 'manual' });
+  assert.equal(created.status, 302);
+  const listHtml = await (await fetch(`${base}/settings/backups`, { headers: { 'x-api-key': 'testkey' } })).text();
+  const backupId = listHtml.match(/\/settings\/backups\/(\d{14}-[a-f0-9]{6})"/)?.[1];
+  assert.ok(backupId, 'backup link not found');
+  assert.ok(listHtml.includes('Manual'));
+
+  await fetch(`${base}/api/v1/items/${item.id}`, { method: 'PATCH', headers, body: JSON.stringify({ title: `${title} editado` }) });
+
+  const diffHtml = await (await fetch(`${base}/settings/backups/${backupId}`, { headers: { 'x-api-key': 'testkey' } })).text();
+  assert.ok(diffHtml.includes(`~ ${title} · Hacer`));
+
+  const download = await (await fetch(`${base}/settings/backups/${backupId}/download`, { headers: { 'x-api-key': 'testkey' } })).json();
+  assert.equal(download.version, 1);
+  assert.ok(download.items.some(i => i.id === item.id && i.title === title));
+
+  const restored = await fetch(`${base}/settings/backups/${backupId}/restore`, { method: 'POST', headers: form, redirect: 'manual' });
+  assert.equal(restored.headers.get('location'), '/settings/backups?success=restored');
+  const after = await (await fetch(`${base}/api/v1/items/${item.id}`, { headers: { 'x-api-key': 'testkey' } })).json();
+  assert.equal(after.item.title, title);
+  const afterList = await (await fetch(`${base}/settings/backups`, { headers: { 'x-api-key': 'testkey' } })).text();
+  assert.ok(afterList.includes('Antes de restaurar'));
+});
+
+test('stale item versions get a 409 or the merge screen', async (t) => {
+  const port = 3486;
+  const base = `http://127.0.0.1:${port}`;
+  const proc = await startServer(port);
+  t.after(() => {
+    proc.kill('SIGTERM');
+  });
+
+  const headers = { 'content-type': 'application/json', 'x-api-key': 'testkey' };
+  const { item } = await (await fetch(`${base}/api/v1/items`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ input: `Proyecto compartido ${Date.now()}`, list: 'desglosar' }),
+  })).json();
+  assert.equal(item.version, 2);
+
+  const fetched = await fetch(`${base}/api/v1/items/${item.id}`);
+  assert.equal(fetched.headers.get('etag'), '"2"');
+
+  const patched = await fetch(`${base}/api/v1/items/${item.id}`, { method: 'PATCH', headers: { ...headers, 'if-match': '"2"' }, body: JSON.stringify({ objective: 'Pestaña A' }) });
+  assert.equal((await patched.json()).item.version, 3);
+  const stale = await fetch(`${base}/api/v1/items/${item.id}`, { method: 'PATCH', headers: { ...headers, 'if-match': '"2"' }, body: JSON.stringify({ objective: 'Pestaña B' }) });
+  assert.equal(stale.status, 409);
+  const staleJson = await stale.json();
+  assert.equal(staleJson.error, 'version_conflict');
+  assert.equal(staleJson.item.objective, 'Pestaña A');
+
+  const page = await fetch(`${base}/collect`);
+  const csrf = (await page.text()).match(/name="_csrf"\s+value="([a-f0-9]{64})"/)?.[1];
+  const cookie = cookieHeaderFromSetCookie(parseSetCookies(page.headers));
+  const postForm = (version) => fetch(`${base}/desglosar/${item.id}/subtasks/add`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', 'x-api-key': 'testkey', 'x-csrf-token': csrf, cookie },
+    body: new URLSearchParams({ subtask: 'Comprar cajas', version: String(version) }),
+    redirect: 'manual',
+  });
+
+  const conflict = await postForm(2);
+  assert.equal(conflict.status, 409);
+  const html = await conflict.text();
+  assert.ok(html.includes('Este elemento cambió en otra sesión'));
+  assert.ok(html.includes('name="version" value="3"'));
+  assert.ok(html.includes('Nueva subtarea'));
+
+  const retried = await postForm(3);
+  assert.equal(retried.status, 302);
+  const after = await (await fetch(`${base}/api/v1/items/${item.id}`)).json();
+  assert.equal(after.item.objective, 'Pestaña A');
+  assert.deepEqual(after.item.subtasks.map(s => s.text), ['Comprar cajas']);
+});
+
+test('bulk actions send, tag, reschedule and delete selected items in one request', async (t) => {
+  const port = 3487;
+  const base = `http://127.0.0.1:${port}`;
+  const proc = await startServer(port);
+  t.after(() => {
+    proc.kill('SIGTERM');
+  });
+
+  const headers = { 'content-type': 'application/json', 'x-api-key': 'testkey' };
+  const stamp = Date.now();
+  const items = [];
+  for (const n of [1, 2, 3]) {
+    const { item } = await (await fetch(`${base}/api/v1/items`, { method: 'POST', headers, body: JSON.stringify({ input: `Tras el viaje ${n} ${stamp}` }) })).json();
+    items.push(item);
+  }
+  const load = async id => (await (await fetch(`${base}/api/v1/items/${id}`)).json()).item;
+
+  const page = await fetch(`${base}/collect`);
+  const html = await page.text();
+  assert.ok(html.includes('id="bulkBar"'));
+  assert.ok(html.includes(`class="bulk-select shrink-0" data-id="${items[0].id}"`));
+  const csrf = html.match(/name="_csrf"\s+value="([a-f0-9]{64})"/)?.[1];
+  const cookie = cookieHeaderFromSetCookie(parseSetCookies(page.headers));
+  const bulk = (fields, accept = 'application/json') => fetch(`${base}/items/bulk`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', 'x-api-key': 'testkey', 'x-csrf-token': csrf, cookie, accept },
+    body: new URLSearchParams(fields),
+    redirect: 'manual',
+  });
+
+  // The third item was edited after the page loaded: its stale version is reported
+  await fetch(`${base}/api/v1/items/${items[2].id}`, { method: 'PATCH', headers, body: JSON.stringify({ title: 'Editado' }) });
+  const sent = await (await bulk([
+    ['action', 'send'], ['destination', 'hacer'], ['context', '@casa'], ['list', 'collect'],
+    ...items.flatMap(i => [['ids', i.id], ['versions', String(i.version)]]),
+  ])).json();
+  assert.deepEqual(sent.updated.sort(), [items[0].id, items[1].id].sort());
+  assert.deepEqual(sent.conflicts.map(c => c.id), [items[2].id]);
+  assert.match(sent.undo.label, /^Enviados a Hacer: 2 items · 1 sin cambios/);
+  const moved = await load(items[0].id);
+  assert.equal(moved.list, 'hacer');
+  assert.equal(moved.context, '@casa');
+  assert.equal((await load(items[2].id)).list, 'collect');
+
+  const tagged = await (await bulk([['action', 'tag'], ['tags', 'viaje, Facturas'], ['ids', items[0].id], ['ids', items[1].id]])).json();
+  assert.equal(tagged.updated.length, 2);
+  assert.deepEqual((await load(items[1].id)).tags, ['viaje', 'facturas']);
+
+  const rescheduled = await (await bulk([['action', 'reschedule'], ['date', '2030-01-15'], ['ids', items[0].id], ['ids', items[2].id]])).json();
+  assert.deepEqual(rescheduled.updated, [items[0].id]);
+  assert.equal(rescheduled.skipped, 1); // Collect items have no date to move
+  assert.equal((await load(items[0].id)).scheduledFor, '2030-01-15');
+
+  const deleted = await bulk([['action', 'delete'], ['list', 'hacer'], ['ids', items[0].id], ['ids', items[1].id]], 'text/html');
+  assert.equal(deleted.status, 302);
+  assert.equal(deleted.headers.get('location'), '/hacer');
+  const undoCookie = parseSetCookies(deleted.headers).find(c => c.startsWith('gtd_undo='));
+  const undo = JSON.parse(decodeURIComponent(undoCookie.split(';')[0].slice('gtd_undo='.length)));
+  assert.equal(undo.label, 'Movidos a la papelera: 2 items');
+  assert.equal((await load(items[1].id)).list, 'papelera');
+
+  const undone = await fetch(`${base}/api/v1/undo/${undo.id}`, { method: 'POST', headers: { ...headers, accept: 'application/json' } });
+  assert.equal(undone.status, 200);
+  assert.equal((await load(items[0].id)).list, 'hacer');
+  assert.equal((await load(items[1].id)).list, 'hacer');
+
+  const empty = await bulk([['action', 'complete']]);
+  assert.equal(empty.status, 400);
+});
+
+test('procesar bandeja applies the chosen outcome and moves to the next item', async (t) => {
+  const port = 3488;
+  const base = `http://127.0.0.1:${port}`;
+  const proc = await startServer(port);
+  t.after(() => {
+    proc.kill('SIGTERM');
+  });
+
+  const headers = { 'content-type': 'application/json', 'x-api-key': 'testkey' };
+  const stamp = Date.now();
+  const items = [];
+  for (const n of [1, 2]) {
+    const { item } = await (await fetch(`${base}/api/v1/items`, { method: 'POST', headers, body: JSON.stringify({ input: `Revisar contrato ${n} ${stamp}` }) })).json();
+    items.push(item);
+  }
+  const load = async id => (await (await fetch(`${base}/api/v1/items/${id}`)).json()).item;
+
+  const page = await fetch(`${base}/collect/procesar`);
+  assert.equal(page.status, 200);
+  const html = await page.text();
+  assert.ok(html.includes('id="clarifyForm"'));
+  assert.ok(html.includes('¿Es accionable?'));
+  const csrf = html.match(/name="_csrf"\s+value="([a-f0-9]{64})"/)?.[1];
+  const cookie = cookieHeaderFromSetCookie(parseSetCookies(page.headers));
+  const clarify = (item, fields, query = '') => fetch(`${base}/collect/procesar/${item.id}${query}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', 'x-api-key': 'testkey', 'x-csrf-token': csrf, cookie },
+    body: new URLSearchParams({ version: String(item.version), ...fields }),
+    redirect: 'manual',
+  });
+
+  const feedback = await (await fetch(`${base}/collect/procesar/accionable?text=${encodeURIComponent('Llamar a Ana para confirmar la cita')}`)).json();
+  assert.equal(feedback.ok, true);
+  assert.equal(typeof feedback.actionableScore, 'number');
+
+  const done = await clarify(items[0], { outcome: 'hacer', title: `Firmar contrato ${stamp}`, urgency: '5', importance: '4', estimateMin: '20' }, '?n=2');
+  assert.equal(done.status, 302);
+  assert.equal(done.headers.get('location'), '/collect/procesar?n=3');
+  const moved = await load(items[0].id);
+  assert.equal(moved.list, 'hacer');
+  assert.equal(moved.title, `Firmar contrato ${stamp}`);
+  assert.equal(moved.urgency, 5);
+  assert.equal(moved.estimateMin, 10); // Hacer caps at 10 min and warns
+  assert.match(moved.durationWarning, /20 min/);
+
+  const missingDate = await clarify(items[1], { outcome: 'agendar', title: 'Reunión' });
+  assert.equal(missingDate.status, 302);
+  assert.match(decodeURIComponent(missingDate.headers.get('location')), /error=Agendar necesita una fecha/);
+  assert.equal((await load(items[1].id)).list, 'collect');
+
+  const delegated = await clarify(items[1], { outcome: 'delegar', delegatedTo: 'Ana', delegatedFor: '2030-02-01' });
+  assert.equal(delegated.status, 302);
+  const waiting = await load(items[1].id);
+  assert.equal(waiting.list, 'delegar');
+  assert.equal(waiting.delegatedTo, 'Ana');
+  assert.equal(waiting.delegatedFor, '2030-02-01');
+
+  // Already processed: nothing changes, the wizard just moves on
+  const again = await clarify(waiting, { outcome: 'delete' });
+  assert.equal(again.headers.get('location'), '/collect/procesar');
+  assert.equal((await load(items[1].id)).list, 'delegar');
+});
+
+test('collect/add parses inline tokens and routes on an explicit destination', async (t) => {
+  const port = 3489;
+  const base = `http://127.0.0.1:${port}`;
+  const proc = await startServer(port);
+  t.after(() => {
+    proc.kill('SIGTERM');
+  });
+
+  const page = await fetch(`${base}/collect`);
+  const csrf = (await page.text()).match(/name="_csrf"\s+value="([a-f0-9]{64})"/)?.[1];
+  const cookie = cookieHeaderFromSetCookie(parseSetCookies(page.headers));
+  const stamp = Date.now();
+  const add = async input => (await fetch(`${base}/collect/add`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', 'x-api-key': 'testkey', 'x-csrf-token': csrf, cookie, accept: 'application/json' },
+    body: new URLSearchParams({ input }),
+  })).json();
+
+  const kept = await add(`Llamar al banco ${stamp} @telefono #finanzas !4 +personal 15/11/2030`);
+  assert.equal(kept.item.list, 'collect');
+  assert.equal(kept.item.title, `Llamar al banco ${stamp}`);
+  assert.equal(kept.item.input, `Llamar al banco ${stamp} @telefono #finanzas !4 +personal 15/11/2030`);
+  assert.equal(kept.item.context, '@telefono');
+  assert.deepEqual(kept.item.tags, ['finanzas']);
+  assert.equal(kept.item.urgency, 4);
+  assert.equal(kept.item.area, 'personal');
+  assert.equal(kept.item.scheduledFor, '2030-11-15');
+  assert.deepEqual(kept.parsed.tokens.map(tk => tk.type), ['context', 'tag', 'urgency', 'area', 'date']);
+
+  const delegated = await add(`Enviar presupuesto ${stamp} >delegar Marta 20/1/2031`);
+  assert.equal(delegated.item.list, 'delegar');
+  assert.equal(delegated.item.status, 'processed');
+  assert.equal(delegated.item.delegatedTo, 'Marta');
+  assert.equal(delegated.item.delegatedFor, '2031-01-20');
+
+  const preview = await (await fetch(`${base}/collect/parse?text=${encodeURIComponent('Comprar pan >agendar')}`)).json();
+  assert.equal(preview.list, 'collect');
+  assert.match(preview.warnings[0], /Agendar necesita una fecha/);
+});
+
+test('offline outbox replays are deduplicated by clientCaptureId', async (t) => {
+  const port = 3490;
+  const base = `http://127.0.0.1:${port}`;
+  const proc = await startServer(port);
+  t.after(() => {
+    proc.kill('SIGTERM');
+  });
+
+  const page = await fetch(`${base}/collect`);
+  const html = await page.text();
+  assert.ok(html.includes('src="/public/js/outbox.js"'));
+  assert.ok(html.includes('data-offline="capture"'));
+  const csrf = html.match(/name="csrf-token" content="([a-f0-9]{64})"/)?.[1];
+  const cookie = cookieHeaderFromSetCookie(parseSetCookies(page.headers));
+  const stamp = Date.now();
+  // Same request as public/js/outbox.js: JSON body, token in x-csrf-token
+  const replay = body => fetch(`${base}/collect/add`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-api-key': 'testkey', 'x-csrf-token': csrf, cookie, accept: 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const capture = { input: `Comprar pilas ${stamp} mañana`, clientCaptureId: `cap_${stamp}`, capturedAt: yesterday.toISOString() };
+  const first = await (await replay(capture)).json();
+  assert.equal(first.deduped, false);
+  assert.equal(first.item.clientCaptureId, `cap_${stamp}`);
+  // "mañana" is relative to when it was typed
+  const today = new Date();
+  const todayKey = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+  assert.equal(first.item.scheduledFor, todayKey);
+
+  // The response was lost: the outbox sends it again later, after it was processed
+  await fetch(`${base}/api/v1/items/${first.item.id}/move`, { method: 'POST', headers: { 'content-type': 'application/json', 'x-api-key': 'testkey' }, body: JSON.stringify({ list: 'someday' }) });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const again = await (await replay(capture)).json();
+  assert.equal(again.deduped, true);
+  assert.equal(again.item.id, first.item.id);
+
+  const invalid = await replay({ input: 'x', clientCaptureId: 'no valid!' });
+  assert.equal(invalid.status, 400);
+
+  const manifest = await (await fetch(`${base}/public/manifest.json`)).json();
+  assert.equal(manifest.display, 'standalone');
+  for (const icon of manifest.icons) assert.equal((await fetch(`${base}${icon.src}`)).status, 200);
+});
+
+test('push notifications: subscribe, preferences and cron endpoint', async (t) => {
+  const port = 3491;
+  const base = `http://127.0.0.1:${port}`;
+  const vapid = generateVapidKeys();
+  const proc = await startServer(port, {
+    VAPID_PUBLIC_KEY: vapid.publicKey,
+    VAPID_PRIVATE_KEY: vapid.privateKey,
+    CRON_SECRET: 'cron-secret',
+    NOTIFY_INTERVAL_MS: '0',
+  });
+  t.after(() => {
+    proc.kill('SIGTERM');
+  });
+
+  const page = await fetch(`${base}/settings/notifications`);
+  const html = await page.text();
+  assert.equal(page.status, 200);
+  assert.ok(html.includes(vapid.publicKey));
+  const csrf = html.match(/name="csrf-token" content="([a-f0-9]{64})"/)?.[1];
+  const cookie = cookieHeaderFromSetCookie(parseSetCookies(page.headers));
+  const post = (path, body) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-api-key': 'testkey', 'x-csrf-token': csrf, cookie, accept: 'application/json' },
+    body: JSON.stringify(body),
+    redirect: 'manual',
+  });
+
+  // Nothing listens on port 1: delivery fails fast without leaving the machine
+  const endpoint = `https://127.0.0.1:1/push/${Date.now()}`;
+  const keys = { p256dh: generateVapidKeys().publicKey, auth: 'AAECAwQFBgcICQoLDA0ODw' };
+  assert.equal((await post('/settings/notifications/subscribe', { endpoint, keys })).status, 201);
+  assert.equal((await post('/settings/notifications/subscribe', { endpoint: 'http://insecure.example/x', keys })).status, 400);
+
+  const saved = await post('/settings/notifications/options', { overdue: 'on', hour: '0' });
+  assert.equal(saved.status, 302);
+  const after = await (await fetch(`${base}/settings/notifications`)).text();
+  assert.ok(after.includes('Dispositivos suscritos'));
+  assert.match(after, /name="overdue" class="mt-1" checked/);
+  assert.doesNotMatch(after, /name="today" class="mt-1" checked/);
+
+  assert.equal((await fetch(`${base}/cron/notifications`)).status, 401);
+  const cron = await fetch(`${base}/cron/notifications`, { headers: { authorization: 'Bearer cron-secret' } });
+  assert.equal(cron.status, 200);
+  assert.equal((await cron.json()).ok, true);
+
+  const removed = await post('/settings/notifications/unsubscribe', { endpoint });
+  assert.deepEqual(await removed.json(), { ok: true });
+  assert.ok(!(await (await fetch(`${base}/settings/notifications`)).text()).includes(endpoint));
+});
+
+test('cron/mail requires the cron secret and runs the trial reminders', async (t) => {
+  const port = 3492;
+  const base = `http://127.0.0.1:${port}`;
+  const outbox = await mkdtemp(path.join(tmpdir(), 'gtd-mail-outbox-'));
+  const proc = await startServer(port, { CRON_SECRET: 'cron-secret', MAIL_TRANSPORT: 'file', MAIL_OUTBOX_DIR: outbox, MAIL_INTERVAL_MS: '0' });
+  t.after(async () => {
+    proc.kill('SIGTERM');
+    await rm(outbox, { recursive: true, force: true });
+  });
+
+  assert.equal((await fetch(`${base}/cron/mail`)).status, 401);
+  assert.equal((await fetch(`${base}/cron/mail`, { headers: { authorization: 'Bearer wrong-secret' } })).status, 401);
+  const run = await fetch(`${base}/cron/mail`, { headers: { authorization: 'Bearer cron-secret' } });
+  assert.equal(run.status, 200);
+  // Local JSON storage has no billing rows
+  assert.deepEqual(await run.json(), { ok: true, checked: 0, sent: 0, skipped: 0, errors: 0 });
+
+  assert.equal((await fetch(`${base}/cron/trash`)).status, 401);
+  const purge = await fetch(`${base}/cron/trash`, { headers: { authorization: 'Bearer cron-secret' } });
+  assert.equal(purge.status, 200);
+  assert.equal((await purge.json()).errors, 0);
+});
+
+test('email digest: settings, preview, test send and cron endpoint', async (t) => {
+  const port = 3493;
+  const base = `http://127.0.0.1:${port}`;
+  const outbox = await mkdtemp(path.join(tmpdir(), 'gtd-digest-outbox-'));
+  const proc = await startServer(port, { CRON_SECRET: 'cron-secret', MAIL_TRANSPORT: 'file', MAIL_OUTBOX_DIR: outbox, DIGEST_INTERVAL_MS: '0' });
+  t.after(async () => {
+    proc.kill('SIGTERM');
+    await rm(outbox, { recursive: true, force: true });
+  });
+
+  const page = await fetch(`${base}/settings/digest`);
+  const html = await page.text();
+  assert.equal(page.status, 200);
+  assert.ok(html.includes('Resumen por correo'));
+  const csrf = html.match(/name="csrf-token" content="([a-f0-9]{64})"/)?.[1];
+  const cookie = cookieHeaderFromSetCookie(parseSetCookies(page.headers));
+  const post = (path, body) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-api-key': 'testkey', 'x-csrf-token': csrf, cookie },
+    body: JSON.stringify(body),
+    redirect: 'manual',
+  });
+
+  const invalid = await post('/settings/digest/options', { enabled: 'on', email: 'nope', timeZone: 'UTC' });
+  assert.match(invalid.headers.get('location'), /^\/settings\/digest\?error=/);
+  const saved = await post('/settings/digest/options', { enabled: 'on', email: 'ana@example.com', frequency: 'weekly', hour: '6', weekday: '5', timeZone: 'America/Bogota' });
+  assert.equal(saved.headers.get('location'), '/settings/digest?success=1');
+  const after = await (await fetch(`${base}/settings/digest`)).text();
+  assert.match(after, /value="ana@example\.com"/);
+  assert.match(after, /value="America\/Bogota"/);
+  assert.match(after, /<option value="weekly" selected>/);
+
+  const preview = await fetch(`${base}/settings/digest/preview`);
+  assert.equal(preview.status, 200);
+  assert.match(preview.headers.get('content-security-policy'), /^default-src 'none'/);
+  assert.ok((await preview.text()).includes('Tu semana en GTD Neto'));
+
+  const sent = await post('/settings/digest/test', {});
+  assert.equal(sent.headers.get('location'), '/settings/digest?sent=1');
+  assert.equal((await readdir(outbox)).filter(f => f.endsWith('.eml')).length, 1);
+
+  assert.equal((await fetch(`${base}/cron/digest`)).status, 401);
+  const cron = await fetch(`${base}/cron/digest`, { headers: { authorization: 'Bearer cron-secret' } });
+  assert.equal(cron.status, 200);
+  assert.equal((await cron.json()).ok, true);
+});
+
+test('email capture: secret address, inbound webhook formats and dedup', async (t) => {
+  const port = 3494;
+  const base = `http://127.0.0.1:${port}`;
+  const proc = await startServer(port, { INBOUND_MAIL_SECRET: 'inbound-secret', INBOUND_MAIL_DOMAIN: 'in.example.com' });
+  t.after(() => {
+    proc.kill('SIGTERM');
+  });
+
+  const page = await fetch(`${base}/settings/capture-email`);
+  const html = await page.text();
+  assert.equal(page.status, 200);
+  const csrf = html.match(/name="csrf-token" content="([a-f0-9]{64})"/)?.[1];
+  const cookie = cookieHeaderFromSetCookie(parseSetCookies(page.headers));
+  const created = await fetch(`${base}/settings/capture-email/create`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-api-key': 'testkey', 'x-csrf-token': csrf, cookie },
+    body: '{}',
+  });
+  const address = (await created.text()).match(/gtdin-[a-f0-9]{32}@in\.example\.com/)?.[0];
+  assert.ok(address);
+
+  const inbound = (body, contentType, headers = { authorization: 'Bearer inbound-secret' }) => fetch(`${base}/inbound/mail`, {
+    method: 'POST',
+    headers: { 'content-type': contentType, ...headers },
+    body,
+  });
+  const raw = [
+    'From: Ana <ana@example.com>',
+    `To: ${address}`,
+    `Subject: Llamar al banco ${Date.now()} #finanzas`,
+    `Message-ID: <${Date.now()}@example.com>`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    'Preguntar por la hipoteca.',
+  ].join('\r\n');
+
+  assert.equal((await inbound(raw, 'message/rfc822', {})).status, 401);
+  const first = await inbound(raw, 'message/rfc822');
+  assert.equal(first.status, 201);
+  const { id } = await first.json();
+  const retried = await inbound(raw, 'message/rfc822');
+  assert.deepEqual(await retried.json(), { ok: true, id, deduped: true });
+
+  const item = (await (await fetch(`${base}/api/v1/items/${id}`, { headers: { 'x-api-key': 'testkey' } })).json()).item;
+  assert.equal(item.list, 'collect');
+  assert.match(item.title, /^Llamar al banco \d+$/);
+  assert.deepEqual(item.tags, ['finanzas']);
+  assert.match(item.notes, /^Preguntar por la hipoteca\.\n\nRecibido por correo de Ana \(ana@example\.com\)$/);
+
+  // Postmark-style JSON, secret as basic auth in the webhook URL
+  const postmark = await inbound(JSON.stringify({
+    From: 'ana@example.com',
+    To: address,
+    Subject: `Factura ${Date.now()}`,
+    TextBody: 'Adjunta',
+    Attachments: [{ Name: 'factura.pdf', ContentType: 'application/pdf', ContentLength: 2048 }],
+  }), 'application/json', { authorization: `Basic ${Buffer.from('inbound:inbound-secret').toString('base64')}` });
+  assert.equal(postmark.status, 201);
+  const withAttachment = (await (await fetch(`${base}/api/v1/items/${(await postmark.json()).id}`, { headers: { 'x-api-key': 'testkey' } })).json()).item;
+  assert.match(withAttachment.notes, /Adjuntos:\n- factura\.pdf \(2 KB\)/);
+
+  const unknown = await inbound(raw.replace(/gtdin-[a-f0-9]{32}/, `gtdin-${'0'.repeat(32)}`).replace(/Message-ID: <\d+/, 'Message-ID: <other'), 'message/rfc822');
+  assert.equal(unknown.status, 404);
 });
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { newItem, updateItem } from '../lib/store.js';
+import { appendItemHistory, describeHistoryEntry, stampHistoryActor } from '../lib/item-history.js';
+
+function legacyItem(patch = {}) {
+  return {
+    id: 'legacy1',
+    input: 'Llamar a Juan',
+    title: 'Llamar a Juan',
+    list: 'collect',
+    status: 'unprocessed',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    ...patch,
+  };
+}
+
+test('newItem placement is folded into the created entry', () => {
+  const item = updateItem(newItem({ input: 'Comprar pan' }), { title: 'Comprar pan', list: 'collect', urgency: 3 });
+  assert.equal(item.history.length, 1);
+  assert.equal(item.history[0].type, 'created');
+  assert.equal(item.history[0].list, 'collect');
+  assert.ok(item.movedToListAt);
+});
+
+test('updateItem records list moves and sets movedToListAt', () => {
+  const moved = updateItem(legacyItem(), { list: 'delegar', status: 'processed', delegatedTo: 'Ana' });
+  assert.deepEqual(moved.history.map(e => e.type), ['move', 'edit']);
+  assert.equal(moved.history[0].from, 'collect');
+  assert.equal(moved.history[0].to, 'delegar');
+  assert.deepEqual(moved.history[1].changes, [{ field: 'delegatedTo', from: null, to: 'Ana' }]);
+  assert.equal(moved.movedToListAt, moved.updatedAt);
+});
+
+test('updateItem records status changes and ignores no-op patches', () => {
+  const item = legacyItem({ list: 'hacer', status: 'processed', urgency: 3 });
+  const same = updateItem(item, { urgency: 3 });
+  assert.equal(same.history, undefined);
+
+  const done = updateItem(item, { status: 'done', completedAt: '2026-01-02T00:00:00.000Z' });
+  assert.deepEqual(done.history.map(e => [e.type, e.from, e.to]), [['status', 'processed', 'done']]);
+  assert.equal(done.movedToListAt, undefined);
+});
+
+test('updateItem records subtask sends', () => {
+  const project = legacyItem({ list: 'desglosar', subtasks: [{ id: 's1', text: 'Pedir presupuesto', status: 'open' }] });
+  const next = updateItem(project, {
+    subtasks: [{ id: 's1', text: 'Pedir presupuesto', status: 'sent', sentTo: 'hacer', sentItemId: 'x1' }],
+  });
+  assert.equal(next.history.length, 1);
+  assert.equal(next.history[0].action, 'sent');
+  assert.equal(next.history[0].to, 'hacer');
+  assert.equal(describeHistoryEntry(next.history[0]), 'Subtarea enviada a Hacer: Pedir presupuesto');
+});
+
+test('stampHistoryActor only fills entries appended since the last save', () => {
+  const first = stampHistoryActor(updateItem(legacyItem(), { list: 'hacer' }), 'ana@example.com');
+  const second = stampHistoryActor(updateItem(first, { title: 'Llamar a Juan hoy' }), 'api');
+  assert.deepEqual(second.history.map(e => e.by), ['ana@example.com', 'api']);
+});
+
+test('appendItemHistory caps the history length', () => {
+  const history = Array.from({ length: 200 }, (_, i) => ({ at: '2026-01-01T00:00:00.000Z', by: null, type: 'status', from: String(i), to: String(i + 1) }));
+  const { history: next } = appendItemHistory(legacyItem({ history }), legacyItem({ history, list: 'hacer' }), new Date().toISOString());
+  assert.equal(next.length, 200);
+  assert.equal(next[next.length - 1].type, 'move');
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { VersionConflictError, assertItemVersion, itemVersion } from '../lib/item-version.js';
+import { readExpectedVersion, RequestValidationError } from '../src/validators/request-validators.js';
+import { buildConflictFields, versionConflictBody } from '../src/services/conflict-service.js';
+
+// store.js reads DB_PATH when loaded: point it to a temp file first
+const dir = await mkdtemp(path.join(tmpdir(), 'gtd-version-test-'));
+process.env.DB_PATH = path.join(dir, 'db.json');
+const { newItem, updateItem, saveItem, loadItemById } = await import('../lib/store.js');
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+function fakeReq({ body, ifMatch } = {}) {
+  return { body, get: name => (name === 'if-match' ? ifMatch : undefined) };
+}
+
+test('new items start at version 1 and every update bumps it', () => {
+  const item = newItem({ input: 'Plan' });
+  assert.equal(item.version, 1);
+  const next = updateItem(updateItem(item, { title: 'Plan A' }), { title: 'Plan B' });
+  assert.equal(next.version, 3);
+  assert.equal(itemVersion({ id: 'legacy' }), 0);
+  assert.equal(updateItem({ id: 'legacy' }, { title: 'x' }).version, 1);
+});
+
+test('assertItemVersion only checks when the client sent a version', () => {
+  const current = { id: 'a', version: 4 };
+  assert.doesNotThrow(() => assertItemVersion(current, null));
+  assert.doesNotThrow(() => assertItemVersion(current, 4));
+  assert.throws(() => assertItemVersion(current, 3), err => err instanceof VersionConflictError && err.current === current && err.status === 409);
+});
+
+test('readExpectedVersion takes the form field or If-Match', () => {
+  assert.equal(readExpectedVersion(fakeReq()), null);
+  assert.equal(readExpectedVersion(fakeReq({ body: { version: '7' } })), 7);
+  assert.equal(readExpectedVersion(fakeReq({ ifMatch: 'W/"5"' })), 5);
+  assert.equal(readExpectedVersion(fakeReq({ body: { version: 2 }, ifMatch: '"9"' })), 2);
+  assert.throws(() => readExpectedVersion(fakeReq({ body: { version: 'abc' } })), RequestValidationError);
+});
+
+test('saveItem refuses to overwrite a newer stored version', async () => {
+  const item = newItem({ input: 'Proyecto compartido' });
+  await saveItem(item);
+  const tabA = updateItem(item, { title: 'Desde la pestaña A' });
+  await saveItem(tabA, { expectedVersion: itemVersion(item) });
+
+  const tabB = updateItem(item, { title: 'Desde la pestaña B' });
+  await assert.rejects(saveItem(tabB, { expectedVersion: itemVersion(item) }), VersionConflictError);
+  assert.equal((await loadItemById(item.id)).title, 'Desde la pestaña A');
+});
+
+test('buildConflictFields pairs submitted fields with the current values', () => {
+  const current = { id: 'p1', title: 'Mudanza &amp; cajas', objective: 'Todo listo', subtasks: [], version: 6 };
+  const { fields, extras } = buildConflictFields({ _csrf: 't', version: '5', title: 'Mudanza', objective: 'Todo listo', subtask: 'Etiquetar' }, current);
+  assert.deepEqual(fields.map(f => [f.name, f.mine, f.theirs, f.differs]), [
+    ['title', 'Mudanza', 'Mudanza & cajas', true],
+    ['objective', 'Todo listo', 'Todo listo', false],
+  ]);
+  assert.deepEqual(extras.map(e => [e.name, e.values]), [['subtask', ['Etiquetar']]]);
+  assert.equal(versionConflictBody(current).currentVersion, 6);
+});
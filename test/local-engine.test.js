@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { createLocalCollection } from '../lib/local-engine.js';
+
+const dir = await mkdtemp(path.join(tmpdir(), 'gtd-engine-test-'));
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+let counter = 0;
+function collection(options = {}) {
+  const file = path.join(dir, `db-${++counter}.json`);
+  return { file, items: createLocalCollection(file, { field: 'items', keyOf: i => i.id, ...options }) };
+}
+
+async function logLines(items) {
+  const raw = await readFile(items.logPath, 'utf8').catch(() => '');
+  return raw.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('existing db.json is read as is and changes go to the log, not the snapshot', async () => {
+  const { file, items } = collection();
+  const snapshot = JSON.stringify({ version: 1, items: [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }] }, null, 2) + '\n';
+  await writeFile(file, snapshot);
+
+  const { records } = await items.read();
+  assert.deepEqual(records.map(i => i.id), ['a', 'b']);
+
+  await items.put({ id: 'c', title: 'C' });
+  await items.put({ id: 'a', title: 'A2' });
+  assert.equal(await readFile(file, 'utf8'), snapshot);
+  assert.deepEqual((await logLines(items)).map(op => op.record.id), ['c', 'a']);
+  assert.deepEqual((await items.read()).records.map(i => `${i.id}:${i.title}`), ['c:C', 'a:A2', 'b:B']);
+});
+
+test('write only touches what changed since the caller read, so parallel saves keep each other', async () => {
+  const { items } = collection();
+  await items.write([{ id: 'a', n: 0 }, { id: 'b', n: 0 }, { id: 'c', n: 0 }]);
+
+  const first = await items.read();
+  const second = await items.read();
+  const bump = (loaded, id) => loaded.records.map(i => (i.id === id ? { ...i, n: 1 } : i));
+  await Promise.all([
+    items.write(bump(first, 'a'), { baseline: first.baseline }),
+    items.write(bump(second, 'b').filter(i => i.id !== 'c'), { baseline: second.baseline }),
+  ]);
+
+  const { records } = await items.read();
+  assert.deepEqual(records.map(i => `${i.id}:${i.n}`).sort(), ['a:1', 'b:1']);
+  assert.equal((await logLines(items)).length, 3 + 3);
+});
+
+test('guards run under the write lock: only one of two racing saves wins', async () => {
+  const { items } = collection();
+  await items.put({ id: 'a', version: 1 });
+
+  const save = version => items.put({ id: 'a', version: version + 1 }, {
+    guard: current => {
+      if (current.version !== version) throw new Error('conflict');
+    },
+  });
+  const results = await Promise.allSettled([save(1), save(1)]);
+  assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+
+  await items.remove('a', { guard: current => current.version === 99 });
+  assert.equal((await items.read()).records.length, 1);
+});
+
+test('the log is folded into the snapshot after compactAfter changes', async () => {
+  const { file, items } = collection({ compactAfter: 3 });
+  await items.put({ id: 'a' });
+  await items.put({ id: 'b' });
+  assert.equal((await logLines(items)).length, 2);
+
+  await items.remove('a');
+  assert.deepEqual(await logLines(items), []);
+  const snapshot = JSON.parse(await readFile(file, 'utf8'));
+  assert.deepEqual(snapshot.items.map(i => i.id), ['b']);
+});
+
+test('a second instance on the same files sees appends and compactions', async () => {
+  const { file, items } = collection({ compactAfter: 2 });
+  const other = createLocalCollection(file, { field: 'items', keyOf: i => i.id });
+
+  await items.put({ id: 'a' });
+  assert.deepEqual((await other.read()).records.map(i => i.id), ['a']);
+  await items.put({ id: 'b' }); // compacts
+  await other.put({ id: 'c' });
+  assert.deepEqual((await items.read()).records.map(i => i.id), ['c', 'b', 'a']);
+});
+
+test('a half-written last line is ignored until it is complete', async () => {
+  const { items } = collection();
+  await items.put({ id: 'a' });
+  await writeFile(items.logPath, `${await readFile(items.logPath, 'utf8')}{"op":"put","rec`);
+  assert.deepEqual((await items.read()).records.map(i => i.id), ['a']);
+});
@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  addressOf,
+  buildMimeMessage,
+  htmlToText,
+  isEmailAddress,
+  mailSubject,
+  recordMailSent,
+  trialsEndingSoon,
+} from '../src/services/mail-service.js';
+
+const NOW = new Date('2024-03-13T09:00:00.000Z');
+
+function mimeParts(raw) {
+  const boundary = raw.match(/boundary="([^"]+)"/)[1];
+  return raw.split(`--${boundary}`).slice(1, -1).map((part) => {
+    const [head, body] = part.split('\r\n\r\n');
+    return { type: head.match(/Content-Type: ([^;]+)/)[1], body: Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString() };
+  });
+}
+
+test('mailSubject uses the template subject and rejects unknown templates', () => {
+  assert.equal(mailSubject('trialEnding', { daysLeft: 1 }), 'Tu prueba de GTD Neto termina en 1 día');
+  assert.equal(mailSubject('trialEnding', { daysLeft: 3 }), 'Tu prueba de GTD Neto termina en 3 días');
+  assert.throws(() => mailSubject('nope'), /Unknown mail template/);
+});
+
+test('addresses are validated and extracted from display names', () => {
+  assert.equal(addressOf('GTD Neto <no-reply@example.com>'), 'no-reply@example.com');
+  assert.equal(addressOf('ana@example.com'), 'ana@example.com');
+  assert.ok(isEmailAddress('ana@example.com'));
+  assert.ok(!isEmailAddress('ana@example'));
+  assert.ok(!isEmailAddress('ana@example.com, bob@example.com'));
+});
+
+test('htmlToText keeps links and list items readable', () => {
+  const text = htmlToText('<p>Hola &amp; bienvenido</p><ul><li>Uno</li><li>Dos</li></ul><p><a href="https://app.example/pricing">Ver planes</a></p>');
+  assert.equal(text, 'Hola & bienvenido\n\n- Uno\n- Dos\n\nVer planes (https://app.example/pricing)');
+});
+
+test('buildMimeMessage encodes headers and both alternatives', () => {
+  const raw = buildMimeMessage({
+    from: 'GTD Neto <no-reply@example.com>',
+    to: 'ana@example.com',
+    subject: 'Tu prueba termina en 3 días',
+    html: '<p>Línea</p>',
+    text: 'Línea',
+    headers: { 'X-GTD-Template': 'trialEnding\r\nBcc: evil@example.com' },
+    date: NOW,
+  });
+  assert.match(raw, /^From: GTD Neto <no-reply@example\.com>\r\n/);
+  assert.match(raw, /\r\nSubject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=\r\n/);
+  assert.match(raw, /\r\nMessage-ID: <[a-f0-9]{32}@example\.com>\r\n/);
+  assert.match(raw, /\r\nX-GTD-Template: trialEnding Bcc: evil@example\.com\r\n/);
+  assert.doesNotMatch(raw, /\r\nBcc:/);
+  assert.deepEqual(mimeParts(raw), [
+    { type: 'text/plain', body: 'Línea' },
+    { type: 'text/html', body: '<p>Línea</p>' },
+  ]);
+});
+
+test('trialsEndingSoon picks trials ending in the next 3 days, one key per end date', () => {
+  const rows = [
+    { user_id: 'u1', status: 'trialing', trial_ends_at: '2024-03-15T12:00:00.000Z' },
+    { user_id: 'u2', status: 'trialing', trial_ends_at: '2024-03-20T12:00:00.000Z' },
+    { user_id: 'u3', status: 'trialing', trial_ends_at: '2024-03-12T12:00:00.000Z' },
+    { user_id: 'u4', status: 'active', trial_ends_at: '2024-03-14T12:00:00.000Z' },
+  ];
+  assert.deepEqual(trialsEndingSoon(rows, { now: NOW }), [
+    { userId: 'u1', trialEndsAt: '2024-03-15T12:00:00.000Z', daysLeft: 3, dedupeKey: 'trialEnding:2024-03-15' },
+  ]);
+});
+
+test('recordMailSent keeps the newest entries first and caps the log', () => {
+  const sent = recordMailSent({ welcome: '2024-01-01T00:00:00.000Z' }, 'paymentFailed:in_1', { now: NOW });
+  assert.deepEqual(Object.keys(sent), ['paymentFailed:in_1', 'welcome']);
+
+  const many = Object.fromEntries(Array.from({ length: 250 }, (_, i) => [`k${i}`, new Date(2024, 0, 1, 0, i).toISOString()]));
+  const capped = recordMailSent(many, 'new', { now: NOW });
+  assert.equal(Object.keys(capped).length, 200);
+  assert.ok(capped.new && capped.k249 && !capped.k0);
+});
@@ -0,0 +1,137 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import {
+  createFileTransport,
+  createHttpTransport,
+  createSmtpTransport,
+  resolveMailTransportName,
+} from '../lib/mail-transports.js';
+
+const MESSAGE = {
+  from: 'GTD Neto <no-reply@example.com>',
+  to: 'ana@example.com',
+  subject: 'Hola',
+  html: '<p>Hola</p>\n<p>.punto al inicio</p>',
+  text: 'Hola\n.punto al inicio',
+};
+
+// Scripted SMTP server: records commands and the DATA payload
+function startFakeSmtp({ authRequired = true, rejectRecipient = false } = {}) {
+  const session = { commands: [], data: '' };
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 fake ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let idx;
+      while ((idx = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 2.0.0 queued as ABC123\r\n');
+          } else {
+            session.data += `${line}\r\n`;
+          }
+          continue;
+        }
+        session.commands.push(line);
+        if (line.startsWith('EHLO')) socket.write(`250-fake\r\n250-SIZE 1000000\r\n${authRequired ? '250-AUTH PLAIN\r\n' : ''}250 8BITMIME\r\n`);
+        else if (line.startsWith('AUTH PLAIN')) socket.write('235 ok\r\n');
+        else if (line.startsWith('RCPT TO') && rejectRecipient) socket.write('550 5.1.1 no such user\r\n');
+        else if (line.startsWith('MAIL FROM') || line.startsWith('RCPT TO')) socket.write('250 ok\r\n');
+        else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go\r\n');
+        } else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('502 unknown\r\n');
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, session, port: server.address().port })));
+}
+
+test('resolveMailTransportName prefers explicit, then configured, then file outside production', () => {
+  assert.equal(resolveMailTransportName({ MAIL_TRANSPORT: 'SMTP' }), 'smtp');
+  assert.equal(resolveMailTransportName({ RESEND_API_KEY: 're_x' }), 'http');
+  assert.equal(resolveMailTransportName({ SMTP_HOST: 'mail.example.com' }), 'smtp');
+  assert.equal(resolveMailTransportName({}), 'file');
+  assert.equal(resolveMailTransportName({ NODE_ENV: 'production' }), 'none');
+  assert.throws(() => resolveMailTransportName({ MAIL_TRANSPORT: 'pigeon' }), /Unknown MAIL_TRANSPORT/);
+});
+
+test('file transport writes the .eml and a JSON copy', async (t) => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'gtd-mail-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+
+  const { id } = await createFileTransport({ dir }).send(MESSAGE);
+  assert.deepEqual((await readdir(dir)).sort(), [`${id}.eml`, `${id}.json`]);
+  assert.match(await readFile(path.join(dir, `${id}.eml`), 'utf8'), /\r\nTo: ana@example\.com\r\n/);
+  assert.equal(JSON.parse(await readFile(path.join(dir, `${id}.json`), 'utf8')).subject, 'Hola');
+});
+
+test('http transport posts the Resend payload and surfaces provider errors', async () => {
+  const calls = [];
+  const ok = createHttpTransport({
+    url: 'https://mail.example/emails',
+    apiKey: 're_test',
+    fetchImpl: async (url, init) => {
+      calls.push({ url, init });
+      return { ok: true, status: 200, json: async () => ({ id: 'msg_1' }) };
+    },
+  });
+  assert.deepEqual(await ok.send(MESSAGE), { id: 'msg_1' });
+  assert.equal(calls[0].init.headers.Authorization, 'Bearer re_test');
+  assert.deepEqual(JSON.parse(calls[0].init.body).to, ['ana@example.com']);
+
+  const failing = createHttpTransport({
+    url: 'https://mail.example/emails',
+    apiKey: 're_test',
+    fetchImpl: async () => ({ ok: false, status: 422, json: async () => ({ message: 'Invalid from' }) }),
+  });
+  await assert.rejects(failing.send(MESSAGE), /Mail provider answered 422: Invalid from/);
+});
+
+test('smtp transport authenticates and sends the MIME message', async (t) => {
+  const { server, session, port } = await startFakeSmtp();
+  t.after(() => server.close());
+
+  // The fake server has no TLS: plain AUTH only with the explicit opt-out
+  const transport = createSmtpTransport({ host: '127.0.0.1', port, user: 'ana', pass: 's3cret', allowInsecureAuth: true, clientName: 'test.local' });
+  const { id } = await transport.send(MESSAGE);
+  assert.equal(id, '2.0.0 queued as ABC123');
+  assert.deepEqual(session.commands, [
+    'EHLO test.local',
+    `AUTH PLAIN ${Buffer.from('\0ana\0s3cret').toString('base64')}`,
+    'MAIL FROM:<no-reply@example.com>',
+    'RCPT TO:<ana@example.com>',
+    'DATA',
+    'QUIT',
+  ]);
+  assert.match(session.data, /^From: GTD Neto <no-reply@example\.com>\r\n/);
+  assert.match(session.data, /Content-Type: multipart\/alternative/);
+});
+
+test('smtp transport does not send credentials when the server offers no STARTTLS', async (t) => {
+  const { server, session, port } = await startFakeSmtp();
+  t.after(() => server.close());
+
+  const transport = createSmtpTransport({ host: '127.0.0.1', port, user: 'ana', pass: 's3cret', clientName: 'test.local' });
+  await assert.rejects(transport.send(MESSAGE), /did not offer STARTTLS/);
+  assert.deepEqual(session.commands, ['EHLO test.local']);
+});
+
+test('smtp transport rejects on an error reply', async (t) => {
+  const { server, session, port } = await startFakeSmtp({ rejectRecipient: true });
+  t.after(() => server.close());
+  const transport = createSmtpTransport({ host: '127.0.0.1', port, clientName: 'test.local' });
+  await assert.rejects(transport.send(MESSAGE), /SMTP 550: 5\.1\.1 no such user/);
+  assert.ok(!session.commands.includes('DATA'));
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { renderMail, sendMail } from '../lib/mailer.js';
+import { MAIL_TEMPLATES } from '../src/services/mail-service.js';
+
+function recordingTransport() {
+  const sent = [];
+  return { sent, name: 'test', async send(message) { sent.push(message); return { id: `m${sent.length}` }; } };
+}
+
+const SAMPLE_DATA = {
+  welcome: {},
+  trialEnding: { daysLeft: 3, trialEndsOn: 'viernes, 15 de marzo' },
+  paymentFailed: { amount: '5,00 US$', nextAttemptOn: 'lunes, 18 de marzo', invoiceUrl: 'https://invoice.stripe.com/i/1' },
+  subscriptionCanceled: {},
+  digest: {
+    frequency: 'daily',
+    dateLabel: 'lunes, 11 de marzo',
+    scheduledToday: [{ title: 'Dentista' }],
+    overdue: [{ title: 'Pagar IVA', daysFromToday: -3 }],
+    upcoming: [],
+    focus: [{ title: 'Informe', priorityScore: 25, estimateMin: 60 }],
+    followUps: [{ title: 'Presupuesto', delegatedTo: 'Luis', daysWaiting: 4 }],
+    collectCount: 2,
+    daysSinceReview: 9,
+    reviewOverdue: true,
+  },
+};
+
+test('renderMail renders every template inside the layout with a text alternative', async () => {
+  for (const template of Object.keys(MAIL_TEMPLATES)) {
+    const mail = await renderMail(template, SAMPLE_DATA[template], { appUrl: 'https://app.example' });
+    assert.ok(mail.subject, template);
+    assert.match(mail.html, /<!doctype html>/, template);
+    assert.ok(mail.html.includes('https://app.example'), template);
+    assert.ok(mail.text.length > 20 && !/<[a-z]/.test(mail.text), template);
+  }
+  const failed = await renderMail('paymentFailed', SAMPLE_DATA.paymentFailed, { appUrl: 'https://app.example' });
+  assert.match(failed.text, /\(5,00 US\$\)/);
+  assert.match(failed.text, /Actualizar método de pago \(https:\/\/app\.example\/billing\/portal\)/);
+  // Optional fields can be left out
+  assert.doesNotMatch((await renderMail('paymentFailed', {})).text, /undefined/);
+});
+
+test('sendMail sends a dedupeKey once per owner', async () => {
+  const transport = recordingTransport();
+  const owner = `mail-test-${Date.now()}`;
+  const options = { to: 'ana@example.com', owner, dedupeKey: 'paymentFailed:in_1', data: SAMPLE_DATA.paymentFailed, transport };
+
+  assert.deepEqual(await sendMail('paymentFailed', options), { sent: true, id: 'm1' });
+  assert.deepEqual(await sendMail('paymentFailed', options), { sent: false, reason: 'duplicate' });
+  assert.equal((await sendMail('paymentFailed', { ...options, dedupeKey: 'paymentFailed:in_2' })).sent, true);
+  assert.equal(transport.sent.length, 2);
+  assert.equal(transport.sent[0].to, 'ana@example.com');
+  assert.equal(transport.sent[0].headers['X-GTD-Template'], 'paymentFailed');
+});
+
+test('sendMail skips invalid addresses and disabled transports without sending', async () => {
+  const transport = recordingTransport();
+  assert.deepEqual(await sendMail('welcome', { to: 'not-an-email', owner: 'x', transport }), { sent: false, reason: 'invalid-address' });
+  assert.deepEqual(await sendMail('welcome', { to: 'ana@example.com', owner: 'x', transport: null }), { sent: false, reason: 'disabled' });
+  assert.equal(transport.sent.length, 0);
+});
@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { renderMarkdown } from '../src/services/markdown-service.js';
+
+test('renderMarkdown renders paragraphs, emphasis, code and lists', () => {
+  const html = renderMarkdown('# Plan\n**Importante**: revisar _hoy_ el `config`\n\n- uno\n- dos\n1. tres');
+  assert.equal(html, [
+    '<h3 class="font-semibold">Plan</h3>',
+    '<p><strong>Importante</strong>: revisar <em>hoy</em> el <code class="px-1 rounded bg-slate-100 text-[0.9em]">config</code></p>',
+    '<ul class="list-disc pl-5"><li>uno</li><li>dos</li></ul>',
+    '<ol class="list-decimal pl-5"><li>tres</li></ol>',
+  ].join('\n'));
+});
+
+test('renderMarkdown links only http(s) URLs and leaves their contents untouched', () => {
+  const html = renderMarkdown('Ver [doc](https://example.com/a_b_c?x=1&amp;y=2) y https://example.com/_x_.');
+  assert.match(html, /<a href="https:\/\/example\.com\/a_b_c\?x=1&amp;y=2" target="_blank" rel="noopener noreferrer"[^>]*>doc<\/a>/);
+  assert.match(html, /<a href="https:\/\/example\.com\/_x_"[^>]*>https:\/\/example\.com\/_x_<\/a>\.<\/p>$/);
+  assert.equal(renderMarkdown('[x](javascript:alert(1))'), '<p>[x](javascript:alert(1))</p>');
+});
+
+test('renderMarkdown escapes markup but keeps entities from sanitizeInput', () => {
+  assert.equal(renderMarkdown('<img src=x onerror=alert(1)>'), '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+  assert.equal(renderMarkdown('Tom &amp; Jerry & co'), '<p>Tom &amp; Jerry &amp; co</p>');
+  assert.doesNotMatch(renderMarkdown('[x](https://e.com/"onmouseover=alert(1))'), /"onmouseover/);
+  assert.equal(renderMarkdown(''), '');
+});
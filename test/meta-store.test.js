@@ -29,7 +29,7 @@ async function withTempStore(fn) {
 // We test the local (non-Supabase) code path directly using a shared import with isolated file paths.
 // Because USE_SUPABASE is false (not set in test env), all tests use local JSON.
 
-const { loadMetaByKind, saveMetaRecord, loadFeatureFlags } = await (async () => {
+const { loadMetaByKind, saveMetaRecord, loadFeatureFlags, findMetaByPayloadField, loadUserPreferences, saveUserPreferences, loadUndoJournal, pushUndoEntry, removeUndoEntry, UNDO_JOURNAL_LIMIT } = await (async () => {
   const dir = await mkdtemp(path.join(tmpdir(), 'gtd-meta-main-'));
   process.env.META_PATH = path.join(dir, 'meta.json');
   process.env.DATA_DIR = dir;
@@ -80,3 +80,48 @@ test('loadFeatureFlags returns all-true defaults when no record exists', async (
   assert.equal(flags.custom_areas, true);
   assert.equal(flags.command_palette, true);
 });
+
+test('findMetaByPayloadField resolves the owner across users', async () => {
+  await saveMetaRecord({ id: 't1', tokenHash: 'hash-a' }, 'api_token', { owner: 'user-token-a' });
+  await saveMetaRecord({ id: 't2', tokenHash: 'hash-b' }, 'api_token', { owner: 'user-token-b' });
+
+  const match = await findMetaByPayloadField('api_token', 'tokenHash', 'hash-b');
+  assert.equal(match.owner, 'user-token-b');
+  assert.equal(match.record.id, 't2');
+
+  assert.equal(await findMetaByPayloadField('api_token', 'tokenHash', 'missing'), null);
+  assert.equal(await findMetaByPayloadField('context', 'tokenHash', 'hash-a'), null);
+});
+
+test('saveUserPreferences merges into a single record per owner', async () => {
+  const owner = 'user-prefs';
+  assert.deepEqual(await loadUserPreferences({ owner }), {});
+
+  await saveUserPreferences({ dailyAvailableMin: 180 }, { owner });
+  await saveUserPreferences({ other: true }, { owner });
+
+  const records = await loadMetaByKind('preferences', { owner });
+  assert.equal(records.length, 1);
+  const prefs = await loadUserPreferences({ owner });
+  assert.equal(prefs.dailyAvailableMin, 180);
+  assert.equal(prefs.other, true);
+  assert.deepEqual(await loadUserPreferences({ owner: 'user-prefs-other' }), {});
+});
+
+test('undo journal keeps the latest entries per owner, newest first', async () => {
+  const owner = 'user-undo';
+  for (let i = 0; i < UNDO_JOURNAL_LIMIT + 3; i += 1) {
+    await pushUndoEntry({ id: `u${i}`, action: 'delete', items: [], createdIds: [] }, { owner });
+  }
+
+  const journal = await loadUndoJournal({ owner });
+  assert.equal(journal.length, UNDO_JOURNAL_LIMIT);
+  assert.equal(journal[0].id, `u${UNDO_JOURNAL_LIMIT + 2}`);
+  assert.equal((await loadMetaByKind('undo', { owner })).length, 1);
+
+  const removed = await removeUndoEntry(journal[0].id, { owner });
+  assert.equal(removed.id, journal[0].id);
+  assert.equal(await removeUndoEntry(journal[0].id, { owner }), null);
+  assert.equal((await loadUndoJournal({ owner })).length, UNDO_JOURNAL_LIMIT - 1);
+  assert.deepEqual(await loadUndoJournal({ owner: 'user-undo-other' }), []);
+});
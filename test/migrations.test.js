@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SCHEMA_VERSION, upgradeItem, upgradeMeta } from '../lib/migrations.js';
+import { SCHEMA_META_KIND, ensureOwnerMigrated, migrateOwner } from '../lib/migration-runner.js';
+import { createMemoryAdapter } from '../lib/adapters/index.js';
+import { validateAndNormalizeImportPayload } from '../src/validators/import-payload.js';
+
+const legacy = (id, list, extra = {}) => ({ id, input: id, list, status: 'processed', version: 3, createdAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-01-01T00:00:00.000Z', ...extra });
+
+test('upgradeItem maps legacy lists and stamps the schema version', () => {
+  const { item, changed } = upgradeItem(legacy('a', 'next', { trashedFrom: { list: 'waiting', status: 'processed' } }));
+  assert.equal(changed, true);
+  assert.equal(item.list, 'hacer');
+  assert.equal(item.trashedFrom.list, 'delegar');
+  assert.equal(item.payloadSchema, SCHEMA_VERSION);
+  assert.equal(item.version, 3);
+  assert.equal(item.updatedAt, '2025-01-01T00:00:00.000Z');
+
+  const again = upgradeItem(item);
+  assert.equal(again.changed, false);
+  assert.equal(again.item, item);
+
+  const current = upgradeItem(legacy('b', 'hacer'));
+  assert.equal(current.changed, false);
+  assert.equal(current.item.payloadSchema, SCHEMA_VERSION);
+});
+
+test('upgradeMeta fills weekly review defaults and only stamps other kinds', () => {
+  const review = upgradeMeta('weekly_review', { id: 'r1', startedAt: '2025-01-01T00:00:00.000Z' });
+  assert.equal(review.changed, true);
+  assert.deepEqual(review.payload.steps, {});
+  assert.equal(review.payload.currentStep, 1);
+  assert.equal(review.payload.schemaVersion, 1);
+
+  const context = upgradeMeta('context', { id: 'c1', name: '@casa' });
+  assert.equal(context.changed, false);
+  assert.equal(context.payload.payloadSchema, SCHEMA_VERSION);
+});
+
+test('migrateOwner rewrites what changed and records the applied migrations', async () => {
+  const adapter = createMemoryAdapter();
+  const now = new Date('2026-03-01T10:00:00.000Z');
+  for (const it of [legacy('a1', 'inbox'), legacy('a2', 'projects'), legacy('a3', 'hacer')]) await adapter.items.save('ana', it);
+  await adapter.meta.save('ana', 'weekly_review', { id: 'r1' });
+
+  const dry = await migrateOwner('ana', { adapter, dryRun: true, now });
+  assert.deepEqual({ items: dry.items, meta: dry.meta }, { items: 2, meta: 1 });
+  assert.equal((await adapter.items.loadById('ana', 'a1')).list, 'inbox');
+
+  const report = await migrateOwner('ana', { adapter, now });
+  assert.deepEqual({ from: report.from, to: report.to, items: report.items, meta: report.meta }, { from: 0, to: SCHEMA_VERSION, items: 2, meta: 1 });
+  assert.equal((await adapter.items.loadById('ana', 'a1')).list, 'collect');
+  assert.equal((await adapter.items.loadById('ana', 'a2')).list, 'desglosar');
+  assert.equal((await adapter.items.loadById('ana', 'a2')).version, 3);
+  assert.equal((await adapter.meta.loadById('ana', 'r1')).currentStep, 1);
+
+  const [state] = await adapter.meta.loadByKind('ana', SCHEMA_META_KIND);
+  assert.equal(state.version, SCHEMA_VERSION);
+  assert.equal(state.migratedAt, now.toISOString());
+  assert.deepEqual(state.applied.map(m => m.name), ['legacy-lists', 'weekly-review-defaults']);
+
+  const rerun = await migrateOwner('ana', { adapter });
+  assert.deepEqual({ from: rerun.from, items: rerun.items, meta: rerun.meta }, { from: SCHEMA_VERSION, items: 0, meta: 0 });
+});
+
+test('ensureOwnerMigrated runs once per owner', async () => {
+  const adapter = createMemoryAdapter();
+  await adapter.items.save('luis', legacy('l1', 'calendar'));
+  await Promise.all([ensureOwnerMigrated('luis', { adapter }), ensureOwnerMigrated('luis', { adapter })]);
+  assert.equal((await adapter.items.loadById('luis', 'l1')).list, 'agendar');
+
+  await adapter.items.save('luis', legacy('l2', 'waiting'));
+  await ensureOwnerMigrated('luis', { adapter });
+  assert.equal((await adapter.items.loadById('luis', 'l2')).list, 'waiting'); // left for the read path
+  assert.equal(upgradeItem(await adapter.items.loadById('luis', 'l2')).item.list, 'delegar');
+});
+
+test('imports accept legacy lists and store them under the current ones', () => {
+  const [item] = validateAndNormalizeImportPayload({
+    items: [legacy('imp12345', 'reference', { status: 'unprocessed' })],
+  }, value => String(value || '').trim());
+  assert.equal(item.list, 'no-hacer');
+  assert.equal(item.payloadSchema, SCHEMA_VERSION);
+});
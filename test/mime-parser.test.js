@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  decodeEncodedWords,
+  parseAddressList,
+  parseFormData,
+  parseHeaderParams,
+  parseMimeMessage,
+} from '../src/services/mime-parser.js';
+
+const RAW = [
+  'From: =?UTF-8?Q?Jos=C3=A9_P=C3=A9rez?= <Jose@Example.com>',
+  'To: "Yo, mismo" <gtdin-0123456789abcdef0123456789abcdef@in.example.com>',
+  'Cc: luis@example.com',
+  'Subject: =?UTF-8?B?UmV1bmnDs24gY29u?=',
+  ' =?UTF-8?B?IGVsIGJhbmNv?=',
+  'Date: Mon, 11 Mar 2024 08:15:00 +0100',
+  'Message-ID: <abc123@example.com>',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="mixed"',
+  '',
+  '--mixed',
+  'Content-Type: multipart/alternative; boundary=alt',
+  '',
+  '--alt',
+  'Content-Type: text/plain; charset=iso-8859-1',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'Llevar el contrato firmado y la n=F3mina.=',
+  ' Gracias.',
+  '--alt',
+  'Content-Type: text/html; charset=utf-8',
+  '',
+  '<p>Llevar el contrato</p>',
+  '--alt--',
+  '--mixed',
+  'Content-Type: application/pdf; name="contrato.pdf"',
+  'Content-Disposition: attachment; filename*=UTF-8\'\'contrato%20firmado.pdf',
+  'Content-Transfer-Encoding: base64',
+  '',
+  Buffer.from('%PDF-1.4 fake').toString('base64'),
+  '--mixed--',
+  '',
+].join('\r\n');
+
+test('parseMimeMessage decodes headers, nested bodies and attachment metadata', () => {
+  const mail = parseMimeMessage(Buffer.from(RAW, 'latin1'));
+  assert.equal(mail.subject, 'Reunión con el banco');
+  assert.deepEqual(mail.from, { name: 'José Pérez', address: 'jose@example.com' });
+  assert.deepEqual(mail.to.map(a => a.address), ['gtdin-0123456789abcdef0123456789abcdef@in.example.com']);
+  assert.deepEqual(mail.cc.map(a => a.address), ['luis@example.com']);
+  assert.equal(mail.messageId, 'abc123@example.com');
+  assert.equal(mail.date.toISOString(), '2024-03-11T07:15:00.000Z');
+  assert.equal(mail.text, 'Llevar el contrato firmado y la nómina. Gracias.');
+  assert.equal(mail.html, '<p>Llevar el contrato</p>');
+  assert.deepEqual(mail.attachments, [{ filename: 'contrato firmado.pdf', contentType: 'application/pdf', size: 13 }]);
+});
+
+test('a message without MIME headers is plain text', () => {
+  const mail = parseMimeMessage('Subject: Hola\n\nUna línea\nOtra');
+  assert.equal(mail.subject, 'Hola');
+  assert.equal(mail.text, 'Una línea\nOtra');
+  assert.deepEqual(mail.attachments, []);
+});
+
+test('header helpers handle encoded words, parameters and address lists', () => {
+  assert.equal(decodeEncodedWords('=?iso-8859-1?Q?Caf=E9_con_leche?= listo'), 'Café con leche listo');
+  assert.deepEqual(parseHeaderParams('text/plain; charset="UTF-8"; format=flowed'), {
+    value: 'text/plain',
+    params: { charset: 'UTF-8', format: 'flowed' },
+  });
+  assert.equal(parseHeaderParams('attachment; filename*0="informe "; filename*1="anual.pdf"').params.filename, 'informe anual.pdf');
+  assert.deepEqual(parseAddressList('"Pérez, Luis" <luis@example.com>, ana@example.com, undisclosed-recipients:;').map(a => a.address), [
+    'luis@example.com',
+    'ana@example.com',
+  ]);
+});
+
+test('parseFormData separates fields from uploaded files', () => {
+  const body = [
+    '--form',
+    'Content-Disposition: form-data; name="subject"',
+    '',
+    'Comprar pilas',
+    '--form',
+    'Content-Disposition: form-data; name="attachment1"; filename="lista.txt"',
+    'Content-Type: text/plain',
+    '',
+    'AA, AAA',
+    '--form--',
+    '',
+  ].join('\r\n');
+  assert.deepEqual(parseFormData(Buffer.from(body), 'form'), {
+    fields: { subject: 'Comprar pilas' },
+    files: [{ field: 'attachment1', filename: 'lista.txt', contentType: 'text/plain', size: 7 }],
+  });
+});
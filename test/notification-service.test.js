@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  NOTIFICATION_TYPES,
+  normalizeNotificationPrefs,
+  planNotifications,
+  recordSent,
+} from '../src/services/notification-service.js';
+
+const NOW = new Date(2024, 2, 13, 9); // miércoles 2024-03-13 09:00
+const RECENT_REVIEW = [{ completedAt: new Date(2024, 2, 10, 18).toISOString() }];
+
+const ITEMS = [
+  { id: 'a1', list: 'agendar', title: 'Pagar luz', scheduledFor: '2024-03-13', status: 'processed' },
+  { id: 'a2', list: 'agendar', title: 'Llamar a Ana &amp; Luis', scheduledFor: '2024-03-13', status: 'processed' },
+  { id: 'a3', list: 'agendar', title: 'Renovar pasaporte', scheduledFor: '2024-03-01', status: 'processed' },
+  { id: 'a4', list: 'agendar', title: 'Hecho', scheduledFor: '2024-03-12', status: 'done' },
+  { id: 'd1', list: 'delegar', title: 'Presupuesto', delegatedTo: 'Marta', delegatedFor: '2024-03-12', status: 'processed' },
+  { id: 'd2', list: 'delegar', title: 'Más adelante', delegatedTo: 'Pedro', delegatedFor: '2024-03-20', status: 'processed' },
+];
+
+test('planNotifications groups today, overdue and follow-ups into one notification each', () => {
+  const due = planNotifications(ITEMS, { now: NOW, reviews: RECENT_REVIEW });
+  assert.deepEqual(due.map(n => n.key), ['today:2024-03-13', 'overdue:2024-03-13', 'followUp:2024-03-13']);
+
+  const [today, overdue, followUp] = due;
+  assert.equal(today.title, '📅 2 agendados para hoy');
+  assert.equal(today.body, 'Pagar luz · Llamar a Ana & Luis');
+  assert.equal(today.url, '/hoy');
+  assert.equal(today.tag, 'gtd-today');
+  assert.equal(overdue.title, '⏰ 1 ítem vencido');
+  assert.equal(overdue.body, 'Renovar pasaporte');
+  assert.equal(followUp.body, 'Marta: Presupuesto');
+  assert.equal(followUp.url, '/delegar');
+});
+
+test('planNotifications waits for the configured hour and skips what was already sent', () => {
+  assert.deepEqual(planNotifications(ITEMS, { now: new Date(2024, 2, 13, 7), reviews: RECENT_REVIEW }), []);
+  assert.equal(planNotifications(ITEMS, { now: new Date(2024, 2, 13, 7), prefs: { hour: 6 }, reviews: RECENT_REVIEW }).length, 3);
+
+  const sent = { 'today:2024-03-13': NOW.toISOString(), 'overdue:2024-03-13': NOW.toISOString() };
+  assert.deepEqual(planNotifications(ITEMS, { now: NOW, reviews: RECENT_REVIEW, sent }).map(n => n.type), ['followUp']);
+  // Next day the overdue reminder comes back
+  const tomorrow = new Date(2024, 2, 14, 9);
+  assert.ok(planNotifications(ITEMS, { now: tomorrow, reviews: RECENT_REVIEW, sent }).some(n => n.key === 'overdue:2024-03-14'));
+});
+
+test('planNotifications respects per-type preferences', () => {
+  const prefs = { today: false, overdue: 'on', followUp: false };
+  assert.deepEqual(planNotifications(ITEMS, { now: NOW, prefs, reviews: RECENT_REVIEW }).map(n => n.type), ['overdue']);
+});
+
+test('planNotifications reminds the weekly review once a week after 7 days', () => {
+  const old = [{ completedAt: new Date(2024, 2, 2, 10).toISOString() }];
+  const [review] = planNotifications([], { now: NOW, reviews: old });
+  assert.equal(review.key, 'weeklyReview:2024-03-11');
+  assert.equal(review.body, 'La última fue hace 10 días.');
+  assert.match(planNotifications([], { now: NOW }).at(0).body, /Aún no has hecho ninguna/);
+
+  assert.deepEqual(planNotifications([], { now: NOW, reviews: RECENT_REVIEW }), []);
+  const sent = { 'weeklyReview:2024-03-11': NOW.toISOString() };
+  assert.deepEqual(planNotifications([], { now: new Date(2024, 2, 16, 9), reviews: old, sent }), []);
+  assert.deepEqual(planNotifications([], { now: NOW, reviews: old, prefs: { weeklyReview: false } }), []);
+});
+
+test('normalizeNotificationPrefs fills defaults and validates the hour', () => {
+  const defaults = normalizeNotificationPrefs();
+  assert.deepEqual(Object.keys(NOTIFICATION_TYPES).map(t => defaults[t]), [true, true, true, true]);
+  assert.equal(defaults.hour, 8);
+  assert.equal(normalizeNotificationPrefs({ hour: '21' }).hour, 21);
+  assert.equal(normalizeNotificationPrefs({ hour: '25' }).hour, 8);
+  assert.equal(normalizeNotificationPrefs({ today: false }).today, false);
+});
+
+test('recordSent adds new keys and prunes old ones', () => {
+  const log = { 'today:2024-02-01': new Date(2024, 1, 1, 9).toISOString(), 'today:2024-03-12': new Date(2024, 2, 12, 9).toISOString() };
+  const next = recordSent(log, ['today:2024-03-13'], { now: NOW });
+  assert.deepEqual(Object.keys(next).sort(), ['today:2024-03-12', 'today:2024-03-13']);
+});
@@ -0,0 +1,15 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'node:fs';
+
+const BUILT = new Set(['/public/css/styles.css']); // npm run build:css
+
+test('every asset the service worker precaches exists', () => {
+  const sw = readFileSync(new URL('../public/sw.js', import.meta.url), 'utf8');
+  const assets = [...sw.matchAll(/'(\/public\/[^']+)'/g)].map(m => m[1]);
+  assert.ok(assets.length > 5);
+  for (const asset of assets) {
+    if (BUILT.has(asset)) continue;
+    assert.ok(existsSync(new URL(`..${asset}`, import.meta.url)), `${asset} is missing`);
+  }
+});
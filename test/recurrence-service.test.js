@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  normalizeRecurrence,
+  nextOccurrence,
+  describeRecurrence,
+  buildCompletion,
+} from '../src/services/recurrence-service.js';
+
+test('normalizeRecurrence rejects empty and invalid rules', () => {
+  assert.equal(normalizeRecurrence(null), null);
+  assert.equal(normalizeRecurrence({ freq: 'hourly' }), null);
+  assert.equal(normalizeRecurrence({ freq: 'daily', interval: 0 }), null);
+  assert.equal(normalizeRecurrence({ freq: 'weekly', weekdays: [] }), null);
+  assert.equal(normalizeRecurrence({ freq: 'monthly', nth: 5, weekday: 1 }), null);
+  assert.deepEqual(normalizeRecurrence({ freq: 'weekly', interval: '2', weekdays: ['5', '1', '1'] }), {
+    freq: 'weekly', interval: 2, weekdays: [1, 5],
+  });
+});
+
+test('nextOccurrence handles daily, weekdays and after-completion rules', () => {
+  // 2024-03-01 is a Friday
+  assert.equal(nextOccurrence({ freq: 'daily', interval: 3 }, { scheduledFor: '2024-03-01', completedOn: '2024-03-01' }), '2024-03-04');
+  assert.equal(nextOccurrence({ freq: 'weekdays' }, { scheduledFor: '2024-03-01', completedOn: '2024-03-01' }), '2024-03-04');
+  assert.equal(nextOccurrence({ freq: 'after', interval: 10 }, { scheduledFor: '2024-03-01', completedOn: '2024-03-05' }), '2024-03-15');
+});
+
+test('nextOccurrence handles weekly rules with interval', () => {
+  // Every 2 weeks on Monday and Thursday, starting Monday 2024-03-04
+  const rule = { freq: 'weekly', interval: 2, weekdays: [1, 4] };
+  assert.equal(nextOccurrence(rule, { scheduledFor: '2024-03-04', completedOn: '2024-03-04' }), '2024-03-07');
+  assert.equal(nextOccurrence(rule, { scheduledFor: '2024-03-07', completedOn: '2024-03-07' }), '2024-03-18');
+});
+
+test('nextOccurrence clamps monthly days and supports nth weekday', () => {
+  const endOfMonth = { freq: 'monthly', interval: 1, monthDay: 31 };
+  assert.equal(nextOccurrence(endOfMonth, { scheduledFor: '2024-01-31', completedOn: '2024-01-31' }), '2024-02-29');
+  assert.equal(nextOccurrence(endOfMonth, { scheduledFor: '2025-01-31', completedOn: '2025-01-31' }), '2025-02-28');
+
+  // Second Tuesday / last Friday
+  assert.equal(nextOccurrence({ freq: 'monthly', interval: 1, nth: 2, weekday: 2 }, { scheduledFor: '2024-03-12', completedOn: '2024-03-12' }), '2024-04-09');
+  assert.equal(nextOccurrence({ freq: 'monthly', interval: 1, nth: -1, weekday: 5 }, { scheduledFor: '2024-03-29', completedOn: '2024-03-29' }), '2024-04-26');
+});
+
+test('nextOccurrence skips occurrences already past when completed late', () => {
+  const rule = { freq: 'daily', interval: 1 };
+  assert.equal(nextOccurrence(rule, { scheduledFor: '2024-03-01', completedOn: '2024-03-10' }), '2024-03-11');
+});
+
+test('describeRecurrence returns Spanish labels', () => {
+  assert.equal(describeRecurrence({ freq: 'daily', interval: 1 }), 'Cada día');
+  assert.equal(describeRecurrence({ freq: 'weekly', interval: 2, weekdays: [1, 3] }), 'Cada 2 semanas: lun, mié');
+  assert.equal(describeRecurrence({ freq: 'monthly', interval: 1, nth: -1, weekday: 5 }), 'Cada mes, el último viernes');
+  assert.equal(describeRecurrence({ freq: 'after', interval: 3 }), '3 días después de completar');
+  assert.equal(describeRecurrence(null), '');
+});
+
+test('buildCompletion links occurrences into a series', () => {
+  const item = {
+    id: 'item_1',
+    title: 'Regar plantas',
+    list: 'agendar',
+    tags: ['casa'],
+    scheduledFor: '2024-03-01',
+    recurrence: { freq: 'daily', interval: 2 },
+  };
+  const { completedPatch, nextPatch } = buildCompletion(item, { comment: 'ok', now: new Date(2024, 2, 1, 12) });
+  assert.equal(completedPatch.status, 'done');
+  assert.equal(completedPatch.completionComment, 'ok');
+  assert.equal(completedPatch.seriesId, 'item_1');
+  assert.equal(completedPatch.seriesIndex, 1);
+  assert.equal(nextPatch.scheduledFor, '2024-03-03');
+  assert.equal(nextPatch.seriesIndex, 2);
+  assert.equal(nextPatch.list, 'agendar');
+  assert.deepEqual(nextPatch.tags, ['casa']);
+
+  const plain = buildCompletion({ id: 'x', title: 'Una vez' });
+  assert.equal(plain.nextPatch, null);
+  assert.equal(plain.completedPatch.seriesId, undefined);
+});
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  RequestValidationError,
+  sanitizeCaptureMeta,
+  sanitizePushSubscription,
+  sanitizeDigestForm,
+  sanitizeDateField,
+  sanitizeTagsField,
+  sanitizeItemPatch,
+} from '../src/validators/request-validators.js';
+
+const sanitizeInput = (v) => String(v || '').trim();
+
+test('sanitizeItemPatch keeps only present fields and normalizes them', () => {
+  const patch = sanitizeItemPatch({
+    _csrf: 'ignored',
+    title: ' Llamar a Ana ',
+    context: '@Casa',
+    tags: 'Urgente, casa,casa',
+    urgency: '4',
+    scheduledFor: '2026-03-01',
+  }, sanitizeInput);
+
+  assert.deepEqual(patch, {
+    title: 'Llamar a Ana',
+    context: '@casa',
+    tags: ['urgente', 'casa'],
+    urgency: 4,
+    scheduledFor: '2026-03-01',
+  });
+});
+
+test('sanitizeItemPatch rejects unknown fields unless ignored', () => {
+  assert.throws(() => sanitizeItemPatch({ list: 'hacer' }, sanitizeInput), RequestValidationError);
+  assert.deepEqual(sanitizeItemPatch({ list: 'hacer' }, sanitizeInput, { ignore: ['list'] }), {});
+});
+
+test('sanitizeItemPatch validates ranges', () => {
+  assert.throws(() => sanitizeItemPatch({ urgency: 9 }, sanitizeInput), /urgency must be between 1 and 5/);
+  assert.throws(() => sanitizeItemPatch({ title: '' }, sanitizeInput), /title is required/);
+});
+
+test('sanitizeDateField accepts YYYY-MM-DD and empty values', () => {
+  assert.equal(sanitizeDateField('2026-12-31', sanitizeInput), '2026-12-31');
+  assert.equal(sanitizeDateField('', sanitizeInput), null);
+  assert.throws(() => sanitizeDateField('31/12/2026', sanitizeInput), RequestValidationError);
+});
+
+test('sanitizeTagsField accepts arrays and caps at 5 tags', () => {
+  assert.deepEqual(sanitizeTagsField(['a', 'b', 'c', 'd', 'e', 'f'], sanitizeInput), ['a', 'b', 'c', 'd', 'e']);
+  assert.deepEqual(sanitizeTagsField('x'.repeat(21), sanitizeInput), []);
+});
+
+test('sanitizeCaptureMeta keeps a valid client id and only plausible capture times', () => {
+  const now = Date.parse('2026-10-19T12:00:00.000Z');
+  const meta = sanitizeCaptureMeta({ clientCaptureId: 'cap_0123456789ab', capturedAt: '2026-10-18T21:30:00.000Z' }, { now });
+  assert.equal(meta.clientCaptureId, 'cap_0123456789ab');
+  assert.equal(meta.capturedAt.toISOString(), '2026-10-18T21:30:00.000Z');
+
+  assert.deepEqual(sanitizeCaptureMeta({}, { now }), { clientCaptureId: null, capturedAt: null });
+  assert.equal(sanitizeCaptureMeta({ capturedAt: '2026-10-20T12:00:00.000Z' }, { now }).capturedAt, null);
+  assert.equal(sanitizeCaptureMeta({ capturedAt: '2026-01-01T00:00:00.000Z' }, { now }).capturedAt, null);
+  assert.throws(() => sanitizeCaptureMeta({ clientCaptureId: 'no valid!' }, { now }), /clientCaptureId is invalid/);
+});
+
+test('sanitizePushSubscription requires an https endpoint and browser keys', () => {
+  const keys = { p256dh: 'B'.repeat(87), auth: 'AAECAwQFBgcICQoLDA0ODw==' };
+  assert.deepEqual(sanitizePushSubscription({ endpoint: 'https://push.example.net/x', keys }), {
+    endpoint: 'https://push.example.net/x',
+    keys: { p256dh: 'B'.repeat(87), auth: 'AAECAwQFBgcICQoLDA0ODw' },
+  });
+  assert.throws(() => sanitizePushSubscription({ endpoint: 'http://push.example.net/x', keys }), /endpoint must be https/);
+  assert.throws(() => sanitizePushSubscription({ endpoint: 'https://push.example.net/x', keys: { p256dh: 'short', auth: keys.auth } }), /keys are invalid/);
+});
+
+test('sanitizeDigestForm validates address, time zone and schedule', () => {
+  assert.deepEqual(sanitizeDigestForm({ enabled: 'on', email: ' ana@example.com ', frequency: 'weekly', hour: '6', weekday: '0', timeZone: 'America/Bogota' }), {
+    enabled: true,
+    email: 'ana@example.com',
+    frequency: 'weekly',
+    hour: 6,
+    weekday: 0,
+    timeZone: 'America/Bogota',
+  });
+  assert.equal(sanitizeDigestForm({ timeZone: 'UTC' }).enabled, false);
+  assert.throws(() => sanitizeDigestForm({ email: 'ana', timeZone: 'UTC' }), /email is invalid/);
+  assert.throws(() => sanitizeDigestForm({ timeZone: 'Mars/Olympus' }), /timeZone is invalid/);
+  assert.throws(() => sanitizeDigestForm({ timeZone: 'UTC', hour: '24' }), /hour must be between 0 and 23/);
+});
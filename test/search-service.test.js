@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildPrefixTsQuery, highlightMatches, searchItems, tokenizeQuery } from '../src/services/search-service.js';
+
+const items = [
+  { id: 'a1', list: 'hacer', status: 'processed', title: 'Llamar a proveedor de café', tags: ['oficina'] },
+  { id: 'b2', list: 'delegar', status: 'processed', title: 'Cotización impresora', delegatedTo: 'Ana Pérez' },
+  { id: 'c3', list: 'desglosar', status: 'processed', title: 'Mudanza', subtasks: [{ id: 's1', text: 'Llamar al proveedor de cajas' }] },
+  { id: 'd4', list: 'hacer', status: 'done', title: 'Revisión de contrato', completionComment: 'Firmado con proveedor' },
+];
+
+test('tokenizeQuery folds accents and drops 1-char tokens', () => {
+  assert.deepEqual(tokenizeQuery('Revisión a CAFÉ'), ['revision', 'cafe']);
+});
+
+test('searchItems ranks title matches above subtask and comment matches', () => {
+  const results = searchItems(items, 'proveedor');
+  assert.deepEqual(results.map(r => r.id), ['a1', 'c3', 'd4']);
+  assert.equal(results[1].match.field, 'subtasks');
+  assert.equal(results[2].href, '/items/d4');
+  assert.equal(results[2].listHref, '/terminado');
+});
+
+test('searchItems requires every token and matches accent-insensitively', () => {
+  assert.deepEqual(searchItems(items, 'perez cotizacion').map(r => r.id), ['b2']);
+  assert.deepEqual(searchItems(items, 'proveedor inexistente'), []);
+  assert.deepEqual(searchItems(items, 'oficina').map(r => r.id), ['a1']);
+});
+
+test('searchItems keeps incoming order and unmatched items when preserveOrder is set', () => {
+  const results = searchItems([items[3], items[0]], 'proveedores', { preserveOrder: true });
+  assert.deepEqual(results.map(r => r.id), ['d4', 'a1']);
+  assert.equal(results[0].match, null);
+});
+
+test('highlightMatches escapes HTML and marks accent-insensitive matches', () => {
+  assert.equal(highlightMatches('Café <b>', ['cafe']), '<mark>Café</mark> &lt;b&gt;');
+  const snippet = highlightMatches(`${'x'.repeat(80)} proveedor ${'y'.repeat(80)}`, ['proveedor'], { snippet: true });
+  assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+  assert.ok(snippet.includes('<mark>proveedor</mark>'));
+});
+
+test('buildPrefixTsQuery builds a safe prefix tsquery', () => {
+  assert.equal(buildPrefixTsQuery("llam prov'; drop"), 'llam:* & prov:* & drop:*');
+  assert.equal(buildPrefixTsQuery('!'), '');
+});
@@ -0,0 +1,245 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createClient } from '@supabase/supabase-js';
+
+import { assertStorageAdapter, createJsonFileAdapter, createStorageAdapter, createSupabaseAdminClient, createMemoryAdapter, createSupabaseAdapter, resolveStorageAdapterName } from '../lib/adapters/index.js';
+import { VersionConflictError } from '../lib/item-version.js';
+import { trashPatch } from '../lib/trash.js';
+
+// Every backend runs the same contract (lib/adapters/contract.js). Supabase
+// only runs against a real project: set SUPABASE_TEST_URL and
+// SUPABASE_TEST_SERVICE_ROLE_KEY (rows go under a throwaway owner).
+
+const dir = await mkdtemp(path.join(tmpdir(), 'gtd-adapters-test-'));
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+let counter = 0;
+const uid = prefix => `${prefix}-${Date.now().toString(36)}-${++counter}`;
+
+function item(extra = {}) {
+  const now = new Date().toISOString();
+  return { id: uid('item'), input: 'Comprar pan', title: 'Comprar pan', list: 'collect', status: 'unprocessed', version: 1, createdAt: now, updatedAt: now, ...extra };
+}
+
+const backends = [
+  ['memory', () => createMemoryAdapter()],
+  ['json', () => createJsonFileAdapter({ dbPath: path.join(dir, `${uid('db')}.json`), metaPath: path.join(dir, `${uid('meta')}.json`), backupDir: path.join(dir, uid('backups')) })],
+  ['supabase', () => createSupabaseAdapter(createClient(process.env.SUPABASE_TEST_URL, process.env.SUPABASE_TEST_SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  })), !(process.env.SUPABASE_TEST_URL && process.env.SUPABASE_TEST_SERVICE_ROLE_KEY) && 'SUPABASE_TEST_URL not set'],
+];
+
+for (const [name, create, skip] of backends) {
+  // Fresh adapter and owner per test; items of the owner are dropped afterwards
+  const run = (title, fn) => test(`${name}: ${title}`, { skip }, async () => {
+    const adapter = assertStorageAdapter(create());
+    const owner = uid('owner');
+    try {
+      await fn(adapter, owner);
+    } finally {
+      await adapter.items.saveAll(owner, []);
+    }
+  });
+
+  run('saves items and loads them by id, list and status', async (adapter, owner) => {
+    const a = item();
+    const b = item({ list: 'hacer', status: 'processed' });
+    const c = item({ list: 'hacer', status: 'done' });
+    for (const it of [a, b, c]) await adapter.items.save(owner, it);
+
+    assert.equal((await adapter.items.loadById(owner, b.id)).title, 'Comprar pan');
+    assert.equal(await adapter.items.loadById(owner, 'missing'), null);
+    assert.deepEqual((await adapter.items.loadAll(owner)).items.map(i => i.id).sort(), [a.id, b.id, c.id].sort());
+    assert.deepEqual((await adapter.items.loadByList(owner, 'hacer')).map(i => i.id).sort(), [b.id, c.id].sort());
+    assert.deepEqual((await adapter.items.loadByList(owner, 'hacer', { excludeDone: true })).map(i => i.id), [b.id]);
+    assert.deepEqual((await adapter.items.loadByList(owner, 'hacer', { status: 'done' })).map(i => i.id), [c.id]);
+    assert.deepEqual((await adapter.items.loadByStatus(owner, 'unprocessed')).map(i => i.id), [a.id]);
+  });
+
+  run('save with a stale expectedVersion raises VersionConflictError', async (adapter, owner) => {
+    const a = item();
+    await adapter.items.save(owner, a);
+    await adapter.items.save(owner, { ...a, title: 'Pan integral', version: 2 }, { expectedVersion: 1 });
+
+    await assert.rejects(
+      adapter.items.save(owner, { ...a, title: 'Pan blanco', version: 2 }, { expectedVersion: 1 }),
+      err => err instanceof VersionConflictError && err.current.title === 'Pan integral'
+    );
+    assert.equal((await adapter.items.loadById(owner, a.id)).title, 'Pan integral');
+  });
+
+  run('saveMany writes the batch and reports stale items as conflicts', async (adapter, owner) => {
+    const a = item();
+    const b = item();
+    await adapter.items.saveAll(owner, [a, b]);
+    await adapter.items.save(owner, { ...b, title: 'Editado en otra pestaña', version: 2 });
+
+    const fresh = item();
+    const result = await adapter.items.saveMany(owner, [
+      { ...a, list: 'hacer', version: 2 },
+      { ...b, list: 'hacer', version: 2 },
+      fresh,
+    ], { expectedVersions: new Map([[a.id, 1], [b.id, 1]]) });
+
+    assert.deepEqual(result.saved.sort(), [a.id, fresh.id].sort());
+    assert.deepEqual(result.conflicts.map(c => c.title), ['Editado en otra pestaña']);
+    assert.equal((await adapter.items.loadById(owner, a.id)).list, 'hacer');
+    assert.equal((await adapter.items.loadById(owner, b.id)).list, 'collect');
+    assert.ok(await adapter.items.loadById(owner, fresh.id));
+  });
+
+  run('saveAll makes the list the stored set and reports removals first', async (adapter, owner) => {
+    const a = item();
+    const b = item();
+    await adapter.items.saveAll(owner, [a, b]);
+
+    const { items, token } = await adapter.items.loadAll(owner);
+    const removedSeen = [];
+    const next = items.filter(i => i.id !== a.id).map(i => ({ ...i, title: 'Otro' }));
+    await adapter.items.saveAll(owner, next, { token, beforeDelete: async ids => removedSeen.push(...ids) });
+
+    assert.deepEqual(removedSeen, [a.id]);
+    const stored = (await adapter.items.loadAll(owner)).items;
+    assert.deepEqual(stored.map(i => `${i.id}:${i.title}`), [`${b.id}:Otro`]);
+  });
+
+  run('purge only removes Papelera items and expired trash goes away', async (adapter, owner) => {
+    const kept = item();
+    const trashed = item(trashPatch({ list: 'collect' }));
+    const expired = item(trashPatch({ list: 'hacer' }, '2020-01-01T00:00:00.000Z'));
+    for (const it of [kept, trashed, expired]) await adapter.items.save(owner, it);
+
+    await adapter.items.purge(owner, kept.id);
+    assert.ok(await adapter.items.loadById(owner, kept.id));
+
+    await adapter.items.purgeExpiredTrash(owner, new Date());
+    assert.equal(await adapter.items.loadById(owner, expired.id), null);
+    assert.ok(await adapter.items.loadById(owner, trashed.id));
+
+    await adapter.items.purge(owner, trashed.id);
+    assert.equal(await adapter.items.loadById(owner, trashed.id), null);
+  });
+
+  run('findRecentDuplicate matches open Collect items with the same text', async (adapter, owner) => {
+    const a = item({ input: 'Llamar a Ana' });
+    await adapter.items.save(owner, a);
+    assert.equal((await adapter.items.findRecentDuplicate(owner, '  llamar a ana ')).id, a.id);
+    assert.equal(await adapter.items.findRecentDuplicate(owner, 'Llamar a Luis'), null);
+  });
+
+  run('findRecentDuplicate finds a replayed offline capture by clientCaptureId at any age', async (adapter, owner) => {
+    const processed = item({ input: 'Comprar pilas', list: 'hacer', clientCaptureId: 'cap_0123456789ab', createdAt: '2020-01-01T00:00:00.000Z' });
+    await adapter.items.save(owner, processed);
+    assert.equal((await adapter.items.findRecentDuplicate(owner, 'Otro texto', Date.now(), { clientCaptureId: 'cap_0123456789ab' })).id, processed.id);
+    assert.equal(await adapter.items.findRecentDuplicate(owner, 'Comprar pilas', Date.now(), { clientCaptureId: 'cap_ffffffffffff' }), null);
+  });
+
+  run('search without a query hands every item to the in-memory matcher', async (adapter, owner) => {
+    await adapter.items.save(owner, item());
+    const result = await adapter.items.search(owner, '', 50);
+    assert.equal(result.ranked, false);
+    assert.equal(result.items.length, 1);
+  });
+
+  run('search leaves Papelera items out of the candidates', async (adapter, owner) => {
+    const kept = item({ input: 'Llamar al proveedor', title: 'Llamar al proveedor' });
+    const trashed = item({ input: 'Llamar al banco', title: 'Llamar al banco', ...trashPatch({ list: 'hacer' }) });
+    await adapter.items.saveAll(owner, [kept, trashed]);
+    for (const query of ['', 'llam:*']) {
+      const { items } = await adapter.items.search(owner, query, 1);
+      assert.deepEqual(items.map(i => i.id), [kept.id]);
+    }
+  });
+
+  run('meta records are upserted per owner and found by payload field', async (adapter, owner) => {
+    const other = uid('owner');
+    const secret = uid('hash');
+    const tokenId = uid('tok');
+    await adapter.meta.save(owner, 'context', { id: 'ctx1', name: '@casa' });
+    await adapter.meta.save(owner, 'context', { id: 'ctx1', name: '@oficina' });
+    await adapter.meta.save(owner, 'api_token', { id: tokenId, hash: secret });
+    await adapter.meta.save(other, 'context', { id: 'ctx1', name: '@calle' });
+
+    assert.deepEqual((await adapter.meta.loadByKind(owner, 'context')).map(c => c.name), ['@oficina']);
+    assert.equal((await adapter.meta.loadById(other, 'ctx1')).name, '@calle');
+    assert.equal((await adapter.meta.findByPayloadField('api_token', 'hash', secret)).owner, owner);
+
+    await adapter.meta.remove(owner, 'ctx1');
+    assert.equal(await adapter.meta.loadById(owner, 'ctx1'), null);
+    assert.equal((await adapter.meta.loadById(other, 'ctx1')).name, '@calle');
+    await adapter.meta.remove(other, 'ctx1');
+    await adapter.meta.remove(owner, tokenId);
+  });
+
+  run('owners lists who has stored data', async (adapter, owner) => {
+    await adapter.items.save(owner, item());
+    await adapter.meta.save(owner, 'preferences', { id: `${owner}-prefs` });
+    assert.ok((await adapter.items.owners()).includes(owner));
+    await adapter.meta.remove(owner, `${owner}-prefs`);
+  });
+
+  run('items are kept apart per owner when the backend supports it', async (adapter, owner) => {
+    if (!adapter.capabilities.ownerScopedItems) return;
+    const other = uid('owner');
+    await adapter.items.save(owner, item());
+    assert.deepEqual((await adapter.items.loadAll(other)).items, []);
+  });
+
+  run('backups are listed newest first, loaded whole and removed per owner', async (adapter, owner) => {
+    const backup = (id, createdAt, reason = 'manual') => ({ id, reason, createdAt, itemCount: 1, metaCount: 0, items: [item()], meta: { context: [] } });
+    const older = backup('20240310120000-aaaaaa', '2024-03-10T12:00:00.000Z', 'scheduled');
+    const newer = backup('20240311120000-bbbbbb', '2024-03-11T12:00:00.000Z');
+    await adapter.backups.save(owner, older);
+    await adapter.backups.save(owner, newer);
+
+    assert.deepEqual(await adapter.backups.list(owner), [
+      { id: newer.id, reason: 'manual', createdAt: newer.createdAt, itemCount: 1, metaCount: 0 },
+      { id: older.id, reason: 'scheduled', createdAt: older.createdAt, itemCount: 1, metaCount: 0 },
+    ]);
+    const loaded = await adapter.backups.load(owner, older.id);
+    assert.deepEqual(loaded.items.map(i => i.id), older.items.map(i => i.id));
+    assert.deepEqual(loaded.meta, { context: [] });
+    assert.equal(await adapter.backups.load(uid('owner'), older.id), null);
+    assert.deepEqual(await adapter.backups.list(uid('owner')), []);
+
+    await adapter.backups.remove(owner, [older.id, newer.id]);
+    assert.deepEqual(await adapter.backups.list(owner), []);
+    assert.equal(await adapter.backups.load(owner, newer.id), null);
+  });
+
+  run('subscriptions are merged per user when the backend supports them', async adapter => {
+    if (!adapter.capabilities.subscriptions) {
+      assert.equal(await adapter.subscriptions.get('nobody'), null);
+      await assert.rejects(adapter.subscriptions.upsert('nobody', { status: 'active' }));
+      assert.deepEqual(await adapter.subscriptions.listTrialsEndingBefore(new Date()), []);
+      return;
+    }
+    const userId = uid('user');
+    await adapter.subscriptions.upsert(userId, { stripe_customer_id: 'cus_1' });
+    const row = await adapter.subscriptions.upsert(userId, { status: 'active' });
+    assert.equal(row.stripe_customer_id, 'cus_1');
+    assert.equal((await adapter.subscriptions.get(userId)).status, 'active');
+
+    const trialUser = uid('user');
+    await adapter.subscriptions.upsert(trialUser, { status: 'trialing', trial_ends_at: '2024-03-15T00:00:00.000Z' });
+    const ending = ids => ids.filter(id => id === trialUser);
+    assert.deepEqual(ending((await adapter.subscriptions.listTrialsEndingBefore('2024-03-16T00:00:00.000Z')).map(r => r.user_id)), [trialUser]);
+    assert.deepEqual(ending((await adapter.subscriptions.listTrialsEndingBefore('2024-03-14T00:00:00.000Z')).map(r => r.user_id)), []);
+  });
+}
+
+test('adapters are validated and picked from the environment', () => {
+  assert.throws(() => assertStorageAdapter({ name: 'half', items: {}, meta: {}, subscriptions: {}, backups: {} }), /missing items\.loadAll/);
+  assert.equal(resolveStorageAdapterName({}), 'json');
+  assert.equal(resolveStorageAdapterName({ USE_SUPABASE: 'true' }), 'json');
+  assert.equal(resolveStorageAdapterName({ USE_SUPABASE: 'true', SUPABASE_URL: 'u', SUPABASE_SERVICE_ROLE_KEY: 'k' }), 'supabase');
+  assert.equal(resolveStorageAdapterName({ STORAGE_ADAPTER: 'Memory', USE_SUPABASE: 'true' }), 'memory');
+  assert.throws(() => resolveStorageAdapterName({ STORAGE_ADAPTER: 'sqlite' }), /Unknown STORAGE_ADAPTER/);
+  assert.throws(() => createSupabaseAdminClient({}), /needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY/);
+  // An existing admin client is reused instead of building another one
+  const client = createSupabaseAdminClient({ SUPABASE_URL: 'https://example.supabase.co', SUPABASE_SERVICE_ROLE_KEY: 'k' });
+  assert.equal(createStorageAdapter({ STORAGE_ADAPTER: 'supabase' }, { supabaseClient: client }).name, 'supabase');
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildTodayPlan, clampAvailableMin, DEFAULT_AVAILABLE_MIN } from '../src/services/today-service.js';
+
+const NOW = new Date(2024, 2, 13, 9); // miércoles 2024-03-13
+
+test('buildTodayPlan groups Agendar items by scheduledFor', () => {
+  const items = [
+    { id: 'a1', list: 'agendar', scheduledFor: '2024-03-10', status: 'processed' },
+    { id: 'a2', list: 'agendar', scheduledFor: '2024-03-13', status: 'processed' },
+    { id: 'a3', list: 'agendar', scheduledFor: '2024-03-16', status: 'processed' },
+    { id: 'a4', list: 'agendar', scheduledFor: '2024-03-17', status: 'processed' },
+    { id: 'a5', list: 'agendar', scheduledFor: '2024-03-13', status: 'done' },
+    { id: 'a6', list: 'agendar', scheduledFor: null, status: 'processed' },
+  ];
+  const plan = buildTodayPlan(items, { now: NOW });
+  assert.equal(plan.today, '2024-03-13');
+  assert.deepEqual(plan.scheduled.overdue.map(i => i.id), ['a1']);
+  assert.deepEqual(plan.scheduled.today.map(i => i.id), ['a2']);
+  assert.deepEqual(plan.scheduled.upcoming.map(i => i.id), ['a3']);
+  assert.equal(plan.scheduled.overdue[0].daysFromToday, -3);
+});
+
+test('buildTodayPlan lists delegated items whose follow-up date has passed', () => {
+  const items = [
+    { id: 'd1', list: 'delegar', delegatedFor: '2024-03-11', movedToListAt: new Date(2024, 2, 4, 10).toISOString(), status: 'processed' },
+    { id: 'd2', list: 'delegar', delegatedFor: '2024-03-13', status: 'processed' },
+    { id: 'd3', list: 'delegar', delegatedFor: '2024-03-20', status: 'processed' },
+    { id: 'd4', list: 'delegar', status: 'processed' },
+  ];
+  const plan = buildTodayPlan(items, { now: NOW });
+  assert.deepEqual(plan.followUps.map(i => [i.id, i.daysOverdue]), [['d1', 2], ['d2', 0]]);
+  assert.equal(plan.followUps[0].daysWaiting, 9);
+  assert.equal(plan.followUps[1].daysWaiting, null);
+});
+
+test('buildTodayPlan fills the time budget with Hacer items by priority', () => {
+  const items = [
+    { id: 'sched', list: 'agendar', scheduledFor: '2024-03-13', estimateMin: 20, status: 'processed' },
+    { id: 'low', list: 'hacer', urgency: 2, importance: 2, estimateMin: 5, status: 'processed' },
+    { id: 'top', list: 'hacer', urgency: 5, importance: 5, estimateMin: 10, status: 'processed' },
+    { id: 'mid', list: 'hacer', urgency: 4, importance: 3, estimateMin: 10, status: 'processed' },
+    { id: 'future', list: 'hacer', urgency: 5, importance: 5, estimateMin: 5, scheduledFor: '2024-03-14', status: 'processed' },
+  ];
+  const plan = buildTodayPlan(items, { now: NOW, availableMin: 40 });
+  assert.deepEqual(plan.focus.map(i => i.id), ['top', 'mid']);
+  assert.deepEqual(plan.later.map(i => i.id), ['low']);
+  assert.equal(plan.budget.committedMin, 20);
+  assert.equal(plan.budget.plannedMin, 40);
+  assert.equal(plan.budget.remainingMin, 0);
+  assert.equal(plan.budget.overBudget, false);
+});
+
+test('buildTodayPlan flags when scheduled work exceeds the budget', () => {
+  const items = [
+    { id: 's1', list: 'agendar', scheduledFor: '2024-03-12', estimateMin: 60, status: 'processed' },
+    { id: 'h1', list: 'hacer', estimateMin: 5, status: 'processed' },
+  ];
+  const plan = buildTodayPlan(items, { now: NOW, availableMin: 30 });
+  assert.equal(plan.budget.overBudget, true);
+  assert.equal(plan.focus.length, 0);
+  assert.deepEqual(plan.later.map(i => i.id), ['h1']);
+});
+
+test('clampAvailableMin keeps the budget within limits', () => {
+  assert.equal(clampAvailableMin('abc'), DEFAULT_AVAILABLE_MIN);
+  assert.equal(clampAvailableMin(5), 15);
+  assert.equal(clampAvailableMin(5000), 960);
+  assert.equal(clampAvailableMin(90), 90);
+});
@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// lib/adapters picks the backend when loaded: keep this file in memory
+process.env.STORAGE_ADAPTER = 'memory';
+const { loadItemById, newItem, purgeAllExpiredTrash, saveItem } = await import('../lib/store.js');
+const { trashPatch } = await import('../lib/trash.js');
+
+test('purgeAllExpiredTrash empties expired Papelera items of every owner', async () => {
+  const now = new Date('2024-03-11T00:00:00.000Z');
+  const seed = async (owner, trashedAt) => {
+    const item = newItem({ input: `Borrado por ${owner}` });
+    const saved = { ...item, ...trashPatch(item, trashedAt) };
+    await saveItem(saved, { owner });
+    return saved.id;
+  };
+  const expiredA = await seed('trash-a', '2024-01-01T00:00:00.000Z');
+  const expiredB = await seed('trash-b', '2024-02-01T00:00:00.000Z');
+  const recent = await seed('trash-b', '2024-03-01T00:00:00.000Z');
+
+  const summary = await purgeAllExpiredTrash({ now });
+  assert.equal(summary.errors, 0);
+  assert.ok(summary.owners >= 2);
+  assert.equal(await loadItemById(expiredA, { owner: 'trash-a' }), null);
+  assert.equal(await loadItemById(expiredB, { owner: 'trash-b' }), null);
+  assert.ok(await loadItemById(recent, { owner: 'trash-b' }));
+});
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { updateItem } from '../lib/store.js';
+import { isTrashExpired, restoreFromTrashPatch, trashDaysLeft, trashPatch } from '../lib/trash.js';
+import { buildUndoEntry, findUndoConflicts, undoLabel, undoPatch } from '../src/services/undo-service.js';
+
+function hacerItem(patch = {}) {
+  return {
+    id: 'item1',
+    input: 'Llamar a Juan',
+    title: 'Llamar a Juan',
+    list: 'hacer',
+    status: 'processed',
+    urgency: 3,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    history: [{ at: '2026-01-01T00:00:00.000Z', by: null, type: 'created', list: 'hacer' }],
+    ...patch,
+  };
+}
+
+test('trashPatch remembers the origin and restore puts the item back', () => {
+  const trashed = updateItem(hacerItem(), trashPatch(hacerItem(), '2026-03-01T10:00:00.000Z'));
+  assert.equal(trashed.list, 'papelera');
+  assert.equal(trashed.status, 'trashed');
+  assert.deepEqual(trashed.trashedFrom, { list: 'hacer', status: 'processed' });
+
+  const restored = updateItem(trashed, restoreFromTrashPatch(trashed));
+  assert.equal(restored.list, 'hacer');
+  assert.equal(restored.status, 'processed');
+  assert.equal(restored.trashedAt, null);
+  assert.deepEqual(restored.history.slice(-2).map(e => [e.type, e.from, e.to]), [['move', 'hacer', 'papelera'], ['move', 'papelera', 'hacer']]);
+
+  assert.equal(restoreFromTrashPatch({ list: 'papelera' }).list, 'collect');
+});
+
+test('trashed items expire after the retention period', () => {
+  const item = { list: 'papelera', trashedAt: '2026-03-01T10:00:00.000Z' };
+  assert.equal(isTrashExpired(item, new Date('2026-03-30T10:00:00.000Z')), false);
+  assert.equal(trashDaysLeft(item, new Date('2026-03-30T10:00:00.000Z')), 1);
+  assert.equal(isTrashExpired(item, new Date('2026-03-31T10:00:01.000Z')), true);
+  assert.equal(isTrashExpired({ ...item, list: 'hacer' }, new Date('2027-01-01T00:00:00.000Z')), false);
+});
+
+test('buildUndoEntry snapshots items without their history', () => {
+  const before = hacerItem();
+  const after = updateItem(before, { status: 'done', completedAt: '2026-03-01T10:00:00.000Z' });
+  const entry = buildUndoEntry({
+    action: 'complete',
+    label: undoLabel('complete', before),
+    changes: [{ before, after }],
+    created: [{ id: 'next1', version: 1 }, null],
+  });
+
+  assert.match(entry.id, /^[a-f0-9]{16}$/);
+  assert.equal(entry.label, 'Completado: "Llamar a Juan"');
+  assert.equal(entry.items[0].before.history, undefined);
+  assert.equal(entry.items[0].afterVersion, after.version);
+  assert.deepEqual(entry.created, [{ id: 'next1', afterVersion: 1 }]);
+  assert.throws(() => buildUndoEntry({ action: 'rename' }), /Unknown undo action/);
+});
+
+test('undoPatch restores snapshot fields and clears fields added since', () => {
+  const before = hacerItem();
+  const completed = updateItem(before, { status: 'done', completedAt: '2026-03-01T10:00:00.000Z', completionComment: 'ok' });
+  const restored = updateItem(completed, undoPatch(completed, buildUndoEntry({ action: 'complete', changes: [{ before, after: completed }] }).items[0].before));
+
+  assert.equal(restored.status, 'processed');
+  assert.equal(restored.completedAt, null);
+  assert.equal(restored.completionComment, null);
+  assert.equal(restored.createdAt, before.createdAt);
+  assert.deepEqual(restored.history.map(e => e.type), ['created', 'status', 'edit', 'status', 'edit']);
+});
+
+test('findUndoConflicts flags items edited after the action', () => {
+  const before = hacerItem();
+  const after = { ...before, list: 'papelera', version: 2, updatedAt: '2026-03-01T10:00:00.000Z' };
+  const entry = buildUndoEntry({ action: 'delete', changes: [{ before, after }] });
+
+  assert.deepEqual(findUndoConflicts(entry, new Map([[before.id, after]])), []);
+  assert.deepEqual(findUndoConflicts(entry, new Map()), []);
+  // Same millisecond (or an import that keeps updatedAt): the version still moved on
+  assert.deepEqual(findUndoConflicts(entry, new Map([[before.id, { ...after, version: 3 }]])), ['item1']);
+
+  // An edited next occurrence is a conflict too: undo would throw the edit away
+  const completion = buildUndoEntry({ action: 'complete', changes: [{ before, after }], created: [{ id: 'next1', version: 1 }] });
+  assert.deepEqual(findUndoConflicts(completion, new Map([[before.id, after], ['next1', { id: 'next1', version: 1 }]])), []);
+  assert.deepEqual(findUndoConflicts(completion, new Map([[before.id, after], ['next1', { id: 'next1', version: 2 }]])), ['next1']);
+
+  // Entries recorded before versions compare updatedAt
+  const legacy = { items: [{ before, afterUpdatedAt: after.updatedAt }] };
+  assert.deepEqual(findUndoConflicts(legacy, new Map([[before.id, after]])), []);
+  assert.deepEqual(findUndoConflicts(legacy, new Map([[before.id, { ...after, updatedAt: '2026-03-02T00:00:00.000Z' }]])), ['item1']);
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createDecipheriv, createECDH, createPublicKey, hkdfSync, verify } from 'node:crypto';
+
+import {
+  encryptPushPayload,
+  fromBase64Url,
+  generateVapidKeys,
+  sendWebPush,
+  toBase64Url,
+  vapidAuthorization,
+} from '../src/services/web-push.js';
+
+// Browser side of RFC 8291: what the user agent does with the pushed body
+function decryptAsUserAgent(body, uaEcdh, authSecret) {
+  const salt = body.subarray(0, 16);
+  const idLen = body.readUInt8(20);
+  const serverPublic = body.subarray(21, 21 + idLen);
+  const ciphertext = body.subarray(21 + idLen);
+  const sharedSecret = uaEcdh.computeSecret(serverPublic);
+  const info = Buffer.concat([Buffer.from('WebPush: info\0'), uaEcdh.getPublicKey(), serverPublic]);
+  const ikm = Buffer.from(hkdfSync('sha256', sharedSecret, authSecret, info, 32));
+  const cek = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+  const decipher = createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const plaintext = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+  assert.equal(plaintext[plaintext.length - 1], 2);
+  return plaintext.subarray(0, -1).toString();
+}
+
+function browserSubscription() {
+  const ua = createECDH('prime256v1');
+  ua.generateKeys();
+  const auth = Buffer.from('0123456789abcdef');
+  return { ua, auth, keys: { p256dh: toBase64Url(ua.getPublicKey()), auth: toBase64Url(auth) } };
+}
+
+test('encryptPushPayload matches the RFC 8291 example', () => {
+  const server = createECDH('prime256v1');
+  server.setPrivateKey(fromBase64Url('yfWPiYE-n46HLnH0KqZOF1fJJU3MYrct3AELtAQ-oRw'));
+  const body = encryptPushPayload('When I grow up, I want to be a watermelon', {
+    p256dh: 'BCVxsr7N_eNgVRqvHtD0zTZsEc6-VV-JvLexhqUzORcxaOzi6-AYWXvTBHm4bjyPjs7Vd8pZGH6SRpkNtoIAiw4',
+    auth: 'BTBZMqHH6r4Tts7J_aSIgg',
+  }, { salt: fromBase64Url('DGv6ra1nlYgDCS1FRnbzlw'), serverKeys: server });
+
+  assert.equal(
+    toBase64Url(body),
+    'DGv6ra1nlYgDCS1FRnbzlwAAEABBBP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A_yl95bQpu6cVPTpK4Mqgkf1CXztLVBSt2Ks3oZwbuwXPXLWyouBWLVWGNWQexSgSxsj_Qulcy4a-fN'
+  );
+});
+
+test('encryptPushPayload output decrypts with the browser keys', () => {
+  const { ua, auth, keys } = browserSubscription();
+  const message = JSON.stringify({ title: '📅 2 agendados para hoy', body: 'Llamar a Ana · Pagar luz' });
+  assert.equal(decryptAsUserAgent(encryptPushPayload(message, keys), ua, auth), message);
+  assert.throws(() => encryptPushPayload(message, { p256dh: 'abc', auth: 'def' }), /Invalid push subscription keys/);
+});
+
+test('vapidAuthorization signs an ES256 JWT for the push service origin', () => {
+  const vapid = { ...generateVapidKeys(), subject: 'mailto:ops@example.com' };
+  const now = new Date('2024-03-13T09:00:00Z');
+  const header = vapidAuthorization('https://push.example.net/send/abc?x=1', vapid, { now });
+
+  const [, token, key] = header.match(/^vapid t=([^,]+), k=(.+)$/);
+  assert.equal(key, vapid.publicKey);
+  const [h, c, sig] = token.split('.');
+  const claims = JSON.parse(fromBase64Url(c).toString());
+  assert.equal(claims.aud, 'https://push.example.net');
+  assert.equal(claims.sub, 'mailto:ops@example.com');
+  assert.equal(claims.exp, Math.floor(now.getTime() / 1000) + 12 * 60 * 60);
+
+  const pub = fromBase64Url(vapid.publicKey);
+  const publicKey = createPublicKey({
+    key: { kty: 'EC', crv: 'P-256', x: toBase64Url(pub.subarray(1, 33)), y: toBase64Url(pub.subarray(33)) },
+    format: 'jwk',
+  });
+  assert.ok(verify('sha256', Buffer.from(`${h}.${c}`), { key: publicKey, dsaEncoding: 'ieee-p1363' }, fromBase64Url(sig)));
+});
+
+test('sendWebPush posts an encrypted body and reports expired subscriptions', async () => {
+  const { ua, auth, keys } = browserSubscription();
+  const vapid = { ...generateVapidKeys(), subject: 'mailto:ops@example.com' };
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, init });
+    return { ok: calls.length === 1, status: calls.length === 1 ? 201 : 410 };
+  };
+  const subscription = { endpoint: 'https://push.example.net/send/abc', keys };
+
+  const sent = await sendWebPush(subscription, { title: 'Hola' }, { vapid, fetchImpl, topic: 'gtd-today' });
+  assert.deepEqual(sent, { ok: true, status: 201, gone: false });
+  const { url, init } = calls[0];
+  assert.equal(url, subscription.endpoint);
+  assert.equal(init.headers['Content-Encoding'], 'aes128gcm');
+  assert.equal(init.headers.TTL, String(24 * 60 * 60));
+  assert.equal(init.headers.Topic, 'gtd-today');
+  assert.match(init.headers.Authorization, /^vapid t=/);
+  assert.deepEqual(JSON.parse(decryptAsUserAgent(init.body, ua, auth)), { title: 'Hola' });
+
+  const gone = await sendWebPush(subscription, { title: 'Hola' }, { vapid, fetchImpl });
+  assert.deepEqual(gone, { ok: false, status: 410, gone: true });
+});